@@ -1,70 +1,175 @@
 // src\core\config\timeconfig.js
-// 时间配置文件 - 方便测试时快速调整时间
+// 时间配置文件 - 这里是默认值，各服务器可以用 /时间配置 单独调整（保存在数据库中，立即生效）
+const { readGuildTimeSettings } = require('../utils/database');
 
-// 是否为测试模式（true = 测试模式，时间大幅缩短；false = 生产模式，正常时间）
-const TEST_MODE = false; // 改为 false 可切换到测试模式
-
-// 测试模式下的时间设置（以分钟为单位，方便测试）
-const TEST_CONFIG = {
+// 可按服务器调整的时间配置项
+// type: number 为普通数值，muteLevels 为禁言等级列表；min/max 为允许的取值范围
+const TIME_SETTINGS = {
     // 提案系统
-    PROPOSAL_DEADLINE_MINUTES: 1,           // 提案截止时间：2分钟
-    PROPOSAL_CHECK_INTERVAL_MINUTES: 1,     // 提案检查间隔：1分钟
-    
-    // 法庭申请系统  
-    COURT_APPLICATION_DEADLINE_MINUTES: 3,  // 法庭申请截止时间：3分钟
-    COURT_APPLICATION_CHECK_INTERVAL_MINUTES: 1, // 法庭申请检查间隔：1分钟
-    
-    // 法庭投票系统
-    COURT_VOTE_DURATION_MINUTES: 1,         // 投票持续时间：5分钟
-    COURT_VOTE_PUBLIC_DELAY_MINUTES: 1,     // 公开票数延迟：2分钟
-    COURT_VOTE_CHECK_INTERVAL_MINUTES: 0.25, // 投票检查间隔：30秒
+    proposalDeadlineHours: { label: '提案收集支持截止时间', unit: '小时', type: 'number', min: 0.05, max: 720, default: 24 },
+    proposalDiscussionHours: { label: '议案讨论期', unit: '小时', type: 'number', min: 0.05, max: 720, default: 72 },
+    proposalFinalVoteHours: { label: '议案正式表决时长', unit: '小时', type: 'number', min: 0.05, max: 720, default: 48 },
+
+    // 法庭申请系统（投票时长、公开延迟等规则见 /setcourtvoterules）
+    courtApplicationDeadlineHours: { label: '法庭申请截止时间', unit: '小时', type: 'number', min: 0.05, max: 720, default: 48 },
 
     // 自助管理系统
-    SELF_MODERATION_VOTE_DURATION_MINUTES: 2,    // 投票持续时间：2分钟（测试）
-    SELF_MODERATION_CHECK_INTERVAL_MINUTES: 0.5, // 检查间隔：30秒
-};
+    selfModerationVoteMinutes: { label: '自助管理投票时长', unit: '分钟', type: 'number', min: 1, max: 1440, default: 10 },
+    deleteThreshold: { label: '删除消息所需⚠️数量', unit: '个', type: 'number', integer: true, min: 1, max: 1000, default: 10 },
+    muteLevels: {
+        label: '禁言等级',
+        unit: '阈值:分钟',
+        type: 'muteLevels',
+        default: [
+            { threshold: 10, duration: 10 },
+            { threshold: 20, duration: 20 },
+            { threshold: 30, duration: 40 },
+            { threshold: 40, duration: 60 },
+            { threshold: 60, duration: 120 }
+        ]
+    },
 
-// 生产模式下的时间设置（以小时/天为单位，正常使用）
-const PRODUCTION_CONFIG = {
-    // 提案系统
-    PROPOSAL_DEADLINE_HOURS: 24,            // 提案截止时间：24小时
-    PROPOSAL_CHECK_INTERVAL_MINUTES: 20,    // 提案检查间隔：20分钟
-    
-    // 法庭申请系统
-    COURT_APPLICATION_DEADLINE_HOURS: 48,   // 法庭申请截止时间：48小时（2天）
-    COURT_APPLICATION_CHECK_INTERVAL_MINUTES: 30, // 法庭申请检查间隔：30分钟
-    
-    // 法庭投票系统
-    COURT_VOTE_DURATION_HOURS: 24,          // 投票持续时间：24小时
-    COURT_VOTE_PUBLIC_DELAY_HOURS: 12,      // 公开票数延迟：12小时
-    COURT_VOTE_CHECK_INTERVAL_MINUTES: 5,   // 投票检查间隔：5分钟
+    // 反对票（🛡️）：净支持数 = 支持数 - 反对数 × 抵消系数，净支持数达到阈值且支持率不低于下限时才执行
+    opposeWeight: { label: '反对票抵消系数', unit: '倍', type: 'number', min: 0, max: 10, default: 1 },
+    minSupportPercent: { label: '执行所需支持率', unit: '%', type: 'number', min: 0, max: 100, default: 0 },
 
-    // 自助管理系统
-    SELF_MODERATION_VOTE_DURATION_MINUTES: 10,   // 投票持续时间：10分钟
-    SELF_MODERATION_CHECK_INTERVAL_MINUTES: 0.5,   // 检查间隔：1分钟
+    // 累犯加重：统计周期内此前每有一条处罚记录（投票删除、投票禁言、法庭判决），禁言时长乘一次加重系数；统计周期为 0 时不加重
+    repeatOffenseWindowDays: { label: '累犯统计周期', unit: '天', type: 'number', integer: true, min: 0, max: 365, default: 30 },
+    repeatOffenseMultiplier: { label: '累犯禁言加重系数', unit: '倍', type: 'number', min: 1, max: 10, default: 1.5 },
+
+    // 防滥用：发起的投票结束时未达到执行条件记为一次误报，投票成功执行后连续误报次数清零；统计周期为 0 时不处理误报
+    falseReportWindowDays: { label: '误报统计周期', unit: '天', type: 'number', integer: true, min: 0, max: 90, default: 7 },
+    falseReportCooldownMinutes: { label: '每次误报增加的冷却', unit: '分钟', type: 'number', integer: true, min: 0, max: 1440, default: 30 },
+    falseReportSuspendCount: { label: '暂停发起权的连续误报次数', unit: '次', type: 'number', integer: true, min: 0, max: 100, default: 5 },
+    falseReportSuspendHours: { label: '暂停发起权时长', unit: '小时', type: 'number', min: 1, max: 720, default: 24 },
+    // 加入服务器不满该时长的成员的⚠️/🚫/🛡️反应不计入投票，设为 0 时不限制
+    newMemberReactionHours: { label: '新成员反应不计入时长', unit: '小时', type: 'number', min: 0, max: 720, default: 24 },
+
+    // 白天/夜晚模式（北京时间）。结束时间小于开始时间表示跨越午夜
+    dayStartHour: { label: '白天开始时间', unit: '点', type: 'number', integer: true, min: 0, max: 23, default: 8 },
+    dayEndHour: { label: '白天结束时间', unit: '点', type: 'number', integer: true, min: 0, max: 23, default: 1 },
+    nightDeleteMultiplier: { label: '夜晚删除阈值系数', unit: '倍', type: 'number', min: 0.1, max: 1, default: 0.7 },
+    nightMuteMultiplier: { label: '夜晚禁言阈值系数', unit: '倍', type: 'number', min: 0.1, max: 1, default: 0.75 },
 };
 
-// 白天/夜晚模式配置
-const DAY_NIGHT_CONFIG = {
-    // 北京时间白天时段（8:00 - 次日1:00 为白天模式）
-    DAY_START_HOUR: 8,   // 白天开始时间（8点）
-    DAY_END_HOUR: 1,     // 白天结束时间（次日1点）- 如果小于开始时间，表示跨越午夜
-    
-    // 夜晚模式的调整系数
-    NIGHT_DELETE_THRESHOLD_MULTIPLIER: 0.7, // 夜晚删除阈值 = 白天 * 0.7
-    NIGHT_MUTE_THRESHOLD_MULTIPLIER: 0.75,   // 夜晚禁言阈值 = 白天 * 0.75
+// 定时检查间隔（所有服务器共用，启动定时器时读取）
+// 提案截止、法庭投票结算、募选阶段切换等由计划任务按时执行，不需要轮询
+const CHECK_INTERVALS = {
+    COURT_PUNISHMENT_CHECK_INTERVAL_MINUTES: 10,   // 处罚到期检查间隔：10分钟
+    SELF_MODERATION_CHECK_INTERVAL_MINUTES: 1,     // 自助管理对账检查间隔：1分钟（反应数量由反应事件实时更新）
 };
 
+const MAX_MUTE_LEVELS = 10;
+const MAX_MUTE_MINUTES = 40320; // 28天
+
+/**
+ * 获取服务器当前生效的时间配置（默认值 + 服务器覆盖的项目）
+ * @param {string} [guildId] - 服务器ID，不传时返回默认配置
+ * @returns {object}
+ */
+function getTimeConfig(guildId) {
+    const config = {};
+    for (const [key, definition] of Object.entries(TIME_SETTINGS)) {
+        config[key] = definition.default;
+    }
+    return guildId ? { ...config, ...readGuildTimeSettings(guildId) } : config;
+}
+
+/**
+ * 格式化配置值用于展示
+ * @param {string} key - 配置项
+ * @param {*} value - 配置值
+ * @returns {string}
+ */
+function formatTimeSettingValue(key, value) {
+    const definition = TIME_SETTINGS[key];
+    if (definition.type === 'muteLevels') {
+        return value.map(level => `${level.threshold}:${level.duration}`).join(', ');
+    }
+    return `${value} ${definition.unit}`;
+}
+
+/**
+ * 解析并校验用户输入的配置值
+ * @param {string} key - 配置项
+ * @param {string} rawValue - 输入的文本
+ * @returns {{value?: *, error?: string}}
+ */
+function parseTimeSettingValue(key, rawValue) {
+    const definition = TIME_SETTINGS[key];
+    if (!definition) {
+        return { error: `未知的配置项：${key}` };
+    }
+
+    const text = String(rawValue).trim();
+
+    if (definition.type === 'muteLevels') {
+        // 格式：阈值:分钟, 阈值:分钟 ...（支持中文逗号和冒号）
+        const parts = text.split(/[,，;；\s]+/).filter(Boolean);
+        if (parts.length === 0 || parts.length > MAX_MUTE_LEVELS) {
+            return { error: `禁言等级需要 1-${MAX_MUTE_LEVELS} 个，格式如 \`10:10, 20:20, 30:40\`（⚠️数量:禁言分钟）。` };
+        }
+
+        const levels = [];
+        for (const part of parts) {
+            const match = part.match(/^(\d+)[:：](\d+)$/);
+            if (!match) {
+                return { error: `无法解析 \`${part}\`，每个等级的格式为 \`⚠️数量:禁言分钟\`。` };
+            }
+            const threshold = parseInt(match[1]);
+            const duration = parseInt(match[2]);
+            if (threshold < 1 || duration < 1 || duration > MAX_MUTE_MINUTES) {
+                return { error: `\`${part}\` 超出范围：⚠️数量至少为 1，禁言时长为 1-${MAX_MUTE_MINUTES} 分钟。` };
+            }
+            levels.push({ threshold, duration });
+        }
+
+        for (let i = 1; i < levels.length; i++) {
+            if (levels[i].threshold <= levels[i - 1].threshold || levels[i].duration < levels[i - 1].duration) {
+                return { error: '禁言等级需要按⚠️数量从小到大排列，且禁言时长不能随等级降低。' };
+            }
+        }
+
+        return { value: levels };
+    }
+
+    const value = Number(text);
+    if (!Number.isFinite(value)) {
+        return { error: `${definition.label}需要是数字。` };
+    }
+    if (definition.integer && !Number.isInteger(value)) {
+        return { error: `${definition.label}需要是整数。` };
+    }
+    if (value < definition.min || value > definition.max) {
+        return { error: `${definition.label}需要在 ${definition.min}-${definition.max} ${definition.unit}之间。` };
+    }
+
+    return { value };
+}
+
+/**
+ * 校验多个配置项之间的关系
+ * @param {object} config - 完整的时间配置
+ * @returns {string|null} 错误信息，没有错误时返回 null
+ */
+function validateTimeConfig(config) {
+    if (config.dayStartHour === config.dayEndHour) {
+        return '白天开始时间和结束时间不能相同。';
+    }
+    return null;
+}
+
 // 判断当前是否为白天（基于北京时间）
-function isDayTime() {
+function isDayTime(guildId) {
+    const config = getTimeConfig(guildId);
     const now = new Date();
     // 转换为北京时间 (UTC+8)
     const beijingTime = new Date(now.getTime() + (8 * 60 * 60 * 1000));
     const hour = beijingTime.getUTCHours();
-    
-    const startHour = DAY_NIGHT_CONFIG.DAY_START_HOUR;
-    const endHour = DAY_NIGHT_CONFIG.DAY_END_HOUR;
-    
+
+    const startHour = config.dayStartHour;
+    const endHour = config.dayEndHour;
+
     // 如果结束时间小于开始时间，说明跨越了午夜
     if (endHour < startHour) {
         // 跨越午夜的情况：例如 6:00 到次日 3:00
@@ -77,15 +182,14 @@ function isDayTime() {
 }
 
 // 获取当前时段标识
-function getCurrentTimeMode() {
-    return isDayTime() ? '☀️ 白天模式' : '🌙 夜晚模式';
+function getCurrentTimeMode(guildId) {
+    return isDayTime(guildId) ? '☀️ 白天模式' : '🌙 夜晚模式';
 }
 
 // 获取时间段的描述文字
-function getTimeRangeDescription() {
-    const startHour = DAY_NIGHT_CONFIG.DAY_START_HOUR;
-    const endHour = DAY_NIGHT_CONFIG.DAY_END_HOUR;
-    
+function getTimeRangeDescription(guildId) {
+    const { dayStartHour: startHour, dayEndHour: endHour } = getTimeConfig(guildId);
+
     if (endHour < startHour) {
         // 跨越午夜
         return `${startHour}:00 - 次日${endHour}:00`;
@@ -95,197 +199,103 @@ function getTimeRangeDescription() {
     }
 }
 
-// 禁言时长配置（分钟）- 原始配置保持不变
-const BASE_MUTE_DURATIONS = {
-    LEVEL_1: { threshold: 10, duration: 10 },   // 15个⚠️ -> 10分钟
-    LEVEL_2: { threshold: 20, duration: 20 },   // 30个⚠️ -> 20分钟  
-    LEVEL_3: { threshold: 30, duration: 40 },   // 60个⚠️ -> 40分钟
-    LEVEL_4: { threshold: 40, duration: 60 },  // 80个⚠️ -> 1小时
-    LEVEL_5: { threshold: 60, duration: 120 }  // 100个⚠️ -> 2小时
-};
+/**
+ * 获取服务器当前时段的禁言等级（夜晚按系数降低触发阈值，禁言时长不变）
+ * @param {string} guildId - 服务器ID
+ * @returns {Object<string, {threshold: number, duration: number}>} 形如 { LEVEL_1: {...}, LEVEL_2: {...} }
+ */
+function getMuteDurations(guildId) {
+    const config = getTimeConfig(guildId);
+    const isDay = isDayTime(guildId);
+    const levels = {};
 
-// 删除消息阈值 - 原始配置
-const BASE_DELETE_THRESHOLD = 10; // 10个⚠️删除消息
-
-// 动态获取当前时段的禁言配置
-const MUTE_DURATIONS = new Proxy(BASE_MUTE_DURATIONS, {
-    get(target, prop) {
-        if (!(prop in target)) return target[prop];
-        
-        const level = target[prop];
-        const isDay = isDayTime();
-        
-        return {
-            threshold: isDay ? level.threshold : Math.floor(level.threshold * DAY_NIGHT_CONFIG.NIGHT_MUTE_THRESHOLD_MULTIPLIER),
-            duration: level.duration // 禁言时长不变，只调整触发阈值
+    config.muteLevels.forEach((level, index) => {
+        levels[`LEVEL_${index + 1}`] = {
+            threshold: isDay ? level.threshold : Math.max(1, Math.floor(level.threshold * config.nightMuteMultiplier)),
+            duration: level.duration
         };
-    }
-});
+    });
 
-// 动态获取当前时段的删除阈值
-Object.defineProperty(global, 'DELETE_THRESHOLD', {
-    get() {
-        const isDay = isDayTime();
-        return isDay ? BASE_DELETE_THRESHOLD : Math.floor(BASE_DELETE_THRESHOLD * DAY_NIGHT_CONFIG.NIGHT_DELETE_THRESHOLD_MULTIPLIER);
-    }
-});
-
-// 为了兼容直接引用，也提供常量形式
-const DELETE_THRESHOLD = new Proxy({}, {
-    get(target, prop) {
-        const isDay = isDayTime();
-        const value = isDay ? BASE_DELETE_THRESHOLD : Math.floor(BASE_DELETE_THRESHOLD * DAY_NIGHT_CONFIG.NIGHT_DELETE_THRESHOLD_MULTIPLIER);
-        
-        if (prop === 'valueOf' || prop === Symbol.toPrimitive) {
-            return () => value;
-        }
-        
-        return value;
-    },
-    has(target, prop) {
-        return true;
-    },
-    ownKeys(target) {
-        return ['valueOf', Symbol.toPrimitive];
-    }
-});
+    return levels;
+}
 
-// 获取当前配置
-function getTimeConfig() {
-    return TEST_MODE ? TEST_CONFIG : PRODUCTION_CONFIG;
+/**
+ * 获取服务器当前时段的删除消息阈值
+ * @param {string} guildId - 服务器ID
+ * @returns {number}
+ */
+function getDeleteThreshold(guildId) {
+    const config = getTimeConfig(guildId);
+    return isDayTime(guildId)
+        ? config.deleteThreshold
+        : Math.max(1, Math.floor(config.deleteThreshold * config.nightDeleteMultiplier));
 }
 
-// 获取提案截止时间
-function getProposalDeadline() {
-    const config = getTimeConfig();
-    const deadline = new Date();
-    
-    if (TEST_MODE) {
-        deadline.setMinutes(deadline.getMinutes() + config.PROPOSAL_DEADLINE_MINUTES);
-    } else {
-        deadline.setHours(deadline.getHours() + config.PROPOSAL_DEADLINE_HOURS);
-    }
-    
-    return deadline;
+function hoursFromNow(hours) {
+    return new Date(Date.now() + hours * 60 * 60 * 1000);
 }
 
-// 获取法庭申请截止时间
-function getCourtApplicationDeadline() {
-    const config = getTimeConfig();
-    const deadline = new Date();
-    
-    if (TEST_MODE) {
-        deadline.setMinutes(deadline.getMinutes() + config.COURT_APPLICATION_DEADLINE_MINUTES);
-    } else {
-        deadline.setHours(deadline.getHours() + config.COURT_APPLICATION_DEADLINE_HOURS);
-    }
-    
-    return deadline;
+// 获取提案截止时间
+function getProposalDeadline(guildId) {
+    return hoursFromNow(getTimeConfig(guildId).proposalDeadlineHours);
 }
 
-// 获取法庭投票结束时间
-function getCourtVoteEndTime() {
-    const config = getTimeConfig();
-    const endTime = new Date();
-    
-    if (TEST_MODE) {
-        endTime.setMinutes(endTime.getMinutes() + config.COURT_VOTE_DURATION_MINUTES);
-    } else {
-        endTime.setHours(endTime.getHours() + config.COURT_VOTE_DURATION_HOURS);
-    }
-    
-    return endTime;
+// 获取议案讨论期和正式表决时长（毫秒），议案设置（/setupform）中设置了小时数时优先使用
+function getProposalStageDurations(proposalSettings, guildId) {
+    const config = getTimeConfig(guildId);
+
+    return {
+        discussionMs: (proposalSettings?.discussionHours ?? config.proposalDiscussionHours) * 60 * 60 * 1000,
+        finalVoteMs: (proposalSettings?.finalVoteHours ?? config.proposalFinalVoteHours) * 60 * 60 * 1000
+    };
 }
 
-// 获取法庭投票公开时间
-function getCourtVotePublicTime() {
-    const config = getTimeConfig();
-    const publicTime = new Date();
-    
-    if (TEST_MODE) {
-        publicTime.setMinutes(publicTime.getMinutes() + config.COURT_VOTE_PUBLIC_DELAY_MINUTES);
-    } else {
-        publicTime.setHours(publicTime.getHours() + config.COURT_VOTE_PUBLIC_DELAY_HOURS);
-    }
-    
-    return publicTime;
+// 获取法庭申请截止时间
+function getCourtApplicationDeadline(guildId) {
+    return hoursFromNow(getTimeConfig(guildId).courtApplicationDeadlineHours);
 }
 
 // 获取自助管理投票结束时间
-function getSelfModerationVoteEndTime() {
-    const config = getTimeConfig();
-    const endTime = new Date();
-    
-    endTime.setMinutes(endTime.getMinutes() + config.SELF_MODERATION_VOTE_DURATION_MINUTES);
-    
-    return endTime;
+function getSelfModerationVoteEndTime(guildId) {
+    return new Date(Date.now() + getTimeConfig(guildId).selfModerationVoteMinutes * 60 * 1000);
 }
 
 // 获取检查间隔（毫秒）
 function getCheckIntervals() {
-    const config = getTimeConfig();
-    
     return {
-        proposalCheck: config.PROPOSAL_CHECK_INTERVAL_MINUTES * 60 * 1000,
-        courtApplicationCheck: config.COURT_APPLICATION_CHECK_INTERVAL_MINUTES * 60 * 1000,
-        courtVoteCheck: config.COURT_VOTE_CHECK_INTERVAL_MINUTES * 60 * 1000,
-        selfModerationCheck: config.SELF_MODERATION_CHECK_INTERVAL_MINUTES * 60 * 1000,
+        courtPunishmentCheck: CHECK_INTERVALS.COURT_PUNISHMENT_CHECK_INTERVAL_MINUTES * 60 * 1000,
+        selfModerationCheck: CHECK_INTERVALS.SELF_MODERATION_CHECK_INTERVAL_MINUTES * 60 * 1000,
     };
 }
 
-// 打印当前时间配置
+// 打印默认时间配置
 function printTimeConfig() {
-    const mode = TEST_MODE ? '🧪 测试模式' : '🚀 生产模式';
-    const timeMode = getCurrentTimeMode();
     const config = getTimeConfig();
-    
-    console.log(`\n=== 时间配置 - ${mode} ===`);
-    console.log(`⏰ 当前时段: ${timeMode}`);
-    
-    // 显示当前删除阈值和禁言阈值 - 修复这里
-    const currentDeleteThreshold = isDayTime() ? BASE_DELETE_THRESHOLD : Math.floor(BASE_DELETE_THRESHOLD * DAY_NIGHT_CONFIG.NIGHT_DELETE_THRESHOLD_MULTIPLIER);
-    console.log(`🗑️ 当前删除阈值: ${currentDeleteThreshold}`);
-    console.log(`🔇 当前禁言阈值: Level1=${MUTE_DURATIONS.LEVEL_1.threshold}, Level2=${MUTE_DURATIONS.LEVEL_2.threshold}, Level3=${MUTE_DURATIONS.LEVEL_3.threshold}`);
-    
-    if (TEST_MODE) {
-        console.log(`📝 提案截止时间: ${config.PROPOSAL_DEADLINE_MINUTES} 分钟`);
-        console.log(`🏛️ 法庭申请截止时间: ${config.COURT_APPLICATION_DEADLINE_MINUTES} 分钟`);
-        console.log(`🗳️ 法庭投票时间: ${config.COURT_VOTE_DURATION_MINUTES} 分钟`);
-        console.log(`👁️ 票数公开延迟: ${config.COURT_VOTE_PUBLIC_DELAY_MINUTES} 分钟`);
-        console.log(`🛡️ 自助管理投票时间: ${config.SELF_MODERATION_VOTE_DURATION_MINUTES} 分钟`);
-        console.log(`⏰ 检查间隔: 提案=${config.PROPOSAL_CHECK_INTERVAL_MINUTES}分钟, 申请=${config.COURT_APPLICATION_CHECK_INTERVAL_MINUTES}分钟, 投票=${config.COURT_VOTE_CHECK_INTERVAL_MINUTES}分钟, 自助管理=${config.SELF_MODERATION_CHECK_INTERVAL_MINUTES}分钟`);
-    } else {
-        console.log(`📝 提案截止时间: ${config.PROPOSAL_DEADLINE_HOURS} 小时`);
-        console.log(`🏛️ 法庭申请截止时间: ${config.COURT_APPLICATION_DEADLINE_HOURS} 小时`);
-        console.log(`🗳️ 法庭投票时间: ${config.COURT_VOTE_DURATION_HOURS} 小时`);
-        console.log(`👁️ 票数公开延迟: ${config.COURT_VOTE_PUBLIC_DELAY_HOURS} 小时`);
-        console.log(`🛡️ 自助管理投票时间: ${config.SELF_MODERATION_VOTE_DURATION_MINUTES} 分钟`);
-        console.log(`⏰ 检查间隔: 提案=${config.PROPOSAL_CHECK_INTERVAL_MINUTES}分钟, 申请=${config.COURT_APPLICATION_CHECK_INTERVAL_MINUTES}分钟, 投票=${config.COURT_VOTE_CHECK_INTERVAL_MINUTES}分钟, 自助管理=${config.SELF_MODERATION_CHECK_INTERVAL_MINUTES}分钟`);
+
+    console.log(`\n=== 默认时间配置（各服务器可用 /时间配置 调整） ===`);
+    for (const key of Object.keys(TIME_SETTINGS)) {
+        console.log(`• ${TIME_SETTINGS[key].label}: ${formatTimeSettingValue(key, config[key])}`);
     }
-    
-    console.log(`\n--- 白天/夜晚配置 ---`);
-    console.log(`☀️ 白天时段: ${getTimeRangeDescription()} (北京时间)`);
-    console.log(`🌙 夜晚时段: ${DAY_NIGHT_CONFIG.DAY_END_HOUR < DAY_NIGHT_CONFIG.DAY_START_HOUR ? `${DAY_NIGHT_CONFIG.DAY_END_HOUR}:00 - ${DAY_NIGHT_CONFIG.DAY_START_HOUR}:00` : `${DAY_NIGHT_CONFIG.DAY_END_HOUR}:00 - ${DAY_NIGHT_CONFIG.DAY_START_HOUR}:00`} (北京时间)`);
-    console.log(`🗑️ 删除阈值: 白天=${BASE_DELETE_THRESHOLD}, 夜晚=${Math.floor(BASE_DELETE_THRESHOLD * DAY_NIGHT_CONFIG.NIGHT_DELETE_THRESHOLD_MULTIPLIER)}`);
-    console.log(`🔇 禁言阈值调整: 夜晚为白天的${(DAY_NIGHT_CONFIG.NIGHT_MUTE_THRESHOLD_MULTIPLIER * 100)}%`);
+    console.log(`⏰ 检查间隔: 处罚到期=${CHECK_INTERVALS.COURT_PUNISHMENT_CHECK_INTERVAL_MINUTES}分钟, 自助管理=${CHECK_INTERVALS.SELF_MODERATION_CHECK_INTERVAL_MINUTES}分钟`);
     console.log(`===============================\n`);
 }
 
 module.exports = {
-    TEST_MODE,
+    TIME_SETTINGS,
+    MAX_MUTE_MINUTES,
     getTimeConfig,
+    formatTimeSettingValue,
+    parseTimeSettingValue,
+    validateTimeConfig,
     getProposalDeadline,
+    getProposalStageDurations,
     getCourtApplicationDeadline,
-    getCourtVoteEndTime,
-    getCourtVotePublicTime,
     getSelfModerationVoteEndTime,
     getCheckIntervals,
     printTimeConfig,
-    MUTE_DURATIONS,
-    DELETE_THRESHOLD,
-    // 新增导出
+    getMuteDurations,
+    getDeleteThreshold,
     isDayTime,
     getCurrentTimeMode,
-    DAY_NIGHT_CONFIG,
     getTimeRangeDescription
-};
\ No newline at end of file
+};
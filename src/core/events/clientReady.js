@@ -1,34 +1,22 @@
 // src\core\events\clientReady.js
 
-const { 
-    REST, 
-    Routes, 
-} = require('discord.js');
-
-const rest = new REST({ version: '10'}).setToken(process.env.DISCORD_TOKEN);
+const { deployAllGuildCommands } = require('../utils/commandDeployer');
 
 async function clientReadyHandler(client){
     console.log(`Logged in as ${client.user.tag}`);
 
     try{
-        console.log(`Start refreshing ${client.commands.size} commands!`)
+        console.log(`Start refreshing ${client.commands.size} commands in ${client.guilds.cache.size} guilds!`)
 
-        await rest.put(
-            Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID),
-            {
-                body: client.commands.map((command) =>{
-                    return command.data.toJSON();
-                })
-            }
-        );
+        const { succeeded, failed } = await deployAllGuildCommands(client);
 
-        console.log(`Succsessfully reloaded ${client.commands.size} commands!`)
+        console.log(`Succsessfully reloaded commands in ${succeeded} guilds${failed > 0 ? `, ${failed} failed` : ''}!`)
     } catch(error){
         console.error(error);
     }
-    
+
 }
 
 module.exports = {
     clientReadyHandler,
-}
\ No newline at end of file
+}
@@ -0,0 +1,18 @@
+// src\core\events\guildCreate.js
+
+const { deployGuildCommands } = require('../utils/commandDeployer');
+
+async function guildCreateHandler(guild){
+    console.log(`加入新服务器: ${guild.name} (${guild.id})`);
+
+    try{
+        const count = await deployGuildCommands(guild.client, guild.id);
+        console.log(`✅ 已向新服务器 ${guild.name} 部署 ${count} 个命令`);
+    } catch(error){
+        console.error(`向新服务器 ${guild.name} (${guild.id}) 部署命令失败:`, error);
+    }
+}
+
+module.exports = {
+    guildCreateHandler,
+}
@@ -1,20 +1,19 @@
-const { autoCleanupHandler } = require('../../modules/autoCleanup/events/messageCreate');
-const { selfRoleMessageCreateHandler } = require('../../modules/selfRole/events/messageCreate');
+// src/core/events/messageCreate.js
+const { incrementCounter } = require('../utils/metrics');
 
+/**
+ * 依次调用各模块注册的消息处理器，单个模块出错不影响其他模块
+ * @param {import('discord.js').Message} message
+ */
 async function messageCreateHandler(message) {
-    try {
-        // 处理自动清理
-        await autoCleanupHandler.handleMessage(message);
-    } catch (error) {
-        console.error('处理 autoCleanup 模块的 messageCreate 事件时出错:', error);
-    }
-
-    try {
-        // 处理自助身份组活跃度统计
-        await selfRoleMessageCreateHandler(message);
-    } catch (error) {
-        console.error('处理 selfRole 模块的 messageCreate 事件时出错:', error);
+    for (const { moduleId, handler } of message.client.messageHandlers || []) {
+        try {
+            await handler(message);
+        } catch (error) {
+            console.error(`处理 ${moduleId} 模块的 messageCreate 事件时出错:`, error);
+            incrementCounter('message_handler_errors_total', '模块消息处理器出错次数', { module: moduleId });
+        }
     }
 }
 
-module.exports = { messageCreateHandler }; 
\ No newline at end of file
+module.exports = { messageCreateHandler };
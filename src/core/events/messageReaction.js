@@ -0,0 +1,39 @@
+// src/core/events/messageReaction.js
+const { incrementCounter } = require('../utils/metrics');
+
+/**
+ * 依次调用各模块注册的反应处理器，单个模块出错不影响其他模块
+ * @param {import('discord.js').MessageReaction} reaction
+ * @param {import('discord.js').User} user
+ * @param {'add'|'remove'} action
+ */
+async function dispatchReaction(reaction, user, action) {
+    // 未缓存的消息上的反应只带用户ID，需要先获取用户才能判断是否为机器人
+    if (user.partial) {
+        try {
+            user = await user.fetch();
+        } catch (error) {
+            console.error(`获取反应用户 ${user.id} 失败:`, error);
+            return;
+        }
+    }
+
+    for (const { moduleId, handler } of reaction.client.reactionHandlers || []) {
+        try {
+            await handler(reaction, user, action);
+        } catch (error) {
+            console.error(`处理 ${moduleId} 模块的反应事件时出错:`, error);
+            incrementCounter('reaction_handler_errors_total', '模块反应处理器出错次数', { module: moduleId });
+        }
+    }
+}
+
+async function messageReactionAddHandler(reaction, user) {
+    await dispatchReaction(reaction, user, 'add');
+}
+
+async function messageReactionRemoveHandler(reaction, user) {
+    await dispatchReaction(reaction, user, 'remove');
+}
+
+module.exports = { messageReactionAddHandler, messageReactionRemoveHandler };
@@ -0,0 +1,220 @@
+// src\core\locales\en-US.js
+// 核心功能的英文文本，以及基础命令的英文名称和说明
+const { findMessage } = require('../utils/i18n');
+
+// 模块选项按模块文本目录中的 name 显示
+const moduleName = moduleId => findMessage('en-US', `${moduleId}.name`);
+
+const timeSettingNames = {
+    proposalDeadlineHours: 'Proposal support deadline',
+    proposalDiscussionHours: 'Proposal discussion period',
+    proposalFinalVoteHours: 'Proposal final vote duration',
+    courtApplicationDeadlineHours: 'Court application deadline',
+    selfModerationVoteMinutes: 'Self-moderation vote duration',
+    deleteThreshold: '⚠️ reactions needed to delete',
+    muteLevels: 'Mute levels',
+    opposeWeight: 'Oppose vote weight',
+    minSupportPercent: 'Support ratio required to act',
+    repeatOffenseWindowDays: 'Repeat offense window',
+    repeatOffenseMultiplier: 'Repeat offender mute multiplier',
+    falseReportWindowDays: 'False report window',
+    falseReportCooldownMinutes: 'Extra cooldown per false report',
+    falseReportSuspendCount: 'False reports in a row before suspension',
+    falseReportSuspendHours: 'Vote initiation suspension length',
+    newMemberReactionHours: 'Ignore reactions from members newer than',
+    dayStartHour: 'Daytime start hour',
+    dayEndHour: 'Daytime end hour',
+    nightDeleteMultiplier: 'Night delete threshold multiplier',
+    nightMuteMultiplier: 'Night mute threshold multiplier',
+};
+
+module.exports = {
+    name: 'Core',
+
+    common: {
+        guildOnly: '❌ This command can only be used in a server, not in DMs.',
+        requestError: 'An error occurred while processing your request.',
+        unknownUser: 'Unknown user',
+    },
+
+    interaction: {
+        moduleDisabled: '❌ **{module}** is disabled in this server. Ask an administrator to enable it with `/modules`.',
+        moduleDisabledComponent: '❌ **{module}** is disabled in this server.',
+    },
+
+    permission: {
+        title: '❌ **Permission denied**',
+        adminDenied: 'You do not have permission to use this command.\n\n**One of the following is required:**\n• Server owner\n• Administrator permission\n• Manage Server permission\n• Manage Channels permission\n• An admin role or command role configured with `/permissions`\n\nPlease contact a server administrator for access.',
+        formDenied: 'You do not have permission to use this form.',
+        supportDenied: 'You do not have permission to support this proposal.',
+        basicRequirements: '**One of the following is required:**\n• Server owner\n• Administrator permission',
+        allowedRoles: '• One of these roles: {roles}',
+        roleSeparator: ', ',
+        contactAdmin: 'Please contact a server administrator for access.',
+        selfModerationDenied: 'You do not have permission to use `/{command}`.',
+        selfModerationDelete: 'vote-delete-message',
+        selfModerationMute: 'vote-mute-user',
+    },
+
+    language: {
+        title: '🌐 Language',
+        current: 'This server currently uses: **{language}**',
+        available: 'Available languages: {languages}',
+        note: 'The language applies to messages, buttons and error replies the bot sends in this server; text that has not been translated yet is still shown in Simplified Chinese.\nSlash command names and descriptions follow each user\'s Discord client language.',
+        unchanged: 'ℹ️ This server already uses **{language}**.',
+        updated: '✅ This server now uses **{language}**.',
+        error: '❌ Failed to update the language: {error}',
+    },
+
+    timeSettings: timeSettingNames,
+
+    commands: {
+        '语言设置': {
+            name: 'language',
+            description: 'View or change the language the bot uses in this server',
+            options: {
+                '语言': { name: 'language', description: 'New language (leave empty to view the current setting)' },
+            },
+        },
+        'ping': {
+            description: 'Replies with Pong!',
+        },
+        'debugpermissions': {
+            description: 'Debug permission information (testing only)',
+            options: {
+                '用户': { name: 'user', description: 'User to check (defaults to yourself)' },
+            },
+        },
+        'setcheckchannel': {
+            description: 'Set the channel that receives expired proposal reports',
+            options: {
+                '频道': { name: 'channel', description: 'Channel that receives expired proposal reports' },
+                '启用': { name: 'enabled', description: 'Whether reports are enabled (default: enabled)' },
+            },
+        },
+        '模块管理': {
+            name: 'modules',
+            description: 'View, enable or disable feature modules in this server',
+            options: {
+                '操作': {
+                    name: 'action',
+                    description: 'Action to perform',
+                    choices: { list: 'View module status', enable: 'Enable module', disable: 'Disable module' },
+                },
+                '模块': { name: 'module', description: 'Module to enable or disable', choices: moduleName },
+            },
+        },
+        '权限管理': {
+            name: 'permissions',
+            description: 'Set which roles can use admin commands in this server',
+            options: {
+                '查看': { name: 'view', description: 'View the current permission settings' },
+                '添加管理身份组': {
+                    name: 'add-admin-role',
+                    description: 'Allow a role to use all admin commands',
+                    options: { '身份组': { name: 'role', description: 'Role to add' } },
+                },
+                '移除管理身份组': {
+                    name: 'remove-admin-role',
+                    description: 'Remove a role\'s admin command access',
+                    options: { '身份组': { name: 'role', description: 'Role to remove' } },
+                },
+                '添加命令身份组': {
+                    name: 'add-command-role',
+                    description: 'Restrict a single command to specific roles (admin roles no longer apply to it)',
+                    options: {
+                        '命令': { name: 'command', description: 'Command name' },
+                        '身份组': { name: 'role', description: 'Role that may use the command' },
+                    },
+                },
+                '移除命令身份组': {
+                    name: 'remove-command-role',
+                    description: 'Remove a command\'s role restriction',
+                    options: {
+                        '命令': { name: 'command', description: 'Command name' },
+                        '身份组': { name: 'role', description: 'Role to remove (leave empty to clear all roles for the command)' },
+                    },
+                },
+            },
+        },
+        '审计日志': {
+            name: 'audit-log',
+            description: 'Search the audit log of moderation actions and community votes, or set the log channel',
+            options: {
+                '查询': {
+                    name: 'search',
+                    description: 'Search the audit log',
+                    options: {
+                        '模块': { name: 'module', description: 'Only show entries from this module', choices: moduleName },
+                        '操作者': { name: 'actor', description: 'Only show actions performed or started by this user' },
+                        '对象用户': { name: 'target', description: 'Only show actions affecting this user' },
+                        '操作': { name: 'action', description: 'Action name, e.g. “法庭判决结算”' },
+                        '天数': { name: 'days', description: 'Only show entries from the last N days' },
+                        '数量': { name: 'limit', description: 'Maximum number of entries (default 10)' },
+                    },
+                },
+                '设置频道': {
+                    name: 'set-channel',
+                    description: 'Set the channel audit log entries are posted to',
+                    options: { '频道': { name: 'channel', description: 'Audit log channel' } },
+                },
+                '关闭频道': {
+                    name: 'disable-channel',
+                    description: 'Stop posting audit log entries to a channel (entries are still saved)',
+                },
+            },
+        },
+        '时间配置': {
+            name: 'time-config',
+            description: 'View or adjust proposal, court and self-moderation timings for this server',
+            options: {
+                '查看': { name: 'view', description: 'View this server\'s current time configuration' },
+                '设置': {
+                    name: 'set',
+                    description: 'Change a setting; takes effect immediately',
+                    options: {
+                        '项目': { name: 'setting', description: 'Setting to change', choices: timeSettingNames },
+                        '值': { name: 'value', description: 'New value; mute levels use the format “10:10, 20:20, 30:40” (⚠️ count:minutes)' },
+                    },
+                },
+                '重置': {
+                    name: 'reset',
+                    description: 'Restore defaults',
+                    options: {
+                        '项目': { name: 'setting', description: 'Setting to restore (leave empty to restore all)', choices: timeSettingNames },
+                    },
+                },
+            },
+        },
+        '计划任务': {
+            name: 'scheduled-jobs',
+            description: 'View this server\'s scheduled jobs (proposal deadlines, court vote results, election phases…)',
+            options: {
+                '状态': { name: 'status', description: 'Job status to show (default: pending)', choices: { pending: 'Pending', failed: 'Failed', done: 'Done' } },
+                '数量': { name: 'limit', description: 'Maximum number of jobs (default 10)' },
+            },
+        },
+        '数据备份': {
+            name: 'data-backup',
+            description: 'Back up, export or restore all bot data (bot owner only)',
+            options: {
+                '创建': { name: 'create', description: 'Back up all data now and send the backup file' },
+                '列表': { name: 'list', description: 'List local backups' },
+                '导出': {
+                    name: 'export',
+                    description: 'Send a local backup file',
+                    options: { '文件名': { name: 'filename', description: 'Backup file name (leave empty for the latest backup)' } },
+                },
+                '恢复': {
+                    name: 'restore',
+                    description: 'Validate and restore a backup; current data is backed up first',
+                    options: {
+                        '确认': { name: 'confirm', description: 'Choose “否” to only validate and preview, “是” to overwrite current data' },
+                        '文件': { name: 'file', description: 'Uploaded backup file (.json.gz or .json)' },
+                        '文件名': { name: 'filename', description: 'Local backup file name (instead of uploading)' },
+                    },
+                },
+            },
+        },
+    },
+};
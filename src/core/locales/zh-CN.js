@@ -0,0 +1,40 @@
+// src\core\locales\zh-CN.js
+// 核心功能的简体中文文本（默认语言，其他语言缺少的文本都会回退到这里）
+module.exports = {
+    name: '基础功能',
+
+    common: {
+        guildOnly: '❌ 此指令只能在服务器中使用，不能在私信中使用。',
+        requestError: '处理您的请求时出现错误。',
+        unknownUser: '未知用户',
+    },
+
+    interaction: {
+        moduleDisabled: '❌ **{module}** 已在本服务器停用，请联系管理员使用 `/模块管理` 启用。',
+        moduleDisabledComponent: '❌ **{module}** 已在本服务器停用。',
+    },
+
+    permission: {
+        title: '❌ **权限不足**',
+        adminDenied: '您没有权限使用此指令。\n\n**需要以下权限之一：**\n• 服务器所有者\n• 管理员权限\n• 管理服务器权限\n• 管理频道权限\n• 本服务器通过 `/权限管理` 设置的管理身份组或命令身份组\n\n请联系服务器管理员获取相应权限。',
+        formDenied: '您没有权限使用此表单。',
+        supportDenied: '您没有权限支持此提案。',
+        basicRequirements: '**需要以下权限之一：**\n• 服务器所有者\n• 管理员权限',
+        allowedRoles: '• 以下身份组之一：{roles}',
+        roleSeparator: '、',
+        contactAdmin: '请联系服务器管理员获取相应权限。',
+        selfModerationDenied: '您没有权限使用 `/{command}` 指令。',
+        selfModerationDelete: '删除搬屎消息',
+        selfModerationMute: '禁言搬屎用户',
+    },
+
+    language: {
+        title: '🌐 语言设置',
+        current: '本服务器当前使用的语言：**{language}**',
+        available: '可选语言：{languages}',
+        note: '语言设置影响机器人在本服务器发送的消息、按钮和错误提示；尚未翻译的文本仍显示简体中文。\n斜杠命令的名称和说明按每个用户的 Discord 客户端语言显示。',
+        unchanged: 'ℹ️ 本服务器已经在使用 **{language}**。',
+        updated: '✅ 本服务器的语言已设置为 **{language}**。',
+        error: '❌ 修改语言设置时出错：{error}',
+    },
+};
@@ -0,0 +1,92 @@
+// src\core\utils\auditLogger.js
+const { EmbedBuilder } = require('discord.js');
+const { saveAuditLog, getAuditSettings } = require('./database');
+const { getModuleName } = require('./guildModules');
+const { incrementCounter } = require('./metrics');
+
+/**
+ * 生成审计日志的展示用 Embed
+ * @param {object} entry - 审计日志
+ * @returns {EmbedBuilder}
+ */
+function buildAuditEmbed(entry) {
+    const lines = [
+        `**模块：** ${getModuleName(entry.module)}`,
+        `**操作者：** ${entry.actorId ? `<@${entry.actorId}>` : '系统'}`,
+    ];
+    if (entry.targetId) {
+        lines.push(`**对象用户：** <@${entry.targetId}>`);
+    }
+    if (entry.summary) {
+        lines.push('', entry.summary);
+    }
+
+    const detailLines = Object.entries(entry.details || {})
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => `• ${key}：${value}`);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`📜 ${entry.action}`)
+        .setDescription(lines.join('\n').slice(0, 4096))
+        .setColor('#607D8B')
+        .setFooter({ text: `审计日志 #${entry.id}` })
+        .setTimestamp(new Date(entry.createdAt));
+
+    if (detailLines.length > 0) {
+        embed.addFields({ name: '详情', value: detailLines.join('\n').slice(0, 1024) });
+    }
+
+    return embed;
+}
+
+/**
+ * 记录一条审计日志：写入数据库，并同步发送到服务器设置的审计日志频道。
+ * 审计记录失败只输出错误日志，不会影响调用方的业务流程。
+ * @param {import('discord.js').Client} client - Discord 客户端（用于发送到日志频道，可为空）
+ * @param {object} event - 审计事件
+ * @param {string} event.guildId - 服务器ID
+ * @param {string} event.module - 模块ID（如 proposal、court）
+ * @param {string} event.action - 操作名称（如 “议案审核通过”）
+ * @param {string} [event.actorId] - 操作者用户ID，系统自动执行时留空
+ * @param {string} [event.targetId] - 受影响的用户ID
+ * @param {string} [event.summary] - 一句话描述
+ * @param {object} [event.details] - 附加信息（键为展示名称）
+ * @returns {Promise<object|null>} 保存后的审计日志
+ */
+async function logAuditEvent(client, event) {
+    try {
+        const entry = await saveAuditLog({
+            guildId: event.guildId,
+            module: event.module,
+            action: event.action,
+            actorId: event.actorId || null,
+            targetId: event.targetId || null,
+            summary: event.summary || '',
+            details: event.details || {},
+            createdAt: new Date().toISOString()
+        });
+
+        incrementCounter('audit_events_total', '按模块统计的审计日志条数', { module: entry.module, action: entry.action });
+        console.log(`[审计] #${entry.id} ${entry.module}/${entry.action} - 服务器: ${entry.guildId}, 操作者: ${entry.actorId || '系统'}, 对象: ${entry.targetId || '无'}`);
+
+        const settings = await getAuditSettings(event.guildId);
+        if (client && settings?.channelId && settings.enabled !== false) {
+            try {
+                const channel = await client.channels.fetch(settings.channelId);
+                await channel.send({ embeds: [buildAuditEmbed(entry)] });
+            } catch (sendError) {
+                console.error(`发送审计日志到频道 ${settings.channelId} 失败:`, sendError.message);
+            }
+        }
+
+        return entry;
+    } catch (error) {
+        console.error('记录审计日志时出错:', error);
+        return null;
+    }
+}
+
+module.exports = {
+    logAuditEvent,
+    buildAuditEmbed,
+};
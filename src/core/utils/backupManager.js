@@ -0,0 +1,366 @@
+// src\core\utils\backupManager.js
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { DATA_DIR, readDatabaseSnapshot, restoreDatabaseSnapshot } = require('./database');
+const { registerJobHandler, scheduleJob, reloadJobScheduler } = require('./jobScheduler');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ROOT_DIR = path.join(__dirname, '../../..');
+const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+
+const BACKUP_FORMAT = 'discordbot-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_INTERVAL_HOURS = 24;  // 定时备份间隔
+const MAX_BACKUPS = 14;            // 每种备份保留的份数，超出时删除最旧的
+const BACKUP_JOB_TYPE = 'core_data_backup';
+
+// 备份原因 -> 显示名称（同时作为文件名前缀）
+const BACKUP_REASONS = {
+    scheduled: '定时备份',
+    manual: '手动备份',
+    restore: '恢复前自动备份'
+};
+
+// 可以备份和恢复的 JSON 文件：data 目录及各模块 data 目录下的 *.json
+const JSON_STORE_PATTERN = /^(data|src\/modules\/[\w-]+\/data)\/[^/\\]+\.json$/;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 将备份中的相对路径转换为实际路径（data/ 开头的路径对应数据目录）
+ * @param {string} relativePath - 相对路径
+ * @returns {string}
+ */
+function resolveStorePath(relativePath) {
+    return relativePath.startsWith('data/')
+        ? path.join(DATA_DIR, relativePath.slice('data/'.length))
+        : path.join(ROOT_DIR, relativePath);
+}
+
+function hashPayload(payload) {
+    return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+async function listJsonFiles(relativeDir) {
+    let entries;
+    try {
+        entries = await fs.readdir(resolveStorePath(relativeDir), { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    return entries
+        .filter(entry => entry.isFile() && entry.name.endsWith('.json'))
+        .map(entry => `${relativeDir}/${entry.name}`);
+}
+
+/**
+ * 列出所有 JSON 文件存储（相对项目根目录，使用 / 分隔）
+ * @returns {Promise<string[]>}
+ */
+async function listJsonStoreFiles() {
+    const files = await listJsonFiles('data');
+    const modules = await fs.readdir(path.join(ROOT_DIR, 'src', 'modules'), { withFileTypes: true });
+    for (const entry of modules) {
+        if (entry.isDirectory()) {
+            files.push(...await listJsonFiles(`src/modules/${entry.name}/data`));
+        }
+    }
+    return files;
+}
+
+/**
+ * 统计备份中的表、行和文件数量
+ * @param {object} archive - 备份内容
+ * @returns {{tables: number, rows: number, files: number}}
+ */
+function summarizeBackup(archive) {
+    let tables = 0;
+    let rows = 0;
+    for (const database of Object.values(archive.payload.databases)) {
+        for (const tableRows of Object.values(database)) {
+            tables++;
+            rows += tableRows.length;
+        }
+    }
+    return { tables, rows, files: Object.keys(archive.payload.files).length };
+}
+
+/**
+ * 校验备份内容的格式、版本、结构和校验值，不通过时抛出错误
+ * @param {object} archive - 解析后的备份内容
+ */
+function validateBackupArchive(archive) {
+    if (!isPlainObject(archive) || archive.format !== BACKUP_FORMAT) {
+        throw new Error('不是有效的数据备份文件');
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > BACKUP_VERSION) {
+        throw new Error(`不支持的备份版本 ${archive.version}（当前支持 1 - ${BACKUP_VERSION}）`);
+    }
+
+    const payload = archive.payload;
+    if (!isPlainObject(payload) || !isPlainObject(payload.databases) || !isPlainObject(payload.files)) {
+        throw new Error('备份内容不完整');
+    }
+    for (const [name, tables] of Object.entries(payload.databases)) {
+        if (!isPlainObject(tables)) {
+            throw new Error(`数据库 ${name} 的备份格式错误`);
+        }
+        for (const [table, rows] of Object.entries(tables)) {
+            if (!Array.isArray(rows) || !rows.every(isPlainObject)) {
+                throw new Error(`数据表 ${name}.${table} 的备份格式错误`);
+            }
+        }
+    }
+    for (const relativePath of Object.keys(payload.files)) {
+        if (!JSON_STORE_PATTERN.test(relativePath)) {
+            throw new Error(`备份中包含不允许恢复的文件路径：${relativePath}`);
+        }
+    }
+
+    if (archive.checksum !== hashPayload(payload)) {
+        throw new Error('备份校验失败，文件可能已损坏或被修改');
+    }
+}
+
+/**
+ * 解析备份文件内容（支持 .json.gz 和未压缩的 .json），并完成校验
+ * @param {Buffer} buffer - 文件内容
+ * @returns {Promise<object>} 备份内容
+ */
+async function parseBackupArchive(buffer) {
+    let archive;
+    try {
+        const isGzip = buffer[0] === 0x1f && buffer[1] === 0x8b;
+        const raw = isGzip ? await gunzip(buffer) : buffer;
+        archive = JSON.parse(raw.toString('utf8'));
+    } catch (error) {
+        throw new Error(`无法读取备份文件：${error.message}`);
+    }
+
+    validateBackupArchive(archive);
+    return archive;
+}
+
+/**
+ * 获取本地备份文件的完整路径，文件名不合法或文件不存在时抛出错误
+ * @param {string} fileName - 备份文件名
+ * @returns {Promise<string>}
+ */
+async function getBackupPath(fileName) {
+    if (path.basename(fileName) !== fileName || !fileName.endsWith('.json.gz')) {
+        throw new Error(`备份文件名不合法：${fileName}`);
+    }
+
+    const filePath = path.join(BACKUP_DIR, fileName);
+    try {
+        await fs.access(filePath);
+    } catch {
+        throw new Error(`备份文件不存在：${fileName}`);
+    }
+    return filePath;
+}
+
+/**
+ * 读取并校验本地备份
+ * @param {string} fileName - 备份文件名
+ * @returns {Promise<object>} 备份内容
+ */
+async function loadBackup(fileName) {
+    const buffer = await fs.readFile(await getBackupPath(fileName));
+    return parseBackupArchive(buffer);
+}
+
+/**
+ * 列出本地备份（按时间倒序）
+ * @returns {Promise<Array<{fileName: string, reason: string, size: number, createdAt: string}>>}
+ */
+async function listBackups() {
+    let fileNames;
+    try {
+        fileNames = await fs.readdir(BACKUP_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const backups = [];
+    for (const fileName of fileNames) {
+        const match = fileName.match(/^(\w+)-.+\.json\.gz$/);
+        if (!match) continue;
+
+        const stat = await fs.stat(path.join(BACKUP_DIR, fileName));
+        backups.push({
+            fileName,
+            reason: match[1],
+            size: stat.size,
+            createdAt: stat.mtime.toISOString()
+        });
+    }
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * 删除超出保留份数的同类备份
+ * @param {string} reason - 备份原因
+ * @returns {Promise<number>} 删除的文件数
+ */
+async function rotateBackups(reason) {
+    const backups = (await listBackups()).filter(backup => backup.reason === reason);
+    const expired = backups.slice(MAX_BACKUPS);
+    for (const backup of expired) {
+        await fs.unlink(path.join(BACKUP_DIR, backup.fileName));
+    }
+    return expired.length;
+}
+
+/**
+ * 将两个 SQLite 数据库和所有 JSON 文件存储打包为一个带版本和校验值的备份文件，保存到 data/backups
+ * 无法解析的 JSON 文件不会写入备份（避免覆盖之前的正常备份），只记录在 warnings 中
+ * @param {string} [reason='manual'] - 备份原因（scheduled / manual / restore）
+ * @returns {Promise<{fileName: string, filePath: string, size: number, createdAt: string, summary: object, warnings: string[]}>}
+ */
+async function createBackup(reason = 'manual') {
+    const createdAt = new Date().toISOString();
+    const files = {};
+    const warnings = [];
+
+    // 先读 JSON 文件，再同步读取数据库快照，尽量缩短两者之间的时间差
+    for (const relativePath of await listJsonStoreFiles()) {
+        const raw = await fs.readFile(resolveStorePath(relativePath), 'utf8');
+        if (!raw.trim()) continue;
+        try {
+            files[relativePath] = JSON.parse(raw);
+        } catch (error) {
+            warnings.push(`${relativePath} 解析失败，未备份（${error.message}）`);
+        }
+    }
+
+    const payload = { databases: readDatabaseSnapshot(), files };
+    const archive = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt,
+        reason,
+        checksum: hashPayload(payload),
+        payload
+    };
+
+    await fs.mkdir(BACKUP_DIR, { recursive: true });
+    const fileName = `${reason}-${createdAt.replace(/[:.]/g, '-')}.json.gz`;
+    const filePath = path.join(BACKUP_DIR, fileName);
+    const buffer = await gzip(JSON.stringify(archive));
+
+    // 先写临时文件再重命名，避免中断时留下不完整的备份
+    await fs.writeFile(`${filePath}.tmp`, buffer);
+    await fs.rename(`${filePath}.tmp`, filePath);
+
+    const removed = await rotateBackups(reason);
+    const summary = summarizeBackup(archive);
+    console.log(`[数据备份] ${BACKUP_REASONS[reason] || reason}已保存: ${fileName} - ${summary.tables} 张表, ${summary.rows} 行, ${summary.files} 个文件${removed > 0 ? `，已删除 ${removed} 份旧备份` : ''}`);
+    for (const warning of warnings) {
+        console.warn(`[数据备份] ⚠️ ${warning}`);
+    }
+
+    return { fileName, filePath, size: buffer.length, createdAt, summary, warnings };
+}
+
+/**
+ * 用备份替换当前数据：先自动备份当前数据，再恢复数据库表和 JSON 文件，最后重新加载计划任务
+ * 备份中没有的数据表和文件保持不变
+ * @param {object} archive - 已校验的备份内容（parseBackupArchive / loadBackup 的返回值）
+ * @returns {Promise<{safetyBackup: string, tables: number, rows: number, files: number, skipped: string[]}>}
+ */
+async function restoreBackup(archive) {
+    validateBackupArchive(archive);
+
+    const safetyBackup = await createBackup('restore');
+    const { restored, skipped } = await restoreDatabaseSnapshot(archive.payload.databases);
+
+    let files = 0;
+    for (const [relativePath, data] of Object.entries(archive.payload.files)) {
+        // 模块已不存在时跳过，不创建多余的目录
+        const moduleMatch = relativePath.match(/^src\/modules\/([\w-]+)\//);
+        if (moduleMatch) {
+            try {
+                await fs.access(path.join(ROOT_DIR, 'src', 'modules', moduleMatch[1]));
+            } catch {
+                skipped.push(relativePath);
+                continue;
+            }
+        }
+
+        const filePath = resolveStorePath(relativePath);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(`${filePath}.tmp`, JSON.stringify(data, null, 2), 'utf8');
+        await fs.rename(`${filePath}.tmp`, filePath);
+        files++;
+    }
+
+    await scheduleNextBackup();
+    await reloadJobScheduler();
+
+    const rows = Object.values(restored).reduce((sum, count) => sum + count, 0);
+    console.log(`[数据备份] ✅ 已恢复备份（创建于 ${archive.createdAt}）- ${Object.keys(restored).length} 张表, ${rows} 行, ${files} 个文件`);
+
+    return { safetyBackup: safetyBackup.fileName, tables: Object.keys(restored).length, rows, files, skipped };
+}
+
+/**
+ * 按最近一次定时备份的时间安排下一次定时备份（没有定时备份时立即执行）
+ */
+async function scheduleNextBackup() {
+    const latest = (await listBackups()).find(backup => backup.reason === 'scheduled');
+    const runAt = latest
+        ? new Date(latest.createdAt).getTime() + BACKUP_INTERVAL_HOURS * 60 * 60 * 1000
+        : Date.now();
+
+    await scheduleJob({
+        type: BACKUP_JOB_TYPE,
+        key: 'scheduled',
+        runAt,
+        description: `定时数据备份（每 ${BACKUP_INTERVAL_HOURS} 小时，保留 ${MAX_BACKUPS} 份）`
+    });
+}
+
+/**
+ * 计划任务：定时备份并安排下一次备份
+ */
+async function handleScheduledBackupJob() {
+    await createBackup('scheduled');
+    await scheduleNextBackup();
+}
+
+/**
+ * 注册定时备份任务，需要在 startJobScheduler 之前调用
+ */
+async function startBackupScheduler() {
+    registerJobHandler(BACKUP_JOB_TYPE, {
+        name: '定时数据备份',
+        moduleId: 'core',
+        handler: handleScheduledBackupJob
+    });
+    await scheduleNextBackup();
+}
+
+module.exports = {
+    BACKUP_REASONS,
+    BACKUP_INTERVAL_HOURS,
+    MAX_BACKUPS,
+    createBackup,
+    listBackups,
+    getBackupPath,
+    loadBackup,
+    parseBackupArchive,
+    validateBackupArchive,
+    summarizeBackup,
+    restoreBackup,
+    startBackupScheduler,
+};
@@ -0,0 +1,63 @@
+// src\core\utils\commandDeployer.js
+const { REST, Routes } = require('discord.js');
+const { getEnabledCommands } = require('./guildModules');
+const { localizeCommandData } = require('./i18n');
+
+const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+
+/**
+ * 生成部署用的命令数据，附带各语言的命令名称和说明（Discord 按用户客户端语言显示）
+ * @param {import('discord.js').Client} client - Discord 客户端
+ * @param {object} command - 命令对象
+ * @returns {object}
+ */
+function buildCommandPayload(client, command) {
+    const moduleId = client.commandModules.get(command.data.name) || 'core';
+    return localizeCommandData(command.data.toJSON(), moduleId);
+}
+
+/**
+ * 将服务器启用的命令部署到该服务器（覆盖原有的服务器命令）
+ * @param {import('discord.js').Client} client - Discord 客户端
+ * @param {string} guildId - 服务器ID
+ * @returns {Promise<number>} 部署的命令数量
+ */
+async function deployGuildCommands(client, guildId) {
+    const commands = await getEnabledCommands(client, guildId);
+
+    await rest.put(
+        Routes.applicationGuildCommands(process.env.CLIENT_ID, guildId),
+        { body: commands.map(command => buildCommandPayload(client, command)) }
+    );
+
+    return commands.length;
+}
+
+/**
+ * 向机器人加入的所有服务器部署命令，单个服务器失败不影响其他服务器
+ * @param {import('discord.js').Client} client - Discord 客户端
+ * @returns {Promise<{succeeded: number, failed: number}>}
+ */
+async function deployAllGuildCommands(client) {
+    let succeeded = 0;
+    let failed = 0;
+
+    for (const guild of client.guilds.cache.values()) {
+        try {
+            const count = await deployGuildCommands(client, guild.id);
+            console.log(`✅ 已向服务器 ${guild.name} (${guild.id}) 部署 ${count} 个命令`);
+            succeeded++;
+        } catch (error) {
+            console.error(`向服务器 ${guild.name} (${guild.id}) 部署命令失败:`, error);
+            failed++;
+        }
+    }
+
+    return { succeeded, failed };
+}
+
+module.exports = {
+    buildCommandPayload,
+    deployGuildCommands,
+    deployAllGuildCommands,
+};
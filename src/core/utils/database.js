@@ -2,28 +2,15 @@
 const fs = require('fs');
 const path = require('path');
 const Database = require('better-sqlite3');
+const { importLegacyJsonFiles } = require('./legacyJsonImporter');
 
-// 确保数据目录存在
-const DATA_DIR = path.join(__dirname, '../../../data');
+// 确保数据目录存在（测试时通过 BOT_DATA_DIR 指向临时目录，避免写入正式数据）
+const DATA_DIR = process.env.BOT_DATA_DIR || path.join(__dirname, '../../../data');
 if (!fs.existsSync(DATA_DIR)) {
     fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
-const SETTINGS_FILE = path.join(DATA_DIR, 'settings.json');
-const MESSAGES_FILE = path.join(DATA_DIR, 'messages.json');
-const CHECK_SETTINGS_FILE = path.join(DATA_DIR, 'checkSettings.json');
-const REVIEW_SETTINGS_FILE = path.join(DATA_DIR, 'reviewSettings.json');
-const ALLOWED_SERVERS_FILE = path.join(DATA_DIR, 'allowedServers.json');
-const COURT_SETTINGS_FILE = path.join(DATA_DIR, 'courtSettings.json');
-const COURT_APPLICATIONS_FILE = path.join(DATA_DIR, 'courtApplications.json');
-const COURT_VOTES_FILE = path.join(DATA_DIR, 'courtVotes.json');
-const SELF_MODERATION_SETTINGS_FILE = path.join(DATA_DIR, 'selfModerationSettings.json');
-const SELF_MODERATION_VOTES_FILE = path.join(DATA_DIR, 'selfModerationVotes.json');
-const SELF_FILE_UPLOAD_LOGS_FILE = path.join(DATA_DIR, 'selfFileUploadLogs.json');
-const ANONYMOUS_UPLOAD_OPT_OUT_FILE = path.join(__dirname, '../../../data/anonymous_upload_opt_out.json');
-const ARCHIVE_SETTINGS_FILE = path.join(DATA_DIR, 'archiveSettings.json');
-const AUTO_CLEANUP_SETTINGS_FILE = path.join(DATA_DIR, 'autoCleanupSettings.json');
-const AUTO_CLEANUP_TASKS_FILE = path.join(DATA_DIR, 'autoCleanupTasks.json');
+const MAIN_DB_FILE = path.join(DATA_DIR, 'database.sqlite');
 const SELF_ROLE_DB_FILE = path.join(DATA_DIR, 'selfRole.sqlite');
 
 // --- Self Role SQLite Database Initialization ---
@@ -70,51 +57,6 @@ function initializeSelfRoleDatabase() {
 initializeSelfRoleDatabase();
 
 
-// 初始化文件
-if (!fs.existsSync(SETTINGS_FILE)) {
-    fs.writeFileSync(SETTINGS_FILE, '{}', 'utf8');
-}
-if (!fs.existsSync(MESSAGES_FILE)) {
-    fs.writeFileSync(MESSAGES_FILE, '{}', 'utf8');
-}
-if (!fs.existsSync(CHECK_SETTINGS_FILE)) {
-    fs.writeFileSync(CHECK_SETTINGS_FILE, '{}', 'utf8');
-}
-if (!fs.existsSync(REVIEW_SETTINGS_FILE)) {
-    fs.writeFileSync(REVIEW_SETTINGS_FILE, '{}', 'utf8');
-}
-if (!fs.existsSync(ALLOWED_SERVERS_FILE)) {
-    fs.writeFileSync(ALLOWED_SERVERS_FILE, '{}', 'utf8');
-}
-if (!fs.existsSync(COURT_SETTINGS_FILE)) {
-    fs.writeFileSync(COURT_SETTINGS_FILE, '{}', 'utf8');
-}
-if (!fs.existsSync(COURT_APPLICATIONS_FILE)) {
-    fs.writeFileSync(COURT_APPLICATIONS_FILE, '{}', 'utf8');
-}
-if (!fs.existsSync(COURT_VOTES_FILE)) {
-    fs.writeFileSync(COURT_VOTES_FILE, '{}', 'utf8');
-}
-
-if (!fs.existsSync(SELF_MODERATION_SETTINGS_FILE)) {
-    fs.writeFileSync(SELF_MODERATION_SETTINGS_FILE, '{}', 'utf8');
-}
-if (!fs.existsSync(SELF_MODERATION_VOTES_FILE)) {
-    fs.writeFileSync(SELF_MODERATION_VOTES_FILE, '{}', 'utf8');
-}
-if (!fs.existsSync(SELF_FILE_UPLOAD_LOGS_FILE)) {
-    fs.writeFileSync(SELF_FILE_UPLOAD_LOGS_FILE, '[]', 'utf8');
-}
-if (!fs.existsSync(ARCHIVE_SETTINGS_FILE)) {
-    fs.writeFileSync(ARCHIVE_SETTINGS_FILE, '{}', 'utf8');
-}
-if (!fs.existsSync(AUTO_CLEANUP_SETTINGS_FILE)) {
-    fs.writeFileSync(AUTO_CLEANUP_SETTINGS_FILE, '{}', 'utf8');
-}
-if (!fs.existsSync(AUTO_CLEANUP_TASKS_FILE)) {
-    fs.writeFileSync(AUTO_CLEANUP_TASKS_FILE, '{}', 'utf8');
-}
-
 // --- 自助身份组模块 (SQLite) ---
 
 /**
@@ -305,167 +247,497 @@ async function clearChannelActivity(guildId, channelId) {
 }
 
 
-// --- 其他模块 (JSON) ---
+// --- 主数据库 (SQLite) 初始化 ---
+// 原先各模块的 JSON 文件 (settings.json, messages.json, courtVotes.json ...) 统一迁移到此数据库。
+// 每个存储使用独立的表，记录本体以 JSON 文本保存在 data 列中，常用的查询字段单独建列并建立索引。
+const db = new Database(MAIN_DB_FILE);
+db.pragma('journal_mode = WAL');
+
+// 只保存 guild_id -> JSON 设置对象 的简单表
+const GUILD_DOCUMENT_TABLES = [
+    'guild_settings',
+    'check_settings',
+    'review_settings',
+    'court_settings',
+    'self_moderation_settings',
+    'archive_settings',
+    'auto_cleanup_settings',
+    'guild_modules',
+    'guild_permissions',
+    'audit_settings',
+    'guild_time_settings',
+    'guild_locale_settings',
+];
+
+function initializeMainDatabase() {
+    for (const table of GUILD_DOCUMENT_TABLES) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS ${table} (
+                guild_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            )
+        `);
+    }
+
+    // 提案消息表
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS proposal_messages (
+            message_id TEXT PRIMARY KEY,
+            proposal_id INTEGER,
+            status TEXT,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_proposal_messages_status ON proposal_messages (status);
+    `);
 
-// 读取设置数据
-function readSettings() {
-    try {
-        const data = fs.readFileSync(SETTINGS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('读取设置文件失败:', err);
-        return {};
-    }
+    // 预览服务器白名单表
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS allowed_servers (
+            guild_id TEXT NOT NULL,
+            target_guild_id TEXT NOT NULL,
+            allowed_forums TEXT NOT NULL,
+            PRIMARY KEY (guild_id, target_guild_id)
+        )
+    `);
+
+    // 法庭申请与投票表
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS court_applications (
+            message_id TEXT PRIMARY KEY,
+            court_id INTEGER,
+            status TEXT,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_court_applications_status ON court_applications (status);
+
+        CREATE TABLE IF NOT EXISTS court_votes (
+            thread_id TEXT PRIMARY KEY,
+            status TEXT,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_court_votes_status ON court_votes (status);
+
+        CREATE TABLE IF NOT EXISTS court_punishments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            type TEXT NOT NULL,
+            status TEXT NOT NULL,
+            expires_at TEXT,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_court_punishments_status ON court_punishments (status);
+        CREATE INDEX IF NOT EXISTS idx_court_punishments_user ON court_punishments (guild_id, user_id);
+    `);
+
+    // 自助管理投票与使用记录表
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS self_moderation_votes (
+            vote_key TEXT PRIMARY KEY,
+            guild_id TEXT NOT NULL,
+            target_message_id TEXT NOT NULL,
+            type TEXT NOT NULL,
+            status TEXT,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_self_moderation_votes_status ON self_moderation_votes (status);
+
+        CREATE TABLE IF NOT EXISTS self_moderation_usage (
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            type TEXT NOT NULL,
+            last_used TEXT NOT NULL,
+            PRIMARY KEY (guild_id, user_id, type)
+        );
+
+        CREATE TABLE IF NOT EXISTS self_moderation_initiations (
+            vote_key TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            guild_id TEXT NOT NULL,
+            type TEXT NOT NULL,
+            outcome TEXT NOT NULL,
+            ended_at TEXT NOT NULL,
+            PRIMARY KEY (vote_key, user_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_self_moderation_initiations_user ON self_moderation_initiations (guild_id, user_id, ended_at);
+    `);
+
+    // 用户处罚记录表（投票删除、投票禁言、法庭判决），source_key 标识产生记录的投票或判决
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS moderation_records (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            type TEXT NOT NULL,
+            source_key TEXT NOT NULL UNIQUE,
+            created_at TEXT NOT NULL,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_moderation_records_user ON moderation_records (guild_id, user_id, created_at);
+    `);
+
+    // 自动清理任务表
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS auto_cleanup_tasks (
+            guild_id TEXT NOT NULL,
+            task_id TEXT NOT NULL,
+            status TEXT,
+            data TEXT NOT NULL,
+            PRIMARY KEY (guild_id, task_id)
+        )
+    `);
+
+    // 自助补档日志与屏蔽列表表
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS anonymous_upload_logs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            new_message_id TEXT,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_anonymous_upload_logs_message ON anonymous_upload_logs (new_message_id);
+
+        CREATE TABLE IF NOT EXISTS anonymous_upload_opt_out (
+            user_id TEXT PRIMARY KEY,
+            created_at TEXT NOT NULL
+        )
+    `);
+
+    // 审计日志表
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS audit_logs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            module TEXT NOT NULL,
+            action TEXT NOT NULL,
+            actor_id TEXT,
+            target_id TEXT,
+            created_at TEXT NOT NULL,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_audit_logs_guild_time ON audit_logs (guild_id, created_at);
+    `);
+
+    // 计划任务表（run_at 为毫秒时间戳，同一类型同一 key 只保留一个任务）
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS scheduled_jobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            type TEXT NOT NULL,
+            job_key TEXT NOT NULL,
+            guild_id TEXT,
+            run_at INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT,
+            description TEXT,
+            data TEXT NOT NULL DEFAULT '{}',
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            UNIQUE (type, job_key)
+        );
+        CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_status_time ON scheduled_jobs (status, run_at);
+        CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_guild ON scheduled_jobs (guild_id, status, run_at);
+    `);
+    console.log('[Database] ✅ 主数据库和表结构初始化完成。');
 }
 
-// 写入设置数据
-function writeSettings(data) {
-    try {
-        fs.writeFileSync(SETTINGS_FILE, JSON.stringify(data, null, 2), 'utf8');
-    } catch (err) {
-        console.error('写入设置文件失败:', err);
-    }
+initializeMainDatabase();
+
+// --- 通用行读写辅助函数 ---
+
+function parseId(value) {
+    const id = parseInt(value);
+    return isNaN(id) ? null : id;
 }
 
-// 读取消息数据
-function readMessages() {
-    try {
-        const data = fs.readFileSync(MESSAGES_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('读取消息文件失败:', err);
-        return {};
-    }
+function readGuildDocument(table, guildId) {
+    const row = db.prepare(`SELECT data FROM ${table} WHERE guild_id = ?`).get(guildId);
+    return row ? JSON.parse(row.data) : undefined;
 }
 
-// 写入消息数据
-function writeMessages(data) {
-    try {
-        fs.writeFileSync(MESSAGES_FILE, JSON.stringify(data, null, 2), 'utf8');
-    } catch (err) {
-        console.error('写入消息文件失败:', err);
-    }
+function writeGuildDocument(table, guildId, data) {
+    db.prepare(`
+        INSERT INTO ${table} (guild_id, data) VALUES (?, ?)
+        ON CONFLICT(guild_id) DO UPDATE SET data = excluded.data
+    `).run(guildId, JSON.stringify(data));
 }
 
-// 读取检查设置数据
-function readCheckSettings() {
-    try {
-        const data = fs.readFileSync(CHECK_SETTINGS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('读取检查设置文件失败:', err);
-        return {};
+function readAllGuildDocuments(table) {
+    const result = {};
+    for (const row of db.prepare(`SELECT guild_id, data FROM ${table}`).all()) {
+        result[row.guild_id] = JSON.parse(row.data);
     }
+    return result;
 }
 
-// 写入检查设置数据
-function writeCheckSettings(data) {
-    try {
-        fs.writeFileSync(CHECK_SETTINGS_FILE, JSON.stringify(data, null, 2), 'utf8');
-    } catch (err) {
-        console.error('写入检查设置文件失败:', err);
+/**
+ * 在事务中读取、修改并写回一个服务器设置对象，避免并发更新互相覆盖。
+ * @param {string} table - 表名。
+ * @param {string} guildId - 服务器ID。
+ * @param {function(object|undefined): object} mutate - 接收当前对象并返回新对象。
+ * @returns {object} 写入后的对象。
+ */
+function mutateGuildDocument(table, guildId, mutate) {
+    return db.transaction(() => {
+        const updated = mutate(readGuildDocument(table, guildId));
+        writeGuildDocument(table, guildId, updated);
+        return updated;
+    })();
+}
+
+function rowsToObject(rows, keyColumn) {
+    const result = {};
+    for (const row of rows) {
+        result[row[keyColumn]] = JSON.parse(row.data);
     }
+    return result;
+}
+
+const upsertProposalMessageStmt = db.prepare(`
+    INSERT INTO proposal_messages (message_id, proposal_id, status, data) VALUES (?, ?, ?, ?)
+    ON CONFLICT(message_id) DO UPDATE SET
+        proposal_id = excluded.proposal_id,
+        status = excluded.status,
+        data = excluded.data
+`);
+
+function writeProposalMessage(messageData) {
+    upsertProposalMessageStmt.run(
+        messageData.messageId,
+        parseId(messageData.proposalId),
+        messageData.status || null,
+        JSON.stringify(messageData)
+    );
+}
+
+const upsertCourtApplicationStmt = db.prepare(`
+    INSERT INTO court_applications (message_id, court_id, status, data) VALUES (?, ?, ?, ?)
+    ON CONFLICT(message_id) DO UPDATE SET
+        court_id = excluded.court_id,
+        status = excluded.status,
+        data = excluded.data
+`);
+
+function writeCourtApplication(applicationData) {
+    upsertCourtApplicationStmt.run(
+        applicationData.messageId,
+        parseId(applicationData.courtId),
+        applicationData.status || null,
+        JSON.stringify(applicationData)
+    );
+}
+
+const upsertCourtVoteStmt = db.prepare(`
+    INSERT INTO court_votes (thread_id, status, data) VALUES (?, ?, ?)
+    ON CONFLICT(thread_id) DO UPDATE SET
+        status = excluded.status,
+        data = excluded.data
+`);
+
+function writeCourtVote(voteData) {
+    upsertCourtVoteStmt.run(voteData.threadId, voteData.status || null, JSON.stringify(voteData));
+}
+
+function getSelfModerationVoteKey(guildId, targetMessageId, type) {
+    return `${guildId}_${targetMessageId}_${type}`;
+}
+
+const upsertSelfModerationVoteStmt = db.prepare(`
+    INSERT INTO self_moderation_votes (vote_key, guild_id, target_message_id, type, status, data) VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(vote_key) DO UPDATE SET
+        status = excluded.status,
+        data = excluded.data
+`);
+
+function writeSelfModerationVote(voteData) {
+    const voteKey = getSelfModerationVoteKey(voteData.guildId, voteData.targetMessageId, voteData.type);
+    upsertSelfModerationVoteStmt.run(
+        voteKey,
+        voteData.guildId,
+        voteData.targetMessageId,
+        voteData.type,
+        voteData.status || null,
+        JSON.stringify(voteData)
+    );
+    return voteKey;
+}
+
+const upsertCleanupTaskStmt = db.prepare(`
+    INSERT INTO auto_cleanup_tasks (guild_id, task_id, status, data) VALUES (?, ?, ?, ?)
+    ON CONFLICT(guild_id, task_id) DO UPDATE SET
+        status = excluded.status,
+        data = excluded.data
+`);
+
+function writeCleanupTask(guildId, taskData) {
+    upsertCleanupTaskStmt.run(guildId, taskData.taskId, taskData.status || null, JSON.stringify(taskData));
+}
+
+// --- 旧版 JSON 数据一次性导入 ---
+
+function importGuildDocuments(table) {
+    return (data) => {
+        let count = 0;
+        for (const guildId in data) {
+            if (readGuildDocument(table, guildId) !== undefined) continue;
+            writeGuildDocument(table, guildId, data[guildId]);
+            count++;
+        }
+        return count;
+    };
 }
 
+importLegacyJsonFiles(db, DATA_DIR, [
+    { file: 'settings.json', fallback: {}, importData: importGuildDocuments('guild_settings') },
+    { file: 'checkSettings.json', fallback: {}, importData: importGuildDocuments('check_settings') },
+    { file: 'reviewSettings.json', fallback: {}, importData: importGuildDocuments('review_settings') },
+    { file: 'courtSettings.json', fallback: {}, importData: importGuildDocuments('court_settings') },
+    { file: 'selfModerationSettings.json', fallback: {}, importData: importGuildDocuments('self_moderation_settings') },
+    { file: 'archiveSettings.json', fallback: {}, importData: importGuildDocuments('archive_settings') },
+    { file: 'autoCleanupSettings.json', fallback: {}, importData: importGuildDocuments('auto_cleanup_settings') },
+    {
+        file: 'messages.json',
+        fallback: {},
+        importData: (data) => {
+            for (const messageId in data) {
+                writeProposalMessage({ messageId, ...data[messageId] });
+            }
+            return Object.keys(data).length;
+        }
+    },
+    {
+        file: 'allowedServers.json',
+        fallback: {},
+        importData: (data) => {
+            const stmt = db.prepare('INSERT OR IGNORE INTO allowed_servers (guild_id, target_guild_id, allowed_forums) VALUES (?, ?, ?)');
+            let count = 0;
+            for (const guildId in data) {
+                for (const targetGuildId in data[guildId]) {
+                    stmt.run(guildId, targetGuildId, JSON.stringify(data[guildId][targetGuildId].allowedForums || []));
+                    count++;
+                }
+            }
+            return count;
+        }
+    },
+    {
+        file: 'courtApplications.json',
+        fallback: {},
+        importData: (data) => {
+            for (const messageId in data) {
+                writeCourtApplication({ messageId, ...data[messageId] });
+            }
+            return Object.keys(data).length;
+        }
+    },
+    {
+        file: 'courtVotes.json',
+        fallback: {},
+        importData: (data) => {
+            for (const threadId in data) {
+                writeCourtVote({ threadId, ...data[threadId] });
+            }
+            return Object.keys(data).length;
+        }
+    },
+    {
+        file: 'selfModerationVotes.json',
+        fallback: {},
+        importData: (data) => {
+            // 旧文件中冷却使用记录与投票混存，键以 usage_ 开头
+            const usageStmt = db.prepare(`
+                INSERT OR REPLACE INTO self_moderation_usage (guild_id, user_id, type, last_used) VALUES (?, ?, ?, ?)
+            `);
+            let count = 0;
+            for (const key in data) {
+                const record = data[key];
+                if (key.startsWith('usage_')) {
+                    if (record.lastUsed) {
+                        usageStmt.run(record.guildId, record.userId, record.type, record.lastUsed);
+                        count++;
+                    }
+                } else if (record.guildId && record.targetMessageId && record.type) {
+                    writeSelfModerationVote(record);
+                    count++;
+                }
+            }
+            return count;
+        }
+    },
+    {
+        file: 'autoCleanupTasks.json',
+        fallback: {},
+        importData: (data) => {
+            let count = 0;
+            for (const guildId in data) {
+                for (const taskId in data[guildId]) {
+                    writeCleanupTask(guildId, { taskId, ...data[guildId][taskId] });
+                    count++;
+                }
+            }
+            return count;
+        }
+    },
+    {
+        file: 'selfFileUploadLogs.json',
+        fallback: [],
+        importData: (data) => {
+            const stmt = db.prepare('INSERT INTO anonymous_upload_logs (new_message_id, data) VALUES (?, ?)');
+            // 旧文件最新的日志在最前面，倒序插入以保持自增ID与时间顺序一致
+            for (const log of [...data].reverse()) {
+                stmt.run(log.newMessageId || null, JSON.stringify(log));
+            }
+            return data.length;
+        }
+    },
+    {
+        file: 'anonymous_upload_opt_out.json',
+        fallback: [],
+        importData: (data) => {
+            const stmt = db.prepare('INSERT OR IGNORE INTO anonymous_upload_opt_out (user_id, created_at) VALUES (?, ?)');
+            const now = new Date().toISOString();
+            for (const userId of data) {
+                stmt.run(userId, now);
+            }
+            return data.length;
+        }
+    },
+]);
+
+// --- 其他模块 (SQLite) ---
+
 // 保存表单权限设置
 async function saveFormPermissionSettings(guildId, permissionSettings) {
-    const settings = readSettings();
-    if (!settings[guildId]) {
-        settings[guildId] = {};
-    }
-    settings[guildId].formPermissions = permissionSettings;
-    writeSettings(settings);
+    mutateGuildDocument('guild_settings', guildId, (settings = {}) => ({ ...settings, formPermissions: permissionSettings }));
     console.log(`成功保存表单权限设置 - guildId: ${guildId}`, permissionSettings);
     return permissionSettings;
 }
 
 // 获取表单权限设置
 async function getFormPermissionSettings(guildId) {
-    const settings = readSettings();
-    const result = settings[guildId]?.formPermissions;
+    const result = readGuildDocument('guild_settings', guildId)?.formPermissions;
     console.log(`获取表单权限设置 - guildId: ${guildId}`, result);
     return result;
 }
 
 // 保存支持按钮权限设置
 async function saveSupportPermissionSettings(guildId, permissionSettings) {
-    const settings = readSettings();
-    if (!settings[guildId]) {
-        settings[guildId] = {};
-    }
-    settings[guildId].supportPermissions = permissionSettings;
-    writeSettings(settings);
+    mutateGuildDocument('guild_settings', guildId, (settings = {}) => ({ ...settings, supportPermissions: permissionSettings }));
     console.log(`成功保存支持按钮权限设置 - guildId: ${guildId}`, permissionSettings);
     return permissionSettings;
 }
 
 // 获取支持按钮权限设置
 async function getSupportPermissionSettings(guildId) {
-    const settings = readSettings();
-    const result = settings[guildId]?.supportPermissions;
+    const result = readGuildDocument('guild_settings', guildId)?.supportPermissions;
     console.log(`获取支持按钮权限设置 - guildId: ${guildId}`, result);
     return result;
 }
 
-// 读取审核设置数据
-function readReviewSettings() {
-    try {
-        const data = fs.readFileSync(REVIEW_SETTINGS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('读取审核设置文件失败:', err);
-        return {};
-    }
-}
-
-// 写入审核设置数据
-function writeReviewSettings(data) {
-    try {
-        fs.writeFileSync(REVIEW_SETTINGS_FILE, JSON.stringify(data, null, 2), 'utf8');
-    } catch (err) {
-        console.error('写入审核设置文件失败:', err);
-    }
-}
-
-// 读取允许服务器数据
-function readAllowedServers() {
-    try {
-        const data = fs.readFileSync(ALLOWED_SERVERS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('读取允许服务器文件失败:', err);
-        return {};
-    }
-}
-
-// 写入允许服务器数据
-function writeAllowedServers(data) {
-    try {
-        fs.writeFileSync(ALLOWED_SERVERS_FILE, JSON.stringify(data, null, 2), 'utf8');
-    } catch (err) {
-        console.error('写入允许服务器文件失败:', err);
-    }
-}
-
 // 获取下一个提案ID
 function getNextId() {
     try {
-        const messages = readMessages();
-        
-        // 从现有消息中找出最大ID
-        let maxId = 0;
-        for (const messageId in messages) {
-            const message = messages[messageId];
-            if (message.proposalId && !isNaN(parseInt(message.proposalId))) {
-                const proposalId = parseInt(message.proposalId);
-                if (proposalId > maxId) {
-                    maxId = proposalId;
-                }
-            }
-        }
-        
-        // 返回最大ID+1，或者1（如果没有现存消息）
-        return maxId > 0 ? maxId + 1 : 1;
+        const row = db.prepare('SELECT MAX(proposal_id) AS maxId FROM proposal_messages').get();
+        return row.maxId > 0 ? row.maxId + 1 : 1;
     } catch (err) {
         console.error('获取下一个ID失败:', err);
         return 1; // 默认从1开始
@@ -474,200 +746,179 @@ function getNextId() {
 
 // 保存设置
 async function saveSettings(guildId, settingsData) {
-    const settings = readSettings();
-    settings[guildId] = settingsData;
-    writeSettings(settings);
+    writeGuildDocument('guild_settings', guildId, settingsData);
     console.log(`成功保存设置 - guildId: ${guildId}`, settingsData);
     return settingsData;
 }
 
 // 获取设置
 async function getSettings(guildId) {
-    const settings = readSettings();
-    const result = settings[guildId];
+    const result = readGuildDocument('guild_settings', guildId);
     console.log(`获取设置 - guildId: ${guildId}`, result);
     return result;
 }
 
 // 保存消息
 async function saveMessage(messageData) {
-    const messages = readMessages();
-    messages[messageData.messageId] = messageData;
-    writeMessages(messages);
+    writeProposalMessage(messageData);
     console.log(`成功保存消息 - messageId: ${messageData.messageId}`);
     return messageData;
 }
 
 // 获取消息
 async function getMessage(messageId) {
-    const messages = readMessages();
-    return messages[messageId];
+    const row = db.prepare('SELECT data FROM proposal_messages WHERE message_id = ?').get(messageId);
+    return row ? JSON.parse(row.data) : undefined;
 }
 
 // 更新消息
 async function updateMessage(messageId, updates) {
-    const messages = readMessages();
-    const message = messages[messageId];
-    if (message) {
-        const updated = { ...message, ...updates };
-        messages[messageId] = updated;
-        writeMessages(messages);
+    return db.transaction(() => {
+        const row = db.prepare('SELECT data FROM proposal_messages WHERE message_id = ?').get(messageId);
+        if (!row) return null;
+        const updated = { ...JSON.parse(row.data), ...updates };
+        writeProposalMessage(updated);
         return updated;
-    }
-    return null;
+    })();
 }
 
 // 获取所有消息
 async function getAllMessages() {
-    return readMessages();
+    return rowsToObject(db.prepare('SELECT message_id, data FROM proposal_messages').all(), 'message_id');
+}
+
+// 按状态获取消息（供定时检查器使用，避免加载全部数据）
+async function getMessagesByStatus(status) {
+    return rowsToObject(db.prepare('SELECT message_id, data FROM proposal_messages WHERE status = ?').all(status), 'message_id');
 }
 
 // 保存检查频道设置
 async function saveCheckChannelSettings(guildId, checkSettings) {
-    const settings = readCheckSettings();
-    settings[guildId] = checkSettings;
-    writeCheckSettings(settings);
+    writeGuildDocument('check_settings', guildId, checkSettings);
     console.log(`成功保存检查设置 - guildId: ${guildId}`, checkSettings);
     return checkSettings;
 }
 
 // 获取检查频道设置
 async function getCheckChannelSettings(guildId) {
-    const settings = readCheckSettings();
-    const result = settings[guildId];
+    const result = readGuildDocument('check_settings', guildId);
     console.log(`获取检查设置 - guildId: ${guildId}`, result);
     return result;
 }
 
 // 获取所有检查频道设置
 async function getAllCheckChannelSettings() {
-    return readCheckSettings();
+    return readAllGuildDocuments('check_settings');
 }
 
 // 保存审核设置
 async function saveReviewSettings(guildId, reviewSettings) {
-    const settings = readReviewSettings();
-    settings[guildId] = reviewSettings;
-    writeReviewSettings(settings);
+    writeGuildDocument('review_settings', guildId, reviewSettings);
     console.log(`成功保存审核设置 - guildId: ${guildId}`, reviewSettings);
     return reviewSettings;
 }
 
 // 获取审核设置
 async function getReviewSettings(guildId) {
-    const settings = readReviewSettings();
-    const result = settings[guildId];
+    const result = readGuildDocument('review_settings', guildId);
     console.log(`获取审核设置 - guildId: ${guildId}`, result);
     return result;
 }
 
 // 获取服务器的允许服务器列表
 async function getAllowedServers(guildId) {
-    const servers = readAllowedServers();
-    if (!servers[guildId]) {
-        return [];
-    }
+    const rows = db.prepare('SELECT target_guild_id FROM allowed_servers WHERE guild_id = ? ORDER BY rowid').all(guildId);
     // 返回服务器ID列表
-    const result = Object.keys(servers[guildId]);
+    const result = rows.map(row => row.target_guild_id);
     console.log(`获取允许服务器列表 - guildId: ${guildId}`, result);
     return result;
 }
 
 // 添加允许的服务器
 async function addAllowedServer(guildId, targetGuildId) {
-    const servers = readAllowedServers();
-    if (!servers[guildId]) {
-        servers[guildId] = {};
-    }
-    
-    if (!servers[guildId][targetGuildId]) {
-        servers[guildId][targetGuildId] = {
-            allowedForums: []
-        };
-        writeAllowedServers(servers);
+    const info = db.prepare(`
+        INSERT OR IGNORE INTO allowed_servers (guild_id, target_guild_id, allowed_forums) VALUES (?, ?, '[]')
+    `).run(guildId, targetGuildId);
+
+    if (info.changes > 0) {
         console.log(`成功添加允许服务器 - guildId: ${guildId}, targetGuildId: ${targetGuildId}`);
         return true;
     }
-    
+
     console.log(`服务器已存在于允许列表中 - guildId: ${guildId}, targetGuildId: ${targetGuildId}`);
     return false;
 }
 
 // 移除允许的服务器
 async function removeAllowedServer(guildId, targetGuildId) {
-    const servers = readAllowedServers();
-    if (!servers[guildId] || !servers[guildId][targetGuildId]) {
+    const info = db.prepare('DELETE FROM allowed_servers WHERE guild_id = ? AND target_guild_id = ?').run(guildId, targetGuildId);
+    if (info.changes === 0) {
         return false;
     }
-    
-    delete servers[guildId][targetGuildId];
-    writeAllowedServers(servers);
     console.log(`成功移除允许服务器 - guildId: ${guildId}, targetGuildId: ${targetGuildId}`);
     return true;
 }
 
 // 检查服务器是否在允许列表中
 async function isServerAllowed(guildId, targetGuildId) {
-    const servers = readAllowedServers();
-    const allowed = !!(servers[guildId] && servers[guildId][targetGuildId]);
+    const allowed = !!db.prepare('SELECT 1 FROM allowed_servers WHERE guild_id = ? AND target_guild_id = ?').get(guildId, targetGuildId);
     console.log(`检查服务器是否允许 - guildId: ${guildId}, targetGuildId: ${targetGuildId}, allowed: ${allowed}`);
     return allowed;
 }
 
+function readAllowedForums(guildId, targetServerId) {
+    const row = db.prepare('SELECT allowed_forums FROM allowed_servers WHERE guild_id = ? AND target_guild_id = ?').get(guildId, targetServerId);
+    return row ? JSON.parse(row.allowed_forums) : null;
+}
+
+function writeAllowedForums(guildId, targetServerId, allowedForums) {
+    db.prepare(`
+        INSERT INTO allowed_servers (guild_id, target_guild_id, allowed_forums) VALUES (?, ?, ?)
+        ON CONFLICT(guild_id, target_guild_id) DO UPDATE SET allowed_forums = excluded.allowed_forums
+    `).run(guildId, targetServerId, JSON.stringify(allowedForums));
+}
+
 // 获取服务器的允许论坛频道列表
 async function getAllowedForums(guildId, targetServerId) {
-    const servers = readAllowedServers();
-    if (!servers[guildId] || !servers[guildId][targetServerId]) {
-        return [];
-    }
-    const result = servers[guildId][targetServerId].allowedForums || [];
+    const result = readAllowedForums(guildId, targetServerId) || [];
     console.log(`获取允许论坛列表 - guildId: ${guildId}, targetServerId: ${targetServerId}`, result);
     return result;
 }
 
 // 添加允许的论坛频道
 async function addAllowedForum(guildId, targetServerId, forumChannelId) {
-    const servers = readAllowedServers();
-    
-    // 确保数据结构存在
-    if (!servers[guildId]) {
-        servers[guildId] = {};
-    }
-    if (!servers[guildId][targetServerId]) {
-        servers[guildId][targetServerId] = { allowedForums: [] };
-    }
-    if (!servers[guildId][targetServerId].allowedForums) {
-        servers[guildId][targetServerId].allowedForums = [];
-    }
-    
-    // 检查是否已存在
-    if (!servers[guildId][targetServerId].allowedForums.includes(forumChannelId)) {
-        servers[guildId][targetServerId].allowedForums.push(forumChannelId);
-        writeAllowedServers(servers);
+    const added = db.transaction(() => {
+        const allowedForums = readAllowedForums(guildId, targetServerId) || [];
+        if (allowedForums.includes(forumChannelId)) return false;
+        allowedForums.push(forumChannelId);
+        writeAllowedForums(guildId, targetServerId, allowedForums);
+        return true;
+    })();
+
+    if (added) {
         console.log(`成功添加允许论坛 - guildId: ${guildId}, targetServerId: ${targetServerId}, forumId: ${forumChannelId}`);
         return true;
     }
-    
+
     console.log(`论坛已存在于允许列表中 - guildId: ${guildId}, targetServerId: ${targetServerId}, forumId: ${forumChannelId}`);
     return false;
 }
 
 // 移除允许的论坛频道
 async function removeAllowedForum(guildId, targetServerId, forumChannelId) {
-    const servers = readAllowedServers();
-    
-    if (!servers[guildId] || !servers[guildId][targetServerId] || !servers[guildId][targetServerId].allowedForums) {
+    const allowedForums = readAllowedForums(guildId, targetServerId);
+    if (!allowedForums) {
         return false;
     }
-    
-    const index = servers[guildId][targetServerId].allowedForums.indexOf(forumChannelId);
+
+    const index = allowedForums.indexOf(forumChannelId);
     if (index > -1) {
-        servers[guildId][targetServerId].allowedForums.splice(index, 1);
-        writeAllowedServers(servers);
+        allowedForums.splice(index, 1);
+        writeAllowedForums(guildId, targetServerId, allowedForums);
         console.log(`成功移除允许论坛 - guildId: ${guildId}, targetServerId: ${targetServerId}, forumId: ${forumChannelId}`);
         return true;
     }
-    
+
     console.log(`论坛不在允许列表中 - guildId: ${guildId}, targetServerId: ${targetServerId}, forumId: ${forumChannelId}`);
     return false;
 }
@@ -682,87 +933,27 @@ async function isForumAllowed(guildId, targetServerId, forumChannelId) {
 
 // 获取服务器的详细白名单信息（包括论坛）
 async function getServerWhitelistDetails(guildId, targetServerId) {
-    const servers = readAllowedServers();
-    if (!servers[guildId] || !servers[guildId][targetServerId]) {
+    const allowedForums = readAllowedForums(guildId, targetServerId);
+    if (!allowedForums) {
         return { allowed: false, allowedForums: [] };
     }
-    
+
     return {
         allowed: true,
-        allowedForums: servers[guildId][targetServerId].allowedForums || []
+        allowedForums
     };
 }
 
-// 法庭设置相关函数
-function readCourtSettings() {
-    try {
-        const data = fs.readFileSync(COURT_SETTINGS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('读取法庭设置文件失败:', err);
-        return {};
-    }
-}
-
-function writeCourtSettings(data) {
-    try {
-        fs.writeFileSync(COURT_SETTINGS_FILE, JSON.stringify(data, null, 2), 'utf8');
-    } catch (err) {
-        console.error('写入法庭设置文件失败:', err);
-    }
-}
-
-// 法庭申请相关函数
-function readCourtApplications() {
-    try {
-        const data = fs.readFileSync(COURT_APPLICATIONS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('读取法庭申请文件失败:', err);
-        return {};
-    }
-}
-
-function writeCourtApplications(data) {
-    try {
-        fs.writeFileSync(COURT_APPLICATIONS_FILE, JSON.stringify(data, null, 2), 'utf8');
-    } catch (err) {
-        console.error('写入法庭申请文件失败:', err);
-    }
-}
-
-// 法庭投票相关函数
-function readCourtVotes() {
-    try {
-        const data = fs.readFileSync(COURT_VOTES_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('读取法庭投票文件失败:', err);
-        return {};
-    }
-}
-
-function writeCourtVotes(data) {
-    try {
-        fs.writeFileSync(COURT_VOTES_FILE, JSON.stringify(data, null, 2), 'utf8');
-    } catch (err) {
-        console.error('写入法庭投票文件失败:', err);
-    }
-}
-
 // 保存法庭设置
 async function saveCourtSettings(guildId, courtSettings) {
-    const settings = readCourtSettings();
-    settings[guildId] = courtSettings;
-    writeCourtSettings(settings);
+    writeGuildDocument('court_settings', guildId, courtSettings);
     console.log(`成功保存法庭设置 - guildId: ${guildId}`, courtSettings);
     return courtSettings;
 }
 
 // 获取法庭设置
 async function getCourtSettings(guildId) {
-    const settings = readCourtSettings();
-    const result = settings[guildId];
+    const result = readGuildDocument('court_settings', guildId);
     console.log(`获取法庭设置 - guildId: ${guildId}`, result);
     return result;
 }
@@ -770,20 +961,8 @@ async function getCourtSettings(guildId) {
 // 获取下一个法庭申请ID
 function getNextCourtId() {
     try {
-        const applications = readCourtApplications();
-        
-        let maxId = 0;
-        for (const applicationId in applications) {
-            const application = applications[applicationId];
-            if (application.courtId && !isNaN(parseInt(application.courtId))) {
-                const courtId = parseInt(application.courtId);
-                if (courtId > maxId) {
-                    maxId = courtId;
-                }
-            }
-        }
-        
-        return maxId > 0 ? maxId + 1 : 1;
+        const row = db.prepare('SELECT MAX(court_id) AS maxId FROM court_applications').get();
+        return row.maxId > 0 ? row.maxId + 1 : 1;
     } catch (err) {
         console.error('获取下一个法庭ID失败:', err);
         return 1;
@@ -792,259 +971,359 @@ function getNextCourtId() {
 
 // 保存法庭申请
 async function saveCourtApplication(applicationData) {
-    const applications = readCourtApplications();
-    applications[applicationData.messageId] = applicationData;
-    writeCourtApplications(applications);
+    writeCourtApplication(applicationData);
     console.log(`成功保存法庭申请 - messageId: ${applicationData.messageId}`);
     return applicationData;
 }
 
 // 获取法庭申请
 async function getCourtApplication(messageId) {
-    const applications = readCourtApplications();
-    return applications[messageId];
+    const row = db.prepare('SELECT data FROM court_applications WHERE message_id = ?').get(messageId);
+    return row ? JSON.parse(row.data) : undefined;
 }
 
 // 更新法庭申请
 async function updateCourtApplication(messageId, updates) {
-    const applications = readCourtApplications();
-    const application = applications[messageId];
-    if (application) {
-        const updated = { ...application, ...updates };
-        applications[messageId] = updated;
-        writeCourtApplications(applications);
+    return db.transaction(() => {
+        const row = db.prepare('SELECT data FROM court_applications WHERE message_id = ?').get(messageId);
+        if (!row) return null;
+        const updated = { ...JSON.parse(row.data), ...updates };
+        writeCourtApplication(updated);
         return updated;
-    }
-    return null;
+    })();
 }
 
 // 获取所有法庭申请
 async function getAllCourtApplications() {
-    return readCourtApplications();
+    return rowsToObject(db.prepare('SELECT message_id, data FROM court_applications').all(), 'message_id');
+}
+
+// 按状态获取法庭申请
+async function getCourtApplicationsByStatus(status) {
+    return rowsToObject(db.prepare('SELECT message_id, data FROM court_applications WHERE status = ?').all(status), 'message_id');
 }
 
 // 保存法庭投票
 async function saveCourtVote(voteData) {
-    const votes = readCourtVotes();
-    votes[voteData.threadId] = voteData;
-    writeCourtVotes(votes);
+    writeCourtVote(voteData);
     console.log(`成功保存法庭投票 - threadId: ${voteData.threadId}`);
     return voteData;
 }
 
 // 获取法庭投票
 async function getCourtVote(threadId) {
-    const votes = readCourtVotes();
-    return votes[threadId];
+    const row = db.prepare('SELECT data FROM court_votes WHERE thread_id = ?').get(threadId);
+    return row ? JSON.parse(row.data) : undefined;
 }
 
 // 更新法庭投票
 async function updateCourtVote(threadId, updates) {
-    const votes = readCourtVotes();
-    const vote = votes[threadId];
-    if (vote) {
-        const updated = { ...vote, ...updates };
-        votes[threadId] = updated;
-        writeCourtVotes(votes);
+    return db.transaction(() => {
+        const row = db.prepare('SELECT data FROM court_votes WHERE thread_id = ?').get(threadId);
+        if (!row) return null;
+        const updated = { ...JSON.parse(row.data), ...updates };
+        writeCourtVote(updated);
         return updated;
-    }
-    return null;
+    })();
 }
 
 // 获取所有法庭投票
 async function getAllCourtVotes() {
-    return readCourtVotes();
-}
-
-// 自助管理设置相关函数
-function readSelfModerationSettings() {
-    try {
-        const data = fs.readFileSync(SELF_MODERATION_SETTINGS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('读取自助管理设置文件失败:', err);
-        return {};
-    }
-}
-
-function writeSelfModerationSettings(data) {
-    try {
-        fs.writeFileSync(SELF_MODERATION_SETTINGS_FILE, JSON.stringify(data, null, 2), 'utf8');
-    } catch (err) {
-        console.error('写入自助管理设置文件失败:', err);
-    }
+    return rowsToObject(db.prepare('SELECT thread_id, data FROM court_votes').all(), 'thread_id');
+}
+
+// 按状态获取法庭投票
+async function getCourtVotesByStatus(status) {
+    return rowsToObject(db.prepare('SELECT thread_id, data FROM court_votes WHERE status = ?').all(status), 'thread_id');
+}
+
+// 获取某个用户在指定服务器被提出的所有法庭申请（按法庭ID从新到旧）
+async function getCourtApplicationsByTarget(guildId, targetUserId) {
+    return db.prepare(`
+        SELECT data FROM court_applications
+        WHERE json_extract(data, '$.guildId') = ? AND json_extract(data, '$.targetUserId') = ?
+        ORDER BY court_id DESC
+    `).all(guildId, targetUserId).map(row => JSON.parse(row.data));
+}
+
+// 获取某个用户在指定服务器的所有法庭投票（含上诉重审）
+async function getCourtVotesByTarget(guildId, targetUserId) {
+    return db.prepare(`
+        SELECT data FROM court_votes
+        WHERE json_extract(data, '$.guildId') = ? AND json_extract(data, '$.targetUserId') = ?
+    `).all(guildId, targetUserId).map(row => JSON.parse(row.data));
+}
+
+// 保存法庭处罚执行记录（禁言、封禁、警告身份组），返回带有记录ID的数据
+async function saveCourtPunishment(punishmentData) {
+    const info = db.prepare(`
+        INSERT INTO court_punishments (guild_id, user_id, type, status, expires_at, data) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+        punishmentData.guildId,
+        punishmentData.userId,
+        punishmentData.type,
+        punishmentData.status,
+        punishmentData.expiresAt || null,
+        JSON.stringify(punishmentData)
+    );
+    const saved = { ...punishmentData, id: info.lastInsertRowid };
+    db.prepare('UPDATE court_punishments SET data = ? WHERE id = ?').run(JSON.stringify(saved), saved.id);
+    console.log(`成功保存法庭处罚记录 - id: ${saved.id}, 类型: ${saved.type}, 用户: ${saved.userId}`);
+    return saved;
+}
+
+// 更新法庭处罚执行记录
+async function updateCourtPunishment(id, updates) {
+    return db.transaction(() => {
+        const row = db.prepare('SELECT data FROM court_punishments WHERE id = ?').get(id);
+        if (!row) return null;
+        const updated = { ...JSON.parse(row.data), ...updates };
+        db.prepare('UPDATE court_punishments SET status = ?, expires_at = ?, data = ? WHERE id = ?')
+            .run(updated.status, updated.expiresAt || null, JSON.stringify(updated), id);
+        return updated;
+    })();
 }
 
-// 自助管理投票相关函数
-function readSelfModerationVotes() {
-    try {
-        const data = fs.readFileSync(SELF_MODERATION_VOTES_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('读取自助管理投票文件失败:', err);
-        return {};
-    }
+// 获取所有仍在生效、带有到期时间的法庭处罚记录
+async function getActiveCourtPunishments() {
+    return db.prepare(`SELECT data FROM court_punishments WHERE status = 'active' ORDER BY expires_at`).all()
+        .map(row => JSON.parse(row.data));
 }
 
-function writeSelfModerationVotes(data) {
-    try {
-        fs.writeFileSync(SELF_MODERATION_VOTES_FILE, JSON.stringify(data, null, 2), 'utf8');
-    } catch (err) {
-        console.error('写入自助管理投票文件失败:', err);
-    }
+// 获取某个用户在指定服务器的所有法庭处罚记录
+async function getCourtPunishmentsByUser(guildId, userId) {
+    return db.prepare('SELECT data FROM court_punishments WHERE guild_id = ? AND user_id = ? ORDER BY id').all(guildId, userId)
+        .map(row => JSON.parse(row.data));
 }
 
 // 保存自助管理设置
 async function saveSelfModerationSettings(guildId, settings) {
-    const allSettings = readSelfModerationSettings();
-    allSettings[guildId] = settings;
-    writeSelfModerationSettings(allSettings);
+    writeGuildDocument('self_moderation_settings', guildId, settings);
     console.log(`成功保存自助管理设置 - guildId: ${guildId}`, settings);
     return settings;
 }
 
 // 获取自助管理设置
 async function getSelfModerationSettings(guildId) {
-    const allSettings = readSelfModerationSettings();
-    const result = allSettings[guildId];
+    const result = readGuildDocument('self_moderation_settings', guildId);
     console.log(`获取自助管理设置 - guildId: ${guildId}`, result);
     return result;
 }
 
 // 保存自助管理投票
 async function saveSelfModerationVote(voteData) {
-    const votes = readSelfModerationVotes();
-    const voteKey = `${voteData.guildId}_${voteData.targetMessageId}_${voteData.type}`;
-    votes[voteKey] = voteData;
-    writeSelfModerationVotes(votes);
+    const voteKey = writeSelfModerationVote(voteData);
     console.log(`成功保存自助管理投票 - voteKey: ${voteKey}`);
     return voteData;
 }
 
 // 获取自助管理投票
 async function getSelfModerationVote(guildId, targetMessageId, type) {
-    const votes = readSelfModerationVotes();
-    const voteKey = `${guildId}_${targetMessageId}_${type}`;
-    return votes[voteKey];
+    const voteKey = getSelfModerationVoteKey(guildId, targetMessageId, type);
+    const row = db.prepare('SELECT data FROM self_moderation_votes WHERE vote_key = ?').get(voteKey);
+    return row ? JSON.parse(row.data) : undefined;
 }
 
 // 更新自助管理投票
 async function updateSelfModerationVote(guildId, targetMessageId, type, updates) {
-    const votes = readSelfModerationVotes();
-    const voteKey = `${guildId}_${targetMessageId}_${type}`;
-    const vote = votes[voteKey];
-    if (vote) {
-        const updated = { ...vote, ...updates };
-        votes[voteKey] = updated;
-        writeSelfModerationVotes(votes);
+    const voteKey = getSelfModerationVoteKey(guildId, targetMessageId, type);
+    return db.transaction(() => {
+        const row = db.prepare('SELECT data FROM self_moderation_votes WHERE vote_key = ?').get(voteKey);
+        if (!row) return null;
+        const updated = { ...JSON.parse(row.data), ...updates };
+        writeSelfModerationVote(updated);
         return updated;
-    }
-    return null;
+    })();
 }
 
 // 获取所有自助管理投票
 async function getAllSelfModerationVotes() {
-    return readSelfModerationVotes();
+    return rowsToObject(db.prepare('SELECT vote_key, data FROM self_moderation_votes').all(), 'vote_key');
+}
+
+// 按状态获取自助管理投票
+async function getSelfModerationVotesByStatus(status) {
+    return rowsToObject(db.prepare('SELECT vote_key, data FROM self_moderation_votes WHERE status = ?').all(status), 'vote_key');
 }
 
 // 删除自助管理投票
 async function deleteSelfModerationVote(guildId, targetMessageId, type) {
-    const votes = readSelfModerationVotes();
-    const voteKey = `${guildId}_${targetMessageId}_${type}`;
-    if (votes[voteKey]) {
-        delete votes[voteKey];
-        writeSelfModerationVotes(votes);
+    const voteKey = getSelfModerationVoteKey(guildId, targetMessageId, type);
+    const info = db.prepare('DELETE FROM self_moderation_votes WHERE vote_key = ?').run(voteKey);
+    if (info.changes > 0) {
         console.log(`成功删除自助管理投票 - voteKey: ${voteKey}`);
         return true;
     }
     return false;
 }
 
+/**
+ * 保存一条用户处罚记录。同一 sourceKey 的记录已存在时合并更新（保留最初的创建时间），
+ * 例如同一次禁言投票的禁言等级提升时只更新累计时长。
+ * @param {object} record - 记录内容（guildId, userId, type, sourceKey 等）。
+ * @returns {Promise<object>} 带有自增 id 的记录。
+ */
+async function saveModerationRecord(record) {
+    return db.transaction(() => {
+        const row = db.prepare('SELECT id, data FROM moderation_records WHERE source_key = ?').get(record.sourceKey);
+        if (row) {
+            const existing = JSON.parse(row.data);
+            const updated = { ...existing, ...record, createdAt: existing.createdAt };
+            db.prepare('UPDATE moderation_records SET data = ? WHERE id = ?').run(JSON.stringify(updated), row.id);
+            return { ...updated, id: row.id };
+        }
+
+        const createdAt = record.createdAt || new Date().toISOString();
+        const data = { ...record, createdAt };
+        const info = db.prepare(`
+            INSERT INTO moderation_records (guild_id, user_id, type, source_key, created_at, data) VALUES (?, ?, ?, ?, ?, ?)
+        `).run(record.guildId, record.userId, record.type, record.sourceKey, createdAt, JSON.stringify(data));
+        return { ...data, id: info.lastInsertRowid };
+    })();
+}
+
+/**
+ * 获取用户在指定服务器的处罚记录，结果按时间倒序。
+ * @param {string} guildId - 服务器ID。
+ * @param {string} userId - 用户ID。
+ * @param {object} [filters]
+ * @param {string} [filters.since] - 起始时间（ISO 字符串，含）。
+ * @param {number} [filters.limit] - 最多返回条数，不传时返回全部。
+ * @returns {Promise<object[]>}
+ */
+async function getModerationRecords(guildId, userId, filters = {}) {
+    const conditions = ['guild_id = ?', 'user_id = ?'];
+    const params = [guildId, userId];
+    if (filters.since) {
+        conditions.push('created_at >= ?');
+        params.push(filters.since);
+    }
+
+    params.push(filters.limit || -1);
+    return db.prepare(`SELECT id, data FROM moderation_records WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC, id DESC LIMIT ?`)
+        .all(...params)
+        .map(row => ({ ...JSON.parse(row.data), id: row.id }));
+}
+
 // 保存服务器的全局冷却时间设置
 async function saveSelfModerationGlobalCooldown(guildId, type, cooldownMinutes) {
-    const settings = readSelfModerationSettings();
-    if (!settings[guildId]) {
-        settings[guildId] = {
+    const updated = mutateGuildDocument('self_moderation_settings', guildId, (settings) => {
+        const next = settings || {
             guildId,
             deleteRoles: [],
             muteRoles: [],
             allowedChannels: []
         };
-    }
-    
-    if (type === 'delete') {
-        settings[guildId].deleteCooldownMinutes = cooldownMinutes;
-    } else if (type === 'mute') {
-        settings[guildId].muteCooldownMinutes = cooldownMinutes;
-    }
-    
-    settings[guildId].updatedAt = new Date().toISOString();
-    writeSelfModerationSettings(settings);
-    
+
+        if (type === 'delete') {
+            next.deleteCooldownMinutes = cooldownMinutes;
+        } else if (type === 'mute') {
+            next.muteCooldownMinutes = cooldownMinutes;
+        }
+
+        next.updatedAt = new Date().toISOString();
+        return next;
+    });
+
     console.log(`成功保存全局冷却时间 - 服务器: ${guildId}, 类型: ${type}, 冷却: ${cooldownMinutes}分钟`);
-    return settings[guildId];
+    return updated;
 }
 
 // 获取服务器的全局冷却时间设置
 async function getSelfModerationGlobalCooldown(guildId, type) {
-    const settings = readSelfModerationSettings();
-    if (!settings[guildId]) {
+    const settings = readGuildDocument('self_moderation_settings', guildId);
+    if (!settings) {
         return 0; // 默认无冷却
     }
-    
+
     if (type === 'delete') {
-        return settings[guildId].deleteCooldownMinutes || 0;
+        return settings.deleteCooldownMinutes || 0;
     } else if (type === 'mute') {
-        return settings[guildId].muteCooldownMinutes || 0;
+        return settings.muteCooldownMinutes || 0;
     }
-    
+
     return 0;
 }
 
 // 保存用户最后使用时间（简化版）
 async function updateUserLastUsage(guildId, userId, type) {
-    const votes = readSelfModerationVotes();
-    const usageKey = `usage_${guildId}_${userId}_${type}`;
-    
-    votes[usageKey] = {
+    const usage = {
         guildId,
         userId,
         type,
         lastUsed: new Date().toISOString()
     };
-    
-    writeSelfModerationVotes(votes);
-    return votes[usageKey];
+
+    db.prepare(`
+        INSERT INTO self_moderation_usage (guild_id, user_id, type, last_used) VALUES (?, ?, ?, ?)
+        ON CONFLICT(guild_id, user_id, type) DO UPDATE SET last_used = excluded.last_used
+    `).run(guildId, userId, type, usage.lastUsed);
+
+    return usage;
 }
 
 // 获取用户最后使用时间
 async function getUserLastUsage(guildId, userId, type) {
-    const votes = readSelfModerationVotes();
-    const usageKey = `usage_${guildId}_${userId}_${type}`;
-    return votes[usageKey];
+    const row = db.prepare('SELECT last_used FROM self_moderation_usage WHERE guild_id = ? AND user_id = ? AND type = ?').get(guildId, userId, type);
+    if (!row) return undefined;
+    return { guildId, userId, type, lastUsed: row.last_used };
+}
+
+/**
+ * 记录发起人发起的投票的结果（同一投票同一发起人只保留最新结果）。
+ * @param {object} entry - { guildId, userId, type, voteKey, outcome: 'success' | 'failed', endedAt }
+ * @returns {Promise<object>}
+ */
+async function saveSelfModerationInitiation(entry) {
+    db.prepare(`
+        INSERT INTO self_moderation_initiations (vote_key, user_id, guild_id, type, outcome, ended_at) VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(vote_key, user_id) DO UPDATE SET outcome = excluded.outcome, ended_at = excluded.ended_at
+    `).run(entry.voteKey, entry.userId, entry.guildId, entry.type, entry.outcome, entry.endedAt);
+    return entry;
+}
+
+/**
+ * 获取用户发起的投票的结果，按结束时间正序。
+ * @param {string} guildId - 服务器ID。
+ * @param {string} userId - 用户ID。
+ * @param {string} [since] - 起始时间（ISO 字符串，含）。
+ * @returns {Promise<object[]>}
+ */
+async function getSelfModerationInitiations(guildId, userId, since) {
+    return db.prepare(`
+        SELECT vote_key, type, outcome, ended_at FROM self_moderation_initiations
+        WHERE guild_id = ? AND user_id = ? AND ended_at >= ? ORDER BY ended_at
+    `).all(guildId, userId, since || '').map(row => ({
+        guildId,
+        userId,
+        voteKey: row.vote_key,
+        type: row.type,
+        outcome: row.outcome,
+        endedAt: row.ended_at
+    }));
 }
 
 // 检查用户是否在冷却期内（基于全局设置）
 async function checkUserGlobalCooldown(guildId, userId, type) {
     // 获取全局冷却设置
     const globalCooldownMinutes = await getSelfModerationGlobalCooldown(guildId, type);
-    
+
     if (globalCooldownMinutes <= 0) {
         return { inCooldown: false, remainingMinutes: 0, cooldownMinutes: 0 };
     }
-    
+
     // 获取用户最后使用时间
     const usageData = await getUserLastUsage(guildId, userId, type);
-    
+
     if (!usageData || !usageData.lastUsed) {
         return { inCooldown: false, remainingMinutes: 0, cooldownMinutes: globalCooldownMinutes };
     }
-    
+
     const lastUsed = new Date(usageData.lastUsed);
     const now = new Date();
     const elapsedMinutes = Math.floor((now - lastUsed) / (1000 * 60));
     const remainingMinutes = Math.max(0, globalCooldownMinutes - elapsedMinutes);
-    
+
     return {
         inCooldown: remainingMinutes > 0,
         remainingMinutes,
@@ -1054,23 +1333,19 @@ async function checkUserGlobalCooldown(guildId, userId, type) {
 
 // 保存消息时间限制设置
 async function saveMessageTimeLimit(guildId, limitHours) {
-    const settings = readSelfModerationSettings();
-    if (!settings[guildId]) {
-        settings[guildId] = {};
-    }
-    
-    settings[guildId].messageTimeLimitHours = limitHours;
-    settings[guildId].updatedAt = new Date().toISOString();
-    
-    writeSelfModerationSettings(settings);
+    mutateGuildDocument('self_moderation_settings', guildId, (settings = {}) => ({
+        ...settings,
+        messageTimeLimitHours: limitHours,
+        updatedAt: new Date().toISOString()
+    }));
     console.log(`成功保存消息时间限制 - 服务器: ${guildId}, 限制: ${limitHours}小时`);
 }
 
 // 获取消息时间限制设置
 async function getMessageTimeLimit(guildId) {
-    const settings = readSelfModerationSettings();
-    if (settings[guildId] && settings[guildId].messageTimeLimitHours !== undefined) {
-        return settings[guildId].messageTimeLimitHours;
+    const settings = readGuildDocument('self_moderation_settings', guildId);
+    if (settings && settings.messageTimeLimitHours !== undefined) {
+        return settings.messageTimeLimitHours;
     }
     return null; // 没有限制
 }
@@ -1078,15 +1353,15 @@ async function getMessageTimeLimit(guildId) {
 // 检查消息是否在时间限制内
 async function checkMessageTimeLimit(guildId, messageTimestamp) {
     const limitHours = await getMessageTimeLimit(guildId);
-    
+
     if (limitHours === null || limitHours <= 0) {
         return { withinLimit: true, limitHours: null };
     }
-    
+
     const messageTime = new Date(messageTimestamp);
     const now = new Date();
     const elapsedHours = (now - messageTime) / (1000 * 60 * 60);
-    
+
     return {
         withinLimit: elapsedHours <= limitHours,
         limitHours,
@@ -1094,116 +1369,55 @@ async function checkMessageTimeLimit(guildId, messageTimestamp) {
     };
 }
 
-// 添加读取和写入归档设置的基础函数
-function readArchiveSettings() {
-    try {
-        const data = fs.readFileSync(ARCHIVE_SETTINGS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('读取归档设置文件失败:', err);
-        return {};
-    }
-}
-
-function writeArchiveSettings(data) {
-    try {
-        fs.writeFileSync(ARCHIVE_SETTINGS_FILE, JSON.stringify(data, null, 2), 'utf8');
-    } catch (err) {
-        console.error('写入归档设置文件失败:', err);
-    }
-}
-
 // 保存归档频道设置
 async function saveArchiveChannelSettings(guildId, archiveSettings) {
-    const settings = readArchiveSettings();
-    settings[guildId] = archiveSettings;
-    writeArchiveSettings(settings);
+    writeGuildDocument('archive_settings', guildId, archiveSettings);
     console.log(`成功保存归档频道设置 - guildId: ${guildId}`, archiveSettings);
     return archiveSettings;
 }
 
 // 获取归档频道设置
 async function getArchiveChannelSettings(guildId) {
-    const settings = readArchiveSettings();
-    const result = settings[guildId];
+    const result = readGuildDocument('archive_settings', guildId);
     console.log(`获取归档频道设置 - guildId: ${guildId}`, result);
     return result;
 }
 
 // 保存归档查看身份组设置
 async function saveArchiveViewRoleSettings(guildId, roleId) {
-    const settings = readArchiveSettings();
-    if (!settings[guildId]) {
-        settings[guildId] = {};
-    }
-    settings[guildId].viewRoleId = roleId;
-    settings[guildId].updatedAt = new Date().toISOString();
-    writeArchiveSettings(settings);
+    const updated = mutateGuildDocument('archive_settings', guildId, (settings = {}) => ({
+        ...settings,
+        viewRoleId: roleId,
+        updatedAt: new Date().toISOString()
+    }));
     console.log(`成功保存归档查看身份组设置 - guildId: ${guildId}, roleId: ${roleId}`);
-    return settings[guildId];
+    return updated;
 }
 
 // 获取归档查看身份组设置
 async function getArchiveViewRoleSettings(guildId) {
-    const settings = readArchiveSettings();
-    const result = settings[guildId]?.viewRoleId;
+    const result = readGuildDocument('archive_settings', guildId)?.viewRoleId;
     console.log(`获取归档查看身份组设置 - guildId: ${guildId}, roleId: ${result}`);
     return result;
 }
 
 // 清除归档查看身份组设置
 async function clearArchiveViewRoleSettings(guildId) {
-    const settings = readArchiveSettings();
-    if (settings[guildId]) {
-        delete settings[guildId].viewRoleId;
-        settings[guildId].updatedAt = new Date().toISOString();
-        writeArchiveSettings(settings);
-    }
+    db.transaction(() => {
+        const settings = readGuildDocument('archive_settings', guildId);
+        if (settings) {
+            delete settings.viewRoleId;
+            settings.updatedAt = new Date().toISOString();
+            writeGuildDocument('archive_settings', guildId, settings);
+        }
+    })();
     console.log(`成功清除归档查看身份组设置 - guildId: ${guildId}`);
     return true;
 }
 
-// 自动清理设置相关函数
-function readAutoCleanupSettings() {
-    try {
-        const data = fs.readFileSync(AUTO_CLEANUP_SETTINGS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('读取自动清理设置文件失败:', err);
-        return {};
-    }
-}
-
-function writeAutoCleanupSettings(data) {
-    try {
-        fs.writeFileSync(AUTO_CLEANUP_SETTINGS_FILE, JSON.stringify(data, null, 2), 'utf8');
-    } catch (err) {
-        console.error('写入自动清理设置文件失败:', err);
-    }
-}
-
-function readAutoCleanupTasks() {
-    try {
-        const data = fs.readFileSync(AUTO_CLEANUP_TASKS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('读取自动清理任务文件失败:', err);
-        return {};
-    }
-}
-
-function writeAutoCleanupTasks(data) {
-    try {
-        fs.writeFileSync(AUTO_CLEANUP_TASKS_FILE, JSON.stringify(data, null, 2), 'utf8');
-    } catch (err) {
-        console.error('写入自动清理任务文件失败:', err);
-    }
-}
-
 // 获取服务器的自动清理设置
 async function getAutoCleanupSettings(guildId) {
-    const settings = readAutoCleanupSettings();
-    return settings[guildId] || {
+    return readGuildDocument('auto_cleanup_settings', guildId) || {
         bannedKeywords: [],
         monitorChannels: [],
         exemptChannels: [],
@@ -1215,9 +1429,7 @@ async function getAutoCleanupSettings(guildId) {
 
 // 保存服务器的自动清理设置
 async function saveAutoCleanupSettings(guildId, settings) {
-    const allSettings = readAutoCleanupSettings();
-    allSettings[guildId] = settings;
-    writeAutoCleanupSettings(allSettings);
+    writeGuildDocument('auto_cleanup_settings', guildId, settings);
     console.log(`成功保存自动清理设置 - guildId: ${guildId}`, settings);
     return settings;
 }
@@ -1264,54 +1476,37 @@ async function setCleanupChannels(guildId, channelIds) {
 
 // 保存清理任务
 async function saveCleanupTask(guildId, taskData) {
-    const tasks = readAutoCleanupTasks();
-    if (!tasks[guildId]) {
-        tasks[guildId] = {};
-    }
-    tasks[guildId][taskData.taskId] = taskData;
-    writeAutoCleanupTasks(tasks);
+    writeCleanupTask(guildId, taskData);
     return taskData;
 }
 
 // 获取清理任务
 async function getCleanupTask(guildId, taskId) {
-    const tasks = readAutoCleanupTasks();
-    return tasks[guildId]?.[taskId];
+    const row = db.prepare('SELECT data FROM auto_cleanup_tasks WHERE guild_id = ? AND task_id = ?').get(guildId, taskId);
+    return row ? JSON.parse(row.data) : undefined;
 }
 
 // 更新清理任务
 async function updateCleanupTask(guildId, taskId, updates) {
-    const tasks = readAutoCleanupTasks();
-    if (tasks[guildId]?.[taskId]) {
-        Object.assign(tasks[guildId][taskId], updates);
-        writeAutoCleanupTasks(tasks);
-    }
-    return tasks[guildId]?.[taskId];
+    return db.transaction(() => {
+        const row = db.prepare('SELECT data FROM auto_cleanup_tasks WHERE guild_id = ? AND task_id = ?').get(guildId, taskId);
+        if (!row) return undefined;
+        const updated = Object.assign(JSON.parse(row.data), updates);
+        writeCleanupTask(guildId, updated);
+        return updated;
+    })();
 }
 
 // 删除清理任务
 async function deleteCleanupTask(guildId, taskId) {
-    const tasks = readAutoCleanupTasks();
-    if (tasks[guildId]?.[taskId]) {
-        delete tasks[guildId][taskId];
-        writeAutoCleanupTasks(tasks);
-        return true;
-    }
-    return false;
+    const info = db.prepare('DELETE FROM auto_cleanup_tasks WHERE guild_id = ? AND task_id = ?').run(guildId, taskId);
+    return info.changes > 0;
 }
 
 // 获取活跃的清理任务
 async function getActiveCleanupTask(guildId) {
-    const tasks = readAutoCleanupTasks();
-    if (!tasks[guildId]) return null;
-    
-    for (const taskId in tasks[guildId]) {
-        const task = tasks[guildId][taskId];
-        if (task.status === 'running') {
-            return task;
-        }
-    }
-    return null;
+    const row = db.prepare(`SELECT data FROM auto_cleanup_tasks WHERE guild_id = ? AND status = 'running' LIMIT 1`).get(guildId);
+    return row ? JSON.parse(row.data) : null;
 }
 
 // 添加豁免频道
@@ -1356,38 +1551,437 @@ async function isForumThreadExempt(guildId, thread) {
     return await isChannelExempt(guildId, thread.parent.id);
 }
 
-// --- 自助补档模块函数 开始 ---
+// --- 服务器模块开关 ---
 
-function readAnonymousUploadLogs() {
-    try {
-        const data = fs.readFileSync(SELF_FILE_UPLOAD_LOGS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('读取自助补档日志文件失败:', err);
-        return [];
+/**
+ * 获取服务器的模块开关设置。只记录被停用的模块，未记录的模块默认启用。
+ * @param {string} guildId - 服务器ID。
+ * @returns {Promise<{disabledModules: string[]}>}
+ */
+async function getGuildModuleSettings(guildId) {
+    const settings = readGuildDocument('guild_modules', guildId);
+    return { disabledModules: [], ...settings };
+}
+
+/**
+ * 启用或停用服务器的某个模块。
+ * @param {string} guildId - 服务器ID。
+ * @param {string} moduleId - 模块ID。
+ * @param {boolean} enabled - 是否启用。
+ * @returns {Promise<{disabledModules: string[]}>} 更新后的设置。
+ */
+async function setGuildModuleEnabled(guildId, moduleId, enabled) {
+    const updated = mutateGuildDocument('guild_modules', guildId, (settings = {}) => {
+        const disabled = new Set(settings.disabledModules || []);
+        if (enabled) disabled.delete(moduleId);
+        else disabled.add(moduleId);
+        return { ...settings, disabledModules: [...disabled], updatedAt: new Date().toISOString() };
+    });
+    console.log(`成功${enabled ? '启用' : '停用'}模块 - guildId: ${guildId}, module: ${moduleId}`);
+    return updated;
+}
+
+// --- 服务器权限设置 ---
+
+/**
+ * 同步读取服务器的权限设置（供同步的权限检查使用）。
+ * adminRoles 为可使用所有管理指令的身份组ID；commandRoles 为按命令名设置的身份组ID，
+ * 设置后该命令只允许这些身份组（以及服务器所有者和拥有原生管理权限的成员）使用。
+ * @param {string} guildId - 服务器ID。
+ * @returns {{adminRoles: string[], commandRoles: Object<string, string[]>}}
+ */
+function readGuildPermissionSettings(guildId) {
+    const settings = readGuildDocument('guild_permissions', guildId);
+    return { adminRoles: [], commandRoles: {}, ...settings };
+}
+
+/**
+ * 获取服务器的权限设置。
+ * @param {string} guildId - 服务器ID。
+ * @returns {Promise<{adminRoles: string[], commandRoles: Object<string, string[]>}>}
+ */
+async function getGuildPermissionSettings(guildId) {
+    return readGuildPermissionSettings(guildId);
+}
+
+/**
+ * 修改服务器的权限设置。
+ * @param {string} guildId - 服务器ID。
+ * @param {function(object): void} mutate - 直接修改传入的设置对象。
+ * @returns {Promise<{adminRoles: string[], commandRoles: Object<string, string[]>}>} 更新后的设置。
+ */
+async function updateGuildPermissionSettings(guildId, mutate) {
+    const updated = mutateGuildDocument('guild_permissions', guildId, (settings = {}) => {
+        const next = {
+            ...settings,
+            adminRoles: [...(settings.adminRoles || [])],
+            commandRoles: { ...(settings.commandRoles || {}) },
+        };
+        mutate(next);
+        // 清理空的命令规则，避免“空列表”被误认为已设置
+        for (const [commandName, roles] of Object.entries(next.commandRoles)) {
+            if (!roles || roles.length === 0) delete next.commandRoles[commandName];
+        }
+        return { ...next, updatedAt: new Date().toISOString() };
+    });
+    console.log(`成功更新服务器权限设置 - guildId: ${guildId}`);
+    return { adminRoles: [], commandRoles: {}, ...updated };
+}
+
+// --- 服务器时间配置 ---
+
+/**
+ * 同步读取服务器覆盖的时间配置（只包含改动过的项目，供同步的时间计算使用）。
+ * @param {string} guildId - 服务器ID。
+ * @returns {object}
+ */
+function readGuildTimeSettings(guildId) {
+    return readGuildDocument('guild_time_settings', guildId) || {};
+}
+
+/**
+ * 保存服务器覆盖的时间配置。
+ * @param {string} guildId - 服务器ID。
+ * @param {object} settings - 覆盖的配置项。
+ * @returns {Promise<object>}
+ */
+async function saveGuildTimeSettings(guildId, settings) {
+    writeGuildDocument('guild_time_settings', guildId, settings);
+    console.log(`成功保存时间配置 - guildId: ${guildId}`, settings);
+    return settings;
+}
+
+// --- 服务器语言设置 ---
+
+/**
+ * 同步读取服务器的语言设置（供同步的文本翻译使用）。
+ * @param {string} guildId - 服务器ID。
+ * @returns {{locale?: string}}
+ */
+function readGuildLocaleSettings(guildId) {
+    return readGuildDocument('guild_locale_settings', guildId) || {};
+}
+
+/**
+ * 保存服务器的语言设置。
+ * @param {string} guildId - 服务器ID。
+ * @param {{locale: string}} settings - 语言设置。
+ * @returns {Promise<object>}
+ */
+async function saveGuildLocaleSettings(guildId, settings) {
+    const data = { ...settings, updatedAt: new Date().toISOString() };
+    writeGuildDocument('guild_locale_settings', guildId, data);
+    console.log(`成功保存语言设置 - guildId: ${guildId}, locale: ${settings.locale}`);
+    return data;
+}
+
+// --- 审计日志 ---
+
+/**
+ * 保存一条审计日志。
+ * @param {object} entry - 日志内容（guildId, module, action, actorId, targetId, createdAt 等）。
+ * @returns {Promise<object>} 带有自增 id 的日志。
+ */
+async function saveAuditLog(entry) {
+    const info = db.prepare(`
+        INSERT INTO audit_logs (guild_id, module, action, actor_id, target_id, created_at, data) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        entry.guildId,
+        entry.module,
+        entry.action,
+        entry.actorId || null,
+        entry.targetId || null,
+        entry.createdAt,
+        JSON.stringify(entry)
+    );
+    return { ...entry, id: info.lastInsertRowid };
+}
+
+/**
+ * 按条件查询服务器的审计日志，结果按时间倒序。
+ * @param {string} guildId - 服务器ID。
+ * @param {object} [filters]
+ * @param {string} [filters.module] - 模块ID。
+ * @param {string} [filters.action] - 操作名称。
+ * @param {string} [filters.actorId] - 操作者ID。
+ * @param {string} [filters.targetId] - 对象ID。
+ * @param {string} [filters.since] - 起始时间（ISO 字符串，含）。
+ * @param {number} [filters.limit=20] - 最多返回条数。
+ * @returns {Promise<object[]>}
+ */
+async function queryAuditLogs(guildId, filters = {}) {
+    const conditions = ['guild_id = ?'];
+    const params = [guildId];
+    const columns = { module: 'module', action: 'action', actorId: 'actor_id', targetId: 'target_id' };
+
+    for (const [key, column] of Object.entries(columns)) {
+        if (filters[key]) {
+            conditions.push(`${column} = ?`);
+            params.push(filters[key]);
+        }
+    }
+    if (filters.since) {
+        conditions.push('created_at >= ?');
+        params.push(filters.since);
     }
+
+    params.push(filters.limit || 20);
+    return db.prepare(`SELECT id, data FROM audit_logs WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ?`)
+        .all(...params)
+        .map(row => ({ ...JSON.parse(row.data), id: row.id }));
 }
 
-function writeAnonymousUploadLogs(data) {
-    try {
-        fs.writeFileSync(SELF_FILE_UPLOAD_LOGS_FILE, JSON.stringify(data, null, 2), 'utf8');
-    } catch (err) {
-        console.error('写入自助补档日志文件失败:', err);
+// 获取审计日志频道设置
+async function getAuditSettings(guildId) {
+    return readGuildDocument('audit_settings', guildId);
+}
+
+// 保存审计日志频道设置
+async function saveAuditSettings(guildId, settings) {
+    writeGuildDocument('audit_settings', guildId, settings);
+    console.log(`成功保存审计日志设置 - guildId: ${guildId}`, settings);
+    return settings;
+}
+
+// --- 计划任务 ---
+
+function mapScheduledJob(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        key: row.job_key,
+        guildId: row.guild_id,
+        runAt: new Date(row.run_at).toISOString(),
+        status: row.status,
+        attempts: row.attempts,
+        lastError: row.last_error,
+        description: row.description,
+        data: JSON.parse(row.data),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function buildTypeFilter(types) {
+    return types.length > 0 ? `AND type IN (${types.map(() => '?').join(', ')})` : 'AND 0';
+}
+
+/**
+ * 创建或更新计划任务。同一 type + key 已存在时覆盖执行时间和数据，并重新设为待执行。
+ * @param {object} job - 任务（type, key, guildId, runAt, description, data）。
+ * @returns {Promise<object>} 保存后的任务。
+ */
+async function upsertScheduledJob(job) {
+    const now = new Date().toISOString();
+    db.prepare(`
+        INSERT INTO scheduled_jobs (type, job_key, guild_id, run_at, status, attempts, last_error, description, data, created_at, updated_at)
+        VALUES (?, ?, ?, ?, 'pending', 0, NULL, ?, ?, ?, ?)
+        ON CONFLICT (type, job_key) DO UPDATE SET
+            guild_id = excluded.guild_id,
+            run_at = excluded.run_at,
+            status = 'pending',
+            attempts = 0,
+            last_error = NULL,
+            description = excluded.description,
+            data = excluded.data,
+            updated_at = excluded.updated_at
+    `).run(
+        job.type,
+        String(job.key),
+        job.guildId || null,
+        new Date(job.runAt).getTime(),
+        job.description || null,
+        JSON.stringify(job.data || {}),
+        now,
+        now
+    );
+    return mapScheduledJob(db.prepare('SELECT * FROM scheduled_jobs WHERE type = ? AND job_key = ?').get(job.type, String(job.key)));
+}
+
+/**
+ * 取消尚未执行的计划任务。
+ * @param {string} type - 任务类型。
+ * @param {string} key - 任务 key。
+ * @returns {Promise<boolean>} 是否删除了任务。
+ */
+async function cancelScheduledJob(type, key) {
+    const info = db.prepare(`DELETE FROM scheduled_jobs WHERE type = ? AND job_key = ? AND status = 'pending'`)
+        .run(type, String(key));
+    return info.changes > 0;
+}
+
+/**
+ * 更新计划任务的状态字段。
+ * @param {number} id - 任务ID。
+ * @param {object} updates - status, attempts, runAt, lastError 中的任意字段。
+ * @param {string} [expectedStatus] - 只在任务仍为该状态时更新（避免覆盖执行期间被重新安排的任务）。
+ * @returns {Promise<boolean>} 是否更新了任务。
+ */
+async function updateScheduledJob(id, updates, expectedStatus) {
+    const columns = { status: 'status', attempts: 'attempts', lastError: 'last_error' };
+    const sets = ['updated_at = ?'];
+    const params = [new Date().toISOString()];
+
+    for (const [key, column] of Object.entries(columns)) {
+        if (key in updates) {
+            sets.push(`${column} = ?`);
+            params.push(updates[key]);
+        }
+    }
+    if (updates.runAt) {
+        sets.push('run_at = ?');
+        params.push(new Date(updates.runAt).getTime());
+    }
+
+    const statusFilter = expectedStatus ? ' AND status = ?' : '';
+    const info = db.prepare(`UPDATE scheduled_jobs SET ${sets.join(', ')} WHERE id = ?${statusFilter}`)
+        .run(...params, id, ...(expectedStatus ? [expectedStatus] : []));
+    return info.changes > 0;
+}
+
+/**
+ * 获取已到执行时间的待执行任务（按执行时间排序）。
+ * @param {string[]} types - 只返回这些类型的任务（有处理器的类型）。
+ * @param {number} [now] - 当前毫秒时间戳。
+ * @returns {Promise<object[]>}
+ */
+async function getDueScheduledJobs(types, now = Date.now()) {
+    return db.prepare(`SELECT * FROM scheduled_jobs WHERE status = 'pending' AND run_at <= ? ${buildTypeFilter(types)} ORDER BY run_at, id`)
+        .all(now, ...types)
+        .map(mapScheduledJob);
+}
+
+/**
+ * 同步获取下一个待执行任务的执行时间，供调度器设置定时器。
+ * @param {string[]} types - 任务类型。
+ * @returns {number|null} 毫秒时间戳，没有任务时返回 null。
+ */
+function readNextScheduledJobTime(types) {
+    const row = db.prepare(`SELECT MIN(run_at) AS next FROM scheduled_jobs WHERE status = 'pending' ${buildTypeFilter(types)}`)
+        .get(...types);
+    return row?.next ?? null;
+}
+
+/**
+ * 按服务器获取计划任务。
+ * @param {string} guildId - 服务器ID。
+ * @param {string} status - 任务状态（pending / failed / done）。
+ * @param {number} [limit=20] - 最多返回多少条。
+ * @returns {Promise<object[]>} 待执行任务按执行时间升序，其它状态按更新时间倒序。
+ */
+async function getScheduledJobsByGuild(guildId, status, limit = 20) {
+    const order = status === 'pending' ? 'run_at ASC' : 'updated_at DESC';
+    return db.prepare(`SELECT * FROM scheduled_jobs WHERE guild_id = ? AND status = ? ORDER BY ${order} LIMIT ?`)
+        .all(guildId, status, limit)
+        .map(mapScheduledJob);
+}
+
+/**
+ * 启动时整理计划任务：上次运行中断时仍在执行的任务重新设为待执行，并删除过旧的已完成/失败任务。
+ * @param {number} retentionDays - 已完成/失败任务的保留天数。
+ * @returns {Promise<{recovered: number, pruned: number}>}
+ */
+async function recoverScheduledJobs(retentionDays) {
+    const now = new Date().toISOString();
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const recovered = db.prepare(`UPDATE scheduled_jobs SET status = 'pending', updated_at = ? WHERE status = 'running'`).run(now).changes;
+    const pruned = db.prepare(`DELETE FROM scheduled_jobs WHERE status IN ('done', 'failed') AND updated_at < ?`).run(cutoff).changes;
+    return { recovered, pruned };
+}
+
+// --- 数据备份 ---
+
+const BACKUP_DATABASES = {
+    main: db,
+    selfRole: selfRoleDb
+};
+
+function listTables(database) {
+    return database.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name`)
+        .all()
+        .map(row => row.name);
+}
+
+/**
+ * 同步导出所有数据库中每张表的全部数据（在一个读事务中完成，保证快照一致）。
+ * @returns {Object<string, Object<string, object[]>>} 数据库名（main / selfRole） -> 表名 -> 行数组。
+ */
+function readDatabaseSnapshot() {
+    const snapshot = {};
+    for (const [name, database] of Object.entries(BACKUP_DATABASES)) {
+        snapshot[name] = database.transaction(() => {
+            const tables = {};
+            for (const table of listTables(database)) {
+                tables[table] = database.prepare(`SELECT * FROM "${table}"`).all();
+            }
+            return tables;
+        })();
     }
+    return snapshot;
 }
 
+/**
+ * 用快照替换数据库中的数据。快照中存在的表会被清空后重新写入（只写入当前表结构中存在的列），
+ * 快照中没有的表保持不变。每个数据库在一个事务中完成，出错时整库回滚。
+ * @param {Object<string, Object<string, object[]>>} snapshot - readDatabaseSnapshot 的返回格式。
+ * @returns {Promise<{restored: Object<string, number>, skipped: string[]}>} 每张表恢复的行数（main.table 形式），以及当前结构中不存在而跳过的表。
+ */
+async function restoreDatabaseSnapshot(snapshot) {
+    const restored = {};
+    const skipped = [];
+
+    for (const [name, tables] of Object.entries(snapshot)) {
+        const database = BACKUP_DATABASES[name];
+        if (!database) {
+            skipped.push(name);
+            continue;
+        }
+
+        const existingTables = new Set(listTables(database));
+        database.transaction(() => {
+            for (const [table, rows] of Object.entries(tables)) {
+                if (!existingTables.has(table)) {
+                    skipped.push(`${name}.${table}`);
+                    continue;
+                }
+
+                const columns = new Set(database.prepare(`PRAGMA table_info("${table}")`).all().map(column => column.name));
+                database.prepare(`DELETE FROM "${table}"`).run();
+
+                // 同一张表导出的行字段相同，按第一行确定要写入的列
+                const keys = rows.length > 0 ? Object.keys(rows[0]).filter(key => columns.has(key)) : [];
+                if (keys.length > 0) {
+                    const insert = database.prepare(`INSERT INTO "${table}" (${keys.map(key => `"${key}"`).join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`);
+                    for (const row of rows) {
+                        insert.run(...keys.map(key => row[key] ?? null));
+                    }
+                }
+                restored[`${name}.${table}`] = rows.length;
+            }
+        })();
+    }
+
+    return { restored, skipped };
+}
+
+// --- 自助补档模块函数 开始 ---
+
+const MAX_ANONYMOUS_UPLOAD_LOGS = 10000;
+
 /**
  * 添加一条新的匿名上传日志
  * @param {object} logEntry - 日志条目
  */
 async function addAnonymousUploadLog(logEntry) {
-    const logs = readAnonymousUploadLogs();
-    logs.unshift(logEntry); // 在开头添加新日志，方便查找
-    // 限制日志数量，防止文件无限增大
-    if (logs.length > 10000) {
-        logs.length = 10000;
-    }
-    writeAnonymousUploadLogs(logs);
+    db.transaction(() => {
+        db.prepare('INSERT INTO anonymous_upload_logs (new_message_id, data) VALUES (?, ?)')
+            .run(logEntry.newMessageId || null, JSON.stringify(logEntry));
+        // 限制日志数量，防止数据无限增大
+        db.prepare(`
+            DELETE FROM anonymous_upload_logs
+            WHERE id NOT IN (SELECT id FROM anonymous_upload_logs ORDER BY id DESC LIMIT ?)
+        `).run(MAX_ANONYMOUS_UPLOAD_LOGS);
+    })();
 }
 
 /**
@@ -1396,8 +1990,8 @@ async function addAnonymousUploadLog(logEntry) {
  * @returns {object|null} 找到的日志条目或null
  */
 async function getAnonymousUploadByMessageId(newMessageId) {
-    const logs = readAnonymousUploadLogs();
-    return logs.find(log => log.newMessageId === newMessageId) || null;
+    const row = db.prepare('SELECT data FROM anonymous_upload_logs WHERE new_message_id = ? ORDER BY id DESC LIMIT 1').get(newMessageId);
+    return row ? JSON.parse(row.data) : null;
 }
 
 // --- 新增：匿名补档屏蔽列表相关函数 ---
@@ -1407,28 +2001,7 @@ async function getAnonymousUploadByMessageId(newMessageId) {
  * @returns {string[]} 用户ID列表
  */
 function readOptOutList() {
-    try {
-        const data = fs.readFileSync(ANONYMOUS_UPLOAD_OPT_OUT_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        if (err.code === 'ENOENT') {
-            return [];
-        }
-        console.error('读取匿名上传屏蔽列表文件失败:', err);
-        return [];
-    }
-}
-
-/**
- * 写入匿名补档屏蔽列表
- * @param {string[]} data - 用户ID列表
- */
-function writeOptOutList(data) {
-    try {
-        fs.writeFileSync(ANONYMOUS_UPLOAD_OPT_OUT_FILE, JSON.stringify(data, null, 2), 'utf8');
-    } catch (err) {
-        console.error('写入匿名上传屏蔽列表文件失败:', err);
-    }
+    return db.prepare('SELECT user_id FROM anonymous_upload_opt_out ORDER BY rowid').all().map(row => row.user_id);
 }
 
 /**
@@ -1437,10 +2010,9 @@ function writeOptOutList(data) {
  * @returns {Promise<boolean>} 是否成功添加
  */
 async function addUserToOptOutList(userId) {
-    const list = readOptOutList();
-    if (!list.includes(userId)) {
-        list.push(userId);
-        writeOptOutList(list);
+    const info = db.prepare('INSERT OR IGNORE INTO anonymous_upload_opt_out (user_id, created_at) VALUES (?, ?)')
+        .run(userId, new Date().toISOString());
+    if (info.changes > 0) {
         console.log(`用户 ${userId} 已添加到匿名补档屏蔽列表。`);
         return true;
     }
@@ -1453,11 +2025,8 @@ async function addUserToOptOutList(userId) {
  * @returns {Promise<boolean>} 是否成功移除
  */
 async function removeUserFromOptOutList(userId) {
-    const list = readOptOutList();
-    const index = list.indexOf(userId);
-    if (index > -1) {
-        list.splice(index, 1);
-        writeOptOutList(list);
+    const info = db.prepare('DELETE FROM anonymous_upload_opt_out WHERE user_id = ?').run(userId);
+    if (info.changes > 0) {
         console.log(`用户 ${userId} 已从匿名补档屏蔽列表移除。`);
         return true;
     }
@@ -1470,8 +2039,7 @@ async function removeUserFromOptOutList(userId) {
  * @returns {Promise<boolean>} 是否在列表中
  */
 async function isUserOptedOut(userId) {
-    const list = readOptOutList();
-    return list.includes(userId);
+    return !!db.prepare('SELECT 1 FROM anonymous_upload_opt_out WHERE user_id = ?').get(userId);
 }
 
 
@@ -1479,12 +2047,15 @@ async function isUserOptedOut(userId) {
 
 
 module.exports = {
+    DATA_DIR,
+
     saveSettings,
     getSettings,
     saveMessage,
     getMessage,
     updateMessage,
     getAllMessages,
+    getMessagesByStatus,
     getNextId,
     saveFormPermissionSettings,
     getFormPermissionSettings,
@@ -1515,10 +2086,18 @@ module.exports = {
     getCourtApplication,
     updateCourtApplication,
     getAllCourtApplications,
+    getCourtApplicationsByStatus,
+    getCourtApplicationsByTarget,
     saveCourtVote,
     getCourtVote,
     updateCourtVote,
     getAllCourtVotes,
+    getCourtVotesByStatus,
+    getCourtVotesByTarget,
+    saveCourtPunishment,
+    updateCourtPunishment,
+    getActiveCourtPunishments,
+    getCourtPunishmentsByUser,
     
     // 自助管理相关导出
     saveSelfModerationSettings,
@@ -1527,7 +2106,10 @@ module.exports = {
     getSelfModerationVote,
     updateSelfModerationVote,
     getAllSelfModerationVotes,
+    getSelfModerationVotesByStatus,
     deleteSelfModerationVote,
+    saveModerationRecord,
+    getModerationRecords,
     // 自助补档相关导出
     addAnonymousUploadLog,
     getAnonymousUploadByMessageId,
@@ -1543,6 +2125,8 @@ module.exports = {
     updateUserLastUsage,
     getUserLastUsage,
     checkUserGlobalCooldown,
+    saveSelfModerationInitiation,
+    getSelfModerationInitiations,
     // 消息时间限制相关导出
     saveMessageTimeLimit,
     getMessageTimeLimit,
@@ -1572,6 +2156,34 @@ module.exports = {
     getExemptChannels,
     isChannelExempt,
     isForumThreadExempt,
+    // 服务器模块开关
+    getGuildModuleSettings,
+    setGuildModuleEnabled,
+    // 服务器权限设置
+    readGuildPermissionSettings,
+    getGuildPermissionSettings,
+    updateGuildPermissionSettings,
+    // 服务器时间配置
+    readGuildTimeSettings,
+    saveGuildTimeSettings,
+    readGuildLocaleSettings,
+    saveGuildLocaleSettings,
+    // 审计日志
+    saveAuditLog,
+    queryAuditLogs,
+    getAuditSettings,
+    saveAuditSettings,
+    // 计划任务
+    upsertScheduledJob,
+    cancelScheduledJob,
+    updateScheduledJob,
+    getDueScheduledJobs,
+    readNextScheduledJobTime,
+    getScheduledJobsByGuild,
+    recoverScheduledJobs,
+    // 数据备份
+    readDatabaseSnapshot,
+    restoreDatabaseSnapshot,
 
     // Self Role
     getSelfRoleSettings,
@@ -0,0 +1,70 @@
+// src\core\utils\guildModules.js
+const { getGuildModuleSettings } = require('./database');
+const { discoverModules } = require('./moduleLoader');
+const { DEFAULT_LOCALE, resolveLocale, findMessage } = require('./i18n');
+
+let cachedModules = null;
+
+/**
+ * 获取可按服务器启用/停用的功能模块（由 src/modules 下的模块清单生成）。
+ * core 为基础命令（含模块管理本身），不可停用
+ * @returns {Object<string, {name: string, toggleable: boolean}>}
+ */
+function getModules() {
+    if (cachedModules) return cachedModules;
+
+    cachedModules = { core: { name: '基础功能', toggleable: false } };
+    for (const manifest of discoverModules()) {
+        cachedModules[manifest.id] = { name: manifest.name || manifest.id, toggleable: manifest.toggleable };
+    }
+    return cachedModules;
+}
+
+/**
+ * 获取模块的显示名称，其他语言使用模块文本目录中的 name
+ * @param {string} moduleId - 模块ID
+ * @param {string|object} [locale] - 语言来源，默认简体中文
+ * @returns {string}
+ */
+function getModuleName(moduleId, locale) {
+    const modules = getModules();
+    const resolved = resolveLocale(locale);
+    if (resolved !== DEFAULT_LOCALE) {
+        const translated = findMessage(resolved, `${moduleId}.name`);
+        if (translated) return translated;
+    }
+    return modules[moduleId]?.name || moduleId;
+}
+
+/**
+ * 检查模块在服务器中是否启用
+ * @param {string} guildId - 服务器ID
+ * @param {string} moduleId - 模块ID
+ * @returns {Promise<boolean>}
+ */
+async function isModuleEnabled(guildId, moduleId) {
+    if (!getModules()[moduleId]?.toggleable) return true;
+    const settings = await getGuildModuleSettings(guildId);
+    return !settings.disabledModules.includes(moduleId);
+}
+
+/**
+ * 获取服务器中启用的命令（按模块开关过滤）
+ * @param {import('discord.js').Client} client - Discord 客户端
+ * @param {string} guildId - 服务器ID
+ * @returns {Promise<object[]>} 命令对象列表
+ */
+async function getEnabledCommands(client, guildId) {
+    const settings = await getGuildModuleSettings(guildId);
+    return client.commands.filter((command, name) => {
+        const moduleId = client.commandModules.get(name) || 'core';
+        return !getModules()[moduleId]?.toggleable || !settings.disabledModules.includes(moduleId);
+    }).map(command => command);
+}
+
+module.exports = {
+    getModules,
+    getModuleName,
+    isModuleEnabled,
+    getEnabledCommands,
+};
@@ -0,0 +1,150 @@
+// src\core\utils\healthServer.js
+// 可选的本地 HTTP 服务：/healthz 返回存活状态（JSON），/metrics 返回 Prometheus 格式指标。
+// 设置环境变量 HEALTH_PORT 后启用，默认只监听 127.0.0.1。
+const http = require('http');
+const v8 = require('v8');
+const { registerGauge, getSchedulerRuns, collectGauges, renderPrometheusMetrics, getStartedAt } = require('./metrics');
+const { getJobSchedulerStatus } = require('./jobScheduler');
+
+let server = null;
+
+/**
+ * 当前进程的内存占用（字节），heap_limit 为 --max-old-space-size 决定的堆上限
+ * @returns {{rss: number, heap_used: number, heap_total: number, external: number, heap_limit: number}}
+ */
+function getMemoryUsage() {
+    const usage = process.memoryUsage();
+    return {
+        rss: usage.rss,
+        heap_used: usage.heapUsed,
+        heap_total: usage.heapTotal,
+        external: usage.external,
+        heap_limit: v8.getHeapStatistics().heap_size_limit
+    };
+}
+
+/**
+ * 注册进程和网关相关的指标
+ * @param {import('discord.js').Client} client - Discord 客户端
+ */
+function registerProcessGauges(client) {
+    registerGauge('up', '机器人进程是否存活', () => 1);
+    registerGauge('uptime_seconds', '进程运行时间', () => Math.floor((Date.now() - getStartedAt().getTime()) / 1000));
+    registerGauge('gateway_ready', 'Discord 网关是否已就绪', () => (client.isReady() ? 1 : 0));
+    registerGauge('gateway_ping_milliseconds', 'Discord 网关心跳延迟', () => (client.ws.ping >= 0 ? client.ws.ping : 0));
+    registerGauge('guilds', '已加入的服务器数量', () => client.guilds.cache.size);
+    registerGauge('memory_bytes', '进程内存占用', () =>
+        Object.entries(getMemoryUsage()).map(([type, value]) => ({ labels: { type }, value })));
+    registerGauge('job_scheduler_running', '计划任务调度器是否在运行', () => (getJobSchedulerStatus().running ? 1 : 0));
+}
+
+/**
+ * 生成健康检查结果
+ * @param {import('discord.js').Client} client - Discord 客户端
+ * @returns {object}
+ */
+function getHealthStatus(client) {
+    const ready = client.isReady();
+    const gauges = {};
+    for (const { name, values } of collectGauges()) {
+        gauges[name] = values.length === 1 && Object.keys(values[0].labels).length === 0 ? values[0].value : values;
+    }
+
+    return {
+        status: ready ? 'ok' : 'starting',
+        startedAt: getStartedAt().toISOString(),
+        uptimeSeconds: Math.floor((Date.now() - getStartedAt().getTime()) / 1000),
+        gateway: {
+            ready,
+            ping: client.ws.ping,
+            guilds: client.guilds.cache.size
+        },
+        memory: getMemoryUsage(),
+        jobScheduler: getJobSchedulerStatus(),
+        schedulers: getSchedulerRuns(),
+        gauges
+    };
+}
+
+function handleRequest(client, req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { Allow: 'GET, HEAD' });
+        res.end();
+        return;
+    }
+
+    try {
+        if (pathname === '/healthz' || pathname === '/health') {
+            const health = getHealthStatus(client);
+            res.writeHead(health.gateway.ready ? 200 : 503, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify(health, null, 2));
+        } else if (pathname === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(renderPrometheusMetrics());
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not Found');
+        }
+    } catch (error) {
+        console.error('处理健康检查请求时出错:', error);
+        res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Internal Server Error');
+    }
+}
+
+/**
+ * 启动健康检查服务
+ * @param {import('discord.js').Client} client - Discord 客户端
+ * @param {object} [options]
+ * @param {number|string} [options.port] - 监听端口，默认读取 HEALTH_PORT，未设置时不启动
+ * @param {string} [options.host] - 监听地址，默认读取 HEALTH_HOST，未设置时为 127.0.0.1
+ * @returns {Promise<http.Server|null>} 启动后的服务，未启用时返回 null
+ */
+async function startHealthServer(client, { port = process.env.HEALTH_PORT, host = process.env.HEALTH_HOST || '127.0.0.1' } = {}) {
+    if (port === undefined || port === '') return null;
+    if (server) return server;
+
+    registerProcessGauges(client);
+
+    const instance = http.createServer((req, res) => handleRequest(client, req, res));
+    try {
+        await new Promise((resolve, reject) => {
+            instance.once('error', reject);
+            instance.listen(Number(port), host, () => {
+                instance.off('error', reject);
+                resolve();
+            });
+        });
+    } catch (error) {
+        console.error(`❌ 健康检查服务启动失败 (${host}:${port}):`, error.message);
+        return null;
+    }
+
+    server = instance;
+    const address = server.address();
+    console.log(`✅ 健康检查服务已启动: http://${address.address}:${address.port}/healthz , 指标: /metrics`);
+    return server;
+}
+
+/**
+ * 停止健康检查服务
+ * @returns {Promise<void>}
+ */
+async function stopHealthServer() {
+    if (!server) return;
+    const instance = server;
+    server = null;
+    await new Promise(resolve => {
+        instance.close(() => resolve());
+        // 断开抓取端保持的长连接，否则 close 会一直等待
+        instance.closeAllConnections();
+    });
+}
+
+module.exports = {
+    startHealthServer,
+    stopHealthServer,
+    getHealthStatus,
+};
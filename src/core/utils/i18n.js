@@ -0,0 +1,204 @@
+// src\core\utils\i18n.js
+// 面向用户的文本按语言保存在各自的 locales 目录（核心为 src/core/locales，模块为 src/modules/<模块>/locales），
+// 通过 key 取出并填入参数；服务器可以用 /语言设置 选择语言，未设置时使用简体中文。
+const { readGuildLocaleSettings } = require('./database');
+
+const DEFAULT_LOCALE = 'zh-CN';
+
+// 支持的语言 -> 显示名称和对应的 Discord 客户端语言（用于命令名称和说明的本地化）
+const SUPPORTED_LOCALES = {
+    'zh-CN': { name: '简体中文', discordLocales: ['zh-CN'] },
+    'en-US': { name: 'English', discordLocales: ['en-US', 'en-GB'] },
+};
+
+// 语言 -> 命名空间 -> 文本目录
+const catalogs = new Map(Object.keys(SUPPORTED_LOCALES).map(locale => [locale, new Map()]));
+const reportedMissingKeys = new Set();
+
+/**
+ * 把任意语言代码规范为支持的语言（如 en-GB -> en-US、zh-TW -> zh-CN），不支持时返回 null
+ * @param {string} [locale] - 语言代码
+ * @returns {string|null}
+ */
+function normalizeLocale(locale) {
+    if (!locale) return null;
+    if (SUPPORTED_LOCALES[locale]) return locale;
+
+    const language = String(locale).split('-')[0].toLowerCase();
+    return Object.keys(SUPPORTED_LOCALES).find(supported => supported.split('-')[0] === language) || null;
+}
+
+/**
+ * 获取服务器使用的语言
+ * @param {string} guildId - 服务器ID
+ * @returns {string}
+ */
+function getGuildLocale(guildId) {
+    if (!guildId) return DEFAULT_LOCALE;
+    return normalizeLocale(readGuildLocaleSettings(guildId).locale) || DEFAULT_LOCALE;
+}
+
+/**
+ * 确定文本使用的语言
+ * @param {string|object|null} [source] - 语言代码、服务器ID，或带 guildId / guild / locale 的对象（交互、消息、投票数据等）。
+ *   在服务器中使用服务器设置的语言，私信中使用用户客户端的语言
+ * @returns {string}
+ */
+function resolveLocale(source) {
+    if (!source) return DEFAULT_LOCALE;
+    if (typeof source === 'string') {
+        return /^\d+$/.test(source) ? getGuildLocale(source) : (normalizeLocale(source) || DEFAULT_LOCALE);
+    }
+
+    const guildId = source.guildId || source.guild?.id;
+    if (guildId) return getGuildLocale(guildId);
+    return normalizeLocale(source.locale) || DEFAULT_LOCALE;
+}
+
+function lookup(locale, key) {
+    const [namespace, ...path] = key.split('.');
+    let value = catalogs.get(locale)?.get(namespace);
+    for (const part of path) {
+        if (value === undefined || value === null) return undefined;
+        value = value[part];
+    }
+    return value;
+}
+
+function interpolate(template, vars) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match));
+}
+
+/**
+ * 注册一个命名空间的文本目录，重复注册时覆盖
+ * @param {string} namespace - 命名空间（模块ID，核心为 core）
+ * @param {Object<string, object>} localeCatalogs - 语言 -> 文本目录
+ */
+function registerMessages(namespace, localeCatalogs) {
+    for (const [locale, catalog] of Object.entries(localeCatalogs)) {
+        if (!catalogs.has(locale)) {
+            console.warn(`⚠️ 不支持的语言 ${locale}（${namespace}），已忽略`);
+            continue;
+        }
+        catalogs.get(locale).set(namespace, catalog);
+    }
+}
+
+/**
+ * 只在指定语言中查找文本，找不到时返回 undefined（不回退到简体中文）
+ * @param {string|object|null} source - 语言来源，见 resolveLocale
+ * @param {string} key - 带命名空间的 key
+ * @returns {string|undefined}
+ */
+function findMessage(source, key) {
+    const template = lookup(resolveLocale(source), key);
+    return typeof template === 'string' ? template : undefined;
+}
+
+/**
+ * 取出文本并填入参数。当前语言缺少该文本时使用简体中文，仍然没有时返回 key 本身
+ * @param {string|object|null} source - 语言来源，见 resolveLocale
+ * @param {string} key - 带命名空间的 key，如 core.permission.denied
+ * @param {object} [vars] - 参数，替换文本中的 {name}
+ * @returns {string}
+ */
+function t(source, key, vars = {}) {
+    const locale = resolveLocale(source);
+    let template = lookup(locale, key);
+    if (typeof template !== 'string' && locale !== DEFAULT_LOCALE) {
+        template = lookup(DEFAULT_LOCALE, key);
+    }
+
+    if (typeof template !== 'string') {
+        if (!reportedMissingKeys.has(key)) {
+            reportedMissingKeys.add(key);
+            console.warn(`⚠️ 缺少文本: ${key}`);
+        }
+        return key;
+    }
+    return interpolate(template, vars);
+}
+
+/**
+ * 注册模块的文本目录，并返回只在该命名空间内取文本的函数
+ * @param {string} namespace - 命名空间（模块ID）
+ * @param {Object<string, object>} localeCatalogs - 语言 -> 文本目录
+ * @returns {(source: string|object|null, key: string, vars?: object) => string}
+ */
+function defineMessages(namespace, localeCatalogs) {
+    registerMessages(namespace, localeCatalogs);
+    return (source, key, vars) => t(source, `${namespace}.${key}`, vars);
+}
+
+function applyLocalizations(target, translations, field) {
+    const localizations = {};
+    for (const [locale, translation] of translations) {
+        const value = translation?.[field];
+        if (typeof value !== 'string') continue;
+        for (const discordLocale of SUPPORTED_LOCALES[locale].discordLocales) {
+            localizations[discordLocale] = value;
+        }
+    }
+    if (Object.keys(localizations).length > 0) {
+        target[`${field}_localizations`] = { ...target[`${field}_localizations`], ...localizations };
+    }
+}
+
+function localizeOptions(options, translations) {
+    for (const option of options || []) {
+        const optionTranslations = translations.map(([locale, translation]) => [locale, translation?.options?.[option.name]]);
+        applyLocalizations(option, optionTranslations, 'name');
+        applyLocalizations(option, optionTranslations, 'description');
+
+        // choices 可以是 值 -> 名称 的对象，也可以是按值返回名称的函数（如模块列表）
+        for (const choice of option.choices || []) {
+            const choiceTranslations = optionTranslations.map(([locale, translation]) => {
+                const choices = translation?.choices;
+                return [locale, { name: typeof choices === 'function' ? choices(choice.value) : choices?.[choice.value] }];
+            });
+            applyLocalizations(choice, choiceTranslations, 'name');
+        }
+
+        localizeOptions(option.options, optionTranslations);
+    }
+}
+
+/**
+ * 为命令的 JSON 数据加上各语言的名称和说明（name_localizations / description_localizations），
+ * 译文取自命名空间下的 commands.<命令名>，包括选项、子命令和选项值
+ * @param {object} commandJson - SlashCommandBuilder#toJSON() 的结果
+ * @param {string} namespace - 命令所属模块ID，核心命令为 core
+ * @returns {object} 加上本地化后的命令数据
+ */
+function localizeCommandData(commandJson, namespace) {
+    const localized = structuredClone(commandJson);
+    const translations = [...catalogs.entries()]
+        .map(([locale, namespaces]) => [locale, namespaces.get(namespace)?.commands?.[commandJson.name]])
+        .filter(([, translation]) => translation);
+
+    if (translations.length === 0) return localized;
+
+    applyLocalizations(localized, translations, 'name');
+    applyLocalizations(localized, translations, 'description');
+    localizeOptions(localized.options, translations);
+    return localized;
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    normalizeLocale,
+    getGuildLocale,
+    resolveLocale,
+    registerMessages,
+    defineMessages,
+    findMessage,
+    t,
+    localizeCommandData,
+};
+
+// 文本目录中可能引用本模块（如按模块名称生成选项），在导出之后再加载
+registerMessages('core', {
+    'zh-CN': require('../locales/zh-CN'),
+    'en-US': require('../locales/en-US'),
+});
@@ -0,0 +1,238 @@
+// src\core\utils\jobScheduler.js
+const {
+    upsertScheduledJob,
+    cancelScheduledJob,
+    updateScheduledJob,
+    getDueScheduledJobs,
+    readNextScheduledJobTime,
+    recoverScheduledJobs
+} = require('./database');
+const { incrementCounter, recordSchedulerRun } = require('./metrics');
+
+const MAX_ATTEMPTS = 3;                    // 任务最多执行次数（含首次）
+const RETRY_DELAY_MS = 60 * 1000;          // 失败后重试间隔，按次数递增
+const MAX_TIMER_DELAY_MS = 60 * 60 * 1000; // 定时器最长等待时间，到时重新计算下一个任务
+const RETENTION_DAYS = 30;                 // 已完成/失败任务的保留天数
+
+// 任务类型 -> { name, moduleId, handler }
+const jobHandlers = new Map();
+
+let schedulerClient = null;
+let timer = null;
+let isProcessing = false;
+let rerunRequested = false;
+let nextRunAt = null;
+
+/**
+ * 注册计划任务处理器，模块清单中的 jobs 字段由 moduleLoader 自动注册
+ * @param {string} type - 任务类型（全局唯一，如 proposal_deadline）
+ * @param {object} definition - 处理器定义
+ * @param {string} definition.name - 任务名称（/计划任务 中显示）
+ * @param {string} definition.moduleId - 所属模块ID
+ * @param {(client: import('discord.js').Client, job: object) => Promise<void>} definition.handler - 处理函数
+ */
+function registerJobHandler(type, definition) {
+    if (jobHandlers.has(type)) {
+        console.warn(`⚠️ 计划任务类型 ${type} 重复注册（${jobHandlers.get(type).moduleId} / ${definition.moduleId}）`);
+    }
+    jobHandlers.set(type, definition);
+}
+
+/**
+ * 获取任务类型的显示名称
+ * @param {string} type - 任务类型
+ * @returns {string}
+ */
+function getJobTypeName(type) {
+    return jobHandlers.get(type)?.name || type;
+}
+
+/**
+ * 安排一个计划任务。同一 type + key 只保留一个任务，重复安排会覆盖执行时间。
+ * 执行时间已过的任务会在下一次调度时立即执行。
+ * @param {object} job - 任务
+ * @param {string} job.type - 任务类型
+ * @param {string} job.key - 任务 key（如提案消息ID、辩诉帖ID）
+ * @param {string} [job.guildId] - 服务器ID
+ * @param {Date|string|number} job.runAt - 执行时间
+ * @param {string} [job.description] - 任务描述（/计划任务 中显示）
+ * @param {object} [job.data] - 附加数据
+ * @returns {Promise<object|null>} 保存后的任务，失败时返回 null
+ */
+async function scheduleJob(job) {
+    try {
+        const saved = await upsertScheduledJob(job);
+        console.log(`[计划任务] 已安排 ${saved.type}:${saved.key} - 执行时间: ${saved.runAt}`);
+        armTimer();
+        return saved;
+    } catch (error) {
+        console.error(`安排计划任务 ${job.type}:${job.key} 时出错:`, error);
+        return null;
+    }
+}
+
+/**
+ * 取消尚未执行的计划任务
+ * @param {string} type - 任务类型
+ * @param {string} key - 任务 key
+ * @returns {Promise<boolean>} 是否取消了任务
+ */
+async function cancelJob(type, key) {
+    try {
+        const cancelled = await cancelScheduledJob(type, key);
+        if (cancelled) {
+            console.log(`[计划任务] 已取消 ${type}:${key}`);
+        }
+        return cancelled;
+    } catch (error) {
+        console.error(`取消计划任务 ${type}:${key} 时出错:`, error);
+        return false;
+    }
+}
+
+/**
+ * 按下一个任务的执行时间重新设置定时器（调度器未启动时不做任何事）
+ */
+function armTimer() {
+    if (!schedulerClient) return;
+
+    if (timer) {
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    nextRunAt = readNextScheduledJobTime([...jobHandlers.keys()]);
+    if (nextRunAt === null) return;
+
+    const delay = Math.min(Math.max(nextRunAt - Date.now(), 0), MAX_TIMER_DELAY_MS);
+    timer = setTimeout(() => {
+        timer = null;
+        runDueJobs();
+    }, delay);
+}
+
+function countJob(definition, job, result) {
+    incrementCounter('scheduled_jobs_total', '计划任务执行次数', { module: definition.moduleId, type: job.type, result });
+}
+
+async function runJob(job) {
+    const definition = jobHandlers.get(job.type);
+    const attempts = job.attempts + 1;
+
+    // 任务在等待期间被取消或重新安排时跳过
+    const claimed = await updateScheduledJob(job.id, { status: 'running', attempts }, 'pending');
+    if (!claimed) return;
+
+    try {
+        await definition.handler(schedulerClient, job);
+        // 处理函数中重新安排了同一任务时，任务已变回待执行，不再标记为完成
+        await updateScheduledJob(job.id, { status: 'done', lastError: null }, 'running');
+        console.log(`[计划任务] ✅ ${definition.name} (${job.key}) 已执行`);
+        countJob(definition, job, 'ok');
+    } catch (error) {
+        console.error(`[计划任务] 执行 ${definition.name} (${job.key}) 第 ${attempts} 次失败:`, error);
+        countJob(definition, job, attempts < MAX_ATTEMPTS ? 'retry' : 'failed');
+
+        if (attempts < MAX_ATTEMPTS) {
+            await updateScheduledJob(job.id, {
+                status: 'pending',
+                lastError: error.message,
+                runAt: Date.now() + RETRY_DELAY_MS * attempts
+            }, 'running');
+        } else {
+            await updateScheduledJob(job.id, { status: 'failed', lastError: error.message }, 'running');
+        }
+    }
+}
+
+/**
+ * 依次执行所有已到期的任务，单个任务出错不影响其他任务
+ */
+async function runDueJobs() {
+    if (isProcessing) {
+        rerunRequested = true;
+        return;
+    }
+
+    isProcessing = true;
+    const startTime = Date.now();
+    let runError = null;
+    try {
+        do {
+            rerunRequested = false;
+            const dueJobs = await getDueScheduledJobs([...jobHandlers.keys()]);
+            for (const job of dueJobs) {
+                await runJob(job);
+            }
+        } while (rerunRequested);
+    } catch (error) {
+        runError = error;
+        console.error('执行计划任务时出错:', error);
+    } finally {
+        isProcessing = false;
+        recordSchedulerRun('core', '计划任务调度器', startTime, runError);
+        armTimer();
+    }
+}
+
+/**
+ * 启动计划任务调度器：恢复上次中断的任务，立即补执行错过的任务，之后按执行时间精确触发
+ * @param {import('discord.js').Client} client - Discord 客户端
+ */
+async function startJobScheduler(client) {
+    schedulerClient = client;
+
+    const { recovered, pruned } = await recoverScheduledJobs(RETENTION_DAYS);
+    console.log(`✅ 计划任务调度器已启动 - 任务类型: ${jobHandlers.size}, 恢复中断任务: ${recovered}, 清理旧任务: ${pruned}`);
+
+    await runDueJobs();
+}
+
+/**
+ * 数据恢复后重新加载计划任务：备份时正在执行的任务重新设为待执行，并立即补执行已到期的任务
+ */
+async function reloadJobScheduler() {
+    if (!schedulerClient) return;
+
+    const { recovered } = await recoverScheduledJobs(RETENTION_DAYS);
+    console.log(`[计划任务] 已重新加载任务，恢复中断任务: ${recovered}`);
+
+    await runDueJobs();
+}
+
+/**
+ * 停止计划任务调度器（任务仍保存在数据库中，下次启动时继续执行）
+ */
+function stopJobScheduler() {
+    if (timer) {
+        clearTimeout(timer);
+        timer = null;
+    }
+    schedulerClient = null;
+    nextRunAt = null;
+}
+
+/**
+ * 获取调度器状态（健康检查使用）
+ * @returns {{running: boolean, processing: boolean, handlers: number, nextRunAt: string|null}}
+ */
+function getJobSchedulerStatus() {
+    return {
+        running: schedulerClient !== null,
+        processing: isProcessing,
+        handlers: jobHandlers.size,
+        nextRunAt: schedulerClient && nextRunAt !== null ? new Date(nextRunAt).toISOString() : null
+    };
+}
+
+module.exports = {
+    registerJobHandler,
+    getJobTypeName,
+    scheduleJob,
+    cancelJob,
+    startJobScheduler,
+    reloadJobScheduler,
+    stopJobScheduler,
+    runDueJobs,
+    getJobSchedulerStatus,
+};
@@ -0,0 +1,63 @@
+// src/core/utils/legacyJsonImporter.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 一次性导入旧版 JSON 数据文件到 SQLite。
+ * 每个文件只会被导入一次，导入记录保存在 legacy_imports 表中；原 JSON 文件保持不变，可作为备份保留。
+ * @param {import('better-sqlite3').Database} db - 目标数据库连接。
+ * @param {string} dataDir - 旧版 JSON 文件所在目录。
+ * @param {Array<{file: string, fallback: any, importData: function(any): number}>} importers - 每个文件的导入处理器，返回导入的记录数。
+ * @returns {number} 本次导入的文件数量。
+ */
+function importLegacyJsonFiles(db, dataDir, importers) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS legacy_imports (
+            file_name TEXT PRIMARY KEY,
+            record_count INTEGER NOT NULL,
+            imported_at TEXT NOT NULL
+        )
+    `);
+
+    const isImported = db.prepare('SELECT 1 FROM legacy_imports WHERE file_name = ?');
+    const markImported = db.prepare('INSERT INTO legacy_imports (file_name, record_count, imported_at) VALUES (?, ?, ?)');
+
+    let importedFiles = 0;
+
+    for (const { file, fallback, importData } of importers) {
+        if (isImported.get(file)) continue;
+
+        const filePath = path.join(dataDir, file);
+        if (!fs.existsSync(filePath)) continue;
+
+        let data;
+        try {
+            const raw = fs.readFileSync(filePath, 'utf8');
+            data = raw.trim() ? JSON.parse(raw) : fallback;
+        } catch (err) {
+            // 损坏的文件不标记为已导入，修复后下次启动会重试
+            console.error(`[Database] ❌ 读取旧版数据文件 ${file} 失败，已跳过:`, err);
+            continue;
+        }
+
+        const runImport = db.transaction(() => {
+            const count = importData(data);
+            markImported.run(file, count, new Date().toISOString());
+            return count;
+        });
+
+        try {
+            const count = runImport();
+            importedFiles++;
+            console.log(`[Database] ✅ 已从 ${file} 导入 ${count} 条记录`);
+        } catch (err) {
+            console.error(`[Database] ❌ 导入旧版数据文件 ${file} 失败:`, err);
+        }
+    }
+
+    return importedFiles;
+}
+
+module.exports = {
+    importLegacyJsonFiles,
+};
@@ -0,0 +1,188 @@
+// src\core\utils\metrics.js
+// 进程内的运行指标：按模块统计的计数器、各定时任务最近一次运行的情况，
+// 以及模块注册的实时数值（队列长度、进行中的会话等，抓取时才计算）。由 healthServer 对外提供。
+
+const METRIC_PREFIX = 'discordbot_';
+
+// 指标名 -> { help, values: Map(标签键 -> { labels, value }) }
+const counters = new Map();
+// 指标名 -> { help, collect }
+const gauges = new Map();
+// `${moduleId}:${name}` -> 运行记录
+const schedulerRuns = new Map();
+
+const startedAt = new Date();
+
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+/**
+ * 计数器加一（或加指定值），首次使用时自动创建
+ * @param {string} name - 指标名（不含 discordbot_ 前缀），如 interactions_total
+ * @param {string} help - 指标说明
+ * @param {object} [labels] - 标签，如 { module: 'proposal' }
+ * @param {number} [value=1] - 增加的值
+ */
+function incrementCounter(name, help, labels = {}, value = 1) {
+    let counter = counters.get(name);
+    if (!counter) {
+        counter = { help, values: new Map() };
+        counters.set(name, counter);
+    }
+
+    const key = labelKey(labels);
+    const entry = counter.values.get(key);
+    if (entry) {
+        entry.value += value;
+    } else {
+        counter.values.set(key, { labels: { ...labels }, value });
+    }
+}
+
+/**
+ * 注册一个实时数值，抓取指标或查询健康状态时调用 collect 计算
+ * @param {string} name - 指标名（不含 discordbot_ 前缀）
+ * @param {string} help - 指标说明
+ * @param {() => number|Array<{labels: object, value: number}>} collect - 返回单个数值或带标签的数值列表
+ */
+function registerGauge(name, help, collect) {
+    if (gauges.has(name)) {
+        console.warn(`⚠️ 指标 ${name} 重复注册，已覆盖`);
+    }
+    gauges.set(name, { help, collect });
+}
+
+/**
+ * 记录一次定时任务运行
+ * @param {string} moduleId - 所属模块ID
+ * @param {string} name - 定时任务名称
+ * @param {number} startTime - 开始时间（毫秒时间戳）
+ * @param {Error|null} [error] - 运行失败时的错误
+ */
+function recordSchedulerRun(moduleId, name, startTime, error = null) {
+    const key = `${moduleId}:${name}`;
+    const run = schedulerRuns.get(key) || { moduleId, name, runs: 0, failures: 0, lastSuccessAt: null, lastError: null };
+    const finishedAt = Date.now();
+
+    run.runs++;
+    run.lastRunAt = new Date(startTime).toISOString();
+    run.lastDurationMs = finishedAt - startTime;
+    if (error) {
+        run.failures++;
+        run.lastError = error.message || String(error);
+    } else {
+        run.lastSuccessAt = new Date(finishedAt).toISOString();
+    }
+    schedulerRuns.set(key, run);
+
+    incrementCounter('scheduler_runs_total', '定时任务运行次数', { module: moduleId, scheduler: name, result: error ? 'error' : 'ok' });
+}
+
+/**
+ * 执行一次定时任务并记录运行情况，错误会继续抛出
+ * @param {string} moduleId - 所属模块ID
+ * @param {string} name - 定时任务名称
+ * @param {() => Promise<*>} task - 任务函数
+ * @returns {Promise<*>} 任务的返回值
+ */
+async function trackSchedulerRun(moduleId, name, task) {
+    const startTime = Date.now();
+    try {
+        const result = await task();
+        recordSchedulerRun(moduleId, name, startTime);
+        return result;
+    } catch (error) {
+        recordSchedulerRun(moduleId, name, startTime, error);
+        throw error;
+    }
+}
+
+/**
+ * 获取各定时任务最近一次运行的情况
+ * @returns {object[]}
+ */
+function getSchedulerRuns() {
+    return [...schedulerRuns.values()].map(run => ({ ...run }));
+}
+
+/**
+ * 计算所有实时数值，单个数值计算失败时跳过
+ * @returns {Array<{name: string, help: string, values: Array<{labels: object, value: number}>}>}
+ */
+function collectGauges() {
+    const results = [];
+    for (const [name, { help, collect }] of gauges) {
+        try {
+            const collected = collect();
+            const values = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+            results.push({ name, help, values });
+        } catch (error) {
+            console.error(`计算指标 ${name} 时出错:`, error);
+        }
+    }
+    return results;
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatSample(name, labels, value) {
+    const entries = Object.entries(labels);
+    const labelText = entries.length > 0
+        ? `{${entries.map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`).join(',')}}`
+        : '';
+    return `${METRIC_PREFIX}${name}${labelText} ${Number.isFinite(value) ? value : 0}`;
+}
+
+function formatMetric(name, help, type, values) {
+    return [
+        `# HELP ${METRIC_PREFIX}${name} ${help}`,
+        `# TYPE ${METRIC_PREFIX}${name} ${type}`,
+        ...values.map(({ labels, value }) => formatSample(name, labels, value))
+    ].join('\n');
+}
+
+/**
+ * 以 Prometheus 文本格式输出所有指标
+ * @returns {string}
+ */
+function renderPrometheusMetrics() {
+    const sections = [];
+
+    for (const [name, { help, values }] of counters) {
+        sections.push(formatMetric(name, help, 'counter', [...values.values()]));
+    }
+
+    const runs = getSchedulerRuns();
+    if (runs.length > 0) {
+        sections.push(formatMetric('scheduler_last_run_timestamp_seconds', '定时任务最近一次运行的时间', 'gauge',
+            runs.map(run => ({ labels: { module: run.moduleId, scheduler: run.name }, value: Date.parse(run.lastRunAt) / 1000 }))));
+    }
+
+    for (const { name, help, values } of collectGauges()) {
+        sections.push(formatMetric(name, help, 'gauge', values));
+    }
+
+    return sections.join('\n') + '\n';
+}
+
+/**
+ * 进程启动时间
+ * @returns {Date}
+ */
+function getStartedAt() {
+    return startedAt;
+}
+
+module.exports = {
+    incrementCounter,
+    registerGauge,
+    recordSchedulerRun,
+    trackSchedulerRun,
+    getSchedulerRuns,
+    collectGauges,
+    renderPrometheusMetrics,
+    getStartedAt,
+};
@@ -0,0 +1,186 @@
+// src\core\utils\moduleLoader.js
+const fs = require('fs');
+const path = require('path');
+const { registerJobHandler } = require('./jobScheduler');
+
+const MODULES_DIR = path.join(__dirname, '../../modules');
+
+// 交互类型 -> 模块清单中的字段名
+const INTERACTION_TYPES = {
+    button: 'buttons',
+    modal: 'modals',
+    selectMenu: 'selectMenus',
+};
+
+let cachedManifests = null;
+
+/**
+ * 扫描 src/modules 下的模块清单（各模块目录的 index.js）。
+ * 模块ID即目录名；清单格式：
+ * {
+ *   name: '提案系统',
+ *   toggleable: true,                // 是否可通过 /模块管理 停用，默认 true
+ *   locales: require('./locales'),   // 文本目录（defineMessages 的返回值），加载清单时注册；英文命令名称和说明也在其中
+ *   commands: [command, ...],
+ *   buttons / modals / selectMenus: [{ customId | prefix, handler }, ...],   // prefix 可以是字符串或数组
+ *   messageHandlers: [async (message) => {}, ...],
+ *   reactionHandlers: [async (reaction, user, action) => {}, ...],   // action 为 'add' 或 'remove'
+ *   schedulers: [{ name, start: async (client) => {} }, ...],
+ *   jobs: [{ type, name, handler: async (client, job) => {} }, ...]   // 计划任务处理器，见 jobScheduler
+ * }
+ * @returns {object[]} 模块清单列表（按目录名排序，附带 id 字段）
+ */
+function discoverModules() {
+    if (cachedManifests) return cachedManifests;
+
+    const manifests = [];
+    const entries = fs.readdirSync(MODULES_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+        const manifestPath = path.join(MODULES_DIR, entry.name, 'index.js');
+        if (!fs.existsSync(manifestPath)) {
+            console.warn(`⚠️ 模块 ${entry.name} 没有 index.js 清单，已跳过`);
+            continue;
+        }
+
+        const manifest = require(manifestPath);
+        manifests.push({ toggleable: true, ...manifest, id: entry.name });
+    }
+
+    cachedManifests = manifests;
+    return manifests;
+}
+
+function createRouteTable() {
+    return { exact: new Map(), prefixes: [] };
+}
+
+function addRoute(table, route, moduleId, type) {
+    if (typeof route.handler !== 'function') {
+        console.warn(`⚠️ 模块 ${moduleId} 的 ${type} 路由 ${route.customId || route.prefix} 缺少处理函数，已跳过`);
+        return;
+    }
+
+    if (route.customId) {
+        if (table.exact.has(route.customId)) {
+            console.warn(`⚠️ ${type} customId "${route.customId}" 重复注册（${table.exact.get(route.customId).moduleId} / ${moduleId}）`);
+        }
+        table.exact.set(route.customId, { handler: route.handler, moduleId });
+    }
+
+    const prefixes = Array.isArray(route.prefix) ? route.prefix : route.prefix ? [route.prefix] : [];
+    for (const prefix of prefixes) {
+        const existing = table.prefixes.find(item => item.prefix === prefix);
+        if (existing) {
+            console.warn(`⚠️ ${type} 前缀 "${prefix}" 重复注册（${existing.moduleId} / ${moduleId}）`);
+        }
+        table.prefixes.push({ prefix, handler: route.handler, moduleId });
+    }
+}
+
+/**
+ * 注册一个命令并记录其所属模块
+ * @param {import('discord.js').Client} client - Discord 客户端
+ * @param {object} command - 命令对象（data + execute）
+ * @param {string} moduleId - 模块ID
+ */
+function registerCommand(client, command, moduleId) {
+    if (client.commands.has(command.data.name)) {
+        console.warn(`⚠️ 命令 /${command.data.name} 重复注册（${client.commandModules.get(command.data.name)} / ${moduleId}）`);
+    }
+    client.commands.set(command.data.name, command);
+    client.commandModules.set(command.data.name, moduleId);
+}
+
+/**
+ * 按模块清单注册命令、交互路由、消息处理器、定时任务和计划任务处理器
+ * @param {import('discord.js').Client} client - Discord 客户端（需已创建 commands 和 commandModules 集合）
+ * @returns {object[]} 已注册的模块清单
+ */
+function registerModules(client) {
+    const manifests = discoverModules();
+
+    client.interactionRoutes = {};
+    for (const type of Object.keys(INTERACTION_TYPES)) {
+        client.interactionRoutes[type] = createRouteTable();
+    }
+    client.messageHandlers = [];
+    client.reactionHandlers = [];
+    client.schedulers = [];
+
+    for (const manifest of manifests) {
+        for (const command of manifest.commands || []) {
+            registerCommand(client, command, manifest.id);
+        }
+
+        for (const [type, field] of Object.entries(INTERACTION_TYPES)) {
+            for (const route of manifest[field] || []) {
+                addRoute(client.interactionRoutes[type], route, manifest.id, type);
+            }
+        }
+
+        for (const handler of manifest.messageHandlers || []) {
+            client.messageHandlers.push({ moduleId: manifest.id, handler });
+        }
+
+        for (const handler of manifest.reactionHandlers || []) {
+            client.reactionHandlers.push({ moduleId: manifest.id, handler });
+        }
+
+        for (const scheduler of manifest.schedulers || []) {
+            client.schedulers.push({ moduleId: manifest.id, ...scheduler });
+        }
+
+        for (const job of manifest.jobs || []) {
+            registerJobHandler(job.type, { name: job.name, moduleId: manifest.id, handler: job.handler });
+        }
+    }
+
+    // 前缀按长度从长到短匹配，避免短前缀抢先匹配更具体的 customId
+    for (const table of Object.values(client.interactionRoutes)) {
+        table.prefixes.sort((a, b) => b.prefix.length - a.prefix.length);
+    }
+
+    return manifests;
+}
+
+/**
+ * 根据 customId 查找交互处理函数：先精确匹配，再按最长前缀匹配
+ * @param {import('discord.js').Client} client - Discord 客户端
+ * @param {'button'|'modal'|'selectMenu'} type - 交互类型
+ * @param {string} customId - 组件的 customId
+ * @returns {{handler: Function, moduleId: string}|null}
+ */
+function findInteractionHandler(client, type, customId) {
+    const table = client.interactionRoutes?.[type];
+    if (!table) return null;
+
+    return table.exact.get(customId)
+        || table.prefixes.find(item => customId.startsWith(item.prefix))
+        || null;
+}
+
+/**
+ * 依次启动各模块的定时任务，单个任务启动失败不影响其他任务
+ * @param {import('discord.js').Client} client - Discord 客户端
+ */
+async function startModuleSchedulers(client) {
+    for (const scheduler of client.schedulers || []) {
+        try {
+            await scheduler.start(client);
+            console.log(`✅ ${scheduler.name}已启动`);
+        } catch (error) {
+            console.error(`启动 ${scheduler.name} (${scheduler.moduleId}) 时出错:`, error);
+        }
+    }
+}
+
+module.exports = {
+    discoverModules,
+    registerCommand,
+    registerModules,
+    findInteractionHandler,
+    startModuleSchedulers,
+};
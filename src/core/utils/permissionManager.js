@@ -1,7 +1,9 @@
 // src\core\utils\permissionManager.js
 const { PermissionFlagsBits } = require('discord.js');
+const { readGuildPermissionSettings } = require('./database');
+const { t } = require('./i18n');
 
-// 配置允许使用管理指令的身份组名称
+// 服务器尚未通过 /权限管理 设置管理身份组时，按身份组名称匹配的默认列表（兼容旧配置）
 const ALLOWED_ROLE_NAMES = [
     '管理组',
     '高级权限',
@@ -9,7 +11,6 @@ const ALLOWED_ROLE_NAMES = [
     'BOT维护员',
     '赛博公仆',
     '紧急状态委员',
-    // 在这里添加更多允许的身份组名称
 ];
 
 // 配置允许使用管理指令的Discord原生权限
@@ -20,11 +21,42 @@ const ALLOWED_PERMISSIONS = [
 ];
 
 /**
- * 检查用户是否有权限使用管理指令
+ * 获取成员在权限检查中适用的身份组规则
+ * @param {string} guildId - 服务器ID
+ * @param {string} [commandName] - 命令名称
+ * @returns {{source: 'command'|'guild'|'default', roles: string[]}} source 为 default 时 roles 是身份组名称，否则是身份组ID
+ */
+function getPermissionRule(guildId, commandName) {
+    const settings = readGuildPermissionSettings(guildId);
+
+    if (commandName && settings.commandRoles[commandName]?.length > 0) {
+        return { source: 'command', roles: settings.commandRoles[commandName] };
+    }
+    if (settings.adminRoles.length > 0) {
+        return { source: 'guild', roles: settings.adminRoles };
+    }
+    return { source: 'default', roles: ALLOWED_ROLE_NAMES };
+}
+
+/**
+ * 检查命令是否单独设置了身份组规则
+ * @param {string} guildId - 服务器ID
+ * @param {string} commandName - 命令名称
+ * @returns {boolean}
+ */
+function hasCommandRule(guildId, commandName) {
+    return readGuildPermissionSettings(guildId).commandRoles[commandName]?.length > 0;
+}
+
+/**
+ * 检查用户是否有权限使用管理指令。
+ * 服务器所有者和拥有原生管理权限的成员始终有权限；其余成员按以下顺序匹配身份组：
+ * 命令单独设置的身份组 → 服务器设置的管理身份组 → 默认身份组名称列表
  * @param {GuildMember} member - 服务器成员对象
+ * @param {string} [commandName] - 命令名称，用于匹配命令级别的权限设置
  * @returns {boolean} 是否有权限
  */
-function checkAdminPermission(member) {
+function checkAdminPermission(member, commandName) {
     try {
         console.log(`\n=== 权限检查开始 ===`);
         console.log(`用户: ${member.user.tag} (${member.user.id})`);
@@ -37,23 +69,6 @@ function checkAdminPermission(member) {
             return false;
         }
         
-        // 获取用户的所有身份组
-        const userRoles = [];
-        const userRoleNames = [];
-        
-        if (member.roles.cache) {
-            member.roles.cache.forEach(role => {
-                userRoles.push({
-                    name: role.name,
-                    id: role.id
-                });
-                userRoleNames.push(role.name);
-            });
-        }
-        
-        console.log(`用户身份组:`, userRoles);
-        console.log(`允许的身份组:`, ALLOWED_ROLE_NAMES);
-        
         // 检查是否是服务器所有者
         if (member.guild.ownerId === member.user.id) {
             console.log(`✅ 权限检查 - 服务器所有者: ${member.user.tag}`);
@@ -72,19 +87,16 @@ function checkAdminPermission(member) {
             }
         }
         
-        // 检查是否拥有允许的身份组
-        console.log(`用户身份组名称列表:`, userRoleNames);
+        const rule = getPermissionRule(member.guild.id, commandName);
+        console.log(`命令: ${commandName || '无'}, 规则来源: ${rule.source}, 允许的身份组:`, rule.roles);
         
-        // 详细检查每个身份组
+        // 默认列表按身份组名称匹配，服务器和命令设置按身份组ID匹配
         const matchingRoles = [];
         if (member.roles.cache) {
             for (const userRole of member.roles.cache.values()) {
-                console.log(`检查身份组: "${userRole.name}" 是否在允许列表中...`);
-                if (ALLOWED_ROLE_NAMES.includes(userRole.name)) {
+                const key = rule.source === 'default' ? userRole.name : userRole.id;
+                if (rule.roles.includes(key)) {
                     matchingRoles.push(userRole.name);
-                    console.log(`✅ 匹配的身份组: "${userRole.name}"`);
-                } else {
-                    console.log(`❌ 不匹配的身份组: "${userRole.name}"`);
                 }
             }
         }
@@ -96,8 +108,6 @@ function checkAdminPermission(member) {
         }
         
         console.log(`❌ 权限检查 - 权限不足: ${member.user.tag}`);
-        console.log(`用户所有身份组: ${userRoleNames.join(', ')}`);
-        console.log(`允许的身份组: ${ALLOWED_ROLE_NAMES.join(', ')}`);
         console.log(`=== 权限检查结束 ===\n`);
         return false;
         
@@ -110,63 +120,54 @@ function checkAdminPermission(member) {
 
 /**
  * 获取权限不足时的错误消息
+ * @param {string|object} [locale] - 语言来源（交互、服务器ID或语言代码），默认简体中文
  * @returns {string} 错误消息
  */
-function getPermissionDeniedMessage() {
-    return `❌ **权限不足**\n\n您没有权限使用此指令。\n\n**需要以下权限之一：**\n• 服务器所有者\n• 管理员权限\n• 管理服务器权限\n• 管理频道权限\n• 以下身份组之一：${ALLOWED_ROLE_NAMES.map(role => `\`${role}\``).join('、')}\n\n请联系服务器管理员获取相应权限。`;
-}
-
-/**
- * 获取允许的身份组列表（用于其他文件调用）
- * @returns {string[]} 允许的身份组名称数组
- */
-function getAllowedRoles() {
-    return [...ALLOWED_ROLE_NAMES];
+function getPermissionDeniedMessage(locale) {
+    return `${t(locale, 'core.permission.title')}\n\n${t(locale, 'core.permission.adminDenied')}`;
 }
 
 /**
- * 获取允许的权限列表
- * @returns {bigint[]} 允许的权限数组
+ * 检查用户是否为机器人所有者（Discord 开发者后台的应用所有者，或所属团队的成员）
+ * 用于数据备份等涉及所有服务器数据的指令
+ * @param {import('discord.js').Client} client - Discord 客户端
+ * @param {string} userId - 用户ID
+ * @returns {Promise<boolean>}
  */
-function getAllowedPermissions() {
-    return [...ALLOWED_PERMISSIONS];
+async function isBotOwner(client, userId) {
+    const application = client.application.owner ? client.application : await client.application.fetch();
+    const owner = application.owner;
+    if (!owner) return false;
+    // 团队所有的应用，owner 为 Team，成员以用户ID为键
+    if (owner.members) return owner.members.has(userId);
+    return owner.id === userId;
 }
 
 /**
- * 添加新的允许身份组（运行时添加）
- * @param {string} roleName - 身份组名称
+ * 获取服务器允许使用管理指令的身份组（用于其他文件调用）
+ * @param {string} guildId - 服务器ID
+ * @returns {{source: 'guild'|'default', roles: string[]}} source 为 default 时是身份组名称，否则是身份组ID
  */
-function addAllowedRole(roleName) {
-    if (!ALLOWED_ROLE_NAMES.includes(roleName)) {
-        ALLOWED_ROLE_NAMES.push(roleName);
-        console.log(`已添加新的允许身份组: "${roleName}"`);
-        console.log(`当前允许的身份组列表:`, ALLOWED_ROLE_NAMES);
-    } else {
-        console.log(`身份组 "${roleName}" 已存在于允许列表中`);
-    }
+function getAllowedRoles(guildId) {
+    const rule = getPermissionRule(guildId);
+    return { source: rule.source, roles: [...rule.roles] };
 }
 
 /**
- * 移除允许的身份组（运行时移除）
- * @param {string} roleName - 身份组名称
+ * 获取允许的权限列表
+ * @returns {bigint[]} 允许的权限数组
  */
-function removeAllowedRole(roleName) {
-    const index = ALLOWED_ROLE_NAMES.indexOf(roleName);
-    if (index > -1) {
-        ALLOWED_ROLE_NAMES.splice(index, 1);
-        console.log(`已移除允许身份组: "${roleName}"`);
-        console.log(`当前允许的身份组列表:`, ALLOWED_ROLE_NAMES);
-    } else {
-        console.log(`身份组 "${roleName}" 不在允许列表中`);
-    }
+function getAllowedPermissions() {
+    return [...ALLOWED_PERMISSIONS];
 }
 
 /**
  * 获取用户权限详情（用于调试）
  * @param {GuildMember} member - 服务器成员对象
+ * @param {string} [commandName] - 命令名称
  * @returns {object} 权限详情
  */
-function getUserPermissionDetails(member) {
+function getUserPermissionDetails(member, commandName) {
     try {
         // 安全获取用户身份组信息
         const userRoles = [];
@@ -191,9 +192,10 @@ function getUserPermissionDetails(member) {
         }
         
         // 安全获取匹配的身份组
-        const allowedUserRoles = userRoleNames.filter(roleName => 
-            ALLOWED_ROLE_NAMES.includes(roleName)
-        );
+        const rule = getPermissionRule(member.guild.id, commandName);
+        const allowedUserRoles = userRoles
+            .filter(role => rule.roles.includes(rule.source === 'default' ? role.name : role.id))
+            .map(role => role.name);
         
         return {
             userId: member.user ? member.user.id : 'unknown',
@@ -203,8 +205,9 @@ function getUserPermissionDetails(member) {
             userRoles,
             userRoleNames,
             allowedUserRoles,
-            allowedRolesList: [...ALLOWED_ROLE_NAMES],
-            hasPermission: checkAdminPermission(member)
+            ruleSource: rule.source,
+            allowedRolesList: [...rule.roles],
+            hasPermission: checkAdminPermission(member, commandName)
         };
     } catch (error) {
         console.error('获取用户权限详情时出错:', error);
@@ -216,6 +219,7 @@ function getUserPermissionDetails(member) {
             userRoles: [],
             userRoleNames: [],
             allowedUserRoles: [],
+            ruleSource: 'default',
             allowedRolesList: [...ALLOWED_ROLE_NAMES],
             hasPermission: false,
             error: error.message
@@ -326,11 +330,31 @@ function checkSelfModerationChannelPermission(channelId, settings) {
 /**
  * 获取自助管理权限不足时的错误消息
  * @param {string} type - 权限类型
+ * @param {string|object} [locale] - 语言来源，默认简体中文
  * @returns {string} 错误消息
  */
-function getSelfModerationPermissionDeniedMessage(type) {
-    const actionName = type === 'delete' ? '删除搬屎消息' : '禁言搬屎用户';
-    return `❌ **权限不足**\n\n您没有权限使用 \`/${actionName}\` 指令。`;
+function getSelfModerationPermissionDeniedMessage(type, locale) {
+    const command = t(locale, type === 'delete' ? 'core.permission.selfModerationDelete' : 'core.permission.selfModerationMute');
+    return `${t(locale, 'core.permission.title')}\n\n${t(locale, 'core.permission.selfModerationDenied', { command })}`;
+}
+
+/**
+ * 拼接表单、支持按钮等按身份组限制的权限不足消息
+ * @param {string} reasonKey - 说明文本的 key
+ * @param {array} allowedRoleNames - 允许的身份组名称数组
+ * @param {string|object} [locale] - 语言来源
+ * @returns {string}
+ */
+function buildRoleRestrictedDeniedMessage(reasonKey, allowedRoleNames, locale) {
+    let message = `${t(locale, 'core.permission.title')}\n\n${t(locale, reasonKey)}\n\n${t(locale, 'core.permission.basicRequirements')}`;
+
+    if (allowedRoleNames.length > 0) {
+        const roles = allowedRoleNames.map(role => `\`${role}\``).join(t(locale, 'core.permission.roleSeparator'));
+        message += `\n${t(locale, 'core.permission.allowedRoles', { roles })}`;
+    }
+
+    message += `\n\n${t(locale, 'core.permission.contactAdmin')}`;
+    return message;
 }
 
 
@@ -408,17 +432,11 @@ function checkFormPermission(member, formPermissionSettings) {
 /**
  * 获取表单权限不足时的错误消息
  * @param {array} allowedRoleNames - 允许的身份组名称数组
+ * @param {string|object} [locale] - 语言来源，默认简体中文
  * @returns {string} 错误消息
  */
-function getFormPermissionDeniedMessage(allowedRoleNames = []) {
-    let message = `❌ **权限不足**\n\n您没有权限使用此表单。\n\n**需要以下权限之一：**\n• 服务器所有者\n• 管理员权限`;
-    
-    if (allowedRoleNames.length > 0) {
-        message += `\n• 以下身份组之一：${allowedRoleNames.map(role => `\`${role}\``).join('、')}`;
-    }
-    
-    message += `\n\n请联系服务器管理员获取相应权限。`;
-    return message;
+function getFormPermissionDeniedMessage(allowedRoleNames = [], locale) {
+    return buildRoleRestrictedDeniedMessage('core.permission.formDenied', allowedRoleNames, locale);
 }
 
 /**
@@ -495,32 +513,27 @@ function checkSupportPermission(member, supportPermissionSettings) {
 /**
  * 获取支持按钮权限不足时的错误消息
  * @param {array} allowedRoleNames - 允许的身份组名称数组
+ * @param {string|object} [locale] - 语言来源，默认简体中文
  * @returns {string} 错误消息
  */
-function getSupportPermissionDeniedMessage(allowedRoleNames = []) {
-    let message = `❌ **权限不足**\n\n您没有权限支持此提案。\n\n**需要以下权限之一：**\n• 服务器所有者\n• 管理员权限`;
-    
-    if (allowedRoleNames.length > 0) {
-        message += `\n• 以下身份组之一：${allowedRoleNames.map(role => `\`${role}\``).join('、')}`;
-    }
-    
-    message += `\n\n请联系服务器管理员获取相应权限。`;
-    return message;
+function getSupportPermissionDeniedMessage(allowedRoleNames = [], locale) {
+    return buildRoleRestrictedDeniedMessage('core.permission.supportDenied', allowedRoleNames, locale);
 }
 
 // 启动时打印配置信息
 console.log(`\n=== 权限管理模块已加载 ===`);
-console.log(`允许的身份组:`, ALLOWED_ROLE_NAMES);
+console.log(`默认身份组（服务器未设置时使用）:`, ALLOWED_ROLE_NAMES);
 console.log(`允许的原生权限数量:`, ALLOWED_PERMISSIONS.length);
 console.log(`================================\n`);
 
 module.exports = {
     checkAdminPermission,
     getPermissionDeniedMessage,
+    isBotOwner,
     getAllowedRoles,
     getAllowedPermissions,
-    addAllowedRole,
-    removeAllowedRole,
+    getPermissionRule,
+    hasCommandRule,
     getUserPermissionDetails,
     ALLOWED_ROLE_NAMES,
     ALLOWED_PERMISSIONS,
@@ -180,7 +180,7 @@ module.exports = {
                 const progressTracker = new ProgressTracker(interaction.channel, interaction.guild);
 
                 // 创建扫描器实例
-                const rateLimiter = new RateLimiter();
+                const rateLimiter = new RateLimiter('full_server');
                 const scanner = new FullServerScanner(
                     interaction.guild,
                     rateLimiter,
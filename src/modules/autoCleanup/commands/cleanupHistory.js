@@ -2,6 +2,7 @@ const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, ChannelType } =
 const { RateLimiter } = require('../services/rateLimiter');
 const { KeywordDetector } = require('../services/keywordDetector');
 const { getBannedKeywords } = require('../../../core/utils/database');
+const { logAuditEvent } = require('../../../core/utils/auditLogger');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -74,7 +75,7 @@ module.exports = {
             const cutoffTime = Date.now() - (days * 24 * 60 * 60 * 1000);
 
             // 创建服务实例
-            const rateLimiter = new RateLimiter();
+            const rateLimiter = new RateLimiter('history');
             const keywordDetector = new KeywordDetector();
 
             // 发送开始消息
@@ -200,6 +201,14 @@ module.exports = {
 
             console.log(`✅ 历史消息清理完成 - Guild: ${guildId}, Channel: ${channel.name}, Scanned: ${scannedCount}, Deleted: ${deletedCount}`);
 
+            await logAuditEvent(interaction.client, {
+                guildId,
+                module: 'autoCleanup',
+                action: '清理历史消息',
+                actorId: interaction.user.id,
+                summary: `在 <#${channel.id}> 扫描 ${scannedCount} 条消息，删除 ${deletedCount} 条违规消息`
+            });
+
         } catch (error) {
             console.error('清理历史消息时出错:', error);
             
@@ -265,7 +265,7 @@ module.exports = {
                 const progressTracker = new ProgressTracker(interaction.channel, interaction.guild, true); // 标记为局部清理
 
                 // 创建扫描器实例
-                const rateLimiter = new RateLimiter();
+                const rateLimiter = new RateLimiter('selected_channels');
                 const scanner = new FullServerScanner(
                     interaction.guild,
                     rateLimiter,
@@ -2,11 +2,12 @@ const { KeywordDetector } = require('../services/keywordDetector');
 const { RateLimiter } = require('../services/rateLimiter');
 const { taskManager } = require('../services/taskManager');
 const { getAutoCleanupSettings } = require('../../../core/utils/database');
+const { logAuditEvent } = require('../../../core/utils/auditLogger');
 
 class AutoCleanupMessageHandler {
     constructor() {
         this.keywordDetector = new KeywordDetector();
-        this.rateLimiter = new RateLimiter();
+        this.rateLimiter = new RateLimiter('realtime');
     }
 
     async handleMessage(message) {
@@ -61,6 +62,15 @@ class AutoCleanupMessageHandler {
 
                 console.log(`🗑️ 自动删除违规消息 - 服务器: ${message.guild.name}, 频道: ${message.channel.name}, 作者: ${message.author.tag}, 匹配关键字: ${checkResult.matchedKeywords.join(', ')}`);
 
+                await logAuditEvent(message.client, {
+                    guildId,
+                    module: 'autoCleanup',
+                    action: '自动删除违规消息',
+                    targetId: message.author.id,
+                    summary: `删除了 <#${message.channel.id}> 中包含违禁关键字的消息`,
+                    details: { '匹配关键字': checkResult.matchedKeywords.join(', ') }
+                });
+
                 // 可选：发送警告私信给用户
                 try {
                     const warningEmbed = {
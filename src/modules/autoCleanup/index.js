@@ -0,0 +1,26 @@
+// src\modules\autoCleanup\index.js
+const { autoCleanupHandler } = require('./events/messageCreate');
+
+module.exports = {
+    name: '自动清理',
+    locales: require('./locales'),
+    commands: [
+        require('./commands/addBannedKeyword'),
+        require('./commands/removeBannedKeyword'),
+        require('./commands/listBannedKeywords'),
+        require('./commands/setCleanupChannels'),
+        require('./commands/cleanupHistory'),
+        require('./commands/cleanupFullServer'),
+        require('./commands/stopCleanupTask'),
+        require('./commands/cleanupStatus'),
+        require('./commands/toggleAutoCleanup'),
+        // 豁免频道命令
+        require('./commands/addExemptChannel'),
+        require('./commands/removeExemptChannel'),
+        require('./commands/listExemptChannels'),
+        require('./commands/cleanupSelectedChannels'),
+    ],
+    messageHandlers: [
+        message => autoCleanupHandler.handleMessage(message),
+    ],
+};
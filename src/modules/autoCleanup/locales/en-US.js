@@ -0,0 +1,101 @@
+// src\modules\autoCleanup\locales\en-US.js
+const monitoredChannel = { description: 'Channel to monitor' };
+const cleanupChannel = { description: 'Channel or forum to clean up' };
+
+module.exports = {
+    name: 'Auto Cleanup',
+
+    commands: {
+        '添加违禁关键字': {
+            name: 'add-banned-keyword',
+            description: 'Add a banned keyword to the auto cleanup list',
+            options: {
+                '关键字': { name: 'keyword', description: 'Banned keyword to add (regular expressions supported, format: /pattern/)' },
+            },
+        },
+        '移除违禁关键字': {
+            name: 'remove-banned-keyword',
+            description: 'Remove a banned keyword from the auto cleanup list',
+            options: {
+                '关键字': { name: 'keyword', description: 'Banned keyword to remove' },
+            },
+        },
+        '查看违禁关键字': {
+            name: 'banned-keywords',
+            description: 'View all banned keywords in this server',
+        },
+        '设置清理频道': {
+            name: 'set-cleanup-channels',
+            description: 'Set the channels to monitor (leave empty to monitor all channels)',
+            options: {
+                '频道1': { ...monitoredChannel, name: 'channel1' },
+                '频道2': { ...monitoredChannel, name: 'channel2' },
+                '频道3': { ...monitoredChannel, name: 'channel3' },
+                '频道4': { ...monitoredChannel, name: 'channel4' },
+                '频道5': { ...monitoredChannel, name: 'channel5' },
+                '清空设置': { name: 'clear', description: 'Clear all monitored channels (all channels will be monitored)' },
+            },
+        },
+        '清理历史消息': {
+            name: 'clean-history',
+            description: 'Clean up past messages in a channel',
+            options: {
+                '频道': { name: 'channel', description: 'Channel to clean up' },
+                '天数': { name: 'days', description: 'Clean up messages from the last N days (default 7, max 30)' },
+                '限制数量': { name: 'limit', description: 'Maximum number of messages to scan (default 1000, max 5000)' },
+            },
+        },
+        '清理全服务器消息': {
+            name: 'clean-server',
+            description: 'Scan the whole server and clean up violating messages (requires confirmation)',
+            options: {
+                '确认执行': { name: 'confirm', description: 'Confirm the server-wide cleanup (this cannot be undone)' },
+            },
+        },
+        '停止清理任务': {
+            name: 'stop-cleanup',
+            description: 'Stop the cleanup task currently running',
+        },
+        '清理状态': {
+            name: 'cleanup-status',
+            description: 'View the current status of the cleanup feature',
+        },
+        '切换自动清理': {
+            name: 'toggle-auto-cleanup',
+            description: 'Enable or disable auto cleanup',
+            options: {
+                '启用': { name: 'enabled', description: 'Whether auto cleanup is enabled' },
+            },
+        },
+        '添加豁免频道': {
+            name: 'add-exempt-channel',
+            description: 'Add a channel to the exempt list (skipped by server-wide cleanup)',
+            options: {
+                '频道': { name: 'channel', description: 'Channel to add to the exempt list' },
+            },
+        },
+        '移除豁免频道': {
+            name: 'remove-exempt-channel',
+            description: 'Remove a channel from the exempt list',
+            options: {
+                '频道': { name: 'channel', description: 'Channel to remove from the exempt list' },
+            },
+        },
+        '查看豁免频道': {
+            name: 'exempt-channels',
+            description: 'View all exempt channels in this server',
+        },
+        '清理指定频道': {
+            name: 'clean-channels',
+            description: 'Scan the selected channels and clean up violating messages',
+            options: {
+                '频道1': { ...cleanupChannel, name: 'channel1' },
+                '确认执行': { name: 'confirm', description: 'Confirm the channel cleanup (this cannot be undone)' },
+                '频道2': { ...cleanupChannel, name: 'channel2' },
+                '频道3': { ...cleanupChannel, name: 'channel3' },
+                '频道4': { ...cleanupChannel, name: 'channel4' },
+                '频道5': { ...cleanupChannel, name: 'channel5' },
+            },
+        },
+    },
+};
@@ -2,6 +2,7 @@ const { KeywordDetector } = require('./keywordDetector');
 const { MessageCache } = require('./messageCache');
 const { getBannedKeywords, isChannelExempt, isForumThreadExempt } = require('../../../core/utils/database');
 const { ChannelType } = require('discord.js');
+const { logAuditEvent } = require('../../../core/utils/auditLogger');
 
 class FullServerScanner {
     constructor(guild, rateLimiter, taskManager, progressTracker) {
@@ -31,6 +32,7 @@ class FullServerScanner {
         this.isRunning = true;
         this.shouldStop = false;
         this.taskId = taskData.taskId;
+        this.startedBy = taskData.startedBy;
 
         try {
             console.log(`🔍 开始全服务器扫描 - Guild: ${this.guild.id}`);
@@ -95,6 +97,7 @@ class FullServerScanner {
             }
 
             console.log(`🎉 全服务器扫描完成 - 扫描 ${this.totalScanned} 条消息，删除 ${cacheStats.totalDeleted} 条违规消息`);
+            await this.logCleanupAudit('全服务器扫描', finalStats);
             
             return finalStats;
 
@@ -476,6 +479,17 @@ class FullServerScanner {
         return fatalErrorCodes.includes(error.code);
     }
 
+    async logCleanupAudit(scanType, finalStats) {
+        await logAuditEvent(this.guild.client, {
+            guildId: this.guild.id,
+            module: 'autoCleanup',
+            action: `${scanType}清理`,
+            actorId: this.startedBy,
+            summary: `扫描 ${finalStats.totalMessagesScanned} 条消息，删除 ${finalStats.totalMessagesDeleted} 条违规消息${finalStats.completedNormally ? '' : '（任务被手动停止）'}`,
+            details: { '任务ID': this.taskId, '扫描频道数': finalStats.totalChannelsScanned }
+        });
+    }
+
     async getAllScanTargets() {
         const targets = [];
         let exemptCount = 0;
@@ -819,6 +833,7 @@ class FullServerScanner {
         this.isRunning = true;
         this.shouldStop = false;
         this.taskId = taskData.taskId;
+        this.startedBy = taskData.startedBy;
 
         try {
             console.log(`🔍 开始指定频道扫描 - Guild: ${this.guild.id}, 频道数: ${selectedChannels.length}`);
@@ -896,6 +911,7 @@ class FullServerScanner {
             }
 
             console.log(`🎉 指定频道扫描完成 - 扫描 ${this.totalScanned} 条消息，删除 ${cacheStats.totalDeleted} 条违规消息`);
+            await this.logCleanupAudit('指定频道扫描', finalStats);
             
             return finalStats;
 
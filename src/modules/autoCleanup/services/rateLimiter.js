@@ -1,5 +1,14 @@
+const { registerGauge } = require('../../../core/utils/metrics');
+
+// 正在处理队列的限速器，供 /metrics 统计队列长度
+const activeLimiters = new Set();
+
 class RateLimiter {
-    constructor() {
+    /**
+     * @param {string} [name='default'] - 限速器名称（realtime / history / selected_channels / full_server），用于指标标签
+     */
+    constructor(name = 'default') {
+        this.name = name;
         this.queue = [];
         this.processing = false;
         this.operationsThisSecond = 0;
@@ -34,6 +43,7 @@ class RateLimiter {
     async processQueueIntelligent() {
         if (this.processing) return;
         this.processing = true;
+        activeLimiters.add(this);
 
         while (this.hasOperations()) {
             const now = Date.now();
@@ -79,6 +89,7 @@ class RateLimiter {
         }
 
         this.processing = false;
+        activeLimiters.delete(this);
     }
 
     selectNextOperation() {
@@ -177,4 +188,17 @@ class RateLimiter {
     }
 }
 
+registerGauge('autocleanup_queue_depth', '自动清理限速器中等待执行的操作数', () => {
+    const depths = new Map();
+    for (const limiter of activeLimiters) {
+        for (const [type, queue] of Object.entries(limiter.operationTypes)) {
+            const key = `${limiter.name}:${type}`;
+            depths.set(key, { labels: { limiter: limiter.name, type }, value: (depths.get(key)?.value || 0) + queue.length });
+        }
+    }
+    return [...depths.values()];
+});
+
+registerGauge('autocleanup_active_limiters', '正在处理队列的自动清理限速器数量', () => activeLimiters.size);
+
 module.exports = { RateLimiter }; 
\ No newline at end of file
@@ -20,9 +20,9 @@ module.exports = {
 
     async execute(interaction) {
         // 权限检查
-        if (!permissionManager.checkAdminPermission(interaction.member)) {
+        if (!permissionManager.checkAdminPermission(interaction.member, interaction.commandName)) {
             await interaction.reply({
-                content: permissionManager.getPermissionDeniedMessage(),
+                content: permissionManager.getPermissionDeniedMessage(interaction),
                 ephemeral: true
             });
             return;
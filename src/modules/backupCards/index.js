@@ -0,0 +1,11 @@
+// src\modules\backupCards\index.js
+module.exports = {
+    name: '补卡系统',
+    locales: require('./locales'),
+    commands: [
+        require('./commands/processBackupCards'),
+        require('./commands/testBackupCards'),
+        require('./commands/archiveBackupThreads'),
+        require('./commands/cleanupFuzzyMatches'),
+    ],
+};
@@ -0,0 +1,47 @@
+// src\modules\backupCards\locales\en-US.js
+const start = { description: 'Row to start from (default: row 1)' };
+const count = { description: 'Number of rows to process (default: all)' };
+const excelFile = { description: 'Path of the Excel file (optional, defaults to the configured file)' };
+
+module.exports = {
+    name: 'Backup Cards',
+
+    commands: {
+        'processbackupcards': {
+            description: 'Process the backup card Excel file and post the cards to their threads',
+            options: {
+                'start': start,
+                'count': count,
+                'testmode': { description: 'Test mode: analyse only, do not send messages (default false)' },
+                'autoarchive': { description: 'Archive threads after posting (defaults to the configured setting)' },
+                'allowarchiveintest': { description: 'Also archive threads in test mode (default false)' },
+                'excelfile': excelFile,
+            },
+        },
+        'testbackupcards': {
+            description: 'Test the basic functions of the backup card module',
+            options: {
+                'rows': { description: 'Number of rows to test (default 5)' },
+            },
+        },
+        'archivebackupthreads': {
+            description: 'Archive backup card threads in bulk',
+            options: {
+                'start': start,
+                'count': count,
+                'dryrun': { description: 'Dry run: only check thread status, do not archive (default false)' },
+                'excelfile': excelFile,
+            },
+        },
+        'cleanupfuzzymatches': {
+            description: 'Clean up backup card messages posted from fuzzy matches in bulk',
+            options: {
+                'start': start,
+                'count': count,
+                'dryrun': { description: 'Dry run: only find messages, do not delete (default false)' },
+                'days': { description: 'Only delete messages older than N days (default: all)' },
+                'excelfile': excelFile,
+            },
+        },
+    },
+};
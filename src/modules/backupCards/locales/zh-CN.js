@@ -0,0 +1,5 @@
+// src\modules\backupCards\locales\zh-CN.js
+// 命令的简体中文名称和说明直接写在命令定义中
+module.exports = {
+    name: '补卡系统',
+};
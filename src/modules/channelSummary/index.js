@@ -0,0 +1,8 @@
+// src\modules\channelSummary\index.js
+module.exports = {
+    name: '频道总结',
+    locales: require('./locales'),
+    commands: [
+        require('./commands/summarizeChannel'),
+    ],
+};
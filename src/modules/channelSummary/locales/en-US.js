@@ -0,0 +1,16 @@
+// src\modules\channelSummary\locales\en-US.js
+module.exports = {
+    name: 'Channel Summary',
+
+    commands: {
+        '总结频道内容': {
+            name: 'summarize-channel',
+            description: 'Summarize the channel messages in a time range',
+            options: {
+                '开始时间': { name: 'start', description: 'Start time (format: YYYY-MM-DD HH:mm or YYYY-MM-DD)' },
+                '结束时间': { name: 'end', description: 'End time (format: YYYY-MM-DD HH:mm or YYYY-MM-DD)' },
+                '模型': { name: 'model', description: 'AI model used for the summary (leave empty for the default model)' },
+            },
+        },
+    },
+};
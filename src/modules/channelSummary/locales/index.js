@@ -0,0 +1,7 @@
+// src\modules\channelSummary\locales\index.js
+const { defineMessages } = require('../../../core/utils/i18n');
+
+module.exports = defineMessages('channelSummary', {
+    'zh-CN': require('./zh-CN'),
+    'en-US': require('./en-US'),
+});
@@ -9,11 +9,11 @@ const data = new SlashCommandBuilder()
 async function execute(interaction) {
     try {
         // 检查用户权限
-        const hasPermission = checkAdminPermission(interaction.member);
+        const hasPermission = checkAdminPermission(interaction.member, interaction.commandName);
         
         if (!hasPermission) {
             return interaction.reply({
-                content: getPermissionDeniedMessage(),
+                content: getPermissionDeniedMessage(interaction),
                 flags: MessageFlags.Ephemeral
             });
         }
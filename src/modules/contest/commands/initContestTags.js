@@ -23,11 +23,11 @@ async function execute(interaction) {
         }
 
         // 检查用户权限
-        const hasPermission = checkAdminPermission(interaction.member);
+        const hasPermission = checkAdminPermission(interaction.member, interaction.commandName);
         
         if (!hasPermission) {
             return interaction.reply({
-                content: getPermissionDeniedMessage(),
+                content: getPermissionDeniedMessage(interaction),
                 flags: MessageFlags.Ephemeral
             });
         }
@@ -35,10 +35,10 @@ async function execute(interaction) {
         await interaction.deferReply({ flags: MessageFlags.Ephemeral });
         
         // 检查管理员权限
-        const hasPermission = checkAdminPermission(interaction.member);
+        const hasPermission = checkAdminPermission(interaction.member, interaction.commandName);
         if (!hasPermission) {
             return interaction.editReply({
-                content: getPermissionDeniedMessage()
+                content: getPermissionDeniedMessage(interaction)
             });
         }
         
@@ -134,7 +134,7 @@ async function execute(interaction) {
         };
 
         // 判断用户类型用于显示
-        const isAdmin = checkAdminPermission(interaction.member);
+        const isAdmin = checkAdminPermission(interaction.member, interaction.commandName);
         const userType = isAdmin ? '管理员' : '主办人';
 
         let resultText = '✅ **赛事频道消息生成完成！**\n\n';
@@ -0,0 +1,105 @@
+// src/modules/contest/index.js
+const { createSubmissionModal } = require('./components/submissionModal');
+const {
+    openContestApplicationForm,
+    processContestApplication,
+    processEditApplication,
+    processEditApplicationSubmission
+} = require('./services/applicationService');
+const {
+    processConfirmChannelButton,
+    processExternalServerSelect,
+    processProceedChannelCreation,
+    processCancelChannelCreation,
+    processChannelConfirmation
+} = require('./services/channelCreationService');
+const { processContestSubmission } = require('./services/submissionService');
+const { processCancelApplication } = require('./services/reviewService');
+const { displayService } = require('./services/displayService');
+const {
+    showRejectionModal,
+    closeSubmissionManagement,
+    processDeleteConfirmation,
+    processRejectionModal
+} = require('./services/submissionManagementService');
+
+// customId 中 prefix 之后的部分为赛事频道ID
+function withChannelId(prefix, handle) {
+    return interaction => handle(interaction, interaction.customId.replace(prefix, ''));
+}
+
+module.exports = {
+    name: '赛事系统',
+    locales: require('./locales'),
+    commands: [
+        require('./commands/setupContestApplication'),
+        require('./commands/setContestReviewers'),
+        require('./commands/reviewContestApplication'),
+        require('./commands/updateContestInfo'),
+        require('./commands/updateContestTitle'),
+        require('./commands/initContestTags'),
+        require('./commands/manageAllowedForums'),
+        require('./commands/manageExternalServers'),
+        require('./commands/cacheStats'),
+        require('./commands/regenerateContestMessages'),
+    ],
+    buttons: [
+        { customId: 'contest_application', handler: openContestApplicationForm },
+        { prefix: 'contest_edit_', handler: processEditApplication },
+        { prefix: 'contest_confirm_', handler: processConfirmChannelButton },
+        { prefix: 'proceed_channel_creation_', handler: processProceedChannelCreation },
+        { prefix: 'cancel_channel_creation_', handler: processCancelChannelCreation },
+        { prefix: 'contest_cancel_', handler: processCancelApplication },
+        { prefix: 'contest_submit_', handler: withChannelId('contest_submit_', (interaction, contestChannelId) => interaction.showModal(createSubmissionModal(contestChannelId))) },
+        { prefix: 'manage_close_', handler: closeSubmissionManagement },
+        { prefix: ['confirm_delete_', 'quick_delete_'], handler: processDeleteConfirmation },
+        { prefix: 'show_rejection_modal_', handler: showRejectionModal },
+
+        // 作品展示（c_ 开头为新的短ID格式，contest_ 开头为旧格式）
+        { prefix: ['c_all_', 'contest_view_all_'], handler: interaction => displayService.handleViewAllSubmissions(interaction) },
+        { prefix: ['c_ipp5_', 'c_ipp10_', 'c_ipp20_', 'contest_items_per_page_'], handler: interaction => displayService.handleItemsPerPageChange(interaction) },
+        {
+            prefix: [
+                'c_ff_', 'c_fp_', 'c_fn_', 'c_fl_', 'c_fref_',
+                'contest_full_first_', 'contest_full_prev_', 'contest_full_next_', 'contest_full_last_', 'contest_full_refresh_'
+            ],
+            handler: interaction => displayService.handleFullPageNavigation(interaction)
+        },
+        { prefix: ['c_fpj_', 'contest_full_page_jump_'], handler: interaction => displayService.handlePageJumpButton(interaction) },
+        { prefix: ['c_ref_', 'contest_prev_', 'contest_next_', 'contest_refresh_'], handler: interaction => displayService.handlePageNavigation(interaction) },
+
+        // 管理操作
+        { prefix: ['manage_quick_delete_', 'manage_delete_with_reason_', 'manage_delete_page_'], handler: interaction => displayService.handleManagementAction(interaction) },
+
+        // 获奖管理与完赛
+        { prefix: 'award_set_', handler: withChannelId('award_set_', (interaction, id) => displayService.handleSetAward(interaction, id)) },
+        { prefix: 'award_remove_', handler: withChannelId('award_remove_', (interaction, id) => displayService.handleRemoveAward(interaction, id)) },
+        { prefix: 'contest_finish_', handler: withChannelId('contest_finish_', (interaction, id) => displayService.handleFinishContest(interaction, id)) },
+        { prefix: 'c_td_', handler: withChannelId('c_td_', (interaction, id) => displayService.handleDumpFullSubmissionsList(interaction, id)) },
+        { prefix: 'c_cp_', handler: withChannelId('c_cp_', (interaction, id) => displayService.handleCopyContent(interaction, id)) },
+        {
+            prefix: 'finish_contest_close_',
+            handler: interaction => interaction.update({
+                content: '✅ 已关闭获奖清单预览。\n\n您可以继续管理比赛，或稍后重新查看完赛选项。',
+                embeds: [],
+                components: []
+            })
+        },
+        { prefix: 'finish_contest_confirm_', handler: withChannelId('finish_contest_confirm_', (interaction, id) => displayService.handleFinishContestConfirm(interaction, id)) },
+        { prefix: 'final_confirm_proceed_', handler: withChannelId('final_confirm_proceed_', (interaction, id) => displayService.handleFinalConfirmProceed(interaction, id)) },
+        { prefix: 'final_confirm_cancel_', handler: withChannelId('final_confirm_cancel_', (interaction, id) => displayService.handleFinalConfirmCancel(interaction, id)) },
+    ],
+    modals: [
+        { customId: 'contest_application', handler: processContestApplication },
+        { customId: 'contest_edit_application', handler: processEditApplicationSubmission },
+        { prefix: 'contest_confirm_channel_', handler: processChannelConfirmation },
+        { prefix: 'contest_submission_', handler: processContestSubmission },
+        { prefix: 'rejection_reason_', handler: processRejectionModal },
+        { prefix: 'contest_page_jump_', handler: interaction => displayService.handlePageJumpSubmission(interaction) },
+        { prefix: 'award_modal_', handler: interaction => displayService.handleAwardModalSubmission(interaction) },
+    ],
+    selectMenus: [
+        { prefix: 'external_server_select_', handler: processExternalServerSelect },
+        { prefix: 'manage_select_submission_', handler: interaction => displayService.handleSubmissionSelect(interaction) },
+    ],
+};
@@ -0,0 +1,100 @@
+// src\modules\contest\locales\en-US.js
+const reviewerRole = {
+    '身份组': { name: 'role', description: 'Reviewer role' },
+};
+
+module.exports = {
+    name: 'Contests',
+
+    commands: {
+        '设置赛事申请入口': {
+            name: 'setup-contest-application',
+            description: 'Configure the contest application system',
+            options: {
+                '审批论坛': { name: 'review-forum', description: 'Forum where contest applications are reviewed' },
+                '赛事分类': { name: 'category', description: 'Category where contest channels are created' },
+                '许可论坛': { name: 'allowed-forums', description: 'IDs of forums allowed for submissions, comma separated (e.g. 123456789,987654321)' },
+                '每页作品数': { name: 'items-per-page', description: 'Submissions shown per page (5-8, default 6)' },
+            },
+        },
+        '设置赛事审核员': {
+            name: 'contest-reviewers',
+            description: 'Manage contest application reviewer roles',
+            options: {
+                '添加': { name: 'add', description: 'Add a reviewer role', options: reviewerRole },
+                '移除': { name: 'remove', description: 'Remove a reviewer role', options: reviewerRole },
+                '列表': { name: 'list', description: 'View the current reviewer roles' },
+                '清除': { name: 'clear', description: 'Clear all reviewer roles (only administrators can review)' },
+            },
+        },
+        '审核赛事申请': {
+            name: 'review-contest',
+            description: 'Review a contest application',
+            options: {
+                '申请id': { name: 'application-id', description: 'ID of the application to review' },
+                '审核结果': {
+                    name: 'result',
+                    description: 'Review result',
+                    choices: { approved: '✅ Approve', modification_required: '⚠️ Changes required', rejected: '❌ Reject' },
+                },
+                '审核意见': { name: 'comment', description: 'Review comments or requested changes (optional)' },
+            },
+        },
+        '更新赛事信息': {
+            name: 'update-contest-info',
+            description: 'Update the details of a contest channel',
+            options: {
+                '新内容': { name: 'content', description: 'New contest information' },
+            },
+        },
+        '更新赛事标题': {
+            name: 'update-contest-title',
+            description: 'Update the title and name of a contest channel',
+            options: {
+                '新标题': { name: 'title', description: 'New contest title' },
+            },
+        },
+        '初始化赛事标签': {
+            name: 'init-contest-tags',
+            description: 'Create or update the status tags of the contest review forum',
+            options: {
+                '论坛频道': { name: 'forum', description: 'Forum to set up tags in (optional, defaults to the configured review forum)' },
+            },
+        },
+        '管理许可论坛': {
+            name: 'allowed-forums',
+            description: 'Manage the forums allowed for submissions',
+            options: {
+                '查看': { name: 'view', description: 'View the current allowed forums' },
+                '添加': { name: 'add', description: 'Add a forum to the allowed list', options: { '论坛': { name: 'forum', description: 'Forum to add' } } },
+                '移除': { name: 'remove', description: 'Remove a forum from the allowed list', options: { '论坛': { name: 'forum', description: 'Forum to remove' } } },
+                '清空': { name: 'clear', description: 'Clear all allowed forums (submissions from any forum are allowed)' },
+            },
+        },
+        '管理外部服务器': {
+            name: 'external-servers',
+            description: 'Manage the external servers allowed to submit',
+            options: {
+                '查看': { name: 'view', description: 'View the current external servers' },
+                '添加': { name: 'add', description: 'Add an external server to the allowed list', options: { '服务器id': { name: 'server-id', description: 'ID of the server to add' } } },
+                '移除': { name: 'remove', description: 'Remove an external server from the allowed list', options: { '服务器id': { name: 'server-id', description: 'ID of the server to remove' } } },
+                '清空': { name: 'clear', description: 'Clear all external servers (only this server may submit)' },
+            },
+        },
+        'cachestats': {
+            description: 'View contest cache statistics (administrators only)',
+        },
+        '生成赛事频道初始信息': {
+            name: 'regenerate-contest-messages',
+            description: 'Regenerate the initial messages of a contest channel (to restore deleted messages)',
+            options: {
+                '赛事频道id': { name: 'channel-id', description: 'ID of the contest channel' },
+                '消息类型': {
+                    name: 'type',
+                    description: 'Messages to regenerate',
+                    choices: { all: 'All', info: 'Contest details', submission: 'Submission entry', display: 'Latest submissions' },
+                },
+            },
+        },
+    },
+};
@@ -4,9 +4,42 @@ const {
     getNextApplicationId, 
     saveContestApplication,
     updateContestApplication,
-    getContestApplication 
+    getContestApplication,
+    getContestSettings
 } = require('../utils/contestDatabase');
 const { ensureContestStatusTags, updateThreadStatusTag } = require('../utils/forumTagManager');
+const { checkContestApplicationPermission, getApplicationPermissionDeniedMessage } = require('../utils/contestPermissions');
+const { createContestApplicationModal } = require('../components/applicationModal');
+
+/**
+ * 处理赛事申请按钮：检查申请权限后打开申请表单
+ */
+async function openContestApplicationForm(interaction) {
+    const contestSettings = await getContestSettings(interaction.guild.id);
+    const hasPermission = checkContestApplicationPermission(interaction.member, contestSettings);
+    
+    if (!hasPermission) {
+        let allowedRoleNames = [];
+        if (contestSettings && contestSettings.applicationPermissionRoles) {
+            for (const roleId of contestSettings.applicationPermissionRoles) {
+                try {
+                    const role = await interaction.guild.roles.fetch(roleId);
+                    if (role) allowedRoleNames.push(role.name);
+                } catch (error) {
+                    // 忽略错误
+                }
+            }
+        }
+        
+        return interaction.reply({
+            content: getApplicationPermissionDeniedMessage(allowedRoleNames),
+            flags: MessageFlags.Ephemeral
+        });
+    }
+    
+    const modal = createContestApplicationModal();
+    await interaction.showModal(modal);
+}
 
 async function processContestApplication(interaction) {
     try {
@@ -403,6 +436,7 @@ async function findApplicationIdFromThread(threadId) {
 }
 
 module.exports = {
+    openContestApplicationForm,
     processContestApplication,
     processEditApplication,
     processEditApplicationSubmission,
@@ -1,5 +1,5 @@
 // src/modules/contest/services/channelCreationService.js
-const { ChannelType, PermissionFlagsBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { ChannelType, PermissionFlagsBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
 const { 
     getContestApplication,
     updateContestApplication,
@@ -8,6 +8,106 @@ const {
 } = require('../utils/contestDatabase');
 const { sendChannelCreatedNotification } = require('./notificationService');
 const { ensureContestStatusTags, updateThreadStatusTag } = require('../utils/forumTagManager');
+const { createConfirmChannelSelection } = require('../components/confirmChannelSelection');
+const { createConfirmChannelModal } = require('../components/confirmChannelModal');
+
+/**
+ * 获取申请记录并校验操作者是申请人，不满足时直接回复错误并返回 null
+ */
+async function getApplicationForApplicant(interaction, applicationId) {
+    const applicationData = await getContestApplication(applicationId);
+    
+    if (!applicationData) {
+        await interaction.reply({
+            content: '❌ 找不到对应的申请记录。',
+            flags: MessageFlags.Ephemeral
+        });
+        return null;
+    }
+    
+    // 检查权限：只有申请人可以确认建立频道
+    if (applicationData.applicantId !== interaction.user.id) {
+        await interaction.reply({
+            content: '❌ 只有申请人才能确认建立频道。',
+            flags: MessageFlags.Ephemeral
+        });
+        return null;
+    }
+    
+    return applicationData;
+}
+
+/**
+ * 确认建立频道按钮 - 显示外部服务器投稿选择界面
+ */
+async function processConfirmChannelButton(interaction) {
+    const applicationId = interaction.customId.replace('contest_confirm_', '');
+    const applicationData = await getApplicationForApplicant(interaction, applicationId);
+    if (!applicationData) return;
+    
+    // 获取外部服务器列表
+    const contestSettings = await getContestSettings(interaction.guild.id);
+    const allowedExternalServers = contestSettings?.allowedExternalServers || [];
+    
+    const { embed, components } = createConfirmChannelSelection(applicationData, allowedExternalServers);
+    
+    await interaction.reply({
+        embeds: [embed],
+        components: components,
+        ephemeral: true
+    });
+}
+
+/**
+ * 外部服务器投稿选择菜单 - 记录选择并启用继续按钮
+ */
+async function processExternalServerSelect(interaction) {
+    const applicationId = interaction.customId.replace('external_server_select_', '');
+    const allowExternalServers = interaction.values[0] === 'yes';
+    
+    // 更新按钮状态
+    const updatedComponents = [...interaction.message.components];
+    const buttonRow = updatedComponents[1];
+    buttonRow.components[0].data.disabled = false; // 启用继续按钮
+    
+    // 存储选择到按钮的customId中（临时方案）
+    buttonRow.components[0].data.custom_id = `proceed_channel_creation_${applicationId}_${allowExternalServers}`;
+    
+    const selectionText = allowExternalServers ? '是 - 允许外部服务器投稿' : '否 - 仅允许本服务器投稿';
+    
+    await interaction.update({
+        embeds: [{
+            ...interaction.message.embeds[0].data,
+            description: `**赛事名称：** ${interaction.message.embeds[0].data.description.split('\n')[0].replace('**赛事名称：** ', '')}\n\n✅ **外部服务器投稿：** ${selectionText}\n\n请点击下方按钮继续设置频道详情。`        }],
+        components: updatedComponents
+    });
+}
+
+/**
+ * 继续设置频道详情按钮 - 打开频道设置表单
+ */
+async function processProceedChannelCreation(interaction) {
+    const customIdParts = interaction.customId.replace('proceed_channel_creation_', '').split('_');
+    const applicationId = customIdParts[0];
+    const allowExternalServers = customIdParts[1] === 'true';
+    
+    const applicationData = await getApplicationForApplicant(interaction, applicationId);
+    if (!applicationData) return;
+    
+    const modal = createConfirmChannelModal(applicationData, allowExternalServers);
+    await interaction.showModal(modal);
+}
+
+/**
+ * 取消建立频道按钮
+ */
+async function processCancelChannelCreation(interaction) {
+    await interaction.update({
+        content: '❌ 已取消建立频道。',
+        embeds: [],
+        components: []
+    });
+}
 
 async function processChannelConfirmation(interaction) {
     try {
@@ -313,6 +413,10 @@ ${applicationData.reviewData.reason ? `💬 **审核意见：** ${applicationDat
 }
 
 module.exports = {
+    processConfirmChannelButton,
+    processExternalServerSelect,
+    processProceedChannelCreation,
+    processCancelChannelCreation,
     processChannelConfirmation,
     createContestChannel
 };
\ No newline at end of file
@@ -5,6 +5,31 @@ const {
     deleteContestSubmission,
     getContestSubmissionByGlobalId
 } = require('../utils/contestDatabase');
+const { createRejectionModal } = require('../components/rejectionModal');
+const { logAuditEvent } = require('../../../core/utils/auditLogger');
+
+/**
+ * 显示拒稿说明模态窗口
+ */
+async function showRejectionModal(interaction) {
+    const parts = interaction.customId.split('_');
+    const submissionId = parts[3];
+    const contestChannelId = parts[4];
+    
+    const modal = createRejectionModal(submissionId, contestChannelId);
+    await interaction.showModal(modal);
+}
+
+/**
+ * 关闭稿件管理界面
+ */
+async function closeSubmissionManagement(interaction) {
+    await interaction.update({
+        content: '✅ 稿件管理界面已关闭。',
+        embeds: [],
+        components: []
+    });
+}
 
 /**
  * 处理删除确认
@@ -167,6 +192,16 @@ async function deleteSubmissionWithReason(interaction, globalId, contestChannelI
         
         console.log(`投稿已拒稿退回 - 比赛内ID: ${submission.contestSubmissionId}, 全局ID: ${globalId}, 主办人: ${interaction.user.tag}, 理由: ${reason}`);
         
+        await logAuditEvent(interaction.client, {
+            guildId: interaction.guild.id,
+            module: 'contest',
+            action: '拒稿退回投稿',
+            actorId: interaction.user.id,
+            targetId: submission.submitterId,
+            summary: `退回了 <#${contestChannelId}> 中的投稿 #${submission.contestSubmissionId}`,
+            details: { '全局ID': globalId, '理由': reason }
+        });
+        
     } catch (error) {
         console.error('拒稿退回投稿时出错:', error);
         
@@ -181,6 +216,8 @@ async function deleteSubmissionWithReason(interaction, globalId, contestChannelI
 }
 
 module.exports = {
+    showRejectionModal,
+    closeSubmissionManagement,
     processDeleteConfirmation,
     processRejectionModal,
     deleteSubmissionWithReason
@@ -1,12 +1,7 @@
 // src/modules/contest/utils/contestDatabase.js
 const fs = require('fs');
 const path = require('path');
-
-// 确保数据目录存在
-const DATA_DIR = path.join(__dirname, '../../../../data');
-if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const { DATA_DIR } = require('../../../core/utils/database');
 
 const CONTEST_SETTINGS_FILE = path.join(DATA_DIR, 'contestSettings.json');
 const CONTEST_APPLICATIONS_FILE = path.join(DATA_DIR, 'contestApplications.json');
@@ -0,0 +1,55 @@
+// src\modules\court\commands\courtHistory.js
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { getCourtCaseHistory, buildCourtHistoryPage } = require('../services/courtHistoryService');
+
+const data = new SlashCommandBuilder()
+    .setName('法庭记录')
+    .setDescription('查看某个成员的历史法庭案件（申请、投票及判决结果）')
+    .addUserOption(option =>
+        option.setName('成员')
+            .setDescription('要查询的成员')
+            .setRequired(true));
+
+async function execute(interaction) {
+    try {
+        // 检查是否在服务器中使用
+        if (!interaction.guild) {
+            return interaction.reply({
+                content: '❌ 此指令只能在服务器中使用，不能在私信中使用。',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const targetUser = interaction.options.getUser('成员');
+        const cases = await getCourtCaseHistory(interaction.guild.id, targetUser.id);
+
+        console.log(`${interaction.user.tag} 查询了 ${targetUser.tag} 的法庭记录，共 ${cases.length} 个案件`);
+
+        await interaction.editReply(buildCourtHistoryPage(targetUser, cases, 0));
+
+    } catch (error) {
+        console.error('查询法庭记录时出错:', error);
+
+        try {
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: `❌ 查询法庭记录时出错：${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            } else {
+                await interaction.editReply({
+                    content: `❌ 查询法庭记录时出错：${error.message}`
+                });
+            }
+        } catch (replyError) {
+            console.error('回复错误信息失败:', replyError);
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute,
+};
@@ -23,7 +23,11 @@ const data = new SlashCommandBuilder()
             .setDescription('创建辩诉帖所需的支持数量（默认20）')
             .setRequired(false)
             .setMinValue(1)
-            .setMaxValue(100));
+            .setMaxValue(100))
+    .addRoleOption(option => 
+        option.setName('警告身份组')
+            .setDescription('判决包含“被警告”时授予的限时身份组（可选）')
+            .setRequired(false));
 
 async function execute(interaction) {
     try {
@@ -36,11 +40,11 @@ async function execute(interaction) {
         }
 
         // 检查用户权限
-        const hasPermission = checkAdminPermission(interaction.member);
+        const hasPermission = checkAdminPermission(interaction.member, interaction.commandName);
         
         if (!hasPermission) {
             return interaction.reply({
-                content: getPermissionDeniedMessage(),
+                content: getPermissionDeniedMessage(interaction),
                 flags: MessageFlags.Ephemeral
             });
         }
@@ -52,6 +56,7 @@ async function execute(interaction) {
         const applicationChannel = interaction.options.getChannel('申请频道');
         const forumChannel = interaction.options.getChannel('论坛频道');
         const requiredSupports = interaction.options.getInteger('所需支持数') || 20;
+        const warningRole = interaction.options.getRole('警告身份组');
         
         // 验证频道类型
         if (applicationChannel.type !== 0) { // 0 = GUILD_TEXT
@@ -91,15 +96,19 @@ async function execute(interaction) {
         console.log('Application Channel:', applicationChannel.name, applicationChannel.id);
         console.log('Forum Channel:', forumChannel.name, forumChannel.id);
         console.log('Required Supports:', requiredSupports);
+        console.log('Warning Role:', warningRole ? `${warningRole.name} ${warningRole.id}` : '未设置');
         console.log('操作者:', interaction.user.tag, interaction.user.id);
         
-        // 存储设置到数据库
+        // 存储设置到数据库（保留已设置的投票规则）
+        const existingSettings = await getCourtSettings(interaction.guild.id);
         const courtSettings = {
+            ...(existingSettings?.voteRules ? { voteRules: existingSettings.voteRules } : {}),
             guildId: interaction.guild.id,
             courtRoleId: courtRole.id,
             applicationChannelId: applicationChannel.id,
             forumChannelId: forumChannel.id,
             requiredSupports: requiredSupports,
+            warningRoleId: warningRole ? warningRole.id : null,
             setupBy: interaction.user.id,
             timestamp: new Date().toISOString()
         };
@@ -107,7 +116,7 @@ async function execute(interaction) {
         await saveCourtSettings(interaction.guild.id, courtSettings);
         
         await interaction.editReply({ 
-            content: `✅ **法庭身份组设置完成！**\n\n**配置信息：**\n• **法庭身份组：** ${courtRole}\n• **申请频道：** ${applicationChannel}\n• **论坛频道：** ${forumChannel}\n• **所需支持数：** ${requiredSupports}\n\n拥有 ${courtRole} 身份组的成员现在可以使用 \`/申请上庭\` 指令发起处罚申请。`
+            content: `✅ **法庭身份组设置完成！**\n\n**配置信息：**\n• **法庭身份组：** ${courtRole}\n• **申请频道：** ${applicationChannel}\n• **论坛频道：** ${forumChannel}\n• **所需支持数：** ${requiredSupports}\n• **警告身份组：** ${warningRole || '未设置'}\n\n拥有 ${courtRole} 身份组的成员现在可以使用 \`/申请上庭\` 指令发起处罚申请。`
         });
         
         console.log(`法庭身份组设置完成 - 身份组: ${courtRole.name}, 操作者: ${interaction.user.tag}`);
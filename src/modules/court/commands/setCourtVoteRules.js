@@ -0,0 +1,170 @@
+// src\modules\court\commands\setCourtVoteRules.js
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { saveCourtSettings, getCourtSettings } = require('../../../core/utils/database');
+const { checkAdminPermission, getPermissionDeniedMessage } = require('../../../core/utils/permissionManager');
+const { getCourtVoteRules, formatHours } = require('../utils/courtVoteRules');
+
+const data = new SlashCommandBuilder()
+    .setName('setcourtvoterules')
+    .setDescription('设置本服务器的辩诉投票规则（不填写任何选项则查看当前规则）')
+    .addIntegerOption(option =>
+        option.setName('最低投票人数')
+            .setDescription('投票有效所需的最少投票人数（默认20）')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(1000))
+    .addNumberOption(option =>
+        option.setName('禁言通过率')
+            .setDescription('禁言判决生效所需的支持率，单位%（默认50）')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(100))
+    .addNumberOption(option =>
+        option.setName('封禁通过率')
+            .setDescription('封禁判决生效所需的支持率，单位%（默认50）')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(100))
+    .addNumberOption(option =>
+        option.setName('投票时长')
+            .setDescription('辩诉投票持续时间，单位小时，可填小数（默认24）')
+            .setRequired(false)
+            .setMinValue(0.1)
+            .setMaxValue(336))
+    .addNumberOption(option =>
+        option.setName('公开延迟')
+            .setDescription('投票开始后多久公开票数，单位小时，可填小数（默认12）')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(336))
+    .addNumberOption(option =>
+        option.setName('答辩时长')
+            .setDescription('投票开放前留给被处罚者答辩的时间，单位小时，0为不设答辩阶段（默认12）')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(168))
+    .addNumberOption(option =>
+        option.setName('上诉期限')
+            .setDescription('判决生效后允许被处罚者上诉的时间，单位小时（默认72）')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(720))
+    .addNumberOption(option =>
+        option.setName('上诉门槛提高')
+            .setDescription('上诉重审维持原判所需支持率在原判基础上提高的百分点（默认10）')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(100))
+    .addBooleanOption(option =>
+        option.setName('重置')
+            .setDescription('恢复为默认规则')
+            .setRequired(false));
+
+function formatRules(rules) {
+    return `• **最低投票人数：** ${rules.minTurnout}\n` +
+           `• **禁言通过率：** ${rules.timeoutPassPercentage}%\n` +
+           `• **封禁通过率：** ${rules.banPassPercentage}%\n` +
+           `• **投票时长：** ${formatHours(rules.voteDurationHours)}\n` +
+           `• **公开延迟：** ${formatHours(rules.publicDelayHours)}\n` +
+           `• **答辩时长：** ${rules.defenseHours > 0 ? formatHours(rules.defenseHours) : '不设答辩阶段'}\n` +
+           `• **上诉期限：** ${formatHours(rules.appealWindowHours)}\n` +
+           `• **上诉门槛提高：** ${rules.appealPassIncrease}%`;
+}
+
+async function execute(interaction) {
+    try {
+        // 检查是否在服务器中使用
+        if (!interaction.guild) {
+            return interaction.reply({
+                content: '❌ 此指令只能在服务器中使用，不能在私信中使用。',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        // 检查用户权限
+        if (!checkAdminPermission(interaction.member, interaction.commandName)) {
+            return interaction.reply({
+                content: getPermissionDeniedMessage(interaction),
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const courtSettings = await getCourtSettings(interaction.guild.id);
+        if (!courtSettings) {
+            return interaction.editReply({
+                content: '❌ 辩诉系统尚未设置。请先使用 `/setallowcourtrole` 指令进行设置。'
+            });
+        }
+
+        const updates = {
+            minTurnout: interaction.options.getInteger('最低投票人数'),
+            timeoutPassPercentage: interaction.options.getNumber('禁言通过率'),
+            banPassPercentage: interaction.options.getNumber('封禁通过率'),
+            voteDurationHours: interaction.options.getNumber('投票时长'),
+            publicDelayHours: interaction.options.getNumber('公开延迟'),
+            defenseHours: interaction.options.getNumber('答辩时长'),
+            appealWindowHours: interaction.options.getNumber('上诉期限'),
+            appealPassIncrease: interaction.options.getNumber('上诉门槛提高')
+        };
+        const reset = interaction.options.getBoolean('重置');
+
+        // 只保留本次填写的选项
+        for (const key of Object.keys(updates)) {
+            if (updates[key] === null) delete updates[key];
+        }
+
+        if (!reset && Object.keys(updates).length === 0) {
+            return interaction.editReply({
+                content: `📋 **当前辩诉投票规则：**\n\n${formatRules(getCourtVoteRules(courtSettings))}`
+            });
+        }
+
+        const voteRules = reset ? {} : { ...(courtSettings.voteRules || {}), ...updates };
+        const newRules = getCourtVoteRules({ voteRules });
+
+        if (newRules.publicDelayHours > newRules.voteDurationHours) {
+            return interaction.editReply({
+                content: `❌ 公开延迟（${formatHours(newRules.publicDelayHours)}）不能超过投票时长（${formatHours(newRules.voteDurationHours)}）。`
+            });
+        }
+
+        await saveCourtSettings(interaction.guild.id, {
+            ...courtSettings,
+            voteRules,
+            voteRulesUpdatedBy: interaction.user.id,
+            voteRulesUpdatedAt: new Date().toISOString()
+        });
+
+        console.log(`辩诉投票规则已更新 - 服务器: ${interaction.guild.id}, 操作者: ${interaction.user.tag}`, newRules);
+
+        await interaction.editReply({
+            content: `✅ **辩诉投票规则已${reset ? '重置' : '更新'}！**\n\n${formatRules(newRules)}\n\n新规则对之后创建的辩诉投票生效，进行中的投票保持原有门槛。`
+        });
+
+    } catch (error) {
+        console.error('设置辩诉投票规则时出错:', error);
+        console.error('错误堆栈:', error.stack);
+
+        try {
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: `❌ 设置辩诉投票规则时出错：${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            } else {
+                await interaction.editReply({
+                    content: `❌ 设置辩诉投票规则时出错：${error.message}`
+                });
+            }
+        } catch (replyError) {
+            console.error('回复错误信息失败:', replyError);
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute,
+};
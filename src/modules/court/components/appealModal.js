@@ -0,0 +1,31 @@
+// src\modules\court\components\appealModal.js
+const { 
+    ModalBuilder, 
+    TextInputBuilder, 
+    TextInputStyle, 
+    ActionRowBuilder 
+} = require('discord.js');
+
+function createAppealModal(threadId) {
+    const modal = new ModalBuilder()
+        .setCustomId(`court_appeal_modal_${threadId}`)
+        .setTitle('提交上诉');
+    
+    const reasonInput = new TextInputBuilder()
+        .setCustomId('appeal_reason')
+        .setLabel('上诉理由')
+        .setStyle(TextInputStyle.Paragraph)
+        .setRequired(true)
+        .setMinLength(10)
+        .setMaxLength(2000)
+        .setPlaceholder('请说明您认为判决不当的理由，提交后将创建重审辩诉帖，每个判决只能上诉一次');
+    
+    const row = new ActionRowBuilder().addComponents(reasonInput);
+    modal.addComponents(row);
+    
+    return modal;
+}
+
+module.exports = {
+    createAppealModal
+};
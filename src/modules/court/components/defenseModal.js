@@ -0,0 +1,31 @@
+// src\modules\court\components\defenseModal.js
+const { 
+    ModalBuilder, 
+    TextInputBuilder, 
+    TextInputStyle, 
+    ActionRowBuilder 
+} = require('discord.js');
+
+function createDefenseModal(threadId) {
+    const modal = new ModalBuilder()
+        .setCustomId(`court_defense_modal_${threadId}`)
+        .setTitle('提交答辩');
+    
+    const statementInput = new TextInputBuilder()
+        .setCustomId('defense_statement')
+        .setLabel('答辩内容')
+        .setStyle(TextInputStyle.Paragraph)
+        .setRequired(true)
+        .setMinLength(10)
+        .setMaxLength(2000)
+        .setPlaceholder('请陈述您对本次处罚申请的答辩，提交后将公开发布在辩诉帖中，且只能提交一次');
+    
+    const row = new ActionRowBuilder().addComponents(statementInput);
+    modal.addComponents(row);
+    
+    return modal;
+}
+
+module.exports = {
+    createDefenseModal
+};
@@ -0,0 +1,40 @@
+// src\modules\court\index.js
+const { processCourtSupport } = require('./services/courtVoteTracker');
+const { processCourtVote } = require('./services/courtVotingSystem');
+const { processDefenseButton, processDefenseSubmission } = require('./services/courtDefenseService');
+const { processAppealButton, processAppealSubmission } = require('./services/courtAppealService');
+const { processCourtHistoryPage } = require('./services/courtHistoryService');
+const { startCourtChecker, handleDefenseEndJob, handleVotePublicJob, handleVoteEndJob } = require('./services/courtChecker');
+const { handleCourtApplicationDeadlineJob } = require('./services/courtApplicationChecker');
+const { COURT_JOB_TYPES } = require('./services/courtJobs');
+
+module.exports = {
+    name: '法庭系统',
+    locales: require('./locales'),
+    commands: [
+        require('./commands/setAllowCourtRole'),
+        require('./commands/applyToCourt'),
+        require('./commands/setCourtVoteRules'),
+        require('./commands/courtHistory'),
+    ],
+    buttons: [
+        { prefix: 'court_support_', handler: processCourtSupport },
+        { prefix: ['court_vote_support_', 'court_vote_oppose_'], handler: processCourtVote },
+        { prefix: 'court_defense_', handler: processDefenseButton },
+        { prefix: 'court_appeal_', handler: processAppealButton },
+        { prefix: 'court_history_page_', handler: processCourtHistoryPage },
+    ],
+    modals: [
+        { prefix: 'court_defense_modal_', handler: processDefenseSubmission },
+        { prefix: 'court_appeal_modal_', handler: processAppealSubmission },
+    ],
+    schedulers: [
+        { name: '法庭系统检查器', start: startCourtChecker },
+    ],
+    jobs: [
+        { type: COURT_JOB_TYPES.APPLICATION_DEADLINE, name: '法庭申请截止', handler: handleCourtApplicationDeadlineJob },
+        { type: COURT_JOB_TYPES.DEFENSE_END, name: '答辩期结束', handler: handleDefenseEndJob },
+        { type: COURT_JOB_TYPES.VOTE_PUBLIC, name: '公开辩诉票数', handler: handleVotePublicJob },
+        { type: COURT_JOB_TYPES.VOTE_END, name: '辩诉投票结算', handler: handleVoteEndJob },
+    ],
+};
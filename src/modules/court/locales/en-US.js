@@ -0,0 +1,102 @@
+// src\modules\court\locales\en-US.js
+module.exports = {
+    name: 'Court',
+
+    duration: {
+        minutes: '{count} minutes',
+        hours: '{count} hours',
+    },
+
+    punishment: {
+        timeout: 'a {days}-day timeout',
+        warning: ' + a {days}-day warning',
+        ban: 'a ban',
+    },
+
+    vote: {
+        title: 'Court Vote',
+        appealTitle: 'Court Vote (Appeal Retrial)',
+        resultTitle: 'Court Vote - Result',
+        appealResultTitle: 'Court Vote (Appeal Retrial) - Result',
+        defensePhase: '**⏳ Defense phase:** the accused may submit a defense before <t:{timestamp}:f>; voting opens once the defense is submitted or the time runs out',
+        deadline: '**Voting ends:** <t:{timestamp}:f>',
+        subject: '**Case:**\nApply {punishment} to {target}',
+        results: '**Votes**',
+        hiddenResults: '**Votes** *(revealed after {delay})*',
+        finalResults: '**Final votes**',
+        supportCount: 'For the punishment: **{votes}** votes (**{percentage}%**)',
+        opposeCount: 'Against the punishment: **{votes}** votes (**{percentage}%**)',
+        supportHidden: 'For the punishment: 🔒 votes (🔒%)',
+        opposeHidden: 'Against the punishment: 🔒 votes (🔒%)',
+        totalVoters: 'Total voters: **{count}**',
+        totalHidden: 'Total voters: 🔒',
+        rule: '**Outcome:**\nThe punishment is applied if at least {minTurnout} members vote and support is >= {passPercentage}%',
+        footer: 'Court case ID {courtId} | Anonymous vote',
+        endedFooter: 'Court case ID {courtId} | Voting closed',
+        support: 'Support punishment',
+        oppose: 'Oppose punishment',
+        invalid: '**Vote invalid** - not enough voters ({totalVotes}/{minTurnout})',
+        approved: '**Punishment approved** - {percentage}% support ({passPercentage}% required)',
+        rejected: '**Punishment rejected** - {percentage}% support ({passPercentage}% required)',
+        opened: '🗳️ The defense phase is over and voting is now open until <t:{timestamp}:f>.',
+    },
+
+    voteReply: {
+        invalidButton: 'Invalid vote button.',
+        notFound: 'This vote could not be found.',
+        defensePhase: 'The accused\'s defense phase has not ended yet; voting is not open.',
+        closed: 'This vote has ended or been disabled.',
+        expired: 'Voting has ended.',
+        supportRevoked: 'You withdrew your vote in support.',
+        supportRecorded: 'Your vote in support has been recorded!',
+        opposeRevoked: 'You withdrew your vote against.',
+        opposeRecorded: 'Your vote against has been recorded!',
+        error: 'An error occurred while processing your vote.',
+    },
+
+    commands: {
+        'setallowcourtrole': {
+            description: 'Set the role that may file court applications',
+            options: {
+                '身份组': { name: 'role', description: 'Role that may file court applications' },
+                '申请频道': { name: 'application-channel', description: 'Channel court applications are posted to' },
+                '论坛频道': { name: 'forum', description: 'Forum where case threads are created' },
+                '所需支持数': { name: 'required-support', description: 'Support needed to open a case thread (default 20)' },
+                '警告身份组': { name: 'warning-role', description: 'Temporary role granted when the verdict includes a warning (optional)' },
+            },
+        },
+        '申请上庭': {
+            name: 'file-court-case',
+            description: 'Apply to have a member punished',
+            options: {
+                '处罚对象': { name: 'member', description: 'Member to punish' },
+                '处罚类型': { name: 'punishment', description: 'Punishment type', choices: { timeout: 'Timeout', ban: 'Ban' } },
+                '处罚理由': { name: 'reason', description: 'Reason for the punishment' },
+                '禁言时长': { name: 'timeout-days', description: 'Timeout length (days)' },
+                '被警告时长': { name: 'warning-days', description: 'Warning length (days)' },
+                '附加图片': { name: 'image', description: 'Evidence image (optional)' },
+            },
+        },
+        'setcourtvoterules': {
+            description: 'Set this server\'s court vote rules (no options shows the current rules)',
+            options: {
+                '最低投票人数': { name: 'min-turnout', description: 'Minimum number of voters for a valid vote (default 20)' },
+                '禁言通过率': { name: 'timeout-pass-rate', description: 'Support needed for a timeout verdict, in % (default 50)' },
+                '封禁通过率': { name: 'ban-pass-rate', description: 'Support needed for a ban verdict, in % (default 50)' },
+                '投票时长': { name: 'vote-hours', description: 'Vote duration in hours, decimals allowed (default 24)' },
+                '公开延迟': { name: 'public-delay', description: 'Hours after voting starts before counts are shown, decimals allowed (default 12)' },
+                '答辩时长': { name: 'defense-hours', description: 'Hours for the accused to respond before voting opens, 0 for none (default 12)' },
+                '上诉期限': { name: 'appeal-hours', description: 'Hours the punished member may appeal after the verdict (default 72)' },
+                '上诉门槛提高': { name: 'appeal-raise', description: 'Extra percentage points of support needed to uphold a verdict on appeal (default 10)' },
+                '重置': { name: 'reset', description: 'Restore the default rules' },
+            },
+        },
+        '法庭记录': {
+            name: 'court-history',
+            description: 'View a member\'s court cases (applications, votes and verdicts)',
+            options: {
+                '成员': { name: 'member', description: 'Member to look up' },
+            },
+        },
+    },
+};
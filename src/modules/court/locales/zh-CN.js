@@ -0,0 +1,56 @@
+// src\modules\court\locales\zh-CN.js
+module.exports = {
+    name: '法庭系统',
+
+    duration: {
+        minutes: '{count}分钟',
+        hours: '{count}小时',
+    },
+
+    punishment: {
+        timeout: '禁言 {days} 天',
+        warning: ' + 被警告 {days} 天',
+        ban: '封禁',
+    },
+
+    vote: {
+        title: '议会辩诉投票',
+        appealTitle: '议会辩诉投票（上诉重审）',
+        resultTitle: '议会辩诉投票 - 结果',
+        appealResultTitle: '议会辩诉投票（上诉重审） - 结果',
+        defensePhase: '**⏳ 答辩阶段:** 被处罚者可在 <t:{timestamp}:f> 前提交答辩，提交答辩或答辩时间结束后开放投票',
+        deadline: '**投票截止时间:** <t:{timestamp}:f>',
+        subject: '**辩诉主题:**\n对 {target} 执行 {punishment}',
+        results: '**投票结果**',
+        hiddenResults: '**投票结果** *({delay}后公开)*',
+        finalResults: '**最终投票结果**',
+        supportCount: '支持处罚: **{votes}** 票 (**{percentage}%**)',
+        opposeCount: '反对处罚: **{votes}** 票 (**{percentage}%**)',
+        supportHidden: '支持处罚: 🔒 票 (🔒%)',
+        opposeHidden: '反对处罚: 🔒 票 (🔒%)',
+        totalVoters: '总投票人数: **{count}**',
+        totalHidden: '总投票人数: 🔒',
+        rule: '**投票结果:**\n至少 {minTurnout} 人投票且支持率 >= {passPercentage}% 时，执行惩罚',
+        footer: '法庭申请ID {courtId} | 匿名投票',
+        endedFooter: '法庭申请ID {courtId} | 投票已结束',
+        support: '支持处罚',
+        oppose: '反对处罚',
+        invalid: '**投票无效** - 总投票人数不足 ({totalVotes}/{minTurnout})',
+        approved: '**处罚生效** - 支持率 {percentage}% (所需 {passPercentage}%)',
+        rejected: '**处罚驳回** - 支持率 {percentage}% (所需 {passPercentage}%)',
+        opened: '🗳️ 答辩阶段已结束，投票现已开放，截止时间 <t:{timestamp}:f>。',
+    },
+
+    voteReply: {
+        invalidButton: '无效的投票按钮。',
+        notFound: '找不到此投票数据。',
+        defensePhase: '被处罚者答辩阶段尚未结束，投票暂未开放。',
+        closed: '此投票已结束或被禁用。',
+        expired: '投票时间已结束。',
+        supportRevoked: '您已撤销支持票！',
+        supportRecorded: '您的支持票已记录！',
+        opposeRevoked: '您已撤销反对票！',
+        opposeRecorded: '您的反对票已记录！',
+        error: '处理您的投票时出现错误。',
+    },
+};
@@ -0,0 +1,214 @@
+// src\modules\court\services\courtAppealService.js
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
+const { getCourtVote, updateCourtVote } = require('../../../core/utils/database');
+const { createAppealModal } = require('../components/appealModal');
+const { createAppealForum } = require('./courtForumPoster');
+const { revokeCourtPunishment } = require('./courtPunishmentExecutor');
+
+/**
+ * 判决生效后私信被处罚者，告知其可以在上诉期限内上诉一次。
+ * 需要在执行封禁之前调用，否则被封禁用户可能收不到私信。
+ * @param {import('discord.js').Client} client - Discord 客户端实例。
+ * @param {object} voteData - 已通过的投票数据（需包含 appealDeadline）。
+ */
+async function sendAppealInvitation(client, voteData) {
+    const deadline = Math.floor(new Date(voteData.appealDeadline).getTime() / 1000);
+
+    const appealButton = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`court_appeal_${voteData.threadId}`)
+                .setLabel('提交上诉')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('⚖️')
+        );
+
+    try {
+        const targetUser = await client.users.fetch(voteData.targetUserId);
+        await targetUser.send({
+            content: `针对您的处罚申请（法庭申请ID ${voteData.courtId}）已经投票通过，判决即将执行。\n` +
+                     `辩诉帖：https://discord.com/channels/${voteData.guildId}/${voteData.threadId}\n\n` +
+                     `如您对判决有异议，可以在 <t:${deadline}:f> 前点击下方按钮上诉一次。上诉将开启一次门槛更高的重审投票，重审未通过则撤销原判决。`,
+            components: [appealButton]
+        });
+        console.log(`已私信被处罚者 ${voteData.targetUserId} 上诉通知`);
+    } catch (error) {
+        console.error(`私信被处罚者 ${voteData.targetUserId} 上诉通知失败:`, error);
+    }
+}
+
+/**
+ * 校验被处罚者当前能否对该判决上诉，返回错误提示或 null。
+ */
+function getAppealBlocker(voteData, userId) {
+    if (!voteData) return '❌ 找不到对应的辩诉记录。';
+    if (userId !== voteData.targetUserId) return '❌ 只有被处罚者本人可以上诉。';
+    if (voteData.isAppeal) return '❌ 重审结果为最终结果，不可再次上诉。';
+    if (voteData.status !== 'completed' || voteData.finalResult?.resultType !== 'approved') {
+        return '❌ 该辩诉没有已生效的判决，无需上诉。';
+    }
+    if (voteData.appeal) return '❌ 您已经对该判决上诉过，每个判决只能上诉一次。';
+    if (!voteData.appealDeadline || new Date() > new Date(voteData.appealDeadline)) {
+        return '❌ 上诉期限已过。';
+    }
+    return null;
+}
+
+/**
+ * 处理“提交上诉”按钮：校验后弹出上诉表单。
+ * @param {import('discord.js').ButtonInteraction} interaction - 按钮点击交互对象。
+ */
+async function processAppealButton(interaction) {
+    const threadId = interaction.customId.replace('court_appeal_', '');
+    const voteData = await getCourtVote(threadId);
+
+    const blocker = getAppealBlocker(voteData, interaction.user.id);
+    if (blocker) {
+        return interaction.reply({ content: blocker, flags: MessageFlags.Ephemeral });
+    }
+
+    await interaction.showModal(createAppealModal(threadId));
+}
+
+/**
+ * 处理上诉表单提交：创建重审辩诉帖，并在原投票记录中登记上诉。
+ * @param {import('discord.js').ModalSubmitInteraction} interaction - 模态窗口提交交互对象。
+ */
+async function processAppealSubmission(interaction) {
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        const threadId = interaction.customId.replace('court_appeal_modal_', '');
+        const voteData = await getCourtVote(threadId);
+
+        const blocker = getAppealBlocker(voteData, interaction.user.id);
+        if (blocker) {
+            return interaction.editReply({ content: blocker });
+        }
+
+        const reason = interaction.fields.getTextInputValue('appeal_reason');
+
+        // 先登记上诉，防止重复提交创建多个重审帖
+        await updateCourtVote(threadId, {
+            appeal: {
+                reason,
+                status: 'filing',
+                filedAt: new Date().toISOString()
+            }
+        });
+
+        let appealResult;
+        try {
+            appealResult = await createAppealForum(interaction.client, voteData, reason);
+        } catch (error) {
+            await updateCourtVote(threadId, { appeal: null });
+            throw error;
+        }
+
+        await updateCourtVote(threadId, {
+            appeal: {
+                reason,
+                status: 'pending',
+                filedAt: new Date().toISOString(),
+                threadId: appealResult.threadId,
+                passPercentage: appealResult.passPercentage
+            }
+        });
+
+        // 在原辩诉帖中提示上诉
+        try {
+            const originalThread = await interaction.client.channels.fetch(threadId);
+            await originalThread.send({
+                content: `⚖️ 被处罚者 <@${voteData.targetUserId}> 已对本判决提出上诉，重审帖：${appealResult.url}`
+            });
+        } catch (error) {
+            console.error(`在原辩诉帖 ${threadId} 发布上诉提示失败:`, error);
+        }
+
+        console.log(`被处罚者 ${interaction.user.tag} 已上诉: 法庭ID ${voteData.courtId}, 重审帖 ${appealResult.threadId}`);
+
+        await interaction.editReply({
+            content: `✅ 您的上诉已受理，重审投票需要 ${appealResult.passPercentage}% 的支持率才能维持原判。\n${appealResult.url}`
+        });
+
+    } catch (error) {
+        console.error('处理上诉提交时出错:', error);
+
+        try {
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({ content: '❌ 提交上诉时出现错误。', flags: MessageFlags.Ephemeral });
+            } else {
+                await interaction.editReply({ content: '❌ 提交上诉时出现错误。' });
+            }
+        } catch (replyError) {
+            console.error('回复错误:', replyError);
+        }
+    }
+}
+
+/**
+ * 根据重审投票结果处理上诉：通过则维持原判，未通过（含人数不足）则撤销原判决已执行的处罚。
+ * @param {import('discord.js').Client} client - Discord 客户端实例。
+ * @param {object} appealVote - 已结算的重审投票数据。
+ * @param {string} resultType - 重审结果（approved/rejected/invalid）。
+ */
+async function resolveAppeal(client, appealVote, resultType) {
+    const originalVote = await getCourtVote(appealVote.originalThreadId);
+    if (!originalVote) {
+        console.error(`找不到上诉对应的原判决: ${appealVote.originalThreadId}`);
+        return;
+    }
+
+    const upheld = resultType === 'approved';
+    let revocation = [];
+    if (!upheld) {
+        revocation = await revokeCourtPunishment(client, originalVote, `上诉成功，撤销议会辩诉判决 - 法庭申请ID ${originalVote.courtId}`);
+    }
+
+    await updateCourtVote(originalVote.threadId, {
+        appeal: {
+            ...originalVote.appeal,
+            status: upheld ? 'upheld' : 'overturned',
+            resultType,
+            revocation,
+            resolvedAt: new Date().toISOString()
+        }
+    });
+
+    const embed = new EmbedBuilder()
+        .setTitle(upheld ? '⚖️ 上诉驳回 - 维持原判' : '⚖️ 上诉成功 - 撤销原判决')
+        .setDescription(`**上诉人：** <@${originalVote.targetUserId}>\n` +
+                       `**原辩诉帖：** https://discord.com/channels/${originalVote.guildId}/${originalVote.threadId}\n` +
+                       `**重审帖：** https://discord.com/channels/${appealVote.guildId}/${appealVote.threadId}\n\n` +
+                       (upheld ? '重审投票达到门槛，原判决继续有效。' : '重审投票未达到维持原判的门槛，原判决已执行的处罚已撤销。'))
+        .setColor(upheld ? '#FF0000' : '#00FF00')
+        .setFooter({ text: `法庭申请ID ${originalVote.courtId}` })
+        .setTimestamp();
+
+    for (const threadId of [originalVote.threadId, appealVote.threadId]) {
+        try {
+            const thread = await client.channels.fetch(threadId);
+            await thread.send({ embeds: [embed] });
+        } catch (error) {
+            console.error(`在辩诉帖 ${threadId} 发布上诉结果失败:`, error);
+        }
+    }
+
+    for (const userId of [originalVote.targetUserId, originalVote.applicantId]) {
+        try {
+            const user = await client.users.fetch(userId);
+            await user.send({ embeds: [embed] });
+        } catch (error) {
+            console.error(`私信用户 ${userId} 上诉结果失败:`, error);
+        }
+    }
+
+    console.log(`上诉处理完成: 法庭ID ${originalVote.courtId}, 结果: ${upheld ? '维持原判' : '撤销原判'}`);
+}
+
+module.exports = {
+    sendAppealInvitation,
+    processAppealButton,
+    processAppealSubmission,
+    resolveAppeal
+};
@@ -1,90 +1,92 @@
 // src\modules\court\services\courtChecker.js
-const { getAllCourtVotes, updateCourtVote } = require('../../../core/utils/database');
+const { getCourtVote, getCourtVotesByStatus, updateCourtVote } = require('../../../core/utils/database');
 const { finalizeVote, updateVoteDisplay } = require('./courtVotingSystem');
-const { startCourtApplicationChecker } = require('./courtApplicationChecker');
+const { syncCourtApplicationJobs } = require('./courtApplicationChecker');
+const { checkCourtPunishments } = require('./courtPunishmentExecutor');
+const { openCourtVoting } = require('./courtDefenseService');
+const { scheduleCourtVoteJobs } = require('./courtJobs');
 const { getCheckIntervals } = require('../../../core/config/timeconfig');
+const { trackSchedulerRun } = require('../../../core/utils/metrics');
 
-async function checkCourtVotes(client) {
-    try {
-        console.log('\n=== 开始检查法庭投票状态 ===');
-        const now = new Date();
-        const allVotes = await getAllCourtVotes();
-        
-        let totalChecked = 0;
-        let publicUpdated = 0;
-        let finalized = 0;
-        
-        for (const threadId in allVotes) {
-            const voteData = allVotes[threadId];
-            
-            // 跳过已完成的投票
-            if (voteData.status !== 'active') continue;
-            
-            totalChecked++;
-            
-            const endTime = new Date(voteData.voteEndTime);
-            const publicTime = new Date(voteData.publicTime);
-            
-            // 检查是否需要公开票数
-            if (!voteData.isPublic && now >= publicTime) {
-                try {
-                    // 模拟一个交互对象来更新显示
-                    const mockInteraction = {
-                        client: client,
-                        replied: false,
-                        deferred: false
-                    };
-                    
-                    await updateVoteDisplay(mockInteraction, voteData, threadId);
-                    await updateCourtVote(threadId, { isPublic: true });
-                    publicUpdated++;
-                    console.log(`投票 ${voteData.courtId} 票数已公开`);
-                } catch (error) {
-                    console.error(`公开投票 ${voteData.courtId} 票数时出错:`, error);
-                }
-            }
-            
-            // 检查是否投票结束
-            if (now >= endTime) {
-                try {
-                    await finalizeVote(client, voteData);
-                    finalized++;
-                    console.log(`投票 ${voteData.courtId} 已结束并结算`);
-                } catch (error) {
-                    console.error(`结算投票 ${voteData.courtId} 时出错:`, error);
-                }
-            }
+/**
+ * 计划任务：答辩时间结束但被处罚者未提交答辩，直接开放投票
+ * @param {import('discord.js').Client} client - Discord 客户端实例
+ * @param {object} job - 计划任务（key 为辩诉帖ID）
+ */
+async function handleDefenseEndJob(client, job) {
+    if (await openCourtVoting(client, job.key)) {
+        console.log(`辩诉帖 ${job.key} 答辩期结束，已开放投票`);
+    }
+}
+
+/**
+ * 计划任务：公开投票票数
+ * @param {import('discord.js').Client} client - Discord 客户端实例
+ * @param {object} job - 计划任务（key 为辩诉帖ID）
+ */
+async function handleVotePublicJob(client, job) {
+    const voteData = await getCourtVote(job.key);
+    if (!voteData || voteData.status !== 'active' || voteData.isPublic) return;
+
+    // 模拟一个交互对象来更新显示
+    const mockInteraction = {
+        client: client,
+        replied: false,
+        deferred: false
+    };
+
+    await updateVoteDisplay(mockInteraction, voteData, job.key);
+    await updateCourtVote(job.key, { isPublic: true });
+    console.log(`投票 ${voteData.courtId} 票数已公开`);
+}
+
+/**
+ * 计划任务：投票结束并结算
+ * @param {import('discord.js').Client} client - Discord 客户端实例
+ * @param {object} job - 计划任务（key 为辩诉帖ID）
+ */
+async function handleVoteEndJob(client, job) {
+    const voteData = await getCourtVote(job.key);
+    if (!voteData || voteData.status !== 'active') return;
+
+    await finalizeVote(client, voteData);
+    console.log(`投票 ${voteData.courtId} 已结束并结算`);
+}
+
+/**
+ * 为进行中的法庭申请和辩诉投票补登计划任务（首次启用计划任务或任务丢失时）
+ */
+async function syncCourtJobs() {
+    let scheduled = await syncCourtApplicationJobs();
+
+    for (const status of ['defense', 'active']) {
+        const votes = await getCourtVotesByStatus(status);
+        for (const threadId in votes) {
+            scheduled += await scheduleCourtVoteJobs(threadId, votes[threadId]);
         }
-        
-        console.log(`总检查投票数: ${totalChecked}`);
-        console.log(`公开票数: ${publicUpdated}`);
-        console.log(`结算投票: ${finalized}`);
-        console.log('=== 法庭投票状态检查完成 ===\n');
-        
-    } catch (error) {
-        console.error('检查法庭投票状态时出错:', error);
     }
+
+    console.log(`已为法庭系统补登 ${scheduled} 个计划任务`);
 }
 
 // 启动法庭检查器
-function startCourtChecker(client) {
+async function startCourtChecker(client) {
     console.log('启动法庭系统检查器...');
-    
-    // 启动投票检查器
-    console.log('启动法庭投票检查器...');
-    
-    const intervals = getCheckIntervals();
 
-    // 投票检查间隔
-    setInterval(() => {
-        checkCourtVotes(client);
-    }, intervals.courtVoteCheck);
-    
-    // 启动申请检查器
-    startCourtApplicationChecker(client);
+    // 申请截止、答辩期结束、公开票数和投票结算由计划任务按时执行
+    await syncCourtJobs();
+
+    // 处罚到期检查间隔（移除到期的警告身份组、续期长禁言）
+    const intervals = getCheckIntervals();
+    const runCheck = () => trackSchedulerRun('court', '处罚到期检查', () => checkCourtPunishments(client))
+        .catch(error => console.error('处罚到期检查出错:', error));
+    runCheck();
+    setInterval(runCheck, intervals.courtPunishmentCheck);
 }
 
 module.exports = {
     startCourtChecker,
-    checkCourtVotes
-};
\ No newline at end of file
+    handleDefenseEndJob,
+    handleVotePublicJob,
+    handleVoteEndJob
+};
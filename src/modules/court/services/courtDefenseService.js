@@ -0,0 +1,230 @@
+// src\modules\court\services\courtDefenseService.js
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
+const { getCourtVote, updateCourtVote, getCourtSettings } = require('../../../core/utils/database');
+const { scheduleCourtVoteJobs } = require('./courtJobs');
+const { getCourtVoteRules, getCourtVoteEndTime, getCourtVotePublicTime, formatHours, describePunishment } = require('../utils/courtVoteRules');
+const { t } = require('../../../core/utils/i18n');
+const courtText = require('../locales');
+const { createDefenseModal } = require('../components/defenseModal');
+
+/**
+ * 私信被处罚者，邀请其在投票开放前提交答辩。私信失败时改为在辩诉帖中提醒。
+ * @param {import('discord.js').Client} client - Discord 客户端实例。
+ * @param {object} voteData - 处于答辩阶段的投票数据。
+ */
+async function sendDefenseInvitation(client, voteData) {
+    const threadUrl = `https://discord.com/channels/${voteData.guildId}/${voteData.threadId}`;
+    const deadline = Math.floor(new Date(voteData.votingOpensAt).getTime() / 1000);
+
+    const defenseButton = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`court_defense_${voteData.threadId}`)
+                .setLabel('提交答辩')
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('📝')
+        );
+
+    const content = `有成员对您提出了处罚申请（法庭申请ID ${voteData.courtId}），辩诉帖：${threadUrl}\n\n` +
+                    `您可以在 <t:${deadline}:f> 前点击下方按钮提交一次答辩，答辩会发布在辩诉帖中，提交后立即开放投票。\n` +
+                    `逾期未提交将直接开放投票。`;
+
+    try {
+        const targetUser = await client.users.fetch(voteData.targetUserId);
+        await targetUser.send({ content, components: [defenseButton] });
+        console.log(`已私信被处罚者 ${voteData.targetUserId} 答辩邀请`);
+    } catch (error) {
+        console.error(`私信被处罚者 ${voteData.targetUserId} 答辩邀请失败，改为在辩诉帖中提醒:`, error);
+        try {
+            const thread = await client.channels.fetch(voteData.threadId);
+            await thread.send({
+                content: `<@${voteData.targetUserId}> 无法向您发送私信。您可以在 <t:${deadline}:f> 前点击下方按钮提交一次答辩。`,
+                components: [defenseButton]
+            });
+        } catch (threadError) {
+            console.error(`在辩诉帖 ${voteData.threadId} 发布答辩提醒失败:`, threadError);
+        }
+    }
+}
+
+/**
+ * 结束答辩阶段并开放投票，投票时长和公开延迟从开放时起算。
+ * @param {import('discord.js').Client} client - Discord 客户端实例。
+ * @param {string} threadId - 辩诉帖ID。
+ * @returns {Promise<boolean>} 是否由本次调用开放了投票。
+ */
+async function openCourtVoting(client, threadId) {
+    const voteData = await getCourtVote(threadId);
+    if (!voteData || voteData.status !== 'defense') {
+        return false;
+    }
+
+    const rules = getCourtVoteRules(await getCourtSettings(voteData.guildId));
+    const timing = {
+        ...rules,
+        voteDurationHours: voteData.voteDurationHours ?? rules.voteDurationHours,
+        publicDelayHours: voteData.publicDelayHours ?? rules.publicDelayHours
+    };
+
+    const now = new Date();
+    const voteEndTime = getCourtVoteEndTime(timing, now);
+    const publicTime = getCourtVotePublicTime(timing, now);
+
+    const updatedVote = await updateCourtVote(threadId, {
+        status: 'active',
+        votingOpensAt: now.toISOString(),
+        voteEndTime: voteEndTime.toISOString(),
+        publicTime: publicTime.toISOString()
+    });
+    await scheduleCourtVoteJobs(threadId, updatedVote);
+
+    try {
+        const thread = await client.channels.fetch(threadId);
+        const voteMessage = await thread.messages.fetch(voteData.voteMessageId);
+        const targetUser = await client.users.fetch(voteData.targetUserId).catch(() => null);
+
+        const locale = voteData.guildId;
+        const voteEndTimestamp = Math.floor(voteEndTime.getTime() / 1000);
+
+        const voteEmbed = new EmbedBuilder()
+            .setTitle(courtText(locale, 'vote.title'))
+            .setDescription(courtText(locale, 'vote.deadline', { timestamp: voteEndTimestamp }) + '\n\n' +
+                           courtText(locale, 'vote.subject', { target: targetUser ? `<@${targetUser.id}>` : t(locale, 'core.common.unknownUser'), punishment: describePunishment(locale, voteData) }) + '\n\n' +
+                           courtText(locale, 'vote.hiddenResults', { delay: formatHours(timing.publicDelayHours, locale) }) + '\n' +
+                           courtText(locale, 'vote.supportHidden') + '\n' +
+                           courtText(locale, 'vote.opposeHidden') + '\n\n' +
+                           courtText(locale, 'vote.totalHidden') + '\n\n' +
+                           courtText(locale, 'vote.rule', { minTurnout: voteData.minTurnout, passPercentage: voteData.passPercentage }))
+            .setColor('#FFD700') // 金色
+            .setFooter({
+                text: courtText(locale, 'vote.footer', { courtId: voteData.courtId }),
+                iconURL: thread.guild.iconURL()
+            })
+            .setTimestamp();
+
+        const voteButtons = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`court_vote_support_${threadId}`)
+                    .setLabel(courtText(locale, 'vote.support'))
+                    .setStyle(ButtonStyle.Danger),
+                new ButtonBuilder()
+                    .setCustomId(`court_vote_oppose_${threadId}`)
+                    .setLabel(courtText(locale, 'vote.oppose'))
+                    .setStyle(ButtonStyle.Secondary)
+            );
+
+        await voteMessage.edit({
+            embeds: [voteEmbed],
+            components: [voteButtons]
+        });
+
+        await thread.send({ content: courtText(locale, 'vote.opened', { timestamp: voteEndTimestamp }) });
+    } catch (error) {
+        console.error(`开放辩诉投票 ${threadId} 时更新投票器出错:`, error);
+    }
+
+    console.log(`辩诉投票已开放: 法庭ID ${voteData.courtId}, 帖子ID ${threadId}`);
+    return true;
+}
+
+/**
+ * 处理“提交答辩”按钮：校验身份和阶段后弹出答辩表单。
+ * @param {import('discord.js').ButtonInteraction} interaction - 按钮点击交互对象。
+ */
+async function processDefenseButton(interaction) {
+    const threadId = interaction.customId.replace('court_defense_', '');
+    const voteData = await getCourtVote(threadId);
+
+    if (!voteData) {
+        return interaction.reply({ content: '❌ 找不到对应的辩诉记录。', flags: MessageFlags.Ephemeral });
+    }
+
+    if (interaction.user.id !== voteData.targetUserId) {
+        return interaction.reply({ content: '❌ 只有被处罚者本人可以提交答辩。', flags: MessageFlags.Ephemeral });
+    }
+
+    if (voteData.defenseStatement) {
+        return interaction.reply({ content: '❌ 您已经提交过答辩，每个辩诉只能答辩一次。', flags: MessageFlags.Ephemeral });
+    }
+
+    if (voteData.status !== 'defense') {
+        return interaction.reply({ content: '❌ 答辩阶段已结束，投票已开放。', flags: MessageFlags.Ephemeral });
+    }
+
+    await interaction.showModal(createDefenseModal(threadId));
+}
+
+/**
+ * 处理答辩表单提交：将答辩发布到辩诉帖、记录到投票数据中并立即开放投票。
+ * @param {import('discord.js').ModalSubmitInteraction} interaction - 模态窗口提交交互对象。
+ */
+async function processDefenseSubmission(interaction) {
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        const threadId = interaction.customId.replace('court_defense_modal_', '');
+        const voteData = await getCourtVote(threadId);
+
+        if (!voteData || interaction.user.id !== voteData.targetUserId) {
+            return interaction.editReply({ content: '❌ 找不到对应的辩诉记录，或您不是被处罚者。' });
+        }
+
+        if (voteData.defenseStatement) {
+            return interaction.editReply({ content: '❌ 您已经提交过答辩，每个辩诉只能答辩一次。' });
+        }
+
+        if (voteData.status !== 'defense') {
+            return interaction.editReply({ content: '❌ 答辩阶段已结束，投票已开放，答辩未被发布。' });
+        }
+
+        const statement = interaction.fields.getTextInputValue('defense_statement');
+        const submittedAt = new Date().toISOString();
+
+        // 在辩诉帖中发布答辩
+        const thread = await interaction.client.channels.fetch(threadId);
+        const defenseEmbed = new EmbedBuilder()
+            .setTitle('📝 被处罚者答辩')
+            .setDescription(`**答辩人：** <@${voteData.targetUserId}>\n\n${statement}`)
+            .setColor('#5865F2')
+            .setFooter({ text: `法庭申请ID ${voteData.courtId}` })
+            .setTimestamp();
+        const defenseMessage = await thread.send({ embeds: [defenseEmbed] });
+
+        await updateCourtVote(threadId, {
+            defenseStatement: {
+                content: statement,
+                messageId: defenseMessage.id,
+                submittedAt
+            }
+        });
+
+        console.log(`被处罚者 ${interaction.user.tag} 已提交答辩: 法庭ID ${voteData.courtId}`);
+
+        await openCourtVoting(interaction.client, threadId);
+
+        await interaction.editReply({
+            content: `✅ 您的答辩已发布，投票现已开放。\nhttps://discord.com/channels/${voteData.guildId}/${threadId}`
+        });
+
+    } catch (error) {
+        console.error('处理答辩提交时出错:', error);
+
+        try {
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({ content: '❌ 提交答辩时出现错误。', flags: MessageFlags.Ephemeral });
+            } else {
+                await interaction.editReply({ content: '❌ 提交答辩时出现错误。' });
+            }
+        } catch (replyError) {
+            console.error('回复错误:', replyError);
+        }
+    }
+}
+
+module.exports = {
+    sendDefenseInvitation,
+    openCourtVoting,
+    processDefenseButton,
+    processDefenseSubmission
+};
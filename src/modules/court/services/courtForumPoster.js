@@ -1,7 +1,19 @@
 // src\modules\court\services\courtForumPoster.js
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-const { saveCourtVote } = require('../../../core/utils/database');
-const { getCourtVoteEndTime, getCourtVotePublicTime } = require('../../../core/config/timeconfig');
+const { saveCourtVote, getCourtSettings } = require('../../../core/utils/database');
+const { scheduleCourtVoteJobs } = require('./courtJobs');
+const {
+    getCourtVoteRules,
+    getRequiredPassPercentage,
+    getCourtVoteEndTime,
+    getCourtVotePublicTime,
+    getAppealPassPercentage,
+    formatHours,
+    describePunishment
+} = require('../utils/courtVoteRules');
+const { t } = require('../../../core/utils/i18n');
+const courtText = require('../locales');
+const { sendDefenseInvitation } = require('./courtDefenseService');
 
 async function createCourtForum(client, applicationData) {
     try {
@@ -20,6 +32,9 @@ async function createCourtForum(client, applicationData) {
         const applicantMention = applicant ? `<@${applicant.id}>` : "未知用户";
         const targetMention = targetUser ? `<@${targetUser.id}>` : "未知用户";
         
+        // 获取服务器的辩诉投票规则
+        const rules = getCourtVoteRules(await getCourtSettings(applicationData.guildId));
+        
         // 构建处罚描述
         let punishmentDescription = '';
         if (applicationData.punishmentType === 'timeout') {
@@ -52,10 +67,12 @@ ${applicationData.reason}`;
         postContent += `\n\n*辩诉帖创建时间: <t:${currentTimestamp}:f>*
 
 **📋 辩诉规则：**
-- 24小时内，双方当事人可以在此帖各自发言5条
+- ${formatHours(rules.voteDurationHours)}内，双方当事人可以在此帖各自发言5条
 - 如有当事人发言超过5条并恶意刷楼，可举报要求处理
-- 投票器将在下方自动创建，24小时后结束投票
-- 12小时后开始公开票数进度`;
+${rules.defenseHours > 0 ? `- 被处罚者将收到私信，可在${formatHours(rules.defenseHours)}内提交答辩，答辩会发布在本帖中，之后开放投票\n` : ''}- 投票器将在下方自动创建，投票开放${formatHours(rules.voteDurationHours)}后结束投票
+- 投票开放${formatHours(rules.publicDelayHours)}后开始公开票数进度
+- 至少 ${rules.minTurnout} 人投票且支持率 >= ${getRequiredPassPercentage(rules, applicationData.punishmentType)}% 时判决生效
+- 判决生效后，被处罚者可在${formatHours(rules.appealWindowHours)}内上诉一次，重审所需支持率提高 ${rules.appealPassIncrease}%`;
         
         // 创建论坛帖子
         const thread = await forumChannel.threads.create({
@@ -69,7 +86,7 @@ ${applicationData.reason}`;
         console.log(`成功创建法庭论坛帖子: ${thread.id}`);
         
         // 创建投票器消息（第二楼）
-        const voteResult = await createVotingSystem(thread, applicationData, targetUser);
+        const voteResult = await createVotingSystem(thread, applicationData, targetUser, rules);
         
         // 返回帖子信息
         return {
@@ -85,40 +102,138 @@ ${applicationData.reason}`;
     }
 }
 
-async function createVotingSystem(thread, applicationData, targetUser) {
+/**
+ * 为被处罚者的上诉创建重审辩诉帖，重审投票门槛在原判基础上提高。
+ * @param {import('discord.js').Client} client - Discord 客户端实例。
+ * @param {object} originalVote - 原判决的投票数据。
+ * @param {string} appealReason - 上诉理由。
+ * @returns {Promise<{threadId: string, url: string, voteMessageId: string, passPercentage: number}>}
+ */
+async function createAppealForum(client, originalVote, appealReason) {
     try {
-        // 计算投票截止时间（24小时后）
-        const voteEndTime = getCourtVoteEndTime(); 
-        const voteEndTimestamp = Math.floor(voteEndTime.getTime() / 1000);
+        // 重审帖与原辩诉帖发布在同一个论坛
+        const originalThread = await client.channels.fetch(originalVote.threadId);
+        const forumChannel = await client.channels.fetch(originalThread.parentId);
         
-        // 计算公开时间（12小时后）
-        const publicTime = getCourtVotePublicTime();
+        const targetUser = await client.users.fetch(originalVote.targetUserId).catch(() => null);
+        const rules = getCourtVoteRules(await getCourtSettings(originalVote.guildId));
+        const passPercentage = getAppealPassPercentage(originalVote.passPercentage ?? getRequiredPassPercentage(rules, originalVote.punishmentType), rules);
         
-        // 构建处罚描述
         let punishmentDescription = '';
-        if (applicationData.punishmentType === 'timeout') {
-            punishmentDescription = `禁言 ${applicationData.timeoutDays} 天`;
-            if (applicationData.warningDays) {
-                punishmentDescription += ` + 被警告 ${applicationData.warningDays} 天`;
+        if (originalVote.punishmentType === 'timeout') {
+            punishmentDescription = `禁言 ${originalVote.timeoutDays} 天`;
+            if (originalVote.warningDays) {
+                punishmentDescription += ` + 被警告 ${originalVote.warningDays} 天`;
             }
         } else {
             punishmentDescription = '封禁';
         }
         
+        const postContent = `***上诉人: <@${originalVote.targetUserId}>***
+***原申请人: <@${originalVote.applicantId}>***
+
+> ## 原判决
+${punishmentDescription}（[查看原辩诉帖](https://discord.com/channels/${originalVote.guildId}/${originalVote.threadId})）
+
+> ## 上诉理由
+${appealReason}
+
+*上诉时间: <t:${Math.floor(Date.now() / 1000)}:f>*
+
+**📋 重审规则：**
+- 投票器将在下方自动创建，${formatHours(rules.voteDurationHours)}后结束投票
+- ${formatHours(rules.publicDelayHours)}后开始公开票数进度
+- 至少 ${rules.minTurnout} 人投票且支持率 >= ${passPercentage}% 时维持原判，否则撤销原判决
+- 重审结果为最终结果，不可再次上诉`;
+        
+        const thread = await forumChannel.threads.create({
+            name: `${targetUser ? targetUser.displayName : '未知用户'} 的上诉重审 - ${originalVote.courtId}`,
+            message: {
+                content: postContent,
+            },
+            appliedTags: []
+        });
+        
+        console.log(`成功创建上诉重审帖: ${thread.id}`);
+        
+        const applicationData = {
+            messageId: originalVote.courtApplicationId,
+            courtId: originalVote.courtId,
+            applicantId: originalVote.applicantId,
+            targetUserId: originalVote.targetUserId,
+            punishmentType: originalVote.punishmentType,
+            timeoutDays: originalVote.timeoutDays,
+            warningDays: originalVote.warningDays,
+            guildId: originalVote.guildId
+        };
+        
+        const voteResult = await createVotingSystem(thread, applicationData, targetUser, rules, {
+            isAppeal: true,
+            originalThreadId: originalVote.threadId,
+            passPercentage
+        });
+        
+        return {
+            threadId: thread.id,
+            url: `https://discord.com/channels/${originalVote.guildId}/${thread.id}`,
+            voteMessageId: voteResult.voteMessageId,
+            passPercentage
+        };
+        
+    } catch (error) {
+        console.error('创建上诉重审帖时出错:', error);
+        throw error;
+    }
+}
+
+/**
+ * 在辩诉帖中创建投票器并保存投票数据。
+ * 普通辩诉会先进入答辩阶段（按钮禁用），答辩提交或答辩时间结束后才开放投票；上诉重审直接开放投票。
+ * @param {import('discord.js').ThreadChannel} thread - 辩诉帖。
+ * @param {object} applicationData - 法庭申请数据。
+ * @param {import('discord.js').User|null} targetUser - 被处罚者。
+ * @param {object} rules - 服务器的辩诉投票规则。
+ * @param {object} [options] - 上诉重审时传入 { isAppeal, originalThreadId, passPercentage }。
+ */
+async function createVotingSystem(thread, applicationData, targetUser, rules, options = {}) {
+    try {
+        // 上诉重审不再设答辩阶段（上诉理由即为答辩）
+        const hasDefensePhase = !options.isAppeal && rules.defenseHours > 0;
+        const votingOpensAt = hasDefensePhase
+            ? new Date(Date.now() + rules.defenseHours * 60 * 60 * 1000)
+            : new Date();
+        
+        // 计算投票截止时间（从投票开放时起算）
+        const voteEndTime = getCourtVoteEndTime(rules, votingOpensAt);
+        const voteEndTimestamp = Math.floor(voteEndTime.getTime() / 1000);
+        
+        // 计算公开时间
+        const publicTime = getCourtVotePublicTime(rules, votingOpensAt);
+        
+        // 记录本次投票的门槛和时长，之后修改规则不影响进行中的投票
+        const minTurnout = rules.minTurnout;
+        const passPercentage = options.passPercentage ?? getRequiredPassPercentage(rules, applicationData.punishmentType);
+        
+        // 投票器使用服务器设置的语言
+        const locale = thread.guild.id;
+        const punishmentDescription = describePunishment(locale, applicationData);
+        
         // 创建投票器嵌入
         const voteEmbed = new EmbedBuilder()
-            .setTitle('议会辩诉投票')
-            .setDescription(`**投票截止时间:** <t:${voteEndTimestamp}:f>\n\n` +
-                           `**辩诉主题:**\n对 ${targetUser ? `<@${targetUser.id}>` : '未知用户'} 执行 ${punishmentDescription}\n\n` +
-                           `**投票结果** *(12小时后公开)*\n` +
-                           `支持处罚: 🔒 票 (🔒%)\n` +
-                           `反对处罚: 🔒 票 (🔒%)\n\n` +
-                           `总投票人数: 🔒\n\n` +
-                           `**投票结果:**\n` +
-                           `支持率 >= 50% 获得多数，执行惩罚`)
+            .setTitle(courtText(locale, options.isAppeal ? 'vote.appealTitle' : 'vote.title'))
+            .setDescription((hasDefensePhase
+                               ? courtText(locale, 'vote.defensePhase', { timestamp: Math.floor(votingOpensAt.getTime() / 1000) }) + '\n\n'
+                               : '') +
+                           courtText(locale, 'vote.deadline', { timestamp: voteEndTimestamp }) + '\n\n' +
+                           courtText(locale, 'vote.subject', { target: targetUser ? `<@${targetUser.id}>` : t(locale, 'core.common.unknownUser'), punishment: punishmentDescription }) + '\n\n' +
+                           courtText(locale, 'vote.hiddenResults', { delay: formatHours(rules.publicDelayHours, locale) }) + '\n' +
+                           courtText(locale, 'vote.supportHidden') + '\n' +
+                           courtText(locale, 'vote.opposeHidden') + '\n\n' +
+                           courtText(locale, 'vote.totalHidden') + '\n\n' +
+                           courtText(locale, 'vote.rule', { minTurnout, passPercentage }))
             .setColor('#FFD700') // 金色
             .setFooter({ 
-                text: `法庭申请ID ${applicationData.courtId} | 匿名投票`,
+                text: courtText(locale, 'vote.footer', { courtId: applicationData.courtId }),
                 iconURL: thread.guild.iconURL()
             })
             .setTimestamp();
@@ -128,12 +243,14 @@ async function createVotingSystem(thread, applicationData, targetUser) {
             .addComponents(
                 new ButtonBuilder()
                     .setCustomId(`court_vote_support_${thread.id}`)
-                    .setLabel('支持处罚')
-                    .setStyle(ButtonStyle.Danger),
+                    .setLabel(courtText(locale, 'vote.support'))
+                    .setStyle(ButtonStyle.Danger)
+                    .setDisabled(hasDefensePhase),
                 new ButtonBuilder()
                     .setCustomId(`court_vote_oppose_${thread.id}`)
-                    .setLabel('反对处罚')
+                    .setLabel(courtText(locale, 'vote.oppose'))
                     .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(hasDefensePhase)
             );
         
         // 发送投票消息
@@ -159,16 +276,30 @@ async function createVotingSystem(thread, applicationData, targetUser) {
             opposeVoters: [],
             voteEndTime: voteEndTime.toISOString(),
             publicTime: publicTime.toISOString(),
+            minTurnout: minTurnout,
+            passPercentage: passPercentage,
+            voteDurationHours: rules.voteDurationHours,
+            publicDelayHours: rules.publicDelayHours,
             isPublic: false,
-            status: 'active',
+            status: hasDefensePhase ? 'defense' : 'active',
+            votingOpensAt: votingOpensAt.toISOString(),
+            defenseStatement: null,
+            isAppeal: !!options.isAppeal,
+            originalThreadId: options.originalThreadId || null,
             guildId: applicationData.guildId,
             createdAt: new Date().toISOString()
         };
         
         await saveCourtVote(voteData);
+        await scheduleCourtVoteJobs(thread.id, voteData);
         
         console.log(`成功创建投票器: 消息ID ${voteMessage.id}, 帖子ID ${thread.id}`);
         
+        // 邀请被处罚者提交答辩
+        if (hasDefensePhase) {
+            await sendDefenseInvitation(thread.client, voteData);
+        }
+        
         return {
             voteMessageId: voteMessage.id,
             voteData: voteData
@@ -182,5 +313,6 @@ async function createVotingSystem(thread, applicationData, targetUser) {
 
 module.exports = {
     createCourtForum,
+    createAppealForum,
     createVotingSystem
 };
\ No newline at end of file
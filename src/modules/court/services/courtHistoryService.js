@@ -0,0 +1,177 @@
+// src\modules\court\services\courtHistoryService.js
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { getCourtApplicationsByTarget, getCourtVotesByTarget } = require('../../../core/utils/database');
+
+// 每页显示的案件数量
+const CASES_PER_PAGE = 5;
+
+function describePunishment(caseData) {
+    if (caseData.punishmentType === 'timeout') {
+        let description = `禁言 ${caseData.timeoutDays} 天`;
+        if (caseData.warningDays) {
+            description += ` + 被警告 ${caseData.warningDays} 天`;
+        }
+        return description;
+    }
+    return '封禁';
+}
+
+/**
+ * 根据申请和投票状态得出案件结果。
+ * @returns {{text: string, convicted: boolean}}
+ */
+function getCaseOutcome(application, vote) {
+    if (!vote) {
+        const applicationOutcomes = {
+            pending: '⏳ 征集支持中',
+            expired: '⌛ 支持不足，已过期',
+            withdrawn: '↩️ 已撤回',
+            posted: '📋 已立案'
+        };
+        return { text: applicationOutcomes[application.status] || application.status, convicted: false };
+    }
+
+    if (vote.status === 'defense') return { text: '📝 答辩中', convicted: false };
+    if (vote.status === 'active') return { text: '🗳️ 投票中', convicted: false };
+
+    const result = vote.finalResult;
+    if (!result) return { text: vote.status, convicted: false };
+
+    const tally = `（支持 ${result.supportVotes} / 反对 ${result.opposeVotes}）`;
+    if (result.resultType === 'invalid') return { text: `⚪ 投票无效，人数不足${tally}`, convicted: false };
+    if (result.resultType === 'rejected') return { text: `🟢 处罚驳回${tally}`, convicted: false };
+
+    if (vote.appeal?.status === 'overturned') return { text: `🟢 上诉成功，原判撤销${tally}`, convicted: false };
+    if (vote.appeal?.status === 'upheld') return { text: `🔴 处罚生效，上诉被驳回${tally}`, convicted: true };
+    if (vote.appeal) return { text: `⚖️ 处罚生效，上诉重审中${tally}`, convicted: true };
+    return { text: `🔴 处罚生效${tally}`, convicted: true };
+}
+
+/**
+ * 汇总某个用户在服务器中的全部法庭案件（申请、投票、上诉及结果），按法庭ID从新到旧排列。
+ * @param {string} guildId - 服务器ID。
+ * @param {string} userId - 被申请处罚的用户ID。
+ * @returns {Promise<object[]>} 案件列表。
+ */
+async function getCourtCaseHistory(guildId, userId) {
+    const applications = await getCourtApplicationsByTarget(guildId, userId);
+    const votes = await getCourtVotesByTarget(guildId, userId);
+
+    return applications.map(application => {
+        const caseVotes = votes.filter(vote => vote.courtApplicationId === application.messageId);
+        const vote = caseVotes.find(v => !v.isAppeal) || null;
+        const appealVote = caseVotes.find(v => v.isAppeal) || null;
+
+        return {
+            application,
+            vote,
+            appealVote,
+            outcome: getCaseOutcome(application, vote)
+        };
+    });
+}
+
+/**
+ * 统计案件数量和判决生效次数。
+ * @param {object[]} cases - getCourtCaseHistory 返回的案件列表。
+ * @returns {{total: number, convicted: number}}
+ */
+function summarizeCourtHistory(cases) {
+    return {
+        total: cases.length,
+        convicted: cases.filter(courtCase => courtCase.outcome.convicted).length
+    };
+}
+
+/**
+ * 构建法庭记录的分页嵌入消息和翻页按钮。
+ * @param {import('discord.js').User} targetUser - 被查询的用户。
+ * @param {object[]} cases - 案件列表。
+ * @param {number} page - 页码（从0开始）。
+ * @returns {{embeds: EmbedBuilder[], components: ActionRowBuilder[]}}
+ */
+function buildCourtHistoryPage(targetUser, cases, page) {
+    const totalPages = Math.max(1, Math.ceil(cases.length / CASES_PER_PAGE));
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+    const { total, convicted } = summarizeCourtHistory(cases);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`⚖️ ${targetUser.displayName ?? targetUser.username} 的法庭记录`)
+        .setColor(convicted > 0 ? '#FF6B6B' : '#5865F2')
+        .setFooter({ text: `第 ${currentPage + 1}/${totalPages} 页 | 共 ${total} 个案件` })
+        .setTimestamp();
+
+    if (cases.length === 0) {
+        embed.setDescription(`<@${targetUser.id}> 没有任何法庭记录。`);
+        return { embeds: [embed], components: [] };
+    }
+
+    embed.setDescription(`**被申请次数：** ${total}\n**判决生效次数：** ${convicted}`);
+
+    for (const courtCase of cases.slice(currentPage * CASES_PER_PAGE, (currentPage + 1) * CASES_PER_PAGE)) {
+        const { application, vote, appealVote, outcome } = courtCase;
+        const reason = application.reason.length > 100 ? `${application.reason.slice(0, 100)}...` : application.reason;
+
+        let value = `**申请人：** <@${application.applicantId}>\n` +
+                    `**申请时间：** <t:${Math.floor(new Date(application.timestamp).getTime() / 1000)}:f>\n` +
+                    `**理由：** ${reason}\n` +
+                    `**结果：** ${outcome.text}`;
+
+        const links = [];
+        if (vote) {
+            links.push(`[辩诉帖](https://discord.com/channels/${application.guildId}/${vote.threadId})`);
+        } else if (application.status === 'pending' && application.channelId) {
+            links.push(`[申请消息](https://discord.com/channels/${application.guildId}/${application.channelId}/${application.messageId})`);
+        }
+        if (appealVote) {
+            links.push(`[重审帖](https://discord.com/channels/${application.guildId}/${appealVote.threadId})`);
+        }
+        if (links.length > 0) {
+            value += `\n${links.join(' · ')}`;
+        }
+
+        embed.addFields({
+            name: `#${application.courtId} · ${describePunishment(application)}`,
+            value
+        });
+    }
+
+    const components = [];
+    if (totalPages > 1) {
+        components.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`court_history_page_${targetUser.id}_${currentPage - 1}`)
+                .setLabel('上一页')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage === 0),
+            new ButtonBuilder()
+                .setCustomId(`court_history_page_${targetUser.id}_${currentPage + 1}`)
+                .setLabel('下一页')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage >= totalPages - 1)
+        ));
+    }
+
+    return { embeds: [embed], components };
+}
+
+/**
+ * 处理法庭记录的翻页按钮。
+ * @param {import('discord.js').ButtonInteraction} interaction - 按钮交互对象。
+ */
+async function processCourtHistoryPage(interaction) {
+    await interaction.deferUpdate();
+    const [userId, pageStr] = interaction.customId.replace('court_history_page_', '').split('_');
+
+    const targetUser = await interaction.client.users.fetch(userId);
+    const cases = await getCourtCaseHistory(interaction.guild.id, userId);
+
+    await interaction.editReply(buildCourtHistoryPage(targetUser, cases, parseInt(pageStr)));
+}
+
+module.exports = {
+    getCourtCaseHistory,
+    summarizeCourtHistory,
+    buildCourtHistoryPage,
+    processCourtHistoryPage
+};
@@ -0,0 +1,81 @@
+// src\modules\court\services\courtJobs.js
+const { scheduleJob, cancelJob } = require('../../../core/utils/jobScheduler');
+
+const COURT_JOB_TYPES = {
+    APPLICATION_DEADLINE: 'court_application_deadline', // 法庭申请收集支持截止
+    DEFENSE_END: 'court_defense_end',                   // 答辩期结束，开放投票
+    VOTE_PUBLIC: 'court_vote_public',                   // 公开票数
+    VOTE_END: 'court_vote_end',                         // 投票结束，结算判决
+};
+
+/**
+ * 为待收集支持的法庭申请安排截止任务，申请已发布或已处理时取消
+ * @param {string} messageId - 申请消息ID
+ * @param {object} application - 法庭申请数据
+ * @returns {Promise<object|null>} 安排的任务
+ */
+async function scheduleCourtApplicationJobs(messageId, application) {
+    if (application.status !== 'pending') {
+        await cancelJob(COURT_JOB_TYPES.APPLICATION_DEADLINE, messageId);
+        return null;
+    }
+
+    return scheduleJob({
+        type: COURT_JOB_TYPES.APPLICATION_DEADLINE,
+        key: messageId,
+        guildId: application.guildId,
+        runAt: application.deadline,
+        description: `法庭申请ID ${application.courtId} 收集支持截止`
+    });
+}
+
+/**
+ * 按辩诉投票当前状态安排计划任务：答辩期安排开放投票，投票中安排公开票数和结算
+ * @param {string} threadId - 辩诉帖ID
+ * @param {object} voteData - 投票数据
+ * @returns {Promise<number>} 安排的任务数
+ */
+async function scheduleCourtVoteJobs(threadId, voteData) {
+    const label = `${voteData.isAppeal ? '上诉重审' : '法庭申请'}ID ${voteData.courtId}`;
+    let scheduled = 0;
+
+    if (voteData.status === 'defense') {
+        await scheduleJob({
+            type: COURT_JOB_TYPES.DEFENSE_END,
+            key: threadId,
+            guildId: voteData.guildId,
+            runAt: voteData.votingOpensAt,
+            description: `${label} 答辩期结束，开放投票`
+        });
+        return 1;
+    }
+
+    await cancelJob(COURT_JOB_TYPES.DEFENSE_END, threadId);
+    if (voteData.status !== 'active') return 0;
+
+    if (!voteData.isPublic) {
+        await scheduleJob({
+            type: COURT_JOB_TYPES.VOTE_PUBLIC,
+            key: threadId,
+            guildId: voteData.guildId,
+            runAt: voteData.publicTime,
+            description: `${label} 公开票数`
+        });
+        scheduled++;
+    }
+
+    await scheduleJob({
+        type: COURT_JOB_TYPES.VOTE_END,
+        key: threadId,
+        guildId: voteData.guildId,
+        runAt: voteData.voteEndTime,
+        description: `${label} 投票结束，结算判决`
+    });
+    return scheduled + 1;
+}
+
+module.exports = {
+    COURT_JOB_TYPES,
+    scheduleCourtApplicationJobs,
+    scheduleCourtVoteJobs
+};
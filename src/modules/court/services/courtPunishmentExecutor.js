@@ -0,0 +1,375 @@
+// src\modules\court\services\courtPunishmentExecutor.js
+const { EmbedBuilder } = require('discord.js');
+const {
+    getCourtSettings,
+    saveCourtPunishment,
+    updateCourtPunishment,
+    getActiveCourtPunishments,
+    getCourtPunishmentsByUser,
+    saveModerationRecord
+} = require('../../../core/utils/database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Discord 单次禁言（timeout）最长 28 天，更长的禁言由到期检查器分段续期
+const MAX_TIMEOUT_MS = 28 * DAY_MS;
+
+/**
+ * 把判决写入用户的处罚记录（与自助管理的投票删除、投票禁言记录一起用于 /我的处罚记录 和累犯加重）。
+ * @param {object} voteData - 法庭投票数据。
+ * @param {object} [updates] - 额外字段，如撤销状态。
+ */
+async function saveVerdictRecord(voteData, updates = {}) {
+    await saveModerationRecord({
+        guildId: voteData.guildId,
+        userId: voteData.targetUserId,
+        type: 'court',
+        sourceKey: `court_${voteData.guildId}_${voteData.courtId}`,
+        courtId: voteData.courtId,
+        threadId: voteData.threadId,
+        punishmentType: voteData.punishmentType,
+        timeoutDays: voteData.timeoutDays,
+        warningDays: voteData.warningDays,
+        ...updates
+    });
+}
+
+/**
+ * 对成员施加一段禁言，超过 Discord 上限时只施加上限长度。
+ * @param {import('discord.js').GuildMember} member - 目标成员。
+ * @param {Date} expiresAt - 禁言应当结束的时间。
+ * @param {string} reason - 审计日志原因。
+ * @returns {Promise<Date>} 本次实际施加到的时间。
+ */
+async function applyTimeoutUntil(member, expiresAt, reason) {
+    const remainingMs = expiresAt.getTime() - Date.now();
+    const durationMs = Math.min(remainingMs, MAX_TIMEOUT_MS);
+    await member.timeout(durationMs, reason);
+    return new Date(Date.now() + durationMs);
+}
+
+/**
+ * 执行禁言处罚并保存记录。成员不在服务器时仍保存记录，由检查器在其回来后补施加。
+ */
+async function executeTimeout(guild, voteData, reason) {
+    const expiresAt = new Date(Date.now() + voteData.timeoutDays * DAY_MS);
+    const member = await guild.members.fetch(voteData.targetUserId).catch(() => null);
+
+    let appliedUntil = null;
+    let error = null;
+    if (member) {
+        try {
+            appliedUntil = await applyTimeoutUntil(member, expiresAt, reason);
+        } catch (err) {
+            console.error(`对用户 ${voteData.targetUserId} 施加禁言失败:`, err);
+            error = err.message;
+        }
+    } else {
+        error = '用户不在服务器中，将在其回到服务器后补施加';
+    }
+
+    const record = await saveCourtPunishment({
+        guildId: guild.id,
+        userId: voteData.targetUserId,
+        type: 'timeout',
+        status: 'active',
+        courtId: voteData.courtId,
+        threadId: voteData.threadId,
+        expiresAt: expiresAt.toISOString(),
+        appliedUntil: appliedUntil ? appliedUntil.toISOString() : null,
+        createdAt: new Date().toISOString()
+    });
+
+    return {
+        type: 'timeout',
+        success: !!appliedUntil,
+        recordId: record.id,
+        expiresAt: expiresAt.toISOString(),
+        error
+    };
+}
+
+/**
+ * 执行封禁处罚并保存记录。
+ */
+async function executeBan(guild, voteData, reason) {
+    let error = null;
+    try {
+        await guild.members.ban(voteData.targetUserId, { reason });
+    } catch (err) {
+        console.error(`封禁用户 ${voteData.targetUserId} 失败:`, err);
+        error = err.message;
+    }
+
+    const record = await saveCourtPunishment({
+        guildId: guild.id,
+        userId: voteData.targetUserId,
+        type: 'ban',
+        status: error ? 'failed' : 'completed',
+        courtId: voteData.courtId,
+        threadId: voteData.threadId,
+        error,
+        createdAt: new Date().toISOString()
+    });
+
+    return {
+        type: 'ban',
+        success: !error,
+        recordId: record.id,
+        error
+    };
+}
+
+/**
+ * 授予限时的“被警告”身份组并保存记录，到期后由检查器移除。
+ */
+async function executeWarning(guild, voteData, courtSettings, reason) {
+    if (!courtSettings?.warningRoleId) {
+        return {
+            type: 'warning',
+            success: false,
+            error: '尚未设置警告身份组，请管理员使用 /setallowcourtrole 设置'
+        };
+    }
+
+    const expiresAt = new Date(Date.now() + voteData.warningDays * DAY_MS);
+    const member = await guild.members.fetch(voteData.targetUserId).catch(() => null);
+
+    let roleApplied = false;
+    let error = null;
+    if (member) {
+        try {
+            await member.roles.add(courtSettings.warningRoleId, reason);
+            roleApplied = true;
+        } catch (err) {
+            console.error(`为用户 ${voteData.targetUserId} 添加警告身份组失败:`, err);
+            error = err.message;
+        }
+    } else {
+        error = '用户不在服务器中，将在其回到服务器后补施加';
+    }
+
+    const record = await saveCourtPunishment({
+        guildId: guild.id,
+        userId: voteData.targetUserId,
+        type: 'warning',
+        status: 'active',
+        courtId: voteData.courtId,
+        threadId: voteData.threadId,
+        roleId: courtSettings.warningRoleId,
+        expiresAt: expiresAt.toISOString(),
+        roleApplied,
+        createdAt: new Date().toISOString()
+    });
+
+    return {
+        type: 'warning',
+        success: roleApplied,
+        recordId: record.id,
+        expiresAt: expiresAt.toISOString(),
+        error
+    };
+}
+
+/**
+ * 执行一个已通过的法庭判决（禁言 / 封禁 / 警告），并在辩诉帖和申请人私信中发布执行记录。
+ * @param {import('discord.js').Client} client - Discord 客户端实例。
+ * @param {object} voteData - 已结算的法庭投票数据。
+ * @returns {Promise<{executedAt: string, actions: object[]}>} 执行结果。
+ */
+async function executeCourtPunishment(client, voteData) {
+    console.log(`开始执行法庭判决: 法庭ID ${voteData.courtId}, 处罚类型 ${voteData.punishmentType}`);
+
+    const guild = await client.guilds.fetch(voteData.guildId);
+    const courtSettings = await getCourtSettings(voteData.guildId);
+    const reason = `议会辩诉判决 - 法庭申请ID ${voteData.courtId}`;
+
+    const actions = [];
+    if (voteData.punishmentType === 'ban') {
+        actions.push(await executeBan(guild, voteData, reason));
+    } else {
+        actions.push(await executeTimeout(guild, voteData, reason));
+        if (voteData.warningDays) {
+            actions.push(await executeWarning(guild, voteData, courtSettings, reason));
+        }
+    }
+
+    const execution = {
+        executedAt: new Date().toISOString(),
+        actions
+    };
+
+    await saveVerdictRecord(voteData);
+
+    await sendExecutionRecord(client, voteData, execution);
+
+    console.log(`法庭判决执行完成: 法庭ID ${voteData.courtId}`, actions);
+    return execution;
+}
+
+function describeAction(action) {
+    const names = { timeout: '禁言', ban: '封禁', warning: '被警告身份组' };
+    let line = `${action.success ? '✅' : '❌'} **${names[action.type]}**`;
+    if (action.expiresAt) {
+        line += ` - 到期时间 <t:${Math.floor(new Date(action.expiresAt).getTime() / 1000)}:f>`;
+    }
+    if (action.error) {
+        line += `\n　└ ${action.error}`;
+    }
+    return line;
+}
+
+/**
+ * 在辩诉帖中发布执行记录，并私信通知申请人。
+ */
+async function sendExecutionRecord(client, voteData, execution) {
+    const allSucceeded = execution.actions.every(action => action.success);
+
+    const embed = new EmbedBuilder()
+        .setTitle('⚖️ 判决执行记录')
+        .setDescription(`**被处罚者：** <@${voteData.targetUserId}>\n**申请人：** <@${voteData.applicantId}>\n\n` +
+                       execution.actions.map(describeAction).join('\n') +
+                       `\n\n**执行时间：** <t:${Math.floor(new Date(execution.executedAt).getTime() / 1000)}:f>`)
+        .setColor(allSucceeded ? '#FF0000' : '#FFA500')
+        .setFooter({ text: `法庭申请ID ${voteData.courtId}` })
+        .setTimestamp();
+
+    try {
+        const thread = await client.channels.fetch(voteData.threadId);
+        await thread.send({ embeds: [embed] });
+    } catch (error) {
+        console.error(`在辩诉帖 ${voteData.threadId} 发布执行记录失败:`, error);
+    }
+
+    try {
+        const applicant = await client.users.fetch(voteData.applicantId);
+        await applicant.send({
+            content: `您发起的法庭申请（ID ${voteData.courtId}）已获得通过，判决执行情况如下：\nhttps://discord.com/channels/${voteData.guildId}/${voteData.threadId}`,
+            embeds: [embed]
+        });
+    } catch (error) {
+        console.error(`私信申请人 ${voteData.applicantId} 失败:`, error);
+    }
+}
+
+/**
+ * 撤销某个判决已执行的处罚（上诉成功时使用）：解除禁言、解除封禁、移除警告身份组。
+ * @param {import('discord.js').Client} client - Discord 客户端实例。
+ * @param {object} voteData - 原判决的投票数据。
+ * @param {string} reason - 审计日志原因。
+ * @returns {Promise<object[]>} 每条处罚记录的撤销结果。
+ */
+async function revokeCourtPunishment(client, voteData, reason) {
+    const guild = await client.guilds.fetch(voteData.guildId);
+    const punishments = (await getCourtPunishmentsByUser(voteData.guildId, voteData.targetUserId))
+        .filter(punishment => punishment.threadId === voteData.threadId &&
+                              ['active', 'completed'].includes(punishment.status));
+
+    const results = [];
+    for (const punishment of punishments) {
+        let error = null;
+        try {
+            if (punishment.type === 'ban') {
+                await guild.members.unban(punishment.userId, reason);
+            } else {
+                const member = await guild.members.fetch(punishment.userId).catch(() => null);
+                if (member && punishment.type === 'timeout') {
+                    await member.timeout(null, reason);
+                } else if (member && punishment.type === 'warning' && punishment.roleApplied) {
+                    await member.roles.remove(punishment.roleId, reason);
+                }
+            }
+        } catch (err) {
+            console.error(`撤销处罚记录 ${punishment.id} 失败:`, err);
+            error = err.message;
+        }
+
+        await updateCourtPunishment(punishment.id, {
+            status: 'revoked',
+            endedAt: new Date().toISOString(),
+            revokeError: error
+        });
+        results.push({ type: punishment.type, success: !error, recordId: punishment.id, error });
+    }
+
+    await saveVerdictRecord(voteData, { revoked: true, revokedAt: new Date().toISOString() });
+
+    console.log(`已撤销法庭判决: 法庭ID ${voteData.courtId}`, results);
+    return results;
+}
+
+/**
+ * 处理单条仍在生效的处罚记录：到期则解除，未到期则续期或补施加。
+ */
+async function processActivePunishment(client, punishment, now) {
+    const expiresAt = new Date(punishment.expiresAt);
+    const guild = await client.guilds.fetch(punishment.guildId).catch(() => null);
+    if (!guild) {
+        console.error(`找不到服务器 ${punishment.guildId}，跳过处罚记录 ${punishment.id}`);
+        return null;
+    }
+    const member = await guild.members.fetch(punishment.userId).catch(() => null);
+
+    if (now >= expiresAt) {
+        if (punishment.type === 'warning' && member && punishment.roleApplied) {
+            await member.roles.remove(punishment.roleId, `警告到期 - 法庭申请ID ${punishment.courtId}`);
+        }
+        await updateCourtPunishment(punishment.id, {
+            status: 'expired',
+            endedAt: now.toISOString()
+        });
+        return 'expired';
+    }
+
+    if (!member) return null;
+
+    if (punishment.type === 'timeout') {
+        const appliedUntil = punishment.appliedUntil ? new Date(punishment.appliedUntil) : null;
+        if (!appliedUntil || appliedUntil <= now) {
+            const newAppliedUntil = await applyTimeoutUntil(member, expiresAt, `议会辩诉判决续期 - 法庭申请ID ${punishment.courtId}`);
+            await updateCourtPunishment(punishment.id, { appliedUntil: newAppliedUntil.toISOString() });
+            return 'renewed';
+        }
+    } else if (punishment.type === 'warning' && !punishment.roleApplied) {
+        await member.roles.add(punishment.roleId, `议会辩诉判决补施加 - 法庭申请ID ${punishment.courtId}`);
+        await updateCourtPunishment(punishment.id, { roleApplied: true });
+        return 'renewed';
+    }
+
+    return null;
+}
+
+/**
+ * 检查所有生效中的法庭处罚：移除到期的警告身份组，续期超过 28 天的禁言。
+ * @param {import('discord.js').Client} client - Discord 客户端实例。
+ */
+async function checkCourtPunishments(client) {
+    try {
+        console.log('\n=== 开始检查法庭处罚到期状态 ===');
+        const now = new Date();
+        const punishments = await getActiveCourtPunishments();
+
+        let expired = 0;
+        let renewed = 0;
+
+        for (const punishment of punishments) {
+            try {
+                const result = await processActivePunishment(client, punishment, now);
+                if (result === 'expired') expired++;
+                if (result === 'renewed') renewed++;
+            } catch (error) {
+                console.error(`处理法庭处罚记录 ${punishment.id} 时出错:`, error);
+            }
+        }
+
+        console.log(`生效中的处罚: ${punishments.length}, 已到期解除: ${expired}, 续期/补施加: ${renewed}`);
+        console.log('=== 法庭处罚到期检查完成 ===\n');
+    } catch (error) {
+        console.error('检查法庭处罚到期状态时出错:', error);
+    }
+}
+
+module.exports = {
+    executeCourtPunishment,
+    revokeCourtPunishment,
+    checkCourtPunishments
+};
@@ -2,6 +2,8 @@
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const { saveCourtApplication, getNextCourtId } = require('../../../core/utils/database');
 const { getCourtApplicationDeadline } = require('../../../core/config/timeconfig');
+const { scheduleCourtApplicationJobs } = require('./courtJobs');
+const { getCourtCaseHistory, summarizeCourtHistory } = require('./courtHistoryService');
 
 
 async function processCourtApplication(interaction, applicationData, courtSettings) {
@@ -20,8 +22,8 @@ async function processCourtApplication(interaction, applicationData, courtSettin
         // 获取下一个法庭ID
         const courtId = getNextCourtId();
         
-        // 计算截止日期（2天后）
-        const deadlineDate = getCourtApplicationDeadline();
+        // 计算截止日期（按服务器时间配置）
+        const deadlineDate = getCourtApplicationDeadline(applicationData.guildId);
         const deadlineTimestamp = Math.floor(deadlineDate.getTime() / 1000);
         
         // 构建处罚描述
@@ -35,10 +37,16 @@ async function processCourtApplication(interaction, applicationData, courtSettin
             punishmentDescription = '封禁';
         }
         
+        // 统计被申请者的既往案件
+        const priorCases = summarizeCourtHistory(await getCourtCaseHistory(applicationData.guildId, applicationData.targetUserId));
+        const priorCasesText = priorCases.total > 0
+            ? `曾被申请 ${priorCases.total} 次，其中 ${priorCases.convicted} 次判决生效（可使用 \`/法庭记录\` 查看）`
+            : '无';
+        
         // 创建嵌入消息
         const embed = new EmbedBuilder()
             .setTitle(`对 ${targetUser.displayName} 的处罚申请`)
-            .setDescription(`**申请人：** ${applicant}\n**处罚对象：** ${targetUser}\n**截止时间：** <t:${deadlineTimestamp}:f>\n\n**处罚类型**\n${punishmentDescription}\n\n**处罚理由**\n${applicationData.reason}`)
+            .setDescription(`**申请人：** ${applicant}\n**处罚对象：** ${targetUser}\n**截止时间：** <t:${deadlineTimestamp}:f>\n**既往记录：** ${priorCasesText}\n\n**处罚类型**\n${punishmentDescription}\n\n**处罚理由**\n${applicationData.reason}`)
             .setColor('#FF6B6B') // 红色调
             .setFooter({ 
                 text: `匿名投票 | 法庭申请ID ${courtId}`,
@@ -90,11 +98,13 @@ async function processCourtApplication(interaction, applicationData, courtSettin
             forumChannelId: courtSettings.forumChannelId,
             deadline: deadlineDate.toISOString(),
             status: 'pending',
+            priorCaseCount: priorCases.total,
             guildId: applicationData.guildId,
             timestamp: applicationData.timestamp
         };
 
         await saveCourtApplication(courtApplicationData);
+        await scheduleCourtApplicationJobs(message.id, courtApplicationData);
 
         console.log(`成功创建法庭申请消息 ID: ${message.id}, 法庭ID: ${courtId}, 截止日期: ${deadlineDate.toISOString()}`);
         
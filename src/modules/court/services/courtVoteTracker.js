@@ -1,6 +1,7 @@
 // src\modules\court\services\courtVoteTracker.js
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const { getCourtApplication, updateCourtApplication } = require('../../../core/utils/database');
+const { scheduleCourtApplicationJobs } = require('./courtJobs');
 const { createCourtForum } = require('./courtForumPoster');
 
 async function processCourtSupport(interaction) {
@@ -135,12 +136,13 @@ async function processCourtSupport(interaction) {
                 });
                 
                 // 更新数据库中的状态，包括论坛帖子信息
-                await updateCourtApplication(messageId, {
+                const updatedApplication = await updateCourtApplication(messageId, {
                     status: 'posted',
                     forumThreadUrl: forumResult.url,
                     forumThreadId: forumResult.threadId,
                     voteMessageId: forumResult.voteMessageId
                 });
+                await scheduleCourtApplicationJobs(messageId, updatedApplication);
                 
                 // 更新回复
                 replyContent = '您的支持已记录！申请已成功发布到论坛，辩诉程序正式开始。';
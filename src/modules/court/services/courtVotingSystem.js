@@ -1,6 +1,12 @@
 // src\modules\court\services\courtVotingSystem.js
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-const { getCourtVote, updateCourtVote } = require('../../../core/utils/database');
+const { getCourtVote, updateCourtVote, getCourtSettings } = require('../../../core/utils/database');
+const { getCourtVoteRules, getVoteThresholds, evaluateCourtVote, describePunishment } = require('../utils/courtVoteRules');
+const { executeCourtPunishment } = require('./courtPunishmentExecutor');
+const { sendAppealInvitation, resolveAppeal } = require('./courtAppealService');
+const { logAuditEvent } = require('../../../core/utils/auditLogger');
+const { t } = require('../../../core/utils/i18n');
+const courtText = require('../locales');
 
 /**
  * 处理用户对提案的投票（支持/反对/撤销）。
@@ -24,7 +30,7 @@ async function processCourtVote(interaction) {
             threadId = customId.replace('court_vote_oppose_', '');
         } else {
             return interaction.editReply({ 
-                content: '无效的投票按钮。'
+                content: courtText(interaction, 'voteReply.invalidButton')
             });
         }
         
@@ -36,14 +42,20 @@ async function processCourtVote(interaction) {
         if (!voteData) {
             console.error(`在数据库中找不到投票数据: ${threadId}`);
             return interaction.editReply({ 
-                content: '找不到此投票数据。'
+                content: courtText(interaction, 'voteReply.notFound')
             });
         }
         
         // 检查投票状态
+        if (voteData.status === 'defense') {
+            return interaction.editReply({ 
+                content: courtText(interaction, 'voteReply.defensePhase')
+            });
+        }
+        
         if (voteData.status !== 'active') {
             return interaction.editReply({ 
-                content: '此投票已结束或被禁用。'
+                content: courtText(interaction, 'voteReply.closed')
             });
         }
         
@@ -53,7 +65,7 @@ async function processCourtVote(interaction) {
         
         if (now >= endTime) {
             return interaction.editReply({ 
-                content: '投票时间已结束。'
+                content: courtText(interaction, 'voteReply.expired')
             });
         }
         
@@ -70,7 +82,7 @@ async function processCourtVote(interaction) {
                 // 撤销支持票
                 voteData.supportVotes -= 1;
                 voteData.supportVoters.splice(voteData.supportVoters.indexOf(userId), 1);
-                replyContent = '您已撤销支持票！';
+                replyContent = courtText(interaction, 'voteReply.supportRevoked');
                 needsUpdate = true;
             } else {
                 // 如果之前投了反对票，先撤销
@@ -81,7 +93,7 @@ async function processCourtVote(interaction) {
                 // 添加支持票
                 voteData.supportVotes += 1;
                 voteData.supportVoters.push(userId);
-                replyContent = '您的支持票已记录！';
+                replyContent = courtText(interaction, 'voteReply.supportRecorded');
                 needsUpdate = true;
             }
         } else if (voteType === 'oppose') {
@@ -89,7 +101,7 @@ async function processCourtVote(interaction) {
                 // 撤销反对票
                 voteData.opposeVotes -= 1;
                 voteData.opposeVoters.splice(voteData.opposeVoters.indexOf(userId), 1);
-                replyContent = '您已撤销反对票！';
+                replyContent = courtText(interaction, 'voteReply.opposeRevoked');
                 needsUpdate = true;
             } else {
                 // 如果之前投了支持票，先撤销
@@ -100,7 +112,7 @@ async function processCourtVote(interaction) {
                 // 添加反对票
                 voteData.opposeVotes += 1;
                 voteData.opposeVoters.push(userId);
-                replyContent = '您的反对票已记录！';
+                replyContent = courtText(interaction, 'voteReply.opposeRecorded');
                 needsUpdate = true;
             }
         }
@@ -136,12 +148,12 @@ async function processCourtVote(interaction) {
         try {
             if (!interaction.replied && !interaction.deferred) {
                 await interaction.reply({ 
-                    content: '处理您的投票时出现错误。', 
+                    content: courtText(interaction, 'voteReply.error'), 
                     ephemeral: true 
                 });
             } else {
                 await interaction.editReply({
-                    content: '处理您的投票时出现错误。'
+                    content: courtText(interaction, 'voteReply.error')
                 });
             }
         } catch (replyError) {
@@ -161,37 +173,32 @@ async function updateVoteDisplay(interaction, voteData, threadId) {
         const supportPercentage = totalVotes > 0 ? Math.round((voteData.supportVotes / totalVotes) * 100) : 0;
         const opposePercentage = totalVotes > 0 ? Math.round((voteData.opposeVotes / totalVotes) * 100) : 0;
         
+        // 获取本次投票的门槛
+        const rules = getCourtVoteRules(await getCourtSettings(voteData.guildId));
+        const { minTurnout, passPercentage } = getVoteThresholds(voteData, rules);
+        
         // 获取目标用户
         const targetUser = await interaction.client.users.fetch(voteData.targetUserId).catch(() => null);
         
-        // 构建处罚描述
-        let punishmentDescription = '';
-        if (voteData.punishmentType === 'timeout') {
-            punishmentDescription = `禁言 ${voteData.timeoutDays} 天`;
-            if (voteData.warningDays) {
-                punishmentDescription += ` + 被警告 ${voteData.warningDays} 天`;
-            }
-        } else {
-            punishmentDescription = '封禁';
-        }
+        // 投票器使用服务器设置的语言
+        const locale = voteData.guildId;
         
         // 计算投票截止时间
         const voteEndTimestamp = Math.floor(new Date(voteData.voteEndTime).getTime() / 1000);
         
         // 更新投票器嵌入
         const voteEmbed = new EmbedBuilder()
-            .setTitle('议会辩诉投票')
-            .setDescription(`**投票截止时间:** <t:${voteEndTimestamp}:f>\n\n` +
-                           `**辩诉主题:**\n对 ${targetUser ? `<@${targetUser.id}>` : '未知用户'} 执行 ${punishmentDescription}\n\n` +
-                           `**投票结果**\n` +
-                           `支持处罚: **${voteData.supportVotes}** 票 (**${supportPercentage}%**)\n` +
-                           `反对处罚: **${voteData.opposeVotes}** 票 (**${opposePercentage}%**)\n\n` +
-                           `总投票人数: **${totalVotes}**\n\n` +
-                           `**投票结果:**\n` +
-                           `支持率 >= 50% 获得多数，执行惩罚`)
+            .setTitle(courtText(locale, voteData.isAppeal ? 'vote.appealTitle' : 'vote.title'))
+            .setDescription(courtText(locale, 'vote.deadline', { timestamp: voteEndTimestamp }) + '\n\n' +
+                           courtText(locale, 'vote.subject', { target: targetUser ? `<@${targetUser.id}>` : t(locale, 'core.common.unknownUser'), punishment: describePunishment(locale, voteData) }) + '\n\n' +
+                           courtText(locale, 'vote.results') + '\n' +
+                           courtText(locale, 'vote.supportCount', { votes: voteData.supportVotes, percentage: supportPercentage }) + '\n' +
+                           courtText(locale, 'vote.opposeCount', { votes: voteData.opposeVotes, percentage: opposePercentage }) + '\n\n' +
+                           courtText(locale, 'vote.totalVoters', { count: totalVotes }) + '\n\n' +
+                           courtText(locale, 'vote.rule', { minTurnout, passPercentage }))
             .setColor('#FFD700') // 金色
             .setFooter({ 
-                text: `法庭申请ID ${voteData.courtId} | 匿名投票`,
+                text: courtText(locale, 'vote.footer', { courtId: voteData.courtId }),
                 iconURL: thread.guild.iconURL()
             })
             .setTimestamp();
@@ -201,11 +208,11 @@ async function updateVoteDisplay(interaction, voteData, threadId) {
             .addComponents(
                 new ButtonBuilder()
                     .setCustomId(`court_vote_support_${threadId}`)
-                    .setLabel('支持处罚')
+                    .setLabel(courtText(locale, 'vote.support'))
                     .setStyle(ButtonStyle.Danger),
                 new ButtonBuilder()
                     .setCustomId(`court_vote_oppose_${threadId}`)
-                    .setLabel('反对处罚')
+                    .setLabel(courtText(locale, 'vote.oppose'))
                     .setStyle(ButtonStyle.Secondary)
             );
         
@@ -247,40 +254,33 @@ async function finalizeVote(client, voteData) {
     try {
         console.log(`开始结算投票: 法庭ID ${voteData.courtId}`);
         
-        // 计算结果
-        const totalVotes = voteData.supportVotes + voteData.opposeVotes;
-        const supportPercentage = totalVotes > 0 ? (voteData.supportVotes / totalVotes) * 100 : 0;
+        // 根据本次投票的门槛计算结果
+        const rules = getCourtVoteRules(await getCourtSettings(voteData.guildId));
+        const { totalVotes, supportPercentage, minTurnout, passPercentage, resultType } = evaluateCourtVote(voteData, rules);
         
         // 获取相关用户
         const targetUser = await client.users.fetch(voteData.targetUserId).catch(() => null);
         const applicant = await client.users.fetch(voteData.applicantId).catch(() => null);
         
-        // 构建处罚描述
-        let punishmentDescription = '';
-        if (voteData.punishmentType === 'timeout') {
-            punishmentDescription = `禁言 ${voteData.timeoutDays} 天`;
-            if (voteData.warningDays) {
-                punishmentDescription += ` + 被警告 ${voteData.warningDays} 天`;
-            }
-        } else {
-            punishmentDescription = '封禁';
-        }
+        // 结果使用服务器设置的语言
+        const locale = voteData.guildId;
+        const punishmentDescription = describePunishment(locale, voteData);
         
         let resultText = '';
         let resultColor = '';
         
         // 判断投票结果
-        if (totalVotes < 20) {
+        if (resultType === 'invalid') {
             // 总投票人数不足
-            resultText = `**投票无效** - 总投票人数不足 (${totalVotes}/20)`;
+            resultText = courtText(locale, 'vote.invalid', { totalVotes, minTurnout });
             resultColor = '#808080'; // 灰色
-        } else if (supportPercentage >= 50) {
+        } else if (resultType === 'approved') {
             // 支持处罚
-            resultText = `**处罚生效** - 支持率 ${supportPercentage.toFixed(1)}%`;
+            resultText = courtText(locale, 'vote.approved', { percentage: supportPercentage.toFixed(1), passPercentage });
             resultColor = '#FF0000'; // 红色
         } else {
             // 反对处罚
-            resultText = `**处罚驳回** - 支持率 ${supportPercentage.toFixed(1)}%`;
+            resultText = courtText(locale, 'vote.rejected', { percentage: supportPercentage.toFixed(1), passPercentage });
             resultColor = '#00FF00'; // 绿色
         }
         
@@ -290,16 +290,16 @@ async function finalizeVote(client, voteData) {
         
         // 创建最终结果嵌入
         const finalEmbed = new EmbedBuilder()
-            .setTitle('议会辩诉投票 - 结果')
-            .setDescription(`**辩诉主题:**\n对 ${targetUser ? `<@${targetUser.id}>` : '未知用户'} 执行 ${punishmentDescription}\n\n` +
-                           `**最终投票结果**\n` +
-                           `支持处罚: **${voteData.supportVotes}** 票 (**${Math.round((voteData.supportVotes / totalVotes) * 100) || 0}%**)\n` +
-                           `反对处罚: **${voteData.opposeVotes}** 票 (**${Math.round((voteData.opposeVotes / totalVotes) * 100) || 0}%**)\n\n` +
-                           `总投票人数: **${totalVotes}**\n\n` +
+            .setTitle(courtText(locale, voteData.isAppeal ? 'vote.appealResultTitle' : 'vote.resultTitle'))
+            .setDescription(courtText(locale, 'vote.subject', { target: targetUser ? `<@${targetUser.id}>` : t(locale, 'core.common.unknownUser'), punishment: punishmentDescription }) + '\n\n' +
+                           courtText(locale, 'vote.finalResults') + '\n' +
+                           courtText(locale, 'vote.supportCount', { votes: voteData.supportVotes, percentage: Math.round((voteData.supportVotes / totalVotes) * 100) || 0 }) + '\n' +
+                           courtText(locale, 'vote.opposeCount', { votes: voteData.opposeVotes, percentage: Math.round((voteData.opposeVotes / totalVotes) * 100) || 0 }) + '\n\n' +
+                           courtText(locale, 'vote.totalVoters', { count: totalVotes }) + '\n\n' +
                            resultText)
             .setColor(resultColor)
             .setFooter({ 
-                text: `法庭申请ID ${voteData.courtId} | 投票已结束`,
+                text: courtText(locale, 'vote.endedFooter', { courtId: voteData.courtId }),
                 iconURL: thread.guild.iconURL()
             })
             .setTimestamp();
@@ -309,12 +309,12 @@ async function finalizeVote(client, voteData) {
             .addComponents(
                 new ButtonBuilder()
                     .setCustomId(`court_vote_ended_support`)
-                    .setLabel('支持处罚')
+                    .setLabel(courtText(locale, 'vote.support'))
                     .setStyle(ButtonStyle.Danger)
                     .setDisabled(true),
                 new ButtonBuilder()
                     .setCustomId(`court_vote_ended_oppose`)
-                    .setLabel('反对处罚')
+                    .setLabel(courtText(locale, 'vote.oppose'))
                     .setStyle(ButtonStyle.Secondary)
                     .setDisabled(true)
             );
@@ -333,15 +333,61 @@ async function finalizeVote(client, voteData) {
                 supportVotes: voteData.supportVotes,
                 opposeVotes: voteData.opposeVotes,
                 supportPercentage: supportPercentage,
-                resultType: totalVotes < 20 ? 'invalid' : (supportPercentage >= 50 ? 'approved' : 'rejected'),
+                minTurnout: minTurnout,
+                passPercentage: passPercentage,
+                resultType: resultType,
                 completedAt: new Date().toISOString()
             }
         });
         
         console.log(`投票结算完成: 法庭ID ${voteData.courtId}, 结果: ${resultText}`);
+
+        await logAuditEvent(client, {
+            guildId: voteData.guildId,
+            module: 'court',
+            action: voteData.isAppeal ? '法庭上诉重审结算' : '法庭判决结算',
+            targetId: voteData.targetUserId,
+            summary: resultText,
+            details: {
+                '法庭ID': voteData.courtId,
+                '处罚': punishmentDescription,
+                '申请人': `<@${voteData.applicantId}>`,
+                '支持/反对': `${voteData.supportVotes} / ${voteData.opposeVotes}`,
+                '投票帖': `<#${voteData.threadId}>`
+            }
+        });
         
-        // TODO: 这里可以添加实际执行处罚的逻辑
-        // 例如：如果结果是 'approved'，则执行相应的禁言或封禁操作
+        // 上诉重审不再执行处罚，只决定维持还是撤销原判
+        if (voteData.isAppeal) {
+            try {
+                await resolveAppeal(client, voteData, resultType);
+            } catch (error) {
+                console.error(`处理上诉结果时出错: 法庭ID ${voteData.courtId}`, error);
+            }
+            return;
+        }
+        
+        // 判决通过时执行处罚
+        if (resultType === 'approved') {
+            // 先发送上诉通知，避免被封禁后收不到私信
+            const appealDeadline = new Date(Date.now() + rules.appealWindowHours * 60 * 60 * 1000).toISOString();
+            await updateCourtVote(voteData.threadId, { appealDeadline });
+            await sendAppealInvitation(client, { ...voteData, appealDeadline });
+            
+            try {
+                const execution = await executeCourtPunishment(client, voteData);
+                await updateCourtVote(voteData.threadId, { execution });
+            } catch (error) {
+                console.error(`执行法庭判决时出错: 法庭ID ${voteData.courtId}`, error);
+                await updateCourtVote(voteData.threadId, {
+                    execution: {
+                        executedAt: new Date().toISOString(),
+                        error: error.message,
+                        actions: []
+                    }
+                });
+            }
+        }
         
     } catch (error) {
         console.error('结算投票时出错:', error);
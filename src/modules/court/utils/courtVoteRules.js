@@ -0,0 +1,145 @@
+// src\modules\court\utils\courtVoteRules.js
+const courtText = require('../locales');
+
+// 未单独设置时使用的默认辩诉投票规则
+const DEFAULT_COURT_VOTE_RULES = {
+    minTurnout: 20,             // 最低投票人数，不足则投票无效
+    timeoutPassPercentage: 50,  // 禁言判决所需支持率（%）
+    banPassPercentage: 50,      // 封禁判决所需支持率（%）
+    voteDurationHours: 24,      // 投票持续时间（小时）
+    publicDelayHours: 12,       // 开始公开票数的延迟（小时）
+    defenseHours: 12,           // 投票开放前留给被处罚者答辩的时间（小时），0 表示不设答辩阶段
+    appealWindowHours: 72,      // 判决生效后允许上诉的时间（小时）
+    appealPassIncrease: 10,     // 上诉重审时所需支持率在原判基础上提高的百分点
+};
+
+/**
+ * 获取服务器的辩诉投票规则（未设置的项使用默认值）
+ * @param {object|undefined} courtSettings - 服务器的法庭设置
+ * @returns {object} 完整的投票规则
+ */
+function getCourtVoteRules(courtSettings) {
+    return {
+        ...DEFAULT_COURT_VOTE_RULES,
+        ...(courtSettings?.voteRules || {})
+    };
+}
+
+/**
+ * 根据处罚类型获取所需支持率
+ * @param {object} rules - 投票规则
+ * @param {string} punishmentType - 处罚类型（timeout/ban）
+ * @returns {number} 所需支持率（%）
+ */
+function getRequiredPassPercentage(rules, punishmentType) {
+    return punishmentType === 'ban' ? rules.banPassPercentage : rules.timeoutPassPercentage;
+}
+
+/**
+ * 计算投票结束时间
+ * @param {object} rules - 投票规则
+ * @param {Date} [from] - 起始时间，默认当前时间
+ * @returns {Date}
+ */
+function getCourtVoteEndTime(rules, from = new Date()) {
+    return new Date(from.getTime() + rules.voteDurationHours * 60 * 60 * 1000);
+}
+
+/**
+ * 计算开始公开票数的时间
+ * @param {object} rules - 投票规则
+ * @param {Date} [from] - 起始时间，默认当前时间
+ * @returns {Date}
+ */
+function getCourtVotePublicTime(rules, from = new Date()) {
+    return new Date(from.getTime() + rules.publicDelayHours * 60 * 60 * 1000);
+}
+
+/**
+ * 计算上诉重审所需支持率（原判门槛加上提高幅度，最高100%）
+ * @param {number} originalPassPercentage - 原判决使用的支持率门槛（%）
+ * @param {object} rules - 投票规则
+ * @returns {number} 重审所需支持率（%）
+ */
+function getAppealPassPercentage(originalPassPercentage, rules) {
+    return Math.min(100, originalPassPercentage + rules.appealPassIncrease);
+}
+
+/**
+ * 将小时数格式化为便于阅读的文字（不足1小时显示为分钟）
+ * @param {number} hours - 小时数
+ * @param {string|object} [locale] - 语言来源（服务器ID、交互等），默认简体中文
+ * @returns {string}
+ */
+function formatHours(hours, locale) {
+    if (hours < 1) {
+        return courtText(locale, 'duration.minutes', { count: Math.round(hours * 60) });
+    }
+    return courtText(locale, 'duration.hours', { count: Number.isInteger(hours) ? hours : hours.toFixed(1) });
+}
+
+/**
+ * 生成处罚描述，如“禁言 3 天 + 被警告 7 天”
+ * @param {string|object} locale - 语言来源（服务器ID、交互等）
+ * @param {object} data - 带 punishmentType / timeoutDays / warningDays 的申请或投票数据
+ * @returns {string}
+ */
+function describePunishment(locale, data) {
+    if (data.punishmentType !== 'timeout') {
+        return courtText(locale, 'punishment.ban');
+    }
+    let description = courtText(locale, 'punishment.timeout', { days: data.timeoutDays });
+    if (data.warningDays) {
+        description += courtText(locale, 'punishment.warning', { days: data.warningDays });
+    }
+    return description;
+}
+
+/**
+ * 获取某次投票实际使用的门槛。投票创建时会记录当时的门槛，旧投票没有记录时使用服务器当前规则。
+ * @param {object} voteData - 投票数据
+ * @param {object} rules - 服务器当前的投票规则
+ * @returns {{minTurnout: number, passPercentage: number}}
+ */
+function getVoteThresholds(voteData, rules) {
+    return {
+        minTurnout: voteData.minTurnout ?? rules.minTurnout,
+        passPercentage: voteData.passPercentage ?? getRequiredPassPercentage(rules, voteData.punishmentType)
+    };
+}
+
+/**
+ * 计算投票结果
+ * @param {object} voteData - 投票数据
+ * @param {object} rules - 服务器当前的投票规则
+ * @returns {{totalVotes: number, supportPercentage: number, minTurnout: number, passPercentage: number, resultType: string}}
+ */
+function evaluateCourtVote(voteData, rules) {
+    const { minTurnout, passPercentage } = getVoteThresholds(voteData, rules);
+    const totalVotes = voteData.supportVotes + voteData.opposeVotes;
+    const supportPercentage = totalVotes > 0 ? (voteData.supportVotes / totalVotes) * 100 : 0;
+
+    let resultType;
+    if (totalVotes < minTurnout) {
+        resultType = 'invalid';
+    } else if (supportPercentage >= passPercentage) {
+        resultType = 'approved';
+    } else {
+        resultType = 'rejected';
+    }
+
+    return { totalVotes, supportPercentage, minTurnout, passPercentage, resultType };
+}
+
+module.exports = {
+    DEFAULT_COURT_VOTE_RULES,
+    getCourtVoteRules,
+    getRequiredPassPercentage,
+    getCourtVoteEndTime,
+    getCourtVotePublicTime,
+    getAppealPassPercentage,
+    formatHours,
+    describePunishment,
+    getVoteThresholds,
+    evaluateCourtVote
+};
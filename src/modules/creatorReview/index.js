@@ -0,0 +1,22 @@
+// src\modules\creatorReview\index.js
+const { createReviewModal } = require('./components/reviewModal');
+const { processReviewSubmission } = require('./services/reviewService');
+
+module.exports = {
+    name: '创作者审核',
+    locales: require('./locales'),
+    commands: [
+        require('./commands/setupReview'),
+        require('./commands/deleteReviewEntry'),
+        require('./commands/addAllowPreviewServer'),
+        require('./commands/removeAllowPreviewServer'),
+        require('./commands/addAllowedForum'),
+        require('./commands/removeAllowedForum'),
+    ],
+    buttons: [
+        { customId: 'open_review_form', handler: interaction => interaction.showModal(createReviewModal()) },
+    ],
+    modals: [
+        { customId: 'review_submission', handler: processReviewSubmission },
+    ],
+};
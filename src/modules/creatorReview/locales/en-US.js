@@ -0,0 +1,46 @@
+// src\modules\creatorReview\locales\en-US.js
+module.exports = {
+    name: 'Creator Review',
+
+    commands: {
+        'setupreview': {
+            description: 'Set up the review submission entry',
+            options: {
+                '所需反应数': { name: 'required-reactions', description: 'Number of reactions a post needs' },
+                '奖励身份组': { name: 'reward-role', description: 'Role granted once the reaction count is reached' },
+            },
+        },
+        'deletereviewentry': {
+            description: 'Delete a review entry message',
+            options: {
+                '消息id': { name: 'message-id', description: 'ID of the review entry message to delete' },
+            },
+        },
+        'addallowpreviewserver': {
+            description: 'Allow a server to be reviewed',
+            options: {
+                '服务器id': { name: 'server-id', description: 'ID of the server to add to the allow list' },
+            },
+        },
+        'removeallowpreviewserver': {
+            description: 'Stop allowing a server to be reviewed',
+            options: {
+                '服务器id': { name: 'server-id', description: 'ID of the server to remove from the allow list' },
+            },
+        },
+        'addallowedforum': {
+            description: 'Allow a forum channel to be reviewed',
+            options: {
+                '服务器id': { name: 'server-id', description: 'Target server ID' },
+                '论坛频道id': { name: 'forum-id', description: 'ID of the forum to add to the allow list' },
+            },
+        },
+        'removeallowedforum': {
+            description: 'Stop allowing a forum channel to be reviewed',
+            options: {
+                '服务器id': { name: 'server-id', description: 'Target server ID' },
+                '论坛频道id': { name: 'forum-id', description: 'ID of the forum to remove from the allow list' },
+            },
+        },
+    },
+};
@@ -1,6 +1,6 @@
 const { SlashCommandBuilder } = require('discord.js');
 const { checkAdminPermission, getPermissionDeniedMessage } = require('../../../core/utils/permissionManager');
-const { ElectionData } = require('../data/electionDatabase');
+const { respondElectionAutocomplete, resolveElection } = require('../utils/electionSelector');
 const VoteManagementService = require('../services/voteManagementService');
 const { createErrorEmbed, createSuccessEmbed } = require('../utils/messageUtils');
 
@@ -19,19 +19,24 @@ module.exports = {
         .addStringOption(option =>
             option.setName('electionid')
                 .setDescription('特定选举ID（可选，不填则使用当前活跃选举）')
+                .setAutocomplete(true)
                 .setRequired(false))
         .addStringOption(option =>
             option.setName('原因')
                 .setDescription('清除投票的原因（可选）')
                 .setRequired(false)),
 
+    async autocomplete(interaction) {
+        await respondElectionAutocomplete(interaction);
+    },
+
     async execute(interaction) {
         try {
             await interaction.deferReply({ ephemeral: true });
 
             // 权限检查
-            if (!checkAdminPermission(interaction.member)) {
-                const errorEmbed = createErrorEmbed('权限不足', getPermissionDeniedMessage());
+            if (!checkAdminPermission(interaction.member, interaction.commandName)) {
+                const errorEmbed = createErrorEmbed('权限不足', getPermissionDeniedMessage(interaction));
                 return await interaction.editReply({ embeds: [errorEmbed] });
             }
 
@@ -43,20 +48,10 @@ module.exports = {
             const voteService = new VoteManagementService();
 
             // 确定目标选举
-            let targetElection;
-            if (electionId) {
-                targetElection = await ElectionData.getById(electionId);
-                if (!targetElection) {
-                    const errorEmbed = createErrorEmbed('选举不存在', `找不到ID为 ${electionId} 的选举`);
-                    return await interaction.editReply({ embeds: [errorEmbed] });
-                }
-            } else {
-                // 使用当前活跃选举
-                targetElection = await ElectionData.getActiveElectionByGuild(interaction.guild.id);
-                if (!targetElection) {
-                    const errorEmbed = createErrorEmbed('未找到活跃选举', '当前没有活跃的选举，请指定具体的选举ID');
-                    return await interaction.editReply({ embeds: [errorEmbed] });
-                }
+            const { election: targetElection, error: resolveError } = await resolveElection(interaction.guild.id, electionId);
+            if (resolveError) {
+                const errorEmbed = createErrorEmbed(resolveError.title, resolveError.message);
+                return await interaction.editReply({ embeds: [errorEmbed] });
             }
 
             // 检查选举状态
@@ -1,15 +1,26 @@
-const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
 const { ElectionData, RegistrationData, VoteData } = require('../data/electionDatabase');
 const { validatePermission } = require('../utils/validationUtils');
 const { createElectionStatusEmbed, createErrorEmbed } = require('../utils/messageUtils');
 const { getElectionStatistics } = require('../services/electionResultService');
+const { respondElectionAutocomplete, getElectionStatusLabel } = require('../utils/electionSelector');
+const { getNextPhase } = require('../services/electionJobs');
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('查看募选状态')
-        .setDescription('查看当前募选的状态和统计信息'),
+        .setDescription('查看当前募选的状态和统计信息')
+        .addStringOption(option =>
+            option.setName('募选')
+                .setDescription('要查看的募选（留空时列出所有进行中的募选）')
+                .setAutocomplete(true)
+                .setRequired(false)),
         // .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
 
+    async autocomplete(interaction) {
+        await respondElectionAutocomplete(interaction);
+    },
+
     async execute(interaction) {
         try {
             await interaction.deferReply({ ephemeral: true });
@@ -21,12 +32,26 @@ module.exports = {
             // }
 
             const guildId = interaction.guild.id;
-
-            // 获取当前活跃的募选
-            const election = await ElectionData.getActiveElectionByGuild(guildId);
-            if (!election) {
-                const errorEmbed = createErrorEmbed('未找到募选', '当前没有活跃的募选，请先使用 `/设置募选职位` 创建募选');
-                return await interaction.editReply({ embeds: [errorEmbed] });
+            const selectedElectionId = interaction.options.getString('募选');
+
+            let election;
+            if (selectedElectionId) {
+                election = await ElectionData.getById(selectedElectionId);
+                if (!election || election.guildId !== guildId) {
+                    const errorEmbed = createErrorEmbed('未找到募选', '指定的募选不存在，请从「募选」选项的列表中选择');
+                    return await interaction.editReply({ embeds: [errorEmbed] });
+                }
+            } else {
+                // 未指定募选时列出所有进行中的募选，只有一个时直接显示详情
+                const activeElections = await ElectionData.getActiveElectionsByGuild(guildId);
+                if (activeElections.length === 0) {
+                    const errorEmbed = createErrorEmbed('未找到募选', '当前没有活跃的募选，请先使用 `/设置募选职位` 创建募选');
+                    return await interaction.editReply({ embeds: [errorEmbed] });
+                }
+                if (activeElections.length > 1) {
+                    return await interaction.editReply({ embeds: [createElectionListEmbed(activeElections)] });
+                }
+                election = activeElections[0];
             }
 
             // 创建基本状态嵌入
@@ -132,6 +157,42 @@ module.exports = {
     }
 };
 
+/**
+ * 创建进行中募选的列表嵌入消息
+ * @param {Array} elections - 募选列表
+ * @returns {EmbedBuilder} 嵌入消息
+ */
+function createElectionListEmbed(elections) {
+    const embed = new EmbedBuilder()
+        .setTitle('📊 进行中的募选')
+        .setDescription(`本服务器当前有 **${elections.length}** 个进行中的募选，使用 \`/查看募选状态\` 并在「募选」选项中选择可查看详细统计`)
+        .setColor('#3498db')
+        .setTimestamp();
+
+    const sorted = [...elections].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    for (const election of sorted.slice(0, 25)) {
+        const positionList = Object.values(election.positions || {})
+            .map(pos => `${pos.name}(${pos.maxWinners}人)`)
+            .join('、') || '暂未设置';
+
+        let value = `**状态：** ${getElectionStatusLabel(election.status)}\n**职位：** ${positionList}`;
+
+        const nextPhase = getNextPhase(election);
+        if (nextPhase) {
+            value += `\n**${nextPhase.label}：** <t:${Math.floor(new Date(nextPhase.time).getTime() / 1000)}:f>`;
+        }
+
+        const configIssues = checkElectionConfiguration(election);
+        if (configIssues.length > 0) {
+            value += `\n⚠️ ${configIssues.length} 项配置问题`;
+        }
+
+        embed.addFields({ name: `${election.name}（ID: ${election.electionId}）`, value, inline: false });
+    }
+
+    return embed;
+}
+
 /**
  * 检查募选配置是否完整
  * @param {object} election - 募选数据
@@ -1,5 +1,6 @@
 const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
 const { ElectionData } = require('../data/electionDatabase');
+const { respondElectionAutocomplete } = require('../utils/electionSelector');
 const { calculateElectionResults } = require('../services/electionResultService');
 const { createTieAnalysisEmbed, createErrorEmbed } = require('../utils/messageUtils');
 
@@ -10,10 +11,15 @@ module.exports = {
         .addStringOption(option =>
             option.setName('election_id')
                 .setDescription('募选ID（可选，不填则显示最新募选）')
+                .setAutocomplete(true)
                 .setRequired(false)
         )
         .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
+    async autocomplete(interaction) {
+        await respondElectionAutocomplete(interaction);
+    },
+
     async execute(interaction) {
         try {
             await interaction.deferReply();
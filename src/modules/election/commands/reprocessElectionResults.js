@@ -1,8 +1,10 @@
 const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
 const { ElectionData, VoteData } = require('../data/electionDatabase');
+const { respondElectionAutocomplete } = require('../utils/electionSelector');
 const { validatePermission } = require('../utils/validationUtils');
 const { createErrorEmbed, createSuccessEmbed, createElectionResultEmbed } = require('../utils/messageUtils');
 const { calculateElectionResults } = require('../services/electionResultService');
+const { scheduleElectionPhaseJob } = require('../services/electionJobs');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -11,9 +13,14 @@ module.exports = {
         .addStringOption(option =>
             option.setName('选举id')
                 .setDescription('指定要重新处理的选举ID（可选，默认使用最近的已完成选举）')
+                .setAutocomplete(true)
                 .setRequired(false))
         .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
 
+    async autocomplete(interaction) {
+        await respondElectionAutocomplete(interaction);
+    },
+
     async execute(interaction) {
         try {
             await interaction.deferReply({ ephemeral: true });
@@ -72,11 +79,12 @@ module.exports = {
             const results = await calculateElectionResults(election.electionId);
 
             // 更新选举状态和结果
-            await ElectionData.update(election.electionId, {
+            const completedElection = await ElectionData.update(election.electionId, {
                 status: 'completed',
                 results: results,
                 lastResultUpdate: new Date().toISOString()
             });
+            await scheduleElectionPhaseJob(completedElection);
 
             // 重新发布结果
             await republishElectionResults(interaction.client, election, results);
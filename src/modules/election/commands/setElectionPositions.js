@@ -1,7 +1,9 @@
 const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
 const { ElectionData } = require('../data/electionDatabase');
+const { respondElectionAutocomplete, resolveElection } = require('../utils/electionSelector');
 const { validatePositions, validatePermission, generateUniqueId } = require('../utils/validationUtils');
 const { createSuccessEmbed, createErrorEmbed } = require('../utils/messageUtils');
+const { COUNTING_METHODS, getCountingMethodLabel } = require('../utils/rankedChoiceUtils');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -15,8 +17,26 @@ module.exports = {
             option.setName('职位配置')
                 .setDescription('职位配置，格式：职位名1:人数1,职位名2:人数2 例：会长:1,副会长:2,秘书长:1')
                 .setRequired(true))
+        .addStringOption(option =>
+            option.setName('计票方式')
+                .setDescription('多选计票、即时决选（单席位）或单记可转移投票（多席位），默认多选计票')
+                .setRequired(false)
+                .addChoices(
+                    { name: '多选计票', value: COUNTING_METHODS.APPROVAL },
+                    { name: '排序复选 - 即时决选（IRV）', value: COUNTING_METHODS.IRV },
+                    { name: '排序复选 - 单记可转移（STV）', value: COUNTING_METHODS.STV }
+                ))
+        .addStringOption(option =>
+            option.setName('募选')
+                .setDescription('要修改的募选（留空则创建新募选，可与进行中的募选同时举行）')
+                .setAutocomplete(true)
+                .setRequired(false))
         .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
 
+    async autocomplete(interaction) {
+        await respondElectionAutocomplete(interaction, { activeOnly: true });
+    },
+
     async execute(interaction) {
         try {
             await interaction.deferReply({ ephemeral: true });
@@ -29,6 +49,8 @@ module.exports = {
 
             const electionName = interaction.options.getString('募选名称').trim();
             const positionConfig = interaction.options.getString('职位配置').trim();
+            const countingMethodOption = interaction.options.getString('计票方式');
+            const selectedElectionId = interaction.options.getString('募选');
             const guildId = interaction.guild.id;
 
             // 解析职位配置
@@ -68,15 +90,45 @@ module.exports = {
                 return await interaction.editReply({ embeds: [errorEmbed] });
             }
 
-            // 检查是否已存在活跃的募选
-            const existingElection = await ElectionData.getActiveElectionByGuild(guildId);
+            // 指定了募选时修改该募选，否则创建新募选
+            let existingElection = null;
+            if (selectedElectionId) {
+                const resolved = await resolveElection(guildId, selectedElectionId);
+                if (resolved.error) {
+                    const errorEmbed = createErrorEmbed(resolved.error.title, resolved.error.message);
+                    return await interaction.editReply({ embeds: [errorEmbed] });
+                }
+                if (resolved.election.status === 'completed') {
+                    const errorEmbed = createErrorEmbed('募选已结束', `募选 **${resolved.election.name}** 已完成，无法再修改`);
+                    return await interaction.editReply({ embeds: [errorEmbed] });
+                }
+                existingElection = resolved.election;
+            }
+            const countingMethod = countingMethodOption || existingElection?.countingMethod || COUNTING_METHODS.APPROVAL;
+
+            // 投票开始后选票格式已确定，不能再更换计票方式
+            if (existingElection && existingElection.status === 'voting' &&
+                countingMethod !== (existingElection.countingMethod || COUNTING_METHODS.APPROVAL)) {
+                const errorEmbed = createErrorEmbed('无法更换计票方式', '募选已进入投票阶段，不能再更换计票方式');
+                return await interaction.editReply({ embeds: [errorEmbed] });
+            }
+
+            // 即时决选只能选出一人，多席位职位需要使用单记可转移投票
+            if (countingMethod === COUNTING_METHODS.IRV) {
+                const multiSeatPositions = Object.values(positions).filter(pos => pos.maxWinners > 1);
+                if (multiSeatPositions.length > 0) {
+                    const errorEmbed = createErrorEmbed('计票方式不适用', `即时决选（IRV）只适用于单席位职位，以下职位请改用单记可转移（STV）：\n${multiSeatPositions.map(pos => `• ${pos.name}（${pos.maxWinners}人）`).join('\n')}`);
+                    return await interaction.editReply({ embeds: [errorEmbed] });
+                }
+            }
             
             let election;
             if (existingElection) {
                 // 更新现有募选的职位
                 election = await ElectionData.update(existingElection.electionId, {
                     name: electionName,
-                    positions: positions
+                    positions: positions,
+                    countingMethod
                 });
             } else {
                 // 创建新募选
@@ -86,6 +138,7 @@ module.exports = {
                     guildId,
                     name: electionName,
                     positions,
+                    countingMethod,
                     channels: {},
                     schedule: {},
                     status: 'setup',
@@ -104,9 +157,15 @@ module.exports = {
                 .map(pos => `• **${pos.name}** - ${pos.maxWinners}人`)
                 .join('\n');
 
+            // 服务器有多个进行中的募选时，后续命令需要通过「募选」选项指定
+            const activeElections = await ElectionData.getActiveElectionsByGuild(guildId);
+            const nextStep = activeElections.length > 1
+                ? `✅ 接下来请使用 \`/设置募选时间安排\` 设置时间安排（服务器当前有 ${activeElections.length} 个进行中的募选，请在「募选」选项中选择 **${electionName}**）`
+                : '✅ 接下来请使用 `/设置募选时间安排` 设置时间安排';
+
             const successEmbed = createSuccessEmbed(
-                '募选职位设置成功',
-                `募选名称：**${electionName}**\n\n**设置的职位：**\n${positionList}\n\n✅ 接下来请使用 \`/设置募选时间安排\` 设置时间安排`
+                existingElection ? '募选职位更新成功' : '募选创建成功',
+                `募选名称：**${electionName}**\n募选ID：\`${election.electionId}\`\n计票方式：**${getCountingMethodLabel(countingMethod)}**\n\n**设置的职位：**\n${positionList}\n\n${nextStep}`
             );
 
             await interaction.editReply({ embeds: [successEmbed] });
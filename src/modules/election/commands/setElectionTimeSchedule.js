@@ -1,8 +1,10 @@
 const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
 const { ElectionData } = require('../data/electionDatabase');
+const { respondElectionAutocomplete, resolveElection } = require('../utils/electionSelector');
 const { validatePermission } = require('../utils/validationUtils');
 const { parseElectionTime, validateTimeRange } = require('../utils/timeUtils');
 const { createSuccessEmbed, createErrorEmbed } = require('../utils/messageUtils');
+const { scheduleElectionPhaseJob } = require('../services/electionJobs');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -24,8 +26,17 @@ module.exports = {
             option.setName('投票开始时间')
                 .setDescription('投票开始时间 (格式: YYYY-MM-DD HH:mm，默认为报名结束时间)')
                 .setRequired(false))
+        .addStringOption(option =>
+            option.setName('募选')
+                .setDescription('要设置的募选（同时有多个进行中的募选时必填）')
+                .setAutocomplete(true)
+                .setRequired(false))
         .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
 
+    async autocomplete(interaction) {
+        await respondElectionAutocomplete(interaction, { activeOnly: true });
+    },
+
     async execute(interaction) {
         try {
             await interaction.deferReply({ ephemeral: true });
@@ -38,10 +49,15 @@ module.exports = {
 
             const guildId = interaction.guild.id;
 
-            // 获取当前活跃的募选
-            const election = await ElectionData.getActiveElectionByGuild(guildId);
-            if (!election) {
-                const errorEmbed = createErrorEmbed('未找到募选', '请先使用 `/设置募选职位` 创建募选');
+            // 获取要设置的募选
+            const { election, error: resolveError } = await resolveElection(guildId, interaction.options.getString('募选'));
+            if (resolveError) {
+                const errorEmbed = createErrorEmbed(resolveError.title, resolveError.message);
+                return await interaction.editReply({ embeds: [errorEmbed] });
+            }
+
+            if (election.status === 'completed') {
+                const errorEmbed = createErrorEmbed('募选已结束', `募选 **${election.name}** 已完成，无法再修改`);
                 return await interaction.editReply({ embeds: [errorEmbed] });
             }
 
@@ -110,6 +126,8 @@ module.exports = {
                 return await interaction.editReply({ embeds: [errorEmbed] });
             }
 
+            await scheduleElectionPhaseJob(updatedElection);
+
             // 生成时间安排显示
             const { formatChineseTime } = require('../utils/timeUtils');
             const timeInfo = [
@@ -1,5 +1,6 @@
 const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
 const { ElectionData } = require('../data/electionDatabase');
+const { respondElectionAutocomplete, resolveElection } = require('../utils/electionSelector');
 const { validateAdminPermission } = require('../utils/validationUtils');
 const { createRegistrationEntryMessage, createErrorEmbed, createSuccessEmbed } = require('../utils/messageUtils');
 
@@ -17,8 +18,17 @@ module.exports = {
                 .setDescription('发送投票入口的频道')
                 .addChannelTypes(ChannelType.GuildText)
                 .setRequired(true))
+        .addStringOption(option =>
+            option.setName('募选')
+                .setDescription('要设置的募选（同时有多个进行中的募选时必填）')
+                .setAutocomplete(true)
+                .setRequired(false))
         .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
 
+    async autocomplete(interaction) {
+        await respondElectionAutocomplete(interaction, { activeOnly: true });
+    },
+
     async execute(interaction) {
         try {
             await interaction.deferReply({ ephemeral: true });
@@ -33,10 +43,15 @@ module.exports = {
             const registrationChannel = interaction.options.getChannel('报名频道');
             const votingChannel = interaction.options.getChannel('投票频道');
 
-            // 获取当前活跃的募选
-            const election = await ElectionData.getActiveElectionByGuild(guildId);
-            if (!election) {
-                const errorEmbed = createErrorEmbed('未找到募选', '请先使用 `/设置募选职位` 创建募选');
+            // 获取要设置的募选
+            const { election, error: resolveError } = await resolveElection(guildId, interaction.options.getString('募选'));
+            if (resolveError) {
+                const errorEmbed = createErrorEmbed(resolveError.title, resolveError.message);
+                return await interaction.editReply({ embeds: [errorEmbed] });
+            }
+
+            if (election.status === 'completed') {
+                const errorEmbed = createErrorEmbed('募选已结束', `募选 **${election.name}** 已完成，无法再修改`);
                 return await interaction.editReply({ embeds: [errorEmbed] });
             }
 
@@ -1,5 +1,6 @@
 const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
 const { ElectionData, VoteData, RegistrationData } = require('../data/electionDatabase');
+const { respondElectionAutocomplete, resolveElection } = require('../utils/electionSelector');
 const { updateVotingPollCandidates } = require('../services/votingService');
 
 module.exports = {
@@ -9,9 +10,14 @@ module.exports = {
         .addStringOption(option =>
             option.setName('选举id')
                 .setDescription('要更新的选举ID（留空则使用当前活跃选举）')
+                .setAutocomplete(true)
                 .setRequired(false))
         .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
+    async autocomplete(interaction) {
+        await respondElectionAutocomplete(interaction);
+    },
+
     async execute(interaction) {
         try {
             await interaction.deferReply({ ephemeral: true });
@@ -34,12 +40,13 @@ module.exports = {
                     });
                 }
             } else {
-                election = await ElectionData.getActiveElectionByGuild(guildId);
-                if (!election) {
+                const resolved = await resolveElection(guildId, null);
+                if (resolved.error) {
                     return await interaction.editReply({
-                        content: '❌ 当前没有活跃的选举'
+                        content: `❌ ${resolved.error.message}`
                     });
                 }
+                election = resolved.election;
             }
 
             // 检查选举状态 - 只有在投票阶段才能更新候选人
@@ -1,6 +1,7 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const { checkAdminPermission, getPermissionDeniedMessage } = require('../../../core/utils/permissionManager');
 const { ElectionData } = require('../data/electionDatabase');
+const { respondElectionAutocomplete, resolveElection } = require('../utils/electionSelector');
 const { CandidateManagementService } = require('../services/candidateManagementService');
 
 module.exports = {
@@ -14,30 +15,35 @@ module.exports = {
         .addStringOption(option =>
             option.setName('election_id')
                 .setDescription('募选ID（可选，默认为当前活跃募选）')
+                .setAutocomplete(true)
                 .setRequired(false)),
 
+    async autocomplete(interaction) {
+        await respondElectionAutocomplete(interaction);
+    },
+
     async execute(interaction) {
         try {
             await interaction.deferReply({ ephemeral: true });
 
             // 权限检查
-            if (!checkAdminPermission(interaction.member)) {
+            if (!checkAdminPermission(interaction.member, interaction.commandName)) {
                 const embed = new EmbedBuilder()
                     .setColor('#ff0000')
-                    .setDescription(getPermissionDeniedMessage());
+                    .setDescription(getPermissionDeniedMessage(interaction));
                 return await interaction.editReply({ embeds: [embed] });
             }
 
             const candidate = interaction.options.getUser('candidate');
             let electionId = interaction.options.getString('election_id');
 
-            // 如果没有指定募选ID，获取当前活跃募选
+            // 如果没有指定募选ID，使用当前唯一的活跃募选（有多个时要求指定）
             if (!electionId) {
-                const activeElection = await ElectionData.getActiveElectionByGuild(interaction.guild.id);
-                if (!activeElection) {
+                const { election: activeElection, error: resolveError } = await resolveElection(interaction.guild.id, null);
+                if (resolveError) {
                     const errorEmbed = new EmbedBuilder()
                         .setTitle('❌ 错误')
-                        .setDescription('当前没有活跃的募选，请指定募选ID')
+                        .setDescription(resolveError.message)
                         .setColor('#e74c3c');
                     return await interaction.editReply({ embeds: [errorEmbed] });
                 }
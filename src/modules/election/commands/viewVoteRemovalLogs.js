@@ -19,8 +19,8 @@ module.exports = {
             await interaction.deferReply({ ephemeral: true });
 
             // 权限检查
-            if (!checkAdminPermission(interaction.member)) {
-                const errorEmbed = createErrorEmbed('权限不足', getPermissionDeniedMessage());
+            if (!checkAdminPermission(interaction.member, interaction.commandName)) {
+                const errorEmbed = createErrorEmbed('权限不足', getPermissionDeniedMessage(interaction));
                 return await interaction.editReply({ embeds: [errorEmbed] });
             }
 
@@ -8,11 +8,14 @@ const {
 const { ElectionData, VoteData } = require('../data/electionDatabase');
 const { getVotingPermissionDetails } = require('../utils/validationUtils');
 const { createErrorEmbed, createSuccessEmbed } = require('../utils/messageUtils');
+const { isRankedMethod } = require('../utils/rankedChoiceUtils');
 
 // === 修复CustomId长度限制：临时存储用户选择，避免customId过长 ===
 const userSelections = new Map();
 // 新增：跨页面选择状态管理
 const userPageSelections = new Map();
+// 排序复选：用户正在填写的偏好顺序
+const userRankings = new Map();
 
 // 清理过期的选择数据（10分钟过期）
 setInterval(() => {
@@ -28,6 +31,12 @@ setInterval(() => {
             userPageSelections.delete(key);
         }
     }
+    // 清理排序复选数据
+    for (const [key, data] of userRankings.entries()) {
+        if (now - data.timestamp > 10 * 60 * 1000) { // 10分钟
+            userRankings.delete(key);
+        }
+    }
 }, 5 * 60 * 1000); // 每5分钟清理一次
 
 /**
@@ -100,6 +109,13 @@ async function handleAnonymousVoteStart(interaction) {
             return await interaction.editReply({ embeds: [errorEmbed] });
         }
 
+        // 排序复选：逐个选择志愿顺序
+        if (isRankedMethod(vote.countingMethod)) {
+            const rankingData = { voteId: vote.voteId, ranking: [], page: 0, timestamp: Date.now() };
+            userRankings.set(`${userId}_${vote.voteId}`, rankingData);
+            return await showRankingPage(interaction, vote, rankingData);
+        }
+
         // 创建候选人选择菜单 - 分页处理
         const allOptions = vote.candidates.map((candidate) => ({
             label: candidate.displayName,
@@ -526,6 +542,7 @@ async function handleAnonymousVoteCancel(interaction) {
         // customId格式: election_anonymous_vote_cancel_vote_1749959096011_abc123
         const parts = interaction.customId.split('_');
         const voteId = parts.slice(4).join('_'); // 从索引4开始拼接所有部分作为voteId
+        userRankings.delete(`${interaction.user.id}_${voteId}`);
 
         const embed = new EmbedBuilder()
             .setTitle('投票已取消')
@@ -686,11 +703,249 @@ async function handleVoteComplete(interaction) {
     }
 }
 
+/**
+ * 显示排序复选界面：每次从剩余候选人中选出下一志愿
+ * @param {import('discord.js').Interaction} interaction - 已 defer 的交互
+ * @param {object} vote - 投票数据
+ * @param {{ranking: string[], page: number}} rankingData - 用户当前的排序
+ */
+async function showRankingPage(interaction, vote, rankingData) {
+    const maxOptionsPerPage = 25;
+    const remaining = vote.candidates.filter(c => !rankingData.ranking.includes(c.userId));
+    const totalPages = Math.max(1, Math.ceil(remaining.length / maxOptionsPerPage));
+    rankingData.page = Math.min(Math.max(rankingData.page, 0), totalPages - 1);
+    const nextRank = rankingData.ranking.length + 1;
+
+    const components = [];
+
+    if (remaining.length > 0) {
+        const pageOptions = remaining
+            .slice(rankingData.page * maxOptionsPerPage, (rankingData.page + 1) * maxOptionsPerPage)
+            .map(candidate => ({
+                label: candidate.displayName,
+                value: candidate.userId,
+                description: candidate.choiceType === 'second' ? '第二志愿候选人' : '第一志愿候选人',
+                emoji: '👤'
+            }));
+
+        components.push(new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`election_rank_select_${vote.voteId}`)
+                .setPlaceholder(totalPages > 1
+                    ? `选择第 ${nextRank} 偏好 (第${rankingData.page + 1}/${totalPages}页)`
+                    : `选择第 ${nextRank} 偏好`)
+                .addOptions(pageOptions)
+                .setMinValues(1)
+                .setMaxValues(1)
+        ));
+    }
+
+    const buttons = [];
+    if (totalPages > 1) {
+        buttons.push(
+            new ButtonBuilder()
+                .setCustomId(`election_rank_page_${vote.voteId}_${rankingData.page - 1}`)
+                .setLabel('上一页')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('⬅️')
+                .setDisabled(rankingData.page === 0),
+            new ButtonBuilder()
+                .setCustomId(`election_rank_page_${vote.voteId}_${rankingData.page + 1}`)
+                .setLabel('下一页')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('➡️')
+                .setDisabled(rankingData.page >= totalPages - 1)
+        );
+    }
+    buttons.push(
+        new ButtonBuilder()
+            .setCustomId(`election_rank_undo_${vote.voteId}`)
+            .setLabel('撤销上一位')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('↩️')
+            .setDisabled(rankingData.ranking.length === 0),
+        new ButtonBuilder()
+            .setCustomId(`election_rank_done_${vote.voteId}`)
+            .setLabel('完成排序')
+            .setStyle(ButtonStyle.Success)
+            .setEmoji('✅')
+            .setDisabled(rankingData.ranking.length === 0),
+        new ButtonBuilder()
+            .setCustomId(`election_anonymous_vote_cancel_${vote.voteId}`)
+            .setLabel('取消')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('❌')
+    );
+    components.push(new ActionRowBuilder().addComponents(buttons));
+
+    let description = `请按偏好顺序依次选择候选人，第一个选择的为第一偏好 (当选 ${vote.maxSelections} 人)\n\n`;
+    description += `**候选人列表：**\n${vote.candidates.map(c => {
+        let candidateText = `<@${c.userId}> (${c.displayName})`;
+        if (c.choiceType === 'second') {
+            candidateText += ' (第二志愿)';
+        }
+        return candidateText;
+    }).join('\n')}`;
+
+    if (rankingData.ranking.length > 0) {
+        const rankedNames = rankingData.ranking.map(candidateId => {
+            const candidate = vote.candidates.find(c => c.userId === candidateId);
+            return candidate ? candidate.displayName : '未知候选人';
+        });
+        description += `\n\n**当前排序：**\n${rankedNames.map((name, i) => `${i + 1}. ${name}`).join('\n')}`;
+    }
+
+    description += `\n\n💡 不必为所有候选人排序；你排出的候选人都被淘汰后，你的选票不再计入后续轮次`;
+
+    const embed = new EmbedBuilder()
+        .setTitle(`🗳️ ${vote.positionName} - 排序投票`)
+        .setDescription(description)
+        .setColor('#9b59b6');
+
+    await interaction.editReply({
+        embeds: [embed],
+        components
+    });
+}
+
+/**
+ * 获取排序复选的投票和用户排序数据，投票不存在或已投票时回复错误并返回 null
+ */
+async function getRankingContext(interaction, voteId) {
+    const vote = await VoteData.getById(voteId);
+    if (!vote) {
+        const errorEmbed = createErrorEmbed('投票不存在', '该投票可能已被删除或不存在');
+        await interaction.editReply({ embeds: [errorEmbed], components: [] });
+        return null;
+    }
+
+    const hasVoted = await VoteData.hasUserVoted(voteId, interaction.user.id);
+    if (hasVoted) {
+        const errorEmbed = createErrorEmbed('已投票', '你已经为这个职位投过票了，不能重复投票');
+        await interaction.editReply({ embeds: [errorEmbed], components: [] });
+        return null;
+    }
+
+    const userKey = `${interaction.user.id}_${voteId}`;
+    let rankingData = userRankings.get(userKey);
+    if (!rankingData) {
+        rankingData = { voteId, ranking: [], page: 0, timestamp: Date.now() };
+        userRankings.set(userKey, rankingData);
+    }
+    rankingData.timestamp = Date.now();
+
+    return { vote, rankingData, userKey };
+}
+
+/**
+ * 处理排序复选的候选人选择：加入为下一偏好
+ */
+async function handleRankingSelect(interaction) {
+    try {
+        await interaction.deferUpdate();
+
+        // customId格式: election_rank_select_{voteId}
+        const voteId = interaction.customId.replace('election_rank_select_', '');
+        const context = await getRankingContext(interaction, voteId);
+        if (!context) return;
+
+        const { vote, rankingData } = context;
+        const candidateId = interaction.values[0];
+        if (vote.candidates.some(c => c.userId === candidateId) && !rankingData.ranking.includes(candidateId)) {
+            rankingData.ranking.push(candidateId);
+        }
+
+        await showRankingPage(interaction, vote, rankingData);
+
+    } catch (error) {
+        console.error('处理排序选择时出错:', error);
+        const errorEmbed = createErrorEmbed('系统错误', '处理投票时发生错误，请稍后重试');
+        await interaction.editReply({ embeds: [errorEmbed], components: [] });
+    }
+}
+
+/**
+ * 处理排序复选的翻页、撤销和完成按钮
+ */
+async function handleRankingButton(interaction) {
+    try {
+        await interaction.deferUpdate();
+
+        const parts = interaction.customId.split('_');
+        // customId格式: election_rank_{page|undo|done}_{voteId}[_{page}]
+        const action = parts[2];
+        const voteId = action === 'page' ? parts.slice(3, -1).join('_') : parts.slice(3).join('_');
+
+        const context = await getRankingContext(interaction, voteId);
+        if (!context) return;
+
+        const { vote, rankingData, userKey } = context;
+
+        if (action === 'page') {
+            rankingData.page = parseInt(parts[parts.length - 1]);
+            return await showRankingPage(interaction, vote, rankingData);
+        }
+
+        if (action === 'undo') {
+            rankingData.ranking.pop();
+            return await showRankingPage(interaction, vote, rankingData);
+        }
+
+        if (rankingData.ranking.length === 0) {
+            const errorEmbed = createErrorEmbed('未选择候选人', '请先选择至少一个候选人');
+            return await interaction.editReply({ embeds: [errorEmbed], components: [] });
+        }
+
+        // 转移到确认流程，选票按排序顺序保存
+        const selectionKey = `${interaction.user.id}_${voteId}_${Date.now()}`;
+        userSelections.set(selectionKey, {
+            voteId,
+            selectedCandidates: [...rankingData.ranking],
+            timestamp: Date.now()
+        });
+        userRankings.delete(userKey);
+
+        const confirmButton = new ButtonBuilder()
+            .setCustomId(`election_anonymous_vote_confirm_${selectionKey}`)
+            .setLabel('确认投票')
+            .setStyle(ButtonStyle.Success)
+            .setEmoji('✅');
+
+        const cancelButton = new ButtonBuilder()
+            .setCustomId(`election_anonymous_vote_cancel_${voteId}`)
+            .setLabel('取消')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('❌');
+
+        const rankedNames = rankingData.ranking.map(candidateId => {
+            const candidate = vote.candidates.find(c => c.userId === candidateId);
+            return candidate ? candidate.displayName : '未知候选人';
+        });
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🗳️ ${vote.positionName} - 确认投票`)
+            .setDescription(`你的偏好顺序：\n\n${rankedNames.map((name, i) => `第${i + 1}偏好：**${name}**`).join('\n')}\n\n🔒 确认后你的投票将被确认归档，无法修改`)
+            .setColor('#f39c12');
+
+        await interaction.editReply({
+            embeds: [embed],
+            components: [new ActionRowBuilder().addComponents(confirmButton, cancelButton)]
+        });
+
+    } catch (error) {
+        console.error('处理排序按钮时出错:', error);
+        const errorEmbed = createErrorEmbed('系统错误', '处理投票时发生错误，请稍后重试');
+        await interaction.editReply({ embeds: [errorEmbed], components: [] });
+    }
+}
+
 module.exports = {
     handleAnonymousVoteStart,
     handleAnonymousVoteSelect,
     handleAnonymousVoteConfirm,
     handleAnonymousVoteCancel,
     handleVotingPagination,
-    handleVoteComplete
+    handleVoteComplete,
+    handleRankingSelect,
+    handleRankingButton
 }; 
\ No newline at end of file
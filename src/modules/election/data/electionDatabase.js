@@ -102,6 +102,15 @@ const ElectionData = {
             election => election.guildId === guildId && 
             ['setup', 'registration', 'registration_ended', 'voting'].includes(election.status)
         );
+    },
+
+    // 服务器内所有未结束的募选（可同时进行多个，如补选与常规募选）
+    async getActiveElectionsByGuild(guildId) {
+        const elections = await this.getAll();
+        return Object.values(elections).filter(
+            election => election.guildId === guildId && 
+            ['setup', 'registration', 'registration_ended', 'voting'].includes(election.status)
+        );
     }
 };
 
@@ -0,0 +1,83 @@
+// src\modules\election\index.js
+const {
+    handleRegistrationButton,
+    handleFirstChoiceSelection,
+    handleSecondChoiceSelection,
+    handleIntroductionModal,
+    handleEditRegistration,
+    handleWithdrawRegistration
+} = require('./components/registrationComponents');
+const {
+    handleAdminStatusChange,
+    handleReasonModal,
+    handleAdminEditInfo
+} = require('./components/adminEditComponents');
+const {
+    handleAnonymousVoteStart,
+    handleAnonymousVoteSelect,
+    handleAnonymousVoteConfirm,
+    handleAnonymousVoteCancel,
+    handleVotingPagination,
+    handleVoteComplete,
+    handleRankingSelect,
+    handleRankingButton
+} = require('./components/anonymousVotingComponents');
+const appealComponents = require('./components/appealComponents');
+const { startElectionScheduler, handleElectionPhaseJob } = require('./services/electionScheduler');
+const { ELECTION_PHASE_JOB } = require('./services/electionJobs');
+
+module.exports = {
+    name: '募选系统',
+    locales: require('./locales'),
+    commands: [
+        require('./commands/setElectionPositions'),
+        require('./commands/setElectionTimeSchedule'),
+        require('./commands/setupElectionEntry'),
+        require('./commands/getElectionStatus'),
+        require('./commands/setRegistrationRoles'),
+        require('./commands/setVotingRoles'),
+        require('./commands/setNotificationRoles'),
+        require('./commands/getTieAnalysis'),
+        require('./commands/reprocessElectionResults'),
+        require('./commands/viewCandidateInfo'),
+        require('./commands/manageCandidateStatus'),
+        require('./commands/scanCandidateMessages'),
+        require('./commands/editCandidateInfo'),
+        require('./commands/clearElectionVote'),
+        require('./commands/viewVoteRemovalLogs'),
+        require('./commands/updateVotingCandidates'),
+    ],
+    buttons: [
+        { prefix: 'election_register_', handler: handleRegistrationButton },
+        { prefix: 'election_edit_registration_', handler: handleEditRegistration },
+        { prefix: 'election_withdraw_registration_', handler: handleWithdrawRegistration },
+        { prefix: 'election_start_anonymous_vote_', handler: handleAnonymousVoteStart },
+        { prefix: 'election_anonymous_vote_select_', handler: handleAnonymousVoteSelect },
+        { prefix: 'election_anonymous_vote_confirm_', handler: handleAnonymousVoteConfirm },
+        { prefix: 'election_anonymous_vote_cancel_', handler: handleAnonymousVoteCancel },
+        { prefix: ['election_vote_prev_', 'election_vote_next_'], handler: handleVotingPagination },
+        { prefix: 'election_vote_complete_', handler: handleVoteComplete },
+        { prefix: ['election_rank_page_', 'election_rank_undo_', 'election_rank_done_'], handler: handleRankingButton },
+        { prefix: 'appeal_registration_', handler: appealComponents.handleAppealRegistration },
+        { prefix: 'withdraw_registration_', handler: appealComponents.handleWithdrawRegistration },
+    ],
+    modals: [
+        { prefix: 'election_introduction_modal_', handler: handleIntroductionModal },
+        { prefix: 'appeal_modal_', handler: appealComponents.handleAppealModal },
+        { prefix: 'admin_reason_', handler: handleReasonModal },
+        { prefix: 'admin_edit_info_', handler: handleAdminEditInfo },
+    ],
+    selectMenus: [
+        { prefix: 'election_select_first_choice_', handler: handleFirstChoiceSelection },
+        { prefix: 'election_select_second_choice_', handler: handleSecondChoiceSelection },
+        { prefix: 'election_anonymous_vote_select_', handler: handleAnonymousVoteSelect },
+        { prefix: 'election_rank_select_', handler: handleRankingSelect },
+        { prefix: 'admin_status_change_', handler: handleAdminStatusChange },
+    ],
+    schedulers: [
+        { name: '募选调度器', start: startElectionScheduler },
+    ],
+    jobs: [
+        { type: ELECTION_PHASE_JOB, name: '募选阶段切换', handler: handleElectionPhaseJob },
+    ],
+};
@@ -0,0 +1,270 @@
+// src\modules\election\locales\en-US.js
+const electionOption = description => ({ name: 'election', description });
+const roleOptions = action => ({
+    '身份组1': { name: 'role1', description: `Role allowed to ${action}` },
+    '身份组2': { name: 'role2', description: `Role allowed to ${action} (optional)` },
+    '身份组3': { name: 'role3', description: `Role allowed to ${action} (optional)` },
+    '身份组4': { name: 'role4', description: `Role allowed to ${action} (optional)` },
+    '身份组5': { name: 'role5', description: `Role allowed to ${action} (optional)` },
+});
+const electionIdOption = { description: 'Election ID (optional, defaults to the active election)' };
+
+module.exports = {
+    name: 'Elections',
+
+    unknownPosition: 'Unknown position',
+    secondChoice: ' (second choice)',
+
+    // 简体中文的计票方式和候选人状态名称保存在 rankedChoiceUtils / tieBreakingUtils 中
+    countingMethods: {
+        approval: 'Approval voting (ranked by votes)',
+        irv: 'Ranked choice · Instant runoff (IRV)',
+        stv: 'Ranked choice · Single transferable vote (STV)',
+    },
+
+    candidateStatus: {
+        confirmed_winner: 'Elected',
+        tied_pending: 'Tied, pending',
+        conditional_winner: 'Conditionally elected',
+        potential_replacement: 'Possible replacement',
+        confirmed_loser: 'Not elected',
+    },
+
+    status: {
+        field: 'Status',
+        unknown: 'Unknown',
+        setup: '⚙️ Setting up',
+        registration: '📝 Registration open',
+        registration_ended: '⏸️ Registration closed',
+        voting: '🗳️ Voting',
+        completed: '✅ Completed',
+        positions: 'Positions',
+        position: '• {name} ({count} seats)',
+        noPositions: 'Not set yet',
+        countingMethod: 'Counting method',
+        schedule: 'Schedule',
+        registrationTime: '📝 Registration: {start} - {end}',
+        votingTime: '🗳️ Voting: {start} - {end}',
+        footer: 'Elections',
+    },
+
+    registrationEntry: {
+        title: '📝 {name} - Registration',
+        notStarted: 'Registration has not started yet, please wait',
+        ended: 'Registration has closed',
+        open: 'Click the button below to register as a candidate',
+        positions: 'Open positions',
+        position: '• **{name}** ({count} seats)',
+        time: 'Registration period',
+        rulesTitle: 'Before you register',
+        rules: '• You can register only once\n• You can choose a first and a second choice\n• You can add a self-introduction (optional)\n• You can edit or withdraw your registration later',
+        notStartedButton: 'Not started',
+        endedButton: 'Closed',
+        registerButton: 'Register',
+    },
+
+    votingEntry: {
+        title: '🗳️ {name} - Voting',
+        description: 'Vote for the candidates you support',
+        time: 'Voting period',
+        rulesTitle: 'How to vote',
+        rankedRules: '• Rank the candidates for each position in order of preference; you may rank only the first few\n• You can vote once per position\n• Votes cannot be changed\n• The lowest candidate is eliminated each round and their ballots transferred until the seats are filled',
+        approvalRules: '• Select up to the number of seats for each position\n• You can vote once per position\n• Votes cannot be changed\n• Candidates with the most votes are elected',
+    },
+
+    candidateList: {
+        title: '🗳️ {position} - Candidates',
+        description: 'Choose the candidates you support (up to {count})',
+        empty: 'No candidates',
+        emptyDescription: 'Nobody has registered for this position yet',
+        field: 'Candidates',
+    },
+
+    registrationSuccess: {
+        title: '✅ Registered',
+        description: 'You are now registered as a candidate',
+        firstChoice: 'First choice',
+        secondChoice: 'Second choice',
+        introduction: 'Self-introduction',
+        time: 'Registered at',
+    },
+
+    result: {
+        title: '🏆 {name} - Results',
+        rankedDescription: 'Counting method: {method}\nFirst-preference votes and round-by-round counts for each position:',
+        description: 'Votes received by the candidates for each position:',
+        position: '{name} ({count} seats)',
+        part: '{name} (part {index})',
+        statisticsField: '{name} - Statistics',
+        noCandidates: '❌ **No candidates registered**',
+        elected: '**Elected**',
+        notElected: 'Not elected',
+        excluded: ' (already elected as first choice, not counted)',
+        firstPreferenceVotes: '{count} first-preference votes',
+        votes: '{count} votes',
+        statistics: '📊 **Statistics**',
+        voters: '• Voters: {count}',
+        validBallots: '• Valid ballots: {count}',
+        quota: '• Quota: {count} votes',
+        totalVotes: '• Total votes: {count}',
+        averageVotes: '• Votes per voter: {count}',
+        rounds: '{name} - Rounds',
+        tiesField: '⚠️ Ties',
+        tieGroups: '{name}: {count} tie groups',
+        ties: 'Ties were detected and need to be resolved:\n{groups}',
+        footer: 'Election results',
+    },
+
+    commands: {
+        '设置募选职位': {
+            name: 'election-positions',
+            description: 'Set the positions and seats of an election',
+            options: {
+                '募选名称': { name: 'name', description: 'Name of the election' },
+                '职位配置': { name: 'positions', description: 'Positions as name:seats, comma separated, e.g. Chair:1,Vice Chair:2,Secretary:1' },
+                '计票方式': {
+                    name: 'counting-method',
+                    description: 'Approval voting, instant runoff (single seat) or STV (multiple seats); default approval',
+                    choices: {
+                        approval: 'Approval voting',
+                        irv: 'Ranked choice - Instant runoff (IRV)',
+                        stv: 'Ranked choice - Single transferable vote (STV)',
+                    },
+                },
+                '募选': electionOption('Election to edit (leave empty to create a new one alongside running elections)'),
+            },
+        },
+        '设置募选时间安排': {
+            name: 'election-schedule',
+            description: 'Set the schedule of an election',
+            options: {
+                '报名开始时间': { name: 'registration-start', description: 'Registration start (format: YYYY-MM-DD HH:mm)' },
+                '报名结束时间': { name: 'registration-end', description: 'Registration end (format: YYYY-MM-DD HH:mm)' },
+                '投票结束时间': { name: 'voting-end', description: 'Voting end (format: YYYY-MM-DD HH:mm)' },
+                '投票开始时间': { name: 'voting-start', description: 'Voting start (format: YYYY-MM-DD HH:mm, defaults to registration end)' },
+                '募选': electionOption('Election to configure (required when several elections are running)'),
+            },
+        },
+        '设置募选入口': {
+            name: 'election-channels',
+            description: 'Set the registration and voting channels of an election',
+            options: {
+                '报名频道': { name: 'registration-channel', description: 'Channel for the registration entry' },
+                '投票频道': { name: 'voting-channel', description: 'Channel for the voting entry' },
+                '募选': electionOption('Election to configure (required when several elections are running)'),
+            },
+        },
+        '查看募选状态': {
+            name: 'election-status',
+            description: 'View the status and statistics of the current election',
+            options: {
+                '募选': electionOption('Election to view (leave empty to list all running elections)'),
+            },
+        },
+        '设置允许募选报名身份组': {
+            name: 'election-registration-roles',
+            description: 'Set which roles may register as candidates (saved per server)',
+            options: {
+                '设置': { name: 'set', description: 'Set the roles allowed to register', options: roleOptions('register') },
+                '查看': { name: 'view', description: 'View the current registration permissions' },
+                '清空': { name: 'clear', description: 'Remove the registration restriction (everyone may register)' },
+            },
+        },
+        '设置允许募选投票身份组': {
+            name: 'election-voting-roles',
+            description: 'Set which roles may vote in elections (saved per server)',
+            options: {
+                '设置': { name: 'set', description: 'Set the roles allowed to vote', options: roleOptions('vote') },
+                '查看': { name: 'view', description: 'View the current voting permissions' },
+                '清空': { name: 'clear', description: 'Remove the voting restriction (everyone may vote)' },
+            },
+        },
+        '设置募选通知身份组': {
+            name: 'election-notify-roles',
+            description: 'Set the roles mentioned when an election phase starts',
+            options: {
+                '阶段': { name: 'phase', description: 'Phase to configure', choices: { registration: 'Registration', voting: 'Voting' } },
+                '身份组': { name: 'role', description: 'Role to mention (leave empty to clear)' },
+            },
+        },
+        'get-tie-analysis': {
+            description: 'View the tie analysis report of an election',
+            options: {
+                'election_id': { description: 'Election ID (optional, defaults to the latest election)' },
+            },
+        },
+        '重新处理选举结果': {
+            name: 'reprocess-election-results',
+            description: 'Recount and republish the results of the latest election',
+            options: {
+                '选举id': { name: 'election-id', description: 'Election to reprocess (optional, defaults to the latest completed election)' },
+            },
+        },
+        '查看候选人信息': {
+            name: 'candidate-info',
+            description: 'View a candidate\'s registration',
+            options: {
+                'candidate': { description: 'Candidate to view' },
+                'election_id': electionIdOption,
+            },
+        },
+        '管理候选人状态': {
+            name: 'candidate-status',
+            description: 'Manage a candidate\'s eligibility (reject or revoke)',
+            options: {
+                'candidate': { description: 'Candidate to manage' },
+                'action': {
+                    description: 'Action to take',
+                    choices: { reject: 'Reject registration (candidate may appeal)', revoke: 'Revoke eligibility (no appeal)' },
+                },
+                'reason': { description: 'Reason for the action' },
+                'election_id': electionIdOption,
+            },
+        },
+        '扫描候选人消息': {
+            name: 'scan-candidate-messages',
+            description: 'Scan and record the message IDs of existing candidate introductions (compatibility)',
+            options: {
+                'election_id': electionIdOption,
+                'verify_only': { description: 'Only verify existing records, do not scan' },
+            },
+        },
+        '编辑候选人信息': {
+            name: 'edit-candidate',
+            description: 'Edit a candidate\'s information and status (administrators)',
+            options: {
+                '候选人': { name: 'candidate', description: 'Candidate to edit' },
+                '操作类型': {
+                    name: 'action',
+                    description: 'What to edit',
+                    choices: { status_management: '📊 Status', info_edit: '✏️ Information' },
+                },
+                '募选id': { name: 'election-id', ...electionIdOption },
+            },
+        },
+        '清除募选投票': {
+            name: 'clear-election-votes',
+            description: 'Clear a user\'s election votes (administrators only)',
+            options: {
+                '用户': { name: 'user', description: 'User whose votes are cleared' },
+                'voteid': { description: 'Specific vote ID (optional, defaults to all of the user\'s votes in the current election)' },
+                'electionid': { description: 'Specific election ID (optional, defaults to the active election)' },
+                '原因': { name: 'reason', description: 'Reason for clearing the votes (optional)' },
+            },
+        },
+        '查看投票清除日志': {
+            name: 'vote-removal-logs',
+            description: 'View the log of cleared votes (administrators only)',
+            options: {
+                '行数': { name: 'lines', description: 'Number of log lines (default 50, max 200)' },
+            },
+        },
+        '更新投票候选人': {
+            name: 'refresh-vote-candidates',
+            description: 'Refresh the candidate list of the voting panels (administrators)',
+            options: {
+                '选举id': { name: 'election-id', description: 'Election to refresh (leave empty for the active election)' },
+            },
+        },
+    },
+};
@@ -0,0 +1,92 @@
+// src\modules\election\locales\zh-CN.js
+module.exports = {
+    name: '募选系统',
+
+    unknownPosition: '未知职位',
+    secondChoice: ' (第二志愿)',
+
+    status: {
+        field: '募选状态',
+        unknown: '未知',
+        setup: '⚙️ 设置中',
+        registration: '📝 报名中',
+        registration_ended: '⏸️ 报名已结束',
+        voting: '🗳️ 投票中',
+        completed: '✅ 已完成',
+        positions: '竞选职位',
+        position: '• {name} ({count}人)',
+        noPositions: '暂未设置',
+        countingMethod: '计票方式',
+        schedule: '时间安排',
+        registrationTime: '📝 报名时间: {start} - {end}',
+        votingTime: '🗳️ 投票时间: {start} - {end}',
+        footer: '募选系统',
+    },
+
+    registrationEntry: {
+        title: '📝 {name} - 报名入口',
+        notStarted: '报名尚未开始，请耐心等待',
+        ended: '报名时间已结束',
+        open: '点击下方按钮开始报名参选',
+        positions: '可竞选职位',
+        position: '• **{name}** (招募{count}人)',
+        time: '报名时间',
+        rulesTitle: '报名须知',
+        rules: '• 每人只能报名一次\n• 可设置第一志愿和第二志愿\n• 可填写自我介绍(可选)\n• 报名后可修改或撤回',
+        notStartedButton: '报名未开始',
+        endedButton: '报名已结束',
+        registerButton: '开始报名',
+    },
+
+    votingEntry: {
+        title: '🗳️ {name} - 投票中',
+        description: '为你支持的候选人投票',
+        time: '投票时间',
+        rulesTitle: '投票说明',
+        rankedRules: '• 每个职位按偏好顺序为候选人排序，可只排前几位\n• 每人每个职位只能投票一次\n• 投票后不可修改\n• 逐轮淘汰最低票者并转移选票，直到选出当选者',
+        approvalRules: '• 每个职位可选择对应的候选人数量\n• 每人每个职位只能投票一次\n• 投票后不可修改\n• 按票数高低确定当选者',
+    },
+
+    candidateList: {
+        title: '🗳️ {position} - 候选人列表',
+        description: '请选择你支持的候选人 (最多选择 {count} 人)',
+        empty: '暂无候选人',
+        emptyDescription: '还没有人报名这个职位',
+        field: '候选人信息',
+    },
+
+    registrationSuccess: {
+        title: '✅ 报名成功',
+        description: '你已成功报名参选',
+        firstChoice: '第一志愿',
+        secondChoice: '第二志愿',
+        introduction: '自我介绍',
+        time: '报名时间',
+    },
+
+    result: {
+        title: '🏆 {name} - 募选结果',
+        rankedDescription: '计票方式：{method}\n各职位第一偏好票数及逐轮计票如下：',
+        description: '各职位候选人得票情况如下：',
+        position: '{name} (募选{count}人)',
+        part: '{name} (第{index}部分)',
+        statisticsField: '{name} - 统计信息',
+        noCandidates: '❌ **无人报名参选**',
+        elected: '**当选**',
+        notElected: '未当选',
+        excluded: ' (已在第一志愿当选，不参与计票)',
+        firstPreferenceVotes: '首选{count}票',
+        votes: '{count}票',
+        statistics: '📊 **投票统计**',
+        voters: '• 参与投票人数：{count}人',
+        validBallots: '• 有效选票：{count}张',
+        quota: '• 当选票额：{count}票',
+        totalVotes: '• 总票数：{count}票',
+        averageVotes: '• 平均每人投票：{count}票',
+        rounds: '{name} - 逐轮计票',
+        tiesField: '⚠️ 并列情况',
+        tieGroups: '{name}: {count}组并列',
+        ties: '检测到并列情况，需要进一步处理：\n{groups}',
+        footer: '募选结果统计',
+    },
+};
@@ -0,0 +1,52 @@
+// src\modules\election\services\electionJobs.js
+const { scheduleJob, cancelJob } = require('../../../core/utils/jobScheduler');
+
+const ELECTION_PHASE_JOB = 'election_phase';
+
+/**
+ * 获取募选下一个阶段的时间节点
+ * @param {object} election - 募选数据
+ * @returns {{label: string, time: string}|null}
+ */
+function getNextPhase(election) {
+    const schedule = election.schedule || {};
+    switch (election.status) {
+        case 'setup':
+            return schedule.registrationStartTime ? { label: '报名开始', time: schedule.registrationStartTime } : null;
+        case 'registration':
+            return schedule.registrationEndTime ? { label: '报名结束', time: schedule.registrationEndTime } : null;
+        case 'registration_ended':
+            return schedule.votingStartTime ? { label: '投票开始', time: schedule.votingStartTime } : null;
+        case 'voting':
+            return schedule.votingEndTime ? { label: '投票结束', time: schedule.votingEndTime } : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * 按募选当前状态安排下一次阶段切换，没有下一阶段时取消已安排的任务
+ * @param {object} election - 募选数据
+ * @returns {Promise<object|null>} 安排的任务
+ */
+async function scheduleElectionPhaseJob(election) {
+    const nextPhase = getNextPhase(election);
+    if (!nextPhase) {
+        await cancelJob(ELECTION_PHASE_JOB, election.electionId);
+        return null;
+    }
+
+    return scheduleJob({
+        type: ELECTION_PHASE_JOB,
+        key: election.electionId,
+        guildId: election.guildId,
+        runAt: nextPhase.time,
+        description: `募选「${election.name}」${nextPhase.label}`
+    });
+}
+
+module.exports = {
+    ELECTION_PHASE_JOB,
+    getNextPhase,
+    scheduleElectionPhaseJob
+};
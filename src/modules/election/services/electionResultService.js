@@ -4,8 +4,10 @@ const {
     analyzeChainEffects, 
     assignCandidateStatuses,
     analyzeCrossPositionDependencies,
-    recalculateWithDependencies
+    recalculateWithDependencies,
+    CANDIDATE_STATUS
 } = require('../utils/tieBreakingUtils');
+const { COUNTING_METHODS, isRankedMethod, countRankedBallots } = require('../utils/rankedChoiceUtils');
 
 /**
  * 计算并处理一个完整募选的最终结果，包括所有职位的计票、第二志愿逻辑、职位依赖和并列分析。
@@ -25,6 +27,7 @@ async function calculateElectionResults(electionId) {
         const registrations = await RegistrationData.getByElection(electionId);
 
         const results = {};
+        const countingMethod = election.countingMethod || COUNTING_METHODS.APPROVAL;
 
         // 为每个职位计算结果
         for (const [positionId, position] of Object.entries(election.positions)) {
@@ -32,12 +35,15 @@ async function calculateElectionResults(electionId) {
                 positionId, 
                 position, 
                 votes, 
-                registrations
+                registrations,
+                countingMethod
             );
         }
 
-        // 处理第二志愿逻辑和当选状态
-        const preliminaryResults = await processElectionLogic(results, election.positions, registrations);
+        // 处理第二志愿逻辑和当选状态（排序复选通过排除候选人后重新计票处理）
+        const preliminaryResults = isRankedMethod(countingMethod)
+            ? processRankedElectionLogic(results, votes)
+            : await processElectionLogic(results, election.positions, registrations);
 
         // 新增：分析跨职位依赖关系
         const dependencies = analyzeCrossPositionDependencies(preliminaryResults, registrations);
@@ -62,9 +68,10 @@ async function calculateElectionResults(electionId) {
  * @param {object} position - 职位信息
  * @param {Array<object>} votes - 本次募选的所有投票数据。
  * @param {Array<object>} registrations - 本次募选的所有报名数据。
+ * @param {string} [countingMethod='approval'] - 计票方式（approval/irv/stv）。
  * @returns {Promise<object>} 包含该职位候选人列表、总票数等信息的初步结果对象。
  */
-async function calculatePositionResults(positionId, position, votes, registrations) {
+async function calculatePositionResults(positionId, position, votes, registrations, countingMethod = COUNTING_METHODS.APPROVAL) {
     // 获取该职位的所有候选人（包括第一志愿和第二志愿）
     const firstChoiceCandidates = registrations.filter(reg => 
         reg.firstChoicePosition === positionId
@@ -128,6 +135,10 @@ async function calculatePositionResults(positionId, position, votes, registratio
         };
     }
 
+    if (isRankedMethod(countingMethod)) {
+        return calculateRankedPositionResults(position, positionVote, allCandidates, countingMethod);
+    }
+
     // 统计每个候选人的票数
     const candidateVotes = {};
     let totalVotes = 0;
@@ -184,6 +195,114 @@ async function calculatePositionResults(positionId, position, votes, registratio
     };
 }
 
+/**
+ * 按排序复选统计单个职位：候选人的 votes 为第一偏好票数，当选者由逐轮计票决定。
+ * @param {object} position - 职位信息
+ * @param {object} positionVote - 该职位的投票数据
+ * @param {Array<object>} allCandidates - 该职位的候选人（含志愿类型）
+ * @param {string} countingMethod - 计票方式（irv/stv）
+ * @param {Set<string>} [excludedIds] - 不参与计票的候选人（已在第一志愿职位当选）
+ * @returns {object} 职位结果，附带 rounds（逐轮计票）和 quota（当选票额）
+ */
+function calculateRankedPositionResults(position, positionVote, allCandidates, countingMethod, excludedIds = new Set()) {
+    const ballots = Object.values(positionVote.votes);
+    const countedIds = allCandidates.map(c => c.userId).filter(id => !excludedIds.has(id));
+    const count = countRankedBallots(ballots, countedIds, position.maxWinners);
+
+    // 第一偏好票数（只统计有效的第一位）
+    const firstPreferences = {};
+    for (const ballot of ballots) {
+        const top = Array.isArray(ballot) ? ballot.find(id => countedIds.includes(id)) : null;
+        if (top) firstPreferences[top] = (firstPreferences[top] || 0) + 1;
+    }
+
+    // 排名：当选者按当选顺序在前，其余按淘汰的先后倒序，未参与计票者最后
+    const order = [...count.elected, ...[...count.eliminated].reverse()];
+    const rankOf = id => {
+        const index = order.indexOf(id);
+        return index === -1 ? order.length + countedIds.indexOf(id) + 1 : index;
+    };
+
+    const candidateList = allCandidates
+        .map(candidate => {
+            const lastRound = [...count.rounds].reverse().find(round => round.tallies[candidate.userId] !== undefined);
+            return {
+                userId: candidate.userId,
+                displayName: candidate.userDisplayName || candidate.displayName,
+                votes: firstPreferences[candidate.userId] || 0,
+                finalVotes: lastRound ? lastRound.tallies[candidate.userId] : 0,
+                isWinner: count.elected.includes(candidate.userId),
+                excluded: excludedIds.has(candidate.userId),
+                choiceType: candidate.choiceType
+            };
+        })
+        .sort((a, b) => (a.excluded - b.excluded) || (rankOf(a.userId) - rankOf(b.userId)));
+
+    return {
+        position: position,
+        candidates: candidateList,
+        totalVotes: count.validBallots,
+        totalVoters: Object.keys(positionVote.votes).length,
+        countingMethod,
+        quota: count.quota,
+        rounds: count.rounds,
+        isVoid: count.validBallots === 0,
+        voidReason: count.validBallots === 0 ? '无有效选票，该职位募选作废' : undefined
+    };
+}
+
+/**
+ * 排序复选的第二志愿处理：第一志愿当选者不再参与其第二志愿职位的计票，
+ * 相关职位排除这些候选人后重新计票，直到各职位结果稳定。
+ * @param {object} preliminaryResults - 初步结果
+ * @param {Array<object>} votes - 本次募选的所有投票数据
+ * @returns {object} 最终结果
+ */
+function processRankedElectionLogic(preliminaryResults, votes) {
+    const finalResults = JSON.parse(JSON.stringify(preliminaryResults));
+    const positionIds = Object.keys(finalResults);
+
+    // 每次重算只会改变第二志愿候选人的去留，迭代次数不超过职位数
+    for (let iteration = 0; iteration <= positionIds.length; iteration++) {
+        const firstChoiceWinners = new Set();
+        for (const result of Object.values(finalResults)) {
+            if (result.isVoid) continue;
+            result.candidates
+                .filter(c => c.isWinner && c.choiceType === 'first')
+                .forEach(c => firstChoiceWinners.add(c.userId));
+        }
+
+        let changed = false;
+        for (const positionId of positionIds) {
+            const result = finalResults[positionId];
+            if (result.isVoid && !result.rounds) continue;
+
+            const excludedIds = new Set(result.candidates
+                .filter(c => c.choiceType === 'second' && firstChoiceWinners.has(c.userId))
+                .map(c => c.userId));
+            const previouslyExcluded = result.candidates.filter(c => c.excluded).map(c => c.userId);
+
+            if (excludedIds.size === previouslyExcluded.length && previouslyExcluded.every(id => excludedIds.has(id))) {
+                continue;
+            }
+
+            const positionVote = votes.find(vote => vote.positionId === positionId);
+            finalResults[positionId] = calculateRankedPositionResults(
+                result.position,
+                positionVote,
+                result.candidates,
+                result.countingMethod,
+                excludedIds
+            );
+            changed = true;
+        }
+
+        if (!changed) break;
+    }
+
+    return finalResults;
+}
+
 /**
  * 处理募选逻辑和确定当选者
  * @param {object} preliminaryResults - 初步结果
@@ -413,7 +532,8 @@ async function processTieAnalysis(results, positions, registrations) {
 
     // 第一步：为每个职位检测并列情况
     for (const [positionId, result] of Object.entries(analysisResults)) {
-        if (result.isVoid) {
+        // 排序复选的并列已在逐轮计票中裁决
+        if (result.isVoid || isRankedMethod(result.countingMethod)) {
             result.tieAnalysis = { hasTies: false, tieGroups: [] };
             continue;
         }
@@ -432,6 +552,16 @@ async function processTieAnalysis(results, positions, registrations) {
     // 第三步：为所有候选人分配状态
     const finalResults = assignCandidateStatuses(analysisResults, chainEffects);
 
+    // 排序复选中因第一志愿当选而未参与计票的候选人确定落选
+    for (const result of Object.values(finalResults)) {
+        if (!isRankedMethod(result.countingMethod)) continue;
+        result.candidates
+            .filter(candidate => candidate.excluded)
+            .forEach(candidate => {
+                candidate.statusInfo = { status: CANDIDATE_STATUS.CONFIRMED_LOSER, tieGroup: null, conditions: [], notes: '' };
+            });
+    }
+
     // 第四步：添加全局分析信息
     finalResults._tieAnalysis = {
         hasAnyTies: Object.values(finalResults).some(result => result.tieAnalysis?.hasTies),
@@ -446,6 +576,7 @@ module.exports = {
     calculateElectionResults,
     calculatePositionResults,
     processElectionLogic,
+    processRankedElectionLogic,
     processTieAnalysis,
     getElectionStatistics,
     generateElectionReport
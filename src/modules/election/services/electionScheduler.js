@@ -2,96 +2,122 @@ const { ElectionData, VoteData } = require('../data/electionDatabase');
 const { createVotingPollsForElection, createPositionAnonymousVotingPoll } = require('./votingService');
 const { calculateElectionResults } = require('./electionResultService');
 const { createElectionResultEmbed } = require('../utils/messageUtils');
+const { scheduleElectionPhaseJob, getNextPhase } = require('./electionJobs');
 
 /**
  * 募选调度器
+ * 阶段切换由计划任务（election_phase）在各阶段时间点触发，每个募选同一时间只安排下一个阶段
  */
 class ElectionScheduler {
     constructor(client) {
         this.client = client;
-        this.intervalId = null;
         this.isRunning = false;
+        // 正在切换阶段的募选ID，避免阶段切换耗时超过检查间隔时被重复处理
+        this.processingElections = new Set();
     }
 
     /**
-     * 启动调度器
+     * 启动调度器：推进已到时间的募选，并为每个募选安排下一次阶段切换
      */
-    start() {
+    async start() {
         if (this.isRunning) {
             console.log('募选调度器已在运行中');
             return;
         }
 
         this.isRunning = true;
+        await this.checkElectionStates();
         console.log('✅ 募选调度器已启动');
-
-        // 每分钟检查一次
-        this.intervalId = setInterval(() => {
-            this.checkElectionStates().catch(error => {
-                console.error('募选状态检查时出错:', error);
-            });
-        }, 60000);
-
-        // 立即执行一次检查
-        this.checkElectionStates().catch(error => {
-            console.error('募选状态检查时出错:', error);
-        });
     }
 
     /**
-     * 停止调度器
+     * 停止调度器（已安排的阶段切换任务仍保存在计划任务中）
      */
     stop() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
-        }
         this.isRunning = false;
         console.log('募选调度器已停止');
     }
 
     /**
      * 检查所有募选的状态
+     * 同一服务器可以同时进行多个募选，每个募选按自己的时间安排独立推进，单个募选出错不影响其他募选
      */
     async checkElectionStates() {
         try {
             const elections = await ElectionData.getAll();
-            const now = new Date();
 
-            for (const [electionId, election] of Object.entries(elections)) {
-                if (!election.schedule) continue;
+            for (const election of Object.values(elections)) {
+                if (!election.schedule || election.status === 'completed') continue;
+                await this.advanceElection(election.electionId);
+            }
+
+        } catch (error) {
+            console.error('检查选举状态时出错:', error);
+        }
+    }
 
-                const regStartTime = new Date(election.schedule.registrationStartTime);
-                const regEndTime = new Date(election.schedule.registrationEndTime);
-                const voteStartTime = new Date(election.schedule.votingStartTime);
-                const voteEndTime = new Date(election.schedule.votingEndTime);
+    /**
+     * 推进单个募选到当前时间对应的阶段，并安排下一次阶段切换
+     * @param {string} electionId - 募选ID
+     */
+    async advanceElection(electionId) {
+        if (this.processingElections.has(electionId)) return;
 
-                // 检查是否需要启用报名按钮（时间到了但按钮还是禁用状态）
-                if (election.status === 'setup' && now >= regStartTime && now < regEndTime) {
-                    await this.startRegistrationPhase(election);
-                }
-                // 检查是否需要结束报名阶段
-                else if (election.status === 'registration' && now >= regEndTime) {
-                    await this.endRegistrationPhase(election);
-                }
-                // 检查是否需要开始投票阶段
-                else if (election.status === 'registration_ended' && now >= voteStartTime && now < voteEndTime) {
-                    await this.startVotingPhase(election);
-                }
-                // 检查是否需要结束投票阶段
-                else if (election.status === 'voting' && now >= voteEndTime) {
-                    await this.endVotingPhase(election);
-                }
-                
-                // 检查是否需要更新报名入口状态（可能消息状态与实际时间不同步）
-                if ((election.status === 'setup' || election.status === 'registration') && 
-                    election.messageIds?.registrationEntryMessageId) {
-                    await this.updateRegistrationEntryStatus(election);
-                }
+        this.processingElections.add(electionId);
+        try {
+            const election = await ElectionData.getById(electionId);
+            if (!election?.schedule || election.status === 'completed') return;
+
+            await this.checkElectionState(election);
+
+            // 阶段未变化且下一阶段时间已过（如报名开始前错过了整个报名期），不再重复安排，避免反复触发
+            const updated = await ElectionData.getById(electionId);
+            const nextPhase = getNextPhase(updated);
+            if (updated.status === election.status && nextPhase && new Date(nextPhase.time) <= new Date()) {
+                console.warn(`募选 ${updated.name} (${electionId}) 已错过 ${nextPhase.label} 时间，无法自动推进，请检查时间安排`);
+                return;
             }
 
+            await scheduleElectionPhaseJob(updated);
         } catch (error) {
-            console.error('检查选举状态时出错:', error);
+            console.error(`检查募选状态时出错 (${electionId}):`, error);
+        } finally {
+            this.processingElections.delete(electionId);
+        }
+    }
+
+    /**
+     * 检查单个募选的状态并推进到对应阶段
+     * @param {object} election - 募选数据
+     */
+    async checkElectionState(election) {
+        const now = new Date();
+        const regStartTime = new Date(election.schedule.registrationStartTime);
+        const regEndTime = new Date(election.schedule.registrationEndTime);
+        const voteStartTime = new Date(election.schedule.votingStartTime);
+        const voteEndTime = new Date(election.schedule.votingEndTime);
+
+        // 检查是否需要启用报名按钮（时间到了但按钮还是禁用状态）
+        if (election.status === 'setup' && now >= regStartTime && now < regEndTime) {
+            await this.startRegistrationPhase(election);
+        }
+        // 检查是否需要结束报名阶段
+        else if (election.status === 'registration' && now >= regEndTime) {
+            await this.endRegistrationPhase(election);
+        }
+        // 检查是否需要开始投票阶段
+        else if (election.status === 'registration_ended' && now >= voteStartTime && now < voteEndTime) {
+            await this.startVotingPhase(election);
+        }
+        // 检查是否需要结束投票阶段
+        else if (election.status === 'voting' && now >= voteEndTime) {
+            await this.endVotingPhase(election);
+        }
+        
+        // 检查是否需要更新报名入口状态（可能消息状态与实际时间不同步）
+        if ((election.status === 'setup' || election.status === 'registration') && 
+            election.messageIds?.registrationEntryMessageId) {
+            await this.updateRegistrationEntryStatus(election);
         }
     }
 
@@ -437,7 +463,7 @@ class ElectionScheduler {
     getStatus() {
         return {
             isRunning: this.isRunning,
-            intervalId: this.intervalId !== null
+            processing: [...this.processingElections]
         };
     }
 
@@ -670,14 +696,26 @@ let schedulerInstance = null;
  * 启动募选调度器
  * @param {Client} client Discord客户端
  */
-function startElectionScheduler(client) {
+async function startElectionScheduler(client) {
     if (schedulerInstance) {
         console.log('募选调度器已存在，停止旧的调度器');
         schedulerInstance.stop();
     }
 
     schedulerInstance = new ElectionScheduler(client);
-    schedulerInstance.start();
+    await schedulerInstance.start();
+}
+
+/**
+ * 计划任务：募选阶段切换
+ * @param {Client} client Discord客户端
+ * @param {object} job 计划任务（key 为募选ID）
+ */
+async function handleElectionPhaseJob(client, job) {
+    if (!schedulerInstance) {
+        schedulerInstance = new ElectionScheduler(client);
+    }
+    await schedulerInstance.advanceElection(job.key);
 }
 
 /**
@@ -701,5 +739,6 @@ module.exports = {
     ElectionScheduler,
     startElectionScheduler,
     stopElectionScheduler,
-    getSchedulerInstance
+    getSchedulerInstance,
+    handleElectionPhaseJob
 }; 
\ No newline at end of file
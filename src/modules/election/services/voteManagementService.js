@@ -1,5 +1,6 @@
 const { ElectionData, VoteData } = require('../data/electionDatabase');
 const { logVoteRemoval } = require('../utils/voteLogger');
+const { logAuditEvent } = require('../../../core/utils/auditLogger');
 
 /**
  * 投票管理服务
@@ -74,6 +75,7 @@ class VoteManagementService {
                 reason: reason,
                 success: true
             });
+            await this.logRemovalAudit(operator, election, userId, targetVote ? [targetVote] : [], reason);
 
             return {
                 success: true,
@@ -119,6 +121,26 @@ class VoteManagementService {
         }
     }
 
+    /**
+     * 将投票清除操作写入审计日志
+     * @param {GuildMember} operator - 操作者
+     * @param {object} election - 选举信息
+     * @param {string} userId - 被清除投票的用户ID
+     * @param {Array} removedVotes - 被清除的投票
+     * @param {string} reason - 清除原因
+     */
+    async logRemovalAudit(operator, election, userId, removedVotes, reason) {
+        await logAuditEvent(operator.client, {
+            guildId: operator.guild.id,
+            module: 'election',
+            action: '清除募选投票',
+            actorId: operator.id,
+            targetId: userId,
+            summary: `清除了 ${removedVotes.length} 张投票：${removedVotes.map(vote => vote.positionName).join('、') || '无'}`,
+            details: { '募选': `${election.name} (${election.electionId})`, '原因': reason }
+        });
+    }
+
     /**
      * 清除用户在选举中的所有投票
      * @param {string} electionId - 选举ID
@@ -179,6 +201,7 @@ class VoteManagementService {
                 reason: reason,
                 success: true
             });
+            await this.logRemovalAudit(operator, election, userId, removedVotes, reason);
 
             return {
                 success: true,
@@ -1,5 +1,19 @@
 const { ElectionData, RegistrationData, VoteData } = require('../data/electionDatabase');
 const { generateUniqueId } = require('../utils/validationUtils');
+const { isRankedMethod } = require('../utils/rankedChoiceUtils');
+
+/**
+ * 获取匿名投票器的说明文字（多选或排序复选）
+ * @param {string} countingMethod - 计票方式
+ * @param {number} maxSelections - 当选名额/最多选择人数
+ * @returns {string}
+ */
+function getBallotInstruction(countingMethod, maxSelections) {
+    if (isRankedMethod(countingMethod)) {
+        return `请按偏好顺序为候选人排序（当选 ${maxSelections} 人），可只排前几位`;
+    }
+    return `请选择你支持的候选人 (最多选择 ${maxSelections} 人)`;
+}
 
 /**
  * 为募选创建投票器
@@ -90,7 +104,7 @@ async function createPositionVotingPoll(channel, election, positionId, position,
 
         // 创建投票嵌入消息
         const { createCandidateListEmbed } = require('../utils/messageUtils');
-        const embed = createCandidateListEmbed(position.name, allCandidates, position.maxWinners);
+        const embed = createCandidateListEmbed(position.name, allCandidates, position.maxWinners, election.guildId);
 
         // 创建投票按钮组件
         const components = createVotingComponents(election.electionId, positionId, allCandidates, position.maxWinners);
@@ -308,7 +322,7 @@ async function createPositionAnonymousVotingPoll(channel, election, positionId,
         const { EmbedBuilder } = require('discord.js');
         const embed = new EmbedBuilder()
             .setTitle(`🗳️ ${position.name} - 投票`)
-            .setDescription(`请选择你支持的候选人 (最多选择 ${position.maxWinners} 人)`)
+            .setDescription(getBallotInstruction(election.countingMethod, position.maxWinners))
             .setColor('#9b59b6');
 
         // 显示候选人列表（不显示自我介绍，避免消息过长）
@@ -343,6 +357,7 @@ async function createPositionAnonymousVotingPoll(channel, election, positionId,
             maxSelections: position.maxWinners,
             candidates: allCandidates,
             messageId: votingMessage.id,
+            countingMethod: election.countingMethod || 'approval',
             isAnonymous: true // 标记为匿名投票
         });
 
@@ -494,7 +509,7 @@ async function updateDiscordVotingMessage(client, election, vote, updatedCandida
             const { EmbedBuilder } = require('discord.js');
             const embed = new EmbedBuilder()
                 .setTitle(`🗳️ ${vote.positionName} - 投票`)
-                .setDescription(`请选择你支持的候选人 (最多选择 ${vote.maxSelections} 人)`)
+                .setDescription(getBallotInstruction(vote.countingMethod, vote.maxSelections))
                 .setColor('#9b59b6');
 
             // 显示更新后的候选人列表
@@ -523,7 +538,7 @@ async function updateDiscordVotingMessage(client, election, vote, updatedCandida
         } else {
             // 实名投票：重新生成投票按钮和嵌入消息
             const { createCandidateListEmbed } = require('../utils/messageUtils');
-            const embed = createCandidateListEmbed(vote.positionName, updatedCandidates, vote.maxSelections);
+            const embed = createCandidateListEmbed(vote.positionName, updatedCandidates, vote.maxSelections, election.guildId);
             
             // 重新生成投票按钮
             const components = createVotingComponents(election.electionId, vote.positionId, updatedCandidates, vote.maxSelections);
@@ -0,0 +1,101 @@
+/**
+ * 募选选择工具
+ * 同一服务器可以同时进行多个募选（如常规募选与补选），命令通过「募选」选项指定要操作的募选。
+ */
+
+const { ElectionData } = require('../data/electionDatabase');
+
+const ELECTION_STATUS_LABELS = {
+    'setup': '设置中',
+    'registration': '报名中',
+    'registration_ended': '报名已结束',
+    'voting': '投票中',
+    'completed': '已完成'
+};
+
+// Discord 自动补全选项名称的长度上限
+const MAX_CHOICE_NAME_LENGTH = 100;
+
+/**
+ * 获取募选状态的显示名称
+ * @param {string} status - 募选状态
+ * @returns {string}
+ */
+function getElectionStatusLabel(status) {
+    return ELECTION_STATUS_LABELS[status] || status;
+}
+
+/**
+ * 响应募选选项的自动补全：列出本服务器的募选，未结束的排在前面，同组内按创建时间从新到旧
+ * @param {import('discord.js').AutocompleteInteraction} interaction - 自动补全交互对象
+ * @param {object} [options]
+ * @param {boolean} [options.activeOnly=false] - 是否只列出未结束的募选
+ */
+async function respondElectionAutocomplete(interaction, { activeOnly = false } = {}) {
+    try {
+        const focusedValue = interaction.options.getFocused().toLowerCase();
+        const elections = await ElectionData.getByGuild(interaction.guild.id);
+
+        const choices = elections
+            .filter(election => !activeOnly || election.status !== 'completed')
+            .filter(election =>
+                election.name.toLowerCase().includes(focusedValue) ||
+                election.electionId.toLowerCase().includes(focusedValue)
+            )
+            .sort((a, b) => {
+                const aDone = a.status === 'completed' ? 1 : 0;
+                const bDone = b.status === 'completed' ? 1 : 0;
+                if (aDone !== bDone) return aDone - bDone;
+                return new Date(b.createdAt) - new Date(a.createdAt);
+            })
+            .slice(0, 25)
+            .map(election => {
+                const suffix = ` · ${getElectionStatusLabel(election.status)}`;
+                const name = election.name.slice(0, MAX_CHOICE_NAME_LENGTH - suffix.length);
+                return { name: `${name}${suffix}`, value: election.electionId };
+            });
+
+        await interaction.respond(choices);
+    } catch (error) {
+        console.error('募选自动补全失败:', error);
+        await interaction.respond([]).catch(() => {});
+    }
+}
+
+/**
+ * 解析命令要操作的募选。
+ * 指定了募选ID时校验其属于本服务器；未指定时，若服务器只有一个未结束的募选则使用它，
+ * 有多个时要求用户通过「募选」选项选择。
+ * @param {string} guildId - 服务器ID
+ * @param {string|null} electionId - 用户指定的募选ID
+ * @returns {Promise<{election?: object, error?: {title: string, message: string}}>}
+ */
+async function resolveElection(guildId, electionId) {
+    if (electionId) {
+        const election = await ElectionData.getById(electionId);
+        if (!election || election.guildId !== guildId) {
+            return { error: { title: '未找到募选', message: '指定的募选不存在，请从「募选」选项的列表中选择' } };
+        }
+        return { election };
+    }
+
+    const activeElections = await ElectionData.getActiveElectionsByGuild(guildId);
+    if (activeElections.length === 0) {
+        return { error: { title: '未找到募选', message: '当前没有活跃的募选，请先使用 `/设置募选职位` 创建募选' } };
+    }
+    if (activeElections.length > 1) {
+        const list = activeElections
+            .map(election => `• ${election.name}（${getElectionStatusLabel(election.status)}）`)
+            .join('\n');
+        return { error: { title: '请选择募选', message: `当前有多个进行中的募选，请通过「募选」选项指定要操作的募选：\n${list}` } };
+    }
+
+    return { election: activeElections[0] };
+}
+
+module.exports = {
+    ELECTION_STATUS_LABELS,
+    getElectionStatusLabel,
+    respondElectionAutocomplete,
+    resolveElection
+};
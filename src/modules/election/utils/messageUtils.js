@@ -1,14 +1,18 @@
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const { formatChineseTime } = require('./timeUtils');
 const { STATUS_CONFIG, CANDIDATE_STATUS } = require('./tieBreakingUtils');
+const { isRankedMethod, getCountingMethodLabel, formatRankedRounds } = require('./rankedChoiceUtils');
+const { t, findMessage } = require('../../../core/utils/i18n');
+const electionText = require('../locales');
 
 /**
  * 添加字段并处理长度限制
  * @param {EmbedBuilder} embed - 嵌入消息构建器
  * @param {string} fieldName - 字段名称
  * @param {string} fieldValue - 字段值
+ * @param {string|object} [locale] - 语言来源（服务器ID等）
  */
-function addFieldWithLengthLimit(embed, fieldName, fieldValue) {
+function addFieldWithLengthLimit(embed, fieldName, fieldValue, locale) {
     const FIELD_VALUE_LIMIT = 1024;
     
     // 如果内容不超过限制，直接添加
@@ -19,9 +23,10 @@ function addFieldWithLengthLimit(embed, fieldName, fieldValue) {
     
     // 内容过长，需要拆分
     // 首先分离候选人信息和统计信息
-    const parts = fieldValue.split('\n\n📊 **投票统计**');
+    const statisticsHeader = electionText(locale, 'result.statistics');
+    const parts = fieldValue.split(`\n\n${statisticsHeader}`);
     const candidatesText = parts[0];
-    const statisticsText = parts[1] ? `📊 **投票统计**${parts[1]}` : '';
+    const statisticsText = parts[1] ? `${statisticsHeader}${parts[1]}` : '';
     
     // 拆分候选人信息
     const candidateEntries = candidatesText.split('\n\n');
@@ -47,13 +52,13 @@ function addFieldWithLengthLimit(embed, fieldName, fieldValue) {
     
     // 添加拆分后的字段
     chunks.forEach((chunk, index) => {
-        const chunkFieldName = chunks.length > 1 ? `${fieldName} (第${index + 1}部分)` : fieldName;
+        const chunkFieldName = chunks.length > 1 ? electionText(locale, 'result.part', { name: fieldName, index: index + 1 }) : fieldName;
         embed.addFields({ name: chunkFieldName, value: chunk, inline: false });
     });
     
     // 单独添加统计信息
     if (statisticsText) {
-        embed.addFields({ name: `${fieldName} - 统计信息`, value: statisticsText, inline: false });
+        embed.addFields({ name: electionText(locale, 'result.statisticsField', { name: fieldName }), value: statisticsText, inline: false });
     }
 }
 
@@ -63,29 +68,28 @@ function addFieldWithLengthLimit(embed, fieldName, fieldValue) {
  * @returns {EmbedBuilder} 嵌入消息
  */
 function createElectionStatusEmbed(election) {
+    const locale = election.guildId;
     const embed = new EmbedBuilder()
         .setTitle(`📊 ${election.name}`)
         .setColor('#3498db');
     
     // 状态显示
-    const statusMap = {
-        'setup': '⚙️ 设置中',
-        'registration': '📝 报名中',
-        'voting': '🗳️ 投票中',
-        'completed': '✅ 已完成'
-    };
+    const status = ['setup', 'registration', 'registration_ended', 'voting', 'completed'].includes(election.status)
+        ? electionText(locale, `status.${election.status}`)
+        : electionText(locale, 'status.unknown');
     
     embed.addFields(
-        { name: '募选状态', value: statusMap[election.status] || '未知', inline: true }
+        { name: electionText(locale, 'status.field'), value: status, inline: true }
     );
     
     // 职位信息
     if (election.positions) {
         const positionList = Object.values(election.positions)
-            .map(pos => `• ${pos.name} (${pos.maxWinners}人)`)
+            .map(pos => electionText(locale, 'status.position', { name: pos.name, count: pos.maxWinners }))
             .join('\n');
         embed.addFields(
-            { name: '竞选职位', value: positionList || '暂未设置', inline: false }
+            { name: electionText(locale, 'status.positions'), value: positionList || electionText(locale, 'status.noPositions'), inline: false },
+            { name: electionText(locale, 'status.countingMethod'), value: getCountingMethodLabel(election.countingMethod, locale), inline: false }
         );
     }
     
@@ -95,21 +99,27 @@ function createElectionStatusEmbed(election) {
         
         let timeInfo = '';
         if (registrationStartTime && registrationEndTime) {
-            timeInfo += `📝 报名时间: ${formatChineseTime(new Date(registrationStartTime))} - ${formatChineseTime(new Date(registrationEndTime))}\n`;
+            timeInfo += electionText(locale, 'status.registrationTime', {
+                start: formatChineseTime(new Date(registrationStartTime)),
+                end: formatChineseTime(new Date(registrationEndTime))
+            }) + '\n';
         }
         if (votingStartTime && votingEndTime) {
-            timeInfo += `🗳️ 投票时间: ${formatChineseTime(new Date(votingStartTime))} - ${formatChineseTime(new Date(votingEndTime))}`;
+            timeInfo += electionText(locale, 'status.votingTime', {
+                start: formatChineseTime(new Date(votingStartTime)),
+                end: formatChineseTime(new Date(votingEndTime))
+            });
         }
         
         if (timeInfo) {
             embed.addFields(
-                { name: '时间安排', value: timeInfo, inline: false }
+                { name: electionText(locale, 'status.schedule'), value: timeInfo, inline: false }
             );
         }
     }
     
     embed.setTimestamp()
-        .setFooter({ text: '募选系统' });
+        .setFooter({ text: electionText(locale, 'status.footer') });
     
     return embed;
 }
@@ -120,6 +130,7 @@ function createElectionStatusEmbed(election) {
  * @returns {object} 消息组件
  */
 function createRegistrationEntryMessage(election) {
+    const locale = election.guildId;
     const now = new Date();
     const regStartTime = election.schedule ? new Date(election.schedule.registrationStartTime) : null;
     const regEndTime = election.schedule ? new Date(election.schedule.registrationEndTime) : null;
@@ -130,31 +141,31 @@ function createRegistrationEntryMessage(election) {
     let isActive = regStartTime && regEndTime && now >= regStartTime && now <= regEndTime;
     
     const embed = new EmbedBuilder()
-        .setTitle(`📝 ${election.name} - 报名入口`)
+        .setTitle(electionText(locale, 'registrationEntry.title', { name: election.name }))
         .setColor('#2ecc71');
     
     // 根据状态设置描述和颜色
     if (isBeforeStart) {
-        embed.setDescription('报名尚未开始，请耐心等待')
+        embed.setDescription(electionText(locale, 'registrationEntry.notStarted'))
              .setColor('#ffa500'); // 橙色表示等待中
     } else if (isAfterEnd) {
-        embed.setDescription('报名时间已结束')
+        embed.setDescription(electionText(locale, 'registrationEntry.ended'))
              .setColor('#95a5a6'); // 灰色表示已结束
     } else if (isActive) {
-        embed.setDescription('点击下方按钮开始报名参选')
+        embed.setDescription(electionText(locale, 'registrationEntry.open'))
              .setColor('#2ecc71'); // 绿色表示活跃
     } else {
-        embed.setDescription('点击下方按钮开始报名参选');
+        embed.setDescription(electionText(locale, 'registrationEntry.open'));
     }
     
     // 显示职位列表
     if (election.positions) {
         const positionList = Object.values(election.positions)
-            .map(pos => `• **${pos.name}** (招募${pos.maxWinners}人)${pos.description ? ` - ${pos.description}` : ''}`)
+            .map(pos => electionText(locale, 'registrationEntry.position', { name: pos.name, count: pos.maxWinners }) + (pos.description ? ` - ${pos.description}` : ''))
             .join('\n');
         
         embed.addFields(
-            { name: '可竞选职位', value: positionList, inline: false }
+            { name: electionText(locale, 'registrationEntry.positions'), value: positionList, inline: false }
         );
     }
     
@@ -164,12 +175,12 @@ function createRegistrationEntryMessage(election) {
         const endTime = formatChineseTime(new Date(election.schedule.registrationEndTime));
         
         embed.addFields(
-            { name: '报名时间', value: `${startTime} - ${endTime}`, inline: false }
+            { name: electionText(locale, 'registrationEntry.time'), value: `${startTime} - ${endTime}`, inline: false }
         );
     }
     
     embed.addFields(
-        { name: '报名须知', value: '• 每人只能报名一次\n• 可设置第一志愿和第二志愿\n• 可填写自我介绍(可选)\n• 报名后可修改或撤回', inline: false }
+        { name: electionText(locale, 'registrationEntry.rulesTitle'), value: electionText(locale, 'registrationEntry.rules'), inline: false }
     );
     
     // 根据状态创建不同的按钮
@@ -177,21 +188,21 @@ function createRegistrationEntryMessage(election) {
     if (isBeforeStart) {
         button = new ButtonBuilder()
             .setCustomId('election_registration_not_started')
-            .setLabel('报名未开始')
+            .setLabel(electionText(locale, 'registrationEntry.notStartedButton'))
             .setStyle(ButtonStyle.Secondary)
             .setEmoji('⏰')
             .setDisabled(true);
     } else if (isAfterEnd) {
         button = new ButtonBuilder()
             .setCustomId('election_registration_closed')
-            .setLabel('报名已结束')
+            .setLabel(electionText(locale, 'registrationEntry.endedButton'))
             .setStyle(ButtonStyle.Secondary)
             .setEmoji('🔒')
             .setDisabled(true);
     } else {
         button = new ButtonBuilder()
             .setCustomId(`election_register_${election.electionId}`)
-            .setLabel('开始报名')
+            .setLabel(electionText(locale, 'registrationEntry.registerButton'))
             .setStyle(ButtonStyle.Primary)
             .setEmoji('📝');
     }
@@ -208,9 +219,10 @@ function createRegistrationEntryMessage(election) {
  * @returns {object} 消息组件
  */
 function createVotingEntryMessage(election, votes) {
+    const locale = election.guildId;
     const embed = new EmbedBuilder()
-        .setTitle(`🗳️ ${election.name} - 投票中`)
-        .setDescription('为你支持的候选人投票')
+        .setTitle(electionText(locale, 'votingEntry.title', { name: election.name }))
+        .setDescription(electionText(locale, 'votingEntry.description'))
         .setColor('#e74c3c');
     
     // 投票时间
@@ -219,13 +231,15 @@ function createVotingEntryMessage(election, votes) {
         const endTime = formatChineseTime(new Date(election.schedule.votingEndTime));
         
         embed.addFields(
-            { name: '投票时间', value: `${startTime} - ${endTime}`, inline: false }
+            { name: electionText(locale, 'votingEntry.time'), value: `${startTime} - ${endTime}`, inline: false }
         );
     }
     
     // 投票说明
+    const votingRules = electionText(locale, isRankedMethod(election.countingMethod) ? 'votingEntry.rankedRules' : 'votingEntry.approvalRules');
     embed.addFields(
-        { name: '投票说明', value: '• 每个职位可选择对应的候选人数量\n• 每人每个职位只能投票一次\n• 投票后不可修改\n• 按票数高低确定当选者', inline: false }
+        { name: electionText(locale, 'votingEntry.rulesTitle'), value: votingRules, inline: false },
+        { name: electionText(locale, 'status.countingMethod'), value: getCountingMethodLabel(election.countingMethod, locale), inline: false }
     );
     
     return { embeds: [embed] };
@@ -236,23 +250,24 @@ function createVotingEntryMessage(election, votes) {
  * @param {string} positionName - 职位名称
  * @param {Array} candidates - 候选人列表
  * @param {number} maxSelections - 最大选择数
+ * @param {string|object} [locale] - 语言来源（服务器ID等）
  * @returns {EmbedBuilder} 嵌入消息
  */
-function createCandidateListEmbed(positionName, candidates, maxSelections) {
+function createCandidateListEmbed(positionName, candidates, maxSelections, locale) {
     const embed = new EmbedBuilder()
-        .setTitle(`🗳️ ${positionName} - 候选人列表`)
-        .setDescription(`请选择你支持的候选人 (最多选择 ${maxSelections} 人)`)
+        .setTitle(electionText(locale, 'candidateList.title', { position: positionName }))
+        .setDescription(electionText(locale, 'candidateList.description', { count: maxSelections }))
         .setColor('#9b59b6');
     
     if (candidates.length === 0) {
         embed.addFields(
-            { name: '暂无候选人', value: '还没有人报名这个职位', inline: false }
+            { name: electionText(locale, 'candidateList.empty'), value: electionText(locale, 'candidateList.emptyDescription'), inline: false }
         );
     } else {
         const candidateList = candidates.map((candidate) => {
             let info = `<@${candidate.userId}>`;
             if (candidate.choiceType === 'second') {
-                info += ' (第二志愿)';
+                info += electionText(locale, 'secondChoice');
             }
             if (candidate.selfIntroduction) {
                 info += `\n${candidate.selfIntroduction}`;
@@ -261,7 +276,7 @@ function createCandidateListEmbed(positionName, candidates, maxSelections) {
         }).join('\n\n');
         
         embed.addFields(
-            { name: '候选人信息', value: candidateList, inline: false }
+            { name: electionText(locale, 'candidateList.field'), value: candidateList, inline: false }
         );
     }
     
@@ -275,9 +290,10 @@ function createCandidateListEmbed(positionName, candidates, maxSelections) {
  * @returns {EmbedBuilder} 嵌入消息
  */
 function createRegistrationSuccessEmbed(registration, election) {
+    const locale = election.guildId;
     const embed = new EmbedBuilder()
-        .setTitle('✅ 报名成功')
-        .setDescription('你已成功报名参选')
+        .setTitle(electionText(locale, 'registrationSuccess.title'))
+        .setDescription(electionText(locale, 'registrationSuccess.description'))
         .setColor('#2ecc71');
     
     const firstChoicePosition = election.positions[registration.firstChoicePosition];
@@ -285,23 +301,23 @@ function createRegistrationSuccessEmbed(registration, election) {
         election.positions[registration.secondChoicePosition] : null;
     
     embed.addFields(
-        { name: '第一志愿', value: firstChoicePosition?.name || '未知职位', inline: true }
+        { name: electionText(locale, 'registrationSuccess.firstChoice'), value: firstChoicePosition?.name || electionText(locale, 'unknownPosition'), inline: true }
     );
     
     if (secondChoicePosition) {
         embed.addFields(
-            { name: '第二志愿', value: secondChoicePosition.name, inline: true }
+            { name: electionText(locale, 'registrationSuccess.secondChoice'), value: secondChoicePosition.name, inline: true }
         );
     }
     
     if (registration.selfIntroduction) {
         embed.addFields(
-            { name: '自我介绍', value: registration.selfIntroduction, inline: false }
+            { name: electionText(locale, 'registrationSuccess.introduction'), value: registration.selfIntroduction, inline: false }
         );
     }
     
     embed.addFields(
-        { name: '报名时间', value: formatChineseTime(new Date(registration.registeredAt)), inline: false }
+        { name: electionText(locale, 'registrationSuccess.time'), value: formatChineseTime(new Date(registration.registeredAt)), inline: false }
     );
     
     return embed;
@@ -314,9 +330,13 @@ function createRegistrationSuccessEmbed(registration, election) {
  * @returns {EmbedBuilder} 嵌入消息
  */
 function createElectionResultEmbed(election, results) {
+    const locale = election.guildId;
+    const unknownUser = t(locale, 'core.common.unknownUser');
     const embed = new EmbedBuilder()
-        .setTitle(`🏆 ${election.name} - 募选结果`)
-        .setDescription('各职位候选人得票情况如下：')
+        .setTitle(electionText(locale, 'result.title', { name: election.name }))
+        .setDescription(isRankedMethod(election.countingMethod)
+            ? electionText(locale, 'result.rankedDescription', { method: getCountingMethodLabel(election.countingMethod, locale) })
+            : electionText(locale, 'result.description'))
         .setColor('#f39c12');
     
     for (const [positionId, result] of Object.entries(results)) {
@@ -324,14 +344,15 @@ function createElectionResultEmbed(election, results) {
         if (!position) continue;
         
         let fieldValue;
-        let fieldName = `${position.name} (募选${position.maxWinners}人)`;
+        let fieldName = electionText(locale, 'result.position', { name: position.name, count: position.maxWinners });
+        const isRanked = isRankedMethod(result.countingMethod);
         
         if (result.isVoid) {
             // 职位投票作废
             fieldValue = `❌ **${result.voidReason}**`;
         } else if (result.candidates.length === 0) {
             // 没有候选人
-            fieldValue = '❌ **无人报名参选**';
+            fieldValue = electionText(locale, 'result.noCandidates');
         } else {
             // 显示所有候选人的得票情况，支持新的状态系统
             const candidateResults = result.candidates.map(candidate => {
@@ -341,7 +362,7 @@ function createElectionResultEmbed(election, results) {
                 if (candidate.statusInfo) {
                     const statusConfig = STATUS_CONFIG[candidate.statusInfo.status];
                     statusIcon = statusConfig.icon;
-                    status = `**${statusConfig.label}**`;
+                    status = `**${findMessage(locale, `election.candidateStatus.${candidate.statusInfo.status}`) || statusConfig.label}**`;
                     
                     // 添加状态说明
                     if (candidate.statusInfo.notes) {
@@ -350,14 +371,18 @@ function createElectionResultEmbed(election, results) {
                 } else {
                     // 兼容旧系统
                     statusIcon = candidate.isWinner ? '✅' : '❌';
-                    status = candidate.isWinner ? '**当选**' : '未当选';
+                    status = electionText(locale, candidate.isWinner ? 'result.elected' : 'result.notElected');
                 }
                 
-                const choiceLabel = candidate.choiceType === 'second' ? ' (第二志愿)' : '';
+                let choiceLabel = candidate.choiceType === 'second' ? electionText(locale, 'secondChoice') : '';
+                if (candidate.excluded) {
+                    choiceLabel += electionText(locale, 'result.excluded');
+                }
                 
                 // 两行显示格式
                 const userMention = `<@${candidate.userId}>`;
-                const userInfo = `${candidate.displayName || '未知用户'} ${candidate.votes}票 ${statusIcon} ${status}${choiceLabel}`;
+                const voteText = electionText(locale, isRanked ? 'result.firstPreferenceVotes' : 'result.votes', { count: candidate.votes });
+                const userInfo = `${candidate.displayName || unknownUser} ${voteText} ${statusIcon} ${status}${choiceLabel}`;
                 
                 return `${userMention}\n${userInfo}`;
             });
@@ -365,21 +390,32 @@ function createElectionResultEmbed(election, results) {
             fieldValue = candidateResults.join('\n\n');
             
             // 添加投票统计
-            if (result.totalVoters > 0) {
-                fieldValue += `\n\n📊 **投票统计**`;
-                fieldValue += `\n• 参与投票人数：${result.totalVoters}人`;
-                fieldValue += `\n• 总票数：${result.totalVotes}票`;
+            if (isRanked && result.totalVoters > 0) {
+                fieldValue += `\n\n${electionText(locale, 'result.statistics')}`;
+                fieldValue += `\n${electionText(locale, 'result.voters', { count: result.totalVoters })}`;
+                fieldValue += `\n${electionText(locale, 'result.validBallots', { count: result.totalVotes })}`;
+                fieldValue += `\n${electionText(locale, 'result.quota', { count: result.quota })}`;
+            } else if (result.totalVoters > 0) {
+                fieldValue += `\n\n${electionText(locale, 'result.statistics')}`;
+                fieldValue += `\n${electionText(locale, 'result.voters', { count: result.totalVoters })}`;
+                fieldValue += `\n${electionText(locale, 'result.totalVotes', { count: result.totalVotes })}`;
                 
                 // 如果总票数大于投票人数，说明有多选
                 if (result.totalVotes > result.totalVoters) {
                     const avgVotes = (result.totalVotes / result.totalVoters).toFixed(1);
-                    fieldValue += `\n• 平均每人投票：${avgVotes}票`;
+                    fieldValue += `\n${electionText(locale, 'result.averageVotes', { count: avgVotes })}`;
                 }
             }
         }
         
         // 处理字段长度限制（Discord限制为1024字符）
-        addFieldWithLengthLimit(embed, fieldName, fieldValue);
+        addFieldWithLengthLimit(embed, fieldName, fieldValue, locale);
+
+        // 排序复选：附上逐轮计票表
+        if (isRanked && result.rounds?.length > 0) {
+            const names = Object.fromEntries(result.candidates.map(c => [c.userId, c.displayName || unknownUser]));
+            addFieldWithLengthLimit(embed, electionText(locale, 'result.rounds', { name: position.name }), formatRankedRounds(result.rounds, id => names[id] || unknownUser), locale);
+        }
     }
     
         // 添加并列分析摘要（如果存在）
@@ -388,19 +424,19 @@ function createElectionResultEmbed(election, results) {
         for (const [positionId, result] of Object.entries(results)) {
             if (result.tieAnalysis?.hasTies) {
                 const position = election.positions[positionId];
-                tieGroups.push(`${position.name}: ${result.tieAnalysis.tieGroups.length}组并列`);
+                tieGroups.push(electionText(locale, 'result.tieGroups', { name: position.name, count: result.tieAnalysis.tieGroups.length }));
             }
         }
         
         if (tieGroups.length > 0) {
             embed.addFields(
-                { name: '⚠️ 并列情况', value: `检测到并列情况，需要进一步处理：\n${tieGroups.join('\n')}`, inline: false }
+                { name: electionText(locale, 'result.tiesField'), value: electionText(locale, 'result.ties', { groups: tieGroups.join('\n') }), inline: false }
             );
         }
     }
     
     embed.setTimestamp()
-        .setFooter({ text: '募选结果统计' });
+        .setFooter({ text: electionText(locale, 'result.footer') });
     
     return embed;
 }
@@ -0,0 +1,213 @@
+/**
+ * 排序复选计票工具
+ * 支持即时决选（IRV，单席位）和单记可转移投票（STV，多席位）。
+ * 排序选票在投票数据中与多选选票的存储方式相同（候选人ID数组），数组顺序即偏好顺序。
+ */
+
+const { findMessage } = require('../../../core/utils/i18n');
+
+// 计票方式
+const COUNTING_METHODS = {
+    APPROVAL: 'approval',
+    IRV: 'irv',
+    STV: 'stv'
+};
+
+const COUNTING_METHOD_LABELS = {
+    approval: '多选计票（按得票数排名）',
+    irv: '排序复选 · 即时决选（IRV）',
+    stv: '排序复选 · 单记可转移（STV）'
+};
+
+// 浮点比较容差（STV 盈余转移会产生小数票）
+const EPSILON = 1e-9;
+
+/**
+ * 判断计票方式是否需要排序选票
+ * @param {string} countingMethod - 计票方式
+ * @returns {boolean}
+ */
+function isRankedMethod(countingMethod) {
+    return countingMethod === COUNTING_METHODS.IRV || countingMethod === COUNTING_METHODS.STV;
+}
+
+/**
+ * 获取计票方式的显示名称
+ * @param {string} countingMethod - 计票方式
+ * @param {string|object} [locale] - 语言来源（服务器ID等），默认简体中文
+ * @returns {string}
+ */
+function getCountingMethodLabel(countingMethod, locale) {
+    const method = countingMethod || COUNTING_METHODS.APPROVAL;
+    return findMessage(locale, `election.countingMethods.${method}`) || COUNTING_METHOD_LABELS[method] || countingMethod;
+}
+
+/**
+ * 在最低票候选人中选出本轮淘汰者。
+ * 并列时依次比较之前各轮（从最近一轮往前）的票数，仍并列则淘汰候选人列表中排在最后的一位。
+ * @returns {{id: string, tieBroken: boolean}}
+ */
+function pickCandidateToEliminate(hopefuls, tallies, history, candidateOrder) {
+    const minTally = Math.min(...hopefuls.map(id => tallies[id]));
+    let tied = hopefuls.filter(id => tallies[id] - minTally < EPSILON);
+
+    for (let i = history.length - 2; i >= 0 && tied.length > 1; i--) {
+        const previous = history[i];
+        const previousMin = Math.min(...tied.map(id => previous[id] ?? 0));
+        tied = tied.filter(id => (previous[id] ?? 0) - previousMin < EPSILON);
+    }
+
+    if (tied.length === 1) {
+        return { id: tied[0], tieBroken: false };
+    }
+
+    tied.sort((a, b) => candidateOrder.indexOf(b) - candidateOrder.indexOf(a));
+    return { id: tied[0], tieBroken: true };
+}
+
+function roundTallies(tallies) {
+    const rounded = {};
+    for (const [id, value] of Object.entries(tallies)) {
+        rounded[id] = Math.round(value * 100) / 100;
+    }
+    return rounded;
+}
+
+/**
+ * 按单记可转移投票（Droop 票额、盈余按比例转移）统计排序选票。
+ * 单席位时等价于即时决选（IRV）：票额为有效票过半数。
+ * @param {Array<Array<string>>} ballots - 排序选票，每张为按偏好排列的候选人ID
+ * @param {Array<string>} candidateIds - 参与计票的候选人ID（顺序用于最终并列的裁决）
+ * @param {number} seats - 当选名额
+ * @returns {{quota: number, validBallots: number, elected: string[], eliminated: string[], rounds: Array<object>}}
+ */
+function countRankedBallots(ballots, candidateIds, seats) {
+    const hopeful = new Set(candidateIds);
+    const elected = [];
+    const eliminated = [];
+    const rounds = [];
+    const history = [];
+
+    // 只保留有效候选人，去除重复排序
+    const pile = ballots
+        .map(ballot => ({
+            preferences: [...new Set(Array.isArray(ballot) ? ballot : [])].filter(id => hopeful.has(id)),
+            weight: 1
+        }))
+        .filter(ballot => ballot.preferences.length > 0);
+
+    const validBallots = pile.length;
+    const quota = Math.floor(validBallots / (seats + 1)) + 1;
+
+    if (validBallots === 0) {
+        return { quota, validBallots, elected, eliminated, rounds };
+    }
+
+    while (elected.length < seats && hopeful.size > 0) {
+        // 统计本轮每位候选人的票数
+        const tallies = {};
+        for (const id of hopeful) tallies[id] = 0;
+
+        let exhausted = 0;
+        const currentTop = pile.map(ballot => {
+            const top = ballot.preferences.find(id => hopeful.has(id)) || null;
+            if (top) tallies[top] += ballot.weight;
+            else exhausted += ballot.weight;
+            return top;
+        });
+
+        history.push(tallies);
+        const round = {
+            round: rounds.length + 1,
+            tallies: roundTallies(tallies),
+            exhausted: Math.round(exhausted * 100) / 100,
+            elected: [],
+            eliminated: null,
+            tieBroken: false
+        };
+        rounds.push(round);
+
+        const hopefuls = [...hopeful];
+        const remainingSeats = seats - elected.length;
+
+        // 剩余候选人不多于剩余名额时全部当选
+        if (hopefuls.length <= remainingSeats) {
+            hopefuls.sort((a, b) => tallies[b] - tallies[a]);
+            for (const id of hopefuls) {
+                elected.push(id);
+                hopeful.delete(id);
+                round.elected.push(id);
+            }
+            break;
+        }
+
+        // 达到票额的候选人当选，盈余按比例转移给选票上的下一位
+        const reached = hopefuls
+            .filter(id => tallies[id] >= quota - EPSILON)
+            .sort((a, b) => tallies[b] - tallies[a])
+            .slice(0, remainingSeats);
+
+        if (reached.length > 0) {
+            for (const id of reached) {
+                const transferRatio = tallies[id] > 0 ? (tallies[id] - quota) / tallies[id] : 0;
+                pile.forEach((ballot, index) => {
+                    if (currentTop[index] === id) ballot.weight *= transferRatio;
+                });
+                elected.push(id);
+                hopeful.delete(id);
+                round.elected.push(id);
+            }
+            continue;
+        }
+
+        // 无人达到票额时淘汰最低票者
+        const { id, tieBroken } = pickCandidateToEliminate(hopefuls, tallies, history, candidateIds);
+        hopeful.delete(id);
+        eliminated.push(id);
+        round.eliminated = id;
+        round.tieBroken = tieBroken;
+    }
+
+    return { quota, validBallots, elected, eliminated, rounds };
+}
+
+/**
+ * 将逐轮计票过程格式化为文字表格，每轮之间以空行分隔（便于嵌入字段按轮拆分）
+ * @param {Array<object>} rounds - countRankedBallots 返回的轮次
+ * @param {function(string): string} getName - 根据候选人ID获取显示名称
+ * @returns {string}
+ */
+function formatRankedRounds(rounds, getName) {
+    return rounds.map(round => {
+        const tallyText = Object.entries(round.tallies)
+            .sort(([, a], [, b]) => b - a)
+            .map(([id, value]) => `${getName(id)} ${value}`)
+            .join(' · ');
+
+        let line = `**第${round.round}轮**：${tallyText}`;
+        if (round.exhausted > 0) {
+            line += `（耗尽 ${round.exhausted}）`;
+        }
+
+        const outcomes = [];
+        if (round.elected.length > 0) {
+            outcomes.push(`当选 ${round.elected.map(id => `**${getName(id)}**`).join('、')}`);
+        }
+        if (round.eliminated) {
+            outcomes.push(`淘汰 **${getName(round.eliminated)}**${round.tieBroken ? '（并列，按候选人顺序决定）' : ''}`);
+        }
+        if (outcomes.length > 0) {
+            line += `\n→ ${outcomes.join('；')}`;
+        }
+
+        return line;
+    }).join('\n\n');
+}
+
+module.exports = {
+    COUNTING_METHODS,
+    isRankedMethod,
+    getCountingMethodLabel,
+    countRankedBallots,
+    formatRankedRounds
+};
@@ -0,0 +1,8 @@
+// src\modules\forumRebuilder\index.js
+module.exports = {
+    name: '论坛重建',
+    locales: require('./locales'),
+    commands: [
+        require('./commands/rebuildForum'),
+    ],
+};
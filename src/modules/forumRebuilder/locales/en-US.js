@@ -0,0 +1,16 @@
+// src\modules\forumRebuilder\locales\en-US.js
+module.exports = {
+    name: 'Forum Rebuilder',
+
+    commands: {
+        '重建论坛': {
+            name: 'rebuild-forum',
+            description: 'Rebuild forum posts from an Excel file (administrators only)',
+            options: {
+                '目标论坛': { name: 'forum', description: 'Forum to rebuild into' },
+                'excel文件路径': { name: 'excel-path', description: 'Path of the Excel backup (optional, defaults to the configured path)' },
+                '开始位置': { name: 'start', description: 'Post to start from, for resuming (default: the first post)' },
+            },
+        },
+    },
+};
@@ -0,0 +1,111 @@
+// src\modules\proposal\commands\searchProposals.js
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { searchProposals, parseDateOption } = require('../services/proposalSearchService');
+
+const data = new SlashCommandBuilder()
+    .setName('提案查询')
+    .setDescription('按关键词、状态、提案人和日期查询议案')
+    .addStringOption(option =>
+        option.setName('关键词')
+            .setDescription('在标题、提案原因、动议、执行方案和执行人中搜索')
+            .setRequired(false)
+            .setMaxLength(50))
+    .addStringOption(option =>
+        option.setName('状态')
+            .setDescription('议案状态')
+            .setRequired(false)
+            .addChoices(
+                { name: '待审核', value: 'reviewing' },
+                { name: '需要修改', value: 'modification_required' },
+                { name: '审核通过', value: 'approved' },
+                { name: '审核未通过', value: 'rejected' },
+                { name: '征集支持中', value: 'pending' },
+                { name: '支持不足已过期', value: 'expired' },
+                { name: '已撤回', value: 'withdrawn' },
+                { name: '讨论中', value: 'posted' },
+                { name: '表决中', value: 'final_voting' },
+                { name: '表决通过', value: 'passed' },
+                { name: '表决未通过', value: 'failed' },
+                { name: '执行中', value: 'in_execution' },
+                { name: '已执行', value: 'executed' }
+            ))
+    .addUserOption(option =>
+        option.setName('提案人')
+            .setDescription('只显示该成员提交的议案')
+            .setRequired(false))
+    .addStringOption(option =>
+        option.setName('开始日期')
+            .setDescription('提交日期不早于，格式 YYYY-MM-DD')
+            .setRequired(false))
+    .addStringOption(option =>
+        option.setName('结束日期')
+            .setDescription('提交日期不晚于，格式 YYYY-MM-DD')
+            .setRequired(false));
+
+async function execute(interaction) {
+    try {
+        // 检查是否在服务器中使用
+        if (!interaction.guild) {
+            return interaction.reply({
+                content: '❌ 此指令只能在服务器中使用，不能在私信中使用。',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        const from = parseDateOption(interaction.options.getString('开始日期'));
+        const to = parseDateOption(interaction.options.getString('结束日期'), true);
+
+        if (from === undefined || to === undefined) {
+            return interaction.reply({
+                content: '❌ 日期格式错误，请使用 YYYY-MM-DD，例如 2024-01-31。',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        if (from && to && from > to) {
+            return interaction.reply({
+                content: '❌ 开始日期不能晚于结束日期。',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const filters = {
+            keyword: interaction.options.getString('关键词')?.trim() || null,
+            status: interaction.options.getString('状态'),
+            authorId: interaction.options.getUser('提案人')?.id || null,
+            from,
+            to
+        };
+
+        const { results, page } = await searchProposals(interaction.guild, interaction.user.id, filters);
+
+        console.log(`${interaction.user.tag} 查询提案，找到 ${results.length} 个结果`, filters);
+
+        await interaction.editReply(page);
+
+    } catch (error) {
+        console.error('查询提案时出错:', error);
+
+        try {
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: `❌ 查询提案时出错：${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            } else {
+                await interaction.editReply({
+                    content: `❌ 查询提案时出错：${error.message}`
+                });
+            }
+        } catch (replyError) {
+            console.error('回复错误信息失败:', replyError);
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute,
+};
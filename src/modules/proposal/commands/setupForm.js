@@ -2,7 +2,8 @@
 const { SlashCommandBuilder, MessageFlags } = require('discord.js');
 const { saveSettings } = require('../../../core/utils/database');
 const { checkAdminPermission, getPermissionDeniedMessage } = require('../../../core/utils/permissionManager');
-const { saveProposalSettings } = require('../utils/proposalDatabase');
+const { saveProposalSettings, getProposalSettings } = require('../utils/proposalDatabase');
+const { DEFAULT_FORM_FIELDS, parseFormFields, describeFormFields } = require('../utils/formTemplate');
 
 const data = new SlashCommandBuilder()
     .setName('setupform')
@@ -22,7 +23,24 @@ const data = new SlashCommandBuilder()
     .addChannelOption(option => 
         option.setName('论坛频道')
             .setDescription('达到支持数后发布到的论坛频道')
-            .setRequired(true));
+            .setRequired(true))
+    .addNumberOption(option => 
+        option.setName('讨论时长')
+            .setDescription('议案在论坛讨论多久后开启正式表决，单位小时（默认72）')
+            .setRequired(false)
+            .setMinValue(0.1)
+            .setMaxValue(720))
+    .addNumberOption(option => 
+        option.setName('表决时长')
+            .setDescription('正式表决持续时间，单位小时（默认48）')
+            .setRequired(false)
+            .setMinValue(0.1)
+            .setMaxValue(336))
+    .addStringOption(option => 
+        option.setName('表单字段')
+            .setDescription('自定义字段：标签|长/短|必填/选填|最大长度，用;分隔，首个为标题，最多5个；填“默认”恢复')
+            .setRequired(false)
+            .setMaxLength(1000));
 
 async function execute(interaction) {
     try {
@@ -35,11 +53,11 @@ async function execute(interaction) {
         }
 
         // 检查用户权限
-        const hasPermission = checkAdminPermission(interaction.member);
+        const hasPermission = checkAdminPermission(interaction.member, interaction.commandName);
         
         if (!hasPermission) {
             return interaction.reply({
-                content: getPermissionDeniedMessage(),
+                content: getPermissionDeniedMessage(interaction),
                 flags: MessageFlags.Ephemeral
             });
         }
@@ -74,6 +92,9 @@ async function execute(interaction) {
         const targetChannel = interaction.options.getChannel('投票频道');
         const requiredVotes = interaction.options.getInteger('所需支持数');
         const forumChannel = interaction.options.getChannel('论坛频道');
+        const discussionHours = interaction.options.getNumber('讨论时长');
+        const finalVoteHours = interaction.options.getNumber('表决时长');
+        const formFieldsText = interaction.options.getString('表单字段');
         
         // 验证频道类型
         if (reviewForum.type !== 15) { // 15 = GUILD_FORUM
@@ -99,6 +120,24 @@ async function execute(interaction) {
                 content: '❌ 所需支持数必须大于0。'
             });
         }
+        
+        // 解析表单字段：未填写时沿用已有模板，填写“默认”时恢复默认的五个字段
+        const existingSettings = await getProposalSettings(interaction.guild.id);
+        let formFields = existingSettings?.formFields || null;
+        if (formFieldsText) {
+            if (formFieldsText.trim() === '默认') {
+                formFields = null;
+            } else {
+                const parsed = parseFormFields(formFieldsText);
+                if (parsed.error) {
+                    return interaction.editReply({
+                        content: `❌ 表单字段格式错误：${parsed.error}\n\n格式示例：\`议案标题|短|必填|30; 预算金额|短|必填|20; 提案原因|长|必填; 议案执行人|短|选填\``
+                    });
+                }
+                formFields = parsed.fields;
+            }
+        }
+        const activeFormFields = formFields || DEFAULT_FORM_FIELDS;
 
         // 检查机器人在各个频道的权限
         // 检查预审核论坛权限
@@ -141,6 +180,9 @@ async function execute(interaction) {
             targetChannelId: targetChannel.id,
             requiredVotes: requiredVotes,
             forumChannelId: forumChannel.id,
+            discussionHours: discussionHours,
+            finalVoteHours: finalVoteHours,
+            formFields: formFields,
             setupBy: interaction.user.id,
             timestamp: new Date().toISOString()
         };
@@ -163,7 +205,7 @@ async function execute(interaction) {
         let message;
         try {
             message = await interaction.channel.send({
-                content: `📝 **议案预审核提交入口**\n请点击下方的按钮，并按照议案表格的格式填写内容。\n\n**表单包含以下字段：**\n• **议案标题**：简洁明了，不超过30字\n• **提案原因**：说明提出此动议的原因\n• **议案动议**：详细说明您的议案内容\n• **执行方案**：说明如何落实此动议\n• **议案执行人**：指定负责执行此议案的人员或部门\n\n**审核流程：**\n1. 提交后议案将在预审核论坛创建审核帖子\n2. 管理员审核通过后发送到投票频道\n3. 需要获得 **${requiredVotes}** 个支持才能进入讨论阶段`,
+                content: `📝 **议案预审核提交入口**\n请点击下方的按钮，并按照议案表格的格式填写内容。\n\n**表单包含以下字段：**\n${describeFormFields(activeFormFields)}\n\n**审核流程：**\n1. 提交后议案将在预审核论坛创建审核帖子\n2. 管理员审核通过后发送到投票频道\n3. 需要获得 **${requiredVotes}** 个支持才能进入讨论阶段\n4. 讨论期结束后在讨论帖中进行正式表决，通过的议案由${activeFormFields.some(field => field.id === 'executor') ? '执行人' : '管理员'}更新执行状态`,
                 components: [
                     {
                         type: 1, // ACTION_ROW
@@ -186,7 +228,7 @@ async function execute(interaction) {
         }
         
         await interaction.editReply({ 
-            content: `✅ **议案表单设置完成！**\n\n**配置信息：**\n• **当前频道：** ${interaction.channel}\n• **预审核论坛：** ${reviewForum}\n• **投票频道：** ${targetChannel}\n• **所需支持数：** ${requiredVotes}\n• **论坛频道：** ${forumChannel}\n• **入口消息ID：** \`${message.id}\`\n\n用户现在可以点击按钮填写表单，议案将先进入预审核流程。`
+            content: `✅ **议案表单设置完成！**\n\n**配置信息：**\n• **当前频道：** ${interaction.channel}\n• **预审核论坛：** ${reviewForum}\n• **投票频道：** ${targetChannel}\n• **所需支持数：** ${requiredVotes}\n• **论坛频道：** ${forumChannel}\n• **讨论时长：** ${discussionHours != null ? `${discussionHours} 小时` : '默认'}\n• **表决时长：** ${finalVoteHours != null ? `${finalVoteHours} 小时` : '默认'}\n• **表单字段：** ${formFields ? '自定义' : '默认'}\n${describeFormFields(activeFormFields)}\n• **入口消息ID：** \`${message.id}\`\n\n用户现在可以点击按钮填写表单，议案将先进入预审核流程。`
         });
         
         console.log(`议案表单设置完成 - 消息ID: ${message.id}, 操作者: ${interaction.user.tag}`);
@@ -2,6 +2,8 @@
 const { SlashCommandBuilder, PermissionFlagsBits, MessageFlags, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const { getAllMessages, updateMessage } = require('../../../core/utils/database');
 const { checkAdminPermission, getPermissionDeniedMessage } = require('../../../core/utils/permissionManager');
+const { isInForumStage } = require('../services/resolutionService');
+const { cancelProposalJobs } = require('../services/proposalJobs');
 
 const data = new SlashCommandBuilder()
     .setName('withdrawproposal')
@@ -21,11 +23,11 @@ const data = new SlashCommandBuilder()
 async function execute(interaction) {
     try {
         // 检查用户权限
-        const hasPermission = checkAdminPermission(interaction.member);
+        const hasPermission = checkAdminPermission(interaction.member, interaction.commandName);
         
         if (!hasPermission) {
             return interaction.reply({
-                content: getPermissionDeniedMessage(),
+                content: getPermissionDeniedMessage(interaction),
                 flags: MessageFlags.Ephemeral
             });
         }
@@ -67,7 +69,7 @@ async function execute(interaction) {
             });
         }
         
-        if (targetMessage.status === 'posted') {
+        if (isInForumStage(targetMessage.status)) {
             return interaction.editReply({
                 content: `❌ 提案ID **${proposalId}** 已经发布到论坛，无法撤回。`
             });
@@ -112,6 +114,7 @@ async function execute(interaction) {
                 withdrawReason: reason,
                 withdrawnAt: new Date().toISOString()
             });
+            await cancelProposalJobs(targetMessageId);
             
             console.log(`成功撤回提案ID ${proposalId}, 操作者: ${interaction.user.tag}`);
             
@@ -129,6 +132,7 @@ async function execute(interaction) {
                 withdrawReason: reason,
                 withdrawnAt: new Date().toISOString()
             });
+            await cancelProposalJobs(targetMessageId);
             
             await interaction.editReply({
                 content: `⚠️ 提案ID **${proposalId}** 已在数据库中标记为撤回，但更新Discord消息时出现错误。`
@@ -0,0 +1,43 @@
+// src\modules\proposal\index.js
+const { openProposalForm, processFormSubmission } = require('./services/formService');
+const { processVote } = require('./services/voteTracker');
+const { processFinalVote, processExecutionUpdate, handleDiscussionEndJob, handleFinalVoteEndJob } = require('./services/resolutionService');
+const { processProposalSearchPage } = require('./services/proposalSearchService');
+const { processEditProposal, processEditProposalSubmission } = require('./services/proposalEditService');
+const { syncProposalJobs, handleProposalDeadlineJob } = require('./services/proposalChecker');
+const { PROPOSAL_JOB_TYPES } = require('./services/proposalJobs');
+
+module.exports = {
+    name: '提案系统',
+    locales: require('./locales'),
+    commands: [
+        require('./commands/setupForm'),
+        require('./commands/deleteEntry'),
+        require('./commands/withdrawProposal'),
+        require('./commands/setFormPermissions'),
+        require('./commands/setSupportPermissions'),
+        require('./commands/reviewProposal'),
+        require('./commands/setProposalReviewers'),
+        require('./commands/searchProposals'),
+    ],
+    buttons: [
+        { customId: 'open_form', handler: openProposalForm },
+        { prefix: 'support_', handler: processVote },
+        { prefix: 'proposal_edit_', handler: processEditProposal },
+        { prefix: 'proposal_final_', handler: processFinalVote },
+        { prefix: 'proposal_exec_', handler: processExecutionUpdate },
+        { prefix: 'proposal_search_page_', handler: processProposalSearchPage },
+    ],
+    modals: [
+        { customId: 'form_submission', handler: processFormSubmission },
+        { prefix: 'proposal_edit_submission_', handler: processEditProposalSubmission },
+    ],
+    schedulers: [
+        { name: '提案计划任务同步', start: syncProposalJobs },
+    ],
+    jobs: [
+        { type: PROPOSAL_JOB_TYPES.DEADLINE, name: '提案收集支持截止', handler: handleProposalDeadlineJob },
+        { type: PROPOSAL_JOB_TYPES.DISCUSSION_END, name: '议案讨论期结束', handler: handleDiscussionEndJob },
+        { type: PROPOSAL_JOB_TYPES.FINAL_VOTE_END, name: '议案正式表决结束', handler: handleFinalVoteEndJob },
+    ],
+};
@@ -0,0 +1,97 @@
+// src\modules\proposal\locales\en-US.js
+const roleSubcommands = (target, everyone) => ({
+    'add': { description: `Add a role allowed to ${target}`, options: { '身份组': { name: 'role', description: 'Role to add' } } },
+    'remove': { description: `Remove a role allowed to ${target}`, options: { '身份组': { name: 'role', description: 'Role to remove' } } },
+    'list': { description: `View the roles currently allowed to ${target}` },
+    'clear': { description: `Remove all restrictions (${everyone})` },
+});
+
+const reviewResults = { approved: '✅ Approve', modification_required: '⚠️ Changes required', rejected: '❌ Reject' };
+
+module.exports = {
+    name: 'Proposals',
+
+    commands: {
+        'setupform': {
+            description: 'Set up a proposal form entry',
+            options: {
+                '预审核论坛': { name: 'review-forum', description: 'Forum proposals are sent to for review first' },
+                '投票频道': { name: 'voting-channel', description: 'Channel where approved proposals collect support' },
+                '所需支持数': { name: 'required-support', description: 'Support needed to publish to the forum' },
+                '论坛频道': { name: 'forum', description: 'Forum proposals are published to once supported' },
+                '讨论时长': { name: 'discussion-hours', description: 'Hours of forum discussion before the final vote (default 72)' },
+                '表决时长': { name: 'vote-hours', description: 'Final vote duration in hours (default 48)' },
+                '表单字段': { name: 'fields', description: 'Custom fields: label|长/短|必填/选填|max length, separated by ;, first is the title, up to 5; “默认” resets' },
+            },
+        },
+        'deleteentry': {
+            description: 'Delete a form entry message',
+            options: {
+                '消息id': { name: 'message-id', description: 'ID of the form entry message to delete' },
+            },
+        },
+        'withdrawproposal': {
+            description: 'Withdraw a proposal',
+            options: {
+                '提案id': { name: 'proposal-id', description: 'ID of the proposal to withdraw (database ID)' },
+                '理由': { name: 'reason', description: 'Reason for withdrawing' },
+            },
+        },
+        'setformpermissions': {
+            description: 'Set which roles may use the proposal form',
+            options: roleSubcommands('use the form', 'everyone may use the form'),
+        },
+        'setsupportpermissions': {
+            description: 'Set which roles may support proposals',
+            options: roleSubcommands('support proposals', 'everyone may support'),
+        },
+        '审核议案': {
+            name: 'review-proposal',
+            description: 'Review a proposal',
+            options: {
+                '议案id': { name: 'proposal-id', description: 'ID of the proposal to review' },
+                '审核结果': { name: 'result', description: 'Review result', choices: reviewResults },
+                '审核意见': { name: 'comment', description: 'Review comments or requested changes (optional)' },
+            },
+        },
+        '设置议案审核员': {
+            name: 'proposal-reviewers',
+            description: 'Manage proposal reviewer roles',
+            options: {
+                '添加': { name: 'add', description: 'Add a reviewer role', options: { '身份组': { name: 'role', description: 'Reviewer role to add' } } },
+                '移除': { name: 'remove', description: 'Remove a reviewer role', options: { '身份组': { name: 'role', description: 'Reviewer role to remove' } } },
+                '列表': { name: 'list', description: 'View the current reviewer roles' },
+                '清除': { name: 'clear', description: 'Clear all reviewer roles (only administrators can review)' },
+            },
+        },
+        '提案查询': {
+            name: 'search-proposals',
+            description: 'Search proposals by keyword, status, author and date',
+            options: {
+                '关键词': { name: 'keyword', description: 'Searches the title, reason, motion, plan and executor' },
+                '状态': {
+                    name: 'status',
+                    description: 'Proposal status',
+                    choices: {
+                        reviewing: 'In review',
+                        modification_required: 'Changes required',
+                        approved: 'Approved',
+                        rejected: 'Rejected',
+                        pending: 'Collecting support',
+                        expired: 'Expired without enough support',
+                        withdrawn: 'Withdrawn',
+                        posted: 'In discussion',
+                        final_voting: 'In final vote',
+                        passed: 'Passed',
+                        failed: 'Failed',
+                        in_execution: 'Being carried out',
+                        executed: 'Carried out',
+                    },
+                },
+                '提案人': { name: 'author', description: 'Only show proposals submitted by this member' },
+                '开始日期': { name: 'from', description: 'Submitted on or after, format YYYY-MM-DD' },
+                '结束日期': { name: 'to', description: 'Submitted on or before, format YYYY-MM-DD' },
+            },
+        },
+    },
+};
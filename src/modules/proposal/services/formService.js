@@ -7,6 +7,40 @@ const { checkFormPermission, getFormPermissionDeniedMessage } = require('../../.
 const { getFormPermissionSettings } = require('../../../core/utils/database');
 const { getProposalSettings, saveProposalApplication, getNextProposalId } = require('../utils/proposalDatabase');
 const { ensureProposalStatusTags, updateProposalThreadStatusTag } = require('../utils/forumTagManager');
+const { getFormFields, readFormData, formatFormData } = require('../utils/formTemplate');
+const { createFormModal } = require('../components/formModal');
+
+/**
+ * 处理「填写表单」按钮：检查表单使用权限后，按服务器的表单模板打开议案表单。
+ * @param {import('discord.js').ButtonInteraction} interaction - 按钮交互对象。
+ */
+async function openProposalForm(interaction) {
+    const formPermissionSettings = await getFormPermissionSettings(interaction.guild.id);
+    const hasFormPermission = checkFormPermission(interaction.member, formPermissionSettings);
+
+    if (!hasFormPermission) {
+        // 获取身份组名称用于错误消息
+        let allowedRoleNames = [];
+        if (formPermissionSettings && formPermissionSettings.allowedRoles) {
+            for (const roleId of formPermissionSettings.allowedRoles) {
+                try {
+                    const role = await interaction.guild.roles.fetch(roleId);
+                    if (role) allowedRoleNames.push(role.name);
+                } catch (error) {
+                    // 忽略错误，继续处理其他身份组
+                }
+            }
+        }
+
+        return interaction.reply({
+            content: getFormPermissionDeniedMessage(allowedRoleNames, interaction),
+            flags: MessageFlags.Ephemeral
+        });
+    }
+
+    const proposalSettings = await getProposalSettings(interaction.guild.id);
+    await interaction.showModal(createFormModal(getFormFields(proposalSettings)));
+}
 
 /**
  * 处理用户提交的议案。
@@ -36,21 +70,18 @@ async function processFormSubmission(interaction) {
             }
             
             return interaction.editReply({
-                content: getFormPermissionDeniedMessage(allowedRoleNames)
+                content: getFormPermissionDeniedMessage(allowedRoleNames, interaction)
             });
         }
         
-        // 获取表单数据
-        const title = interaction.fields.getTextInputValue('title');
-        const reason = interaction.fields.getTextInputValue('reason');
-        const motion = interaction.fields.getTextInputValue('motion');
-        const implementation = interaction.fields.getTextInputValue('implementation');
-        const executor = interaction.fields.getTextInputValue('executor'); // 议案执行人
-        
         // 从数据库获取设置
         const proposalSettings = await getProposalSettings(interaction.guild.id);
         console.log('处理表单提交，获取议案设置:', proposalSettings);
         
+        // 按服务器的表单模板获取表单数据
+        const formFields = getFormFields(proposalSettings);
+        const formData = readFormData(interaction, formFields);
+        
         if (!proposalSettings || !proposalSettings.reviewForumId) {
             return interaction.editReply({ 
                 content: '议案系统未配置完整，请联系管理员设置预审核论坛。'
@@ -74,13 +105,7 @@ async function processFormSubmission(interaction) {
             content: '⏳ 正在创建议案审核帖子...'
         });
         
-        const reviewThread = await createProposalReviewThread(reviewForum, {
-            title,
-            reason,
-            motion,
-            implementation,
-            executor
-        }, interaction.user, proposalId);
+        const reviewThread = await createProposalReviewThread(reviewForum, formData, interaction.user, proposalId, formFields);
         
         // 保存议案申请数据
         const applicationData = {
@@ -89,13 +114,8 @@ async function processFormSubmission(interaction) {
             guildId: interaction.guild.id,
             threadId: reviewThread.id,
             status: 'pending',
-            formData: { 
-                title, 
-                reason, 
-                motion, 
-                implementation, 
-                executor 
-            },
+            formData,
+            formFields,
             reviewData: null,
             publishData: null,
             createdAt: new Date().toISOString(),
@@ -124,9 +144,10 @@ async function processFormSubmission(interaction) {
  * @param {object} formData - 从表单中获取的议案数据。
  * @param {import('discord.js').User} author - 议案提交者。
  * @param {string} proposalId - 新生成的议案ID。
+ * @param {object[]} formFields - 提交时使用的表单字段定义。
  * @returns {Promise<import('discord.js').ThreadChannel>} 创建的审核帖子对象。
  */
-async function createProposalReviewThread(reviewForum, formData, author, proposalId) {
+async function createProposalReviewThread(reviewForum, formData, author, proposalId, formFields) {
     // 确保论坛有所需的标签
     const tagMap = await ensureProposalStatusTags(reviewForum);
     
@@ -137,20 +158,7 @@ async function createProposalReviewThread(reviewForum, formData, author, proposa
 
 ---
 
-🏷️ **议案标题**
-${formData.title}
-
-📝 **提案原因**
-${formData.reason}
-
-📋 **议案动议**
-${formData.motion}
-
-🔧 **执行方案**
-${formData.implementation}
-
-👨‍💼 **议案执行人**
-${formData.executor}
+${formatFormData(formFields, formData, 'thread', true)}
 
 ---
 
@@ -181,5 +189,6 @@ ${formData.executor}
 }
 
 module.exports = {
+    openProposalForm,
     processFormSubmission
 };
\ No newline at end of file
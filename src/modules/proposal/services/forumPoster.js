@@ -1,5 +1,8 @@
 // src\modules\proposal\services\forumPoster.js
 const { updateMessage } = require('../../../core/utils/database');
+const { getDiscussionEndTime, updateResolutionTag } = require('./resolutionService');
+const { getProposalFormFields, formatFormData } = require('../utils/formTemplate');
+const { scheduleProposalJobs } = require('./proposalJobs');
 
 async function createForumPost(client, messageData) {
     try {
@@ -18,22 +21,16 @@ async function createForumPost(client, messageData) {
         // 获取当前时间戳（Discord格式）
         const currentTimestamp = Math.floor(Date.now() / 1000);
         
+        // 讨论期结束后自动开启正式表决
+        const discussionEndsAt = await getDiscussionEndTime(forumChannel.guild.id);
+        
         // 构建新的帖子内容格式
         const postContent = `***提案人: ${authorMention}***
 
-> ## 提案原因
-${messageData.formData.reason}
-
-> ## 议案动议
-${messageData.formData.motion}
-
-> ## 执行方案
-${messageData.formData.implementation}
+${formatFormData(getProposalFormFields(messageData), messageData.formData, 'forum')}
 
-> ## 议案执行人
-${messageData.formData.executor}
-
-*讨论帖创建时间: <t:${currentTimestamp}:f>*`;
+*讨论帖创建时间: <t:${currentTimestamp}:f>*
+*讨论期至 <t:${Math.floor(discussionEndsAt.getTime() / 1000)}:f>，届时将在本帖开启正式表决*`;
         
         // 创建论坛帖子
         const thread = await forumChannel.threads.create({
@@ -46,10 +43,15 @@ ${messageData.formData.executor}
         });
         
         // 更新数据库中的状态
-        await updateMessage(messageData.messageId, { 
+        const updated = await updateMessage(messageData.messageId, { 
             status: 'posted',
-            threadId: thread.id
+            threadId: thread.id,
+            guildId: forumChannel.guild.id,
+            discussionEndsAt: discussionEndsAt.toISOString()
         });
+        await scheduleProposalJobs(messageData.messageId, updated);
+        
+        await updateResolutionTag(thread, 'posted');
         
         console.log(`成功创建论坛帖子: ${thread.id}`);
         
@@ -1,247 +1,150 @@
 // src\modules\proposal\services\proposalChecker.js
-const { getMessage, updateMessage, getAllMessages, getAllCheckChannelSettings } = require('../../../core/utils/database');
+const { getMessage, updateMessage, getMessagesByStatus, getCheckChannelSettings } = require('../../../core/utils/database');
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-const { getCheckIntervals } = require('../../../core/config/timeconfig');
+const { scheduleProposalJobs } = require('./proposalJobs');
 
-async function checkExpiredProposals(client) {
+/**
+ * 将未能在截止前获得足够支持的提案标记为过期，并更新投票频道中的提案消息
+ * @param {import('discord.js').Client} client - Discord 客户端实例
+ * @param {string} messageId - 提案消息ID
+ * @param {object} message - 议案消息数据
+ */
+async function expireProposal(client, messageId, message) {
+    // 获取频道和消息
+    const channel = await client.channels.fetch(message.channelId);
+    const discordMessage = await channel.messages.fetch(messageId);
+    
+    // 创建过期消息嵌入
+    const expiredEmbed = new EmbedBuilder()
+        .setTitle(message.formData.title)
+        .setDescription(`提案人：<@${message.authorId}>\n\n当前提案未能在截止前获得足够支持，未能进入讨论阶段`)
+        .setColor('#9B59B6') // 紫色
+        .setFooter({ 
+            text: `提案ID · ${message.proposalId}`,
+            iconURL: discordMessage.embeds[0].footer.iconURL
+        })
+        .setTimestamp();
+    
+    // 禁用的按钮
+    const disabledButton = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`expired_${messageId}`)
+                .setLabel(`未获得足够支持 (${message.currentVotes}/${message.requiredVotes})`)
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(true)
+        );
+    
+    // 更新消息
+    await discordMessage.edit({
+        embeds: [expiredEmbed],
+        components: [disabledButton],
+        content: ''
+    });
+    
+    // 更新数据库状态
+    await updateMessage(messageId, {
+        status: 'expired'
+    });
+    
+    console.log(`提案ID ${message.proposalId} 已标记为过期`);
+    return channel.guild;
+}
+
+/**
+ * 计划任务：提案收集支持截止
+ * @param {import('discord.js').Client} client - Discord 客户端实例
+ * @param {object} job - 计划任务（key 为提案消息ID）
+ */
+async function handleProposalDeadlineJob(client, job) {
+    const messageId = job.key;
+    const message = await getMessage(messageId);
+    
+    // 已撤回、已进入讨论或已处理的提案不再处理
+    if (!message || message.status !== 'pending') return;
+    if (message.currentVotes >= message.requiredVotes) return;
+    
+    console.log(`提案ID ${message.proposalId} 已过期且未获得足够支持 (${message.currentVotes}/${message.requiredVotes})`);
+    const guild = await expireProposal(client, messageId, message);
+    
+    await sendExpiredProposalReport(client, guild, {
+        title: message.formData.title,
+        proposalId: message.proposalId,
+        createdTimestamp: Math.floor(new Date(message.timestamp || Date.now()).getTime() / 1000),
+        deadlineTimestamp: Math.floor(new Date(message.deadline).getTime() / 1000),
+        currentVotes: message.currentVotes,
+        requiredVotes: message.requiredVotes
+    });
+}
+
+/**
+ * 发送过期提案通知到服务器设置的检查频道
+ * @param {import('discord.js').Client} client - Discord 客户端实例
+ * @param {import('discord.js').Guild} guild - 提案所在服务器
+ * @param {object} proposal - 过期提案信息
+ */
+async function sendExpiredProposalReport(client, guild, proposal) {
     try {
-        const checkStartTime = new Date();
-        console.log(`\n=== 开始检查过期提案 ===`);
-        console.log(`检查时间: ${checkStartTime.toISOString()}`);
+        const checkSettings = await getCheckChannelSettings(guild.id);
         
-        const now = new Date();
-        const messages = await getAllMessages();
+        // 未设置或已禁用检查频道
+        if (!checkSettings?.enabled) return;
         
-        // 按服务器分组统计
-        const guildStats = {};
-        const expiredProposalsByGuild = {};
+        // 获取检查报告频道
+        const checkChannel = await client.channels.fetch(checkSettings.checkChannelId);
+        if (!checkChannel) return;
         
-        let totalChecked = 0;
-        let totalExpired = 0;
+        const reportEmbed = new EmbedBuilder()
+            .setTitle(`过期提案 - ${guild.name}`)
+            .setDescription(`> **${proposal.title}**\n> 发布时间: <t:${proposal.createdTimestamp}:f> | 截止时间: <t:${proposal.deadlineTimestamp}:f>\n> 支持数: **${proposal.currentVotes}/${proposal.requiredVotes}**`)
+            .setColor('#90EE90') // 浅绿色
+            .setFooter({ 
+                text: `提案ID ${proposal.proposalId} | 截止时自动处理`,
+                iconURL: checkChannel.guild.iconURL()
+            })
+            .setTimestamp();
         
-        for (const messageId in messages) {
-            const message = messages[messageId];
-            
-            // 跳过已处理的提案
-            if (message.status !== 'pending') continue;
-            
-            totalChecked++;
-            
-            // 获取服务器ID（从频道ID推断，或者从消息数据中获取）
-            let guildId = null;
-            try {
-                const channel = await client.channels.fetch(message.channelId);
-                guildId = channel.guild.id;
-            } catch (error) {
-                console.error(`无法获取频道 ${message.channelId} 的服务器信息:`, error);
-                continue;
-            }
-            
-            // 初始化服务器统计
-            if (!guildStats[guildId]) {
-                guildStats[guildId] = {
-                    guildName: null,
-                    totalChecked: 0,
-                    expired: 0
-                };
-                expiredProposalsByGuild[guildId] = [];
-            }
-            
-            guildStats[guildId].totalChecked++;
-            
-            // 获取服务器名称
-            if (!guildStats[guildId].guildName) {
-                try {
-                    const guild = await client.guilds.fetch(guildId);
-                    guildStats[guildId].guildName = guild.name;
-                } catch (error) {
-                    guildStats[guildId].guildName = `未知服务器 (${guildId})`;
-                }
-            }
-            
-            const deadline = new Date(message.deadline);
-            
-            // 检查是否过期且未获得足够支持
-            if (deadline < now && message.currentVotes < message.requiredVotes) {
-                totalExpired++;
-                guildStats[guildId].expired++;
-                
-                // 收集过期提案信息
-                const createdTimestamp = Math.floor(new Date(message.timestamp || Date.now()).getTime() / 1000);
-                const deadlineTimestamp = Math.floor(deadline.getTime() / 1000);
-                
-                expiredProposalsByGuild[guildId].push({
-                    title: message.formData.title,
-                    proposalId: message.proposalId,
-                    createdTimestamp,
-                    deadlineTimestamp,
-                    messageId
-                });
-                
-                console.log(`提案ID ${message.proposalId} 已过期且未获得足够支持 (${message.currentVotes}/${message.requiredVotes})`);
-                
-                try {
-                    // 获取频道和消息
-                    const channel = await client.channels.fetch(message.channelId);
-                    const discordMessage = await channel.messages.fetch(messageId);
-                    
-                    // 创建过期消息嵌入
-                    const expiredEmbed = new EmbedBuilder()
-                        .setTitle(message.formData.title)
-                        .setDescription(`提案人：<@${message.authorId}>\n\n当前提案未能在截止前获得足够支持，未能进入讨论阶段`)
-                        .setColor('#9B59B6') // 紫色
-                        .setFooter({ 
-                            text: `提案ID · ${message.proposalId}`,
-                            iconURL: discordMessage.embeds[0].footer.iconURL
-                        })
-                        .setTimestamp();
-                    
-                    // 禁用的按钮
-                    const disabledButton = new ActionRowBuilder()
-                        .addComponents(
-                            new ButtonBuilder()
-                                .setCustomId(`expired_${messageId}`)
-                                .setLabel(`未获得足够支持 (${message.currentVotes}/${message.requiredVotes})`)
-                                .setStyle(ButtonStyle.Secondary)
-                                .setDisabled(true)
-                        );
-                    
-                    // 更新消息
-                    await discordMessage.edit({
-                        embeds: [expiredEmbed],
-                        components: [disabledButton],
-                        content: ''
-                    });
-                    
-                    // 更新数据库状态
-                    await updateMessage(messageId, {
-                        status: 'expired'
-                    });
-                    
-                    console.log(`提案ID ${message.proposalId} 已标记为过期`);
-                } catch (error) {
-                    console.error(`更新过期提案ID ${message.proposalId} 时出错:`, error);
-                }
-            }
-        }
-        
-        // 控制台输出总体统计
-        console.log(`总检查提案数: ${totalChecked}`);
-        console.log(`总过期提案数: ${totalExpired}`);
-        
-        // 为每个服务器输出详细统计
-        for (const guildId in guildStats) {
-            const stats = guildStats[guildId];
-            console.log(`\n服务器: ${stats.guildName} (${guildId})`);
-            console.log(`  检查提案数: ${stats.totalChecked}`);
-            console.log(`  过期提案数: ${stats.expired}`);
-        }
-        
-        console.log(`=== 过期提案检查完成 ===\n`);
+        await checkChannel.send({
+            embeds: [reportEmbed]
+        });
         
-        // 发送检查报告到指定频道
-        await sendCheckReports(client, checkStartTime, guildStats, expiredProposalsByGuild);
+        console.log(`已发送过期提案通知到服务器 ${guild.name} 的检查频道`);
         
     } catch (error) {
-        console.error('检查过期提案时出错:', error);
+        console.error(`发送过期提案通知到服务器 ${guild.id} 时出错:`, error);
     }
 }
 
-async function sendCheckReports(client, checkTime, guildStats, expiredProposalsByGuild) {
-    try {
-        // 获取所有检查频道设置
-        const allCheckSettings = await getAllCheckChannelSettings();
+/**
+ * 为已有的议案补登计划任务（首次启用计划任务或任务丢失时），已存在的任务会按当前数据覆盖
+ * @param {import('discord.js').Client} client - Discord 客户端实例
+ */
+async function syncProposalJobs(client) {
+    let scheduled = 0;
+    
+    for (const status of ['pending', 'posted', 'final_voting']) {
+        const messages = await getMessagesByStatus(status);
         
-        for (const guildId in allCheckSettings) {
-            const checkSettings = allCheckSettings[guildId];
+        for (const messageId in messages) {
+            const messageData = messages[messageId];
             
-            // 跳过禁用的设置
-            if (!checkSettings.enabled) continue;
+            // 旧数据没有记录服务器ID，从频道推断
+            if (!messageData.guildId) {
+                const channel = await client.channels.fetch(messageData.channelId).catch(() => null);
+                messageData.guildId = channel?.guild?.id || null;
+            }
             
-            try {
-                // 获取检查报告频道
-                const checkChannel = await client.channels.fetch(checkSettings.checkChannelId);
-                if (!checkChannel) continue;
-                
-                // 获取该服务器的统计数据
-                const stats = guildStats[guildId] || { 
-                    guildName: checkChannel.guild.name, 
-                    totalChecked: 0, 
-                    expired: 0 
-                };
-                const expiredProposals = expiredProposalsByGuild[guildId] || [];
-                
-                // 构建检查报告描述内容
-                const checkTimestamp = Math.floor(checkTime.getTime() / 1000);
-                let descriptionContent = `*<t:${checkTimestamp}:f>*\n`; // 添加斜体时间戳到描述开头
-                descriptionContent += `📊 **过期提案检查报告**\n\n`;
-                descriptionContent += `**🔍 检查统计**\n`;
-                descriptionContent += `> 总检查提案数: **${stats.totalChecked}**\n`;
-                descriptionContent += `> 过期提案数: **${stats.expired}**\n\n`;
-                
-                // 构建过期提案列表
-                let expiredProposalsContent = '';
-                if (expiredProposals.length > 0) {
-                    expiredProposalsContent = `**📋 本次检查的过期提案:**\n\n`;
-                    for (const proposal of expiredProposals) {
-                        expiredProposalsContent += `> **${proposal.title}**\n`;
-                        expiredProposalsContent += `> 发布时间: <t:${proposal.createdTimestamp}:f> | 截止时间: <t:${proposal.deadlineTimestamp}:f>\n\n`;
-                    }
-                } else {
-                    expiredProposalsContent = `**📋 本次检查的过期提案:**\n\n> 本次检查没有发现过期提案 ✅\n`;
-                }
-                
-                // 创建嵌入消息
-                const reportEmbed = new EmbedBuilder()
-                    .setTitle(`过期提案检查 - ${stats.guildName}`)
-                    .setDescription(descriptionContent + expiredProposalsContent)
-                    .setColor('#90EE90') // 浅绿色
-                    .setFooter({ 
-                        text: `自动检查系统 | 每20分钟检查一次`,
-                        iconURL: checkChannel.guild.iconURL()
-                    })
-                    .setTimestamp(checkTime);
-                
-                // 如果有过期提案，添加一个字段来突出显示
-                if (expiredProposals.length > 0) {
-                    reportEmbed.addFields({
-                        name: '⚠️ 注意',
-                        value: `发现 **${expiredProposals.length}** 个过期提案已被自动处理`,
-                        inline: false
-                    });
-                }
-                
-                // 发送报告（移除单独的content时间戳）
-                await checkChannel.send({
-                    embeds: [reportEmbed]
-                });
-                
-                console.log(`已发送检查报告到服务器 ${stats.guildName} 的检查频道`);
-                
-            } catch (error) {
-                console.error(`发送检查报告到服务器 ${guildId} 时出错:`, error);
+            if (await scheduleProposalJobs(messageId, messageData)) {
+                scheduled++;
             }
         }
-        
-    } catch (error) {
-        console.error('发送检查报告时出错:', error);
     }
-}
-
-// 定时检查提案
-function startProposalChecker(client) {
-    console.log('启动提案检查器...');
-    
-    // 立即进行一次检查
-    checkExpiredProposals(client);
     
-    const intervals = getCheckIntervals();
-    setInterval(() => {
-        checkExpiredProposals(client);
-    }, intervals.proposalCheck);
+    console.log(`已为 ${scheduled} 个议案补登计划任务`);
 }
 
 module.exports = {
-    startProposalChecker,
-    checkExpiredProposals
+    syncProposalJobs,
+    expireProposal,
+    handleProposalDeadlineJob
 };
\ No newline at end of file
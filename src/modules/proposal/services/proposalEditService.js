@@ -14,6 +14,7 @@ const {
     updateProposalThreadStatusTag,
     getTagStatusFromProposalStatus 
 } = require('../utils/forumTagManager');
+const { getProposalFormFields, readFormData, formatFormData } = require('../utils/formTemplate');
 
 async function processEditProposal(interaction) {
     try {
@@ -94,14 +95,8 @@ async function processEditProposalSubmission(interaction) {
             });
         }
         
-        // 获取修改后的表单数据
-        const updatedFormData = {
-            title: interaction.fields.getTextInputValue('title'),
-            reason: interaction.fields.getTextInputValue('reason'),
-            motion: interaction.fields.getTextInputValue('motion'),
-            implementation: interaction.fields.getTextInputValue('implementation'),
-            executor: interaction.fields.getTextInputValue('executor')
-        };
+        // 按提交时的字段获取修改后的表单数据
+        const updatedFormData = readFormData(interaction, getProposalFormFields(applicationData));
         
         // 更新数据库中的议案数据
         const newStatus = applicationData.status === 'modification_required' ? 'pending_recheck' : 'pending';
@@ -165,20 +160,7 @@ async function updateReviewThreadAfterEdit(client, proposalId, updatedFormData,
 
 ---
 
-🏷️ **议案标题**
-${updatedFormData.title}
-
-📝 **提案原因**
-${updatedFormData.reason}
-
-📋 **议案动议**
-${updatedFormData.motion}
-
-🔧 **执行方案**
-${updatedFormData.implementation}
-
-👨‍💼 **议案执行人**
-${updatedFormData.executor}
+${formatFormData(getProposalFormFields(applicationData), updatedFormData, 'thread', true)}
 
 ---
 
@@ -0,0 +1,70 @@
+// src\modules\proposal\services\proposalJobs.js
+const { scheduleJob, cancelJob } = require('../../../core/utils/jobScheduler');
+
+const PROPOSAL_JOB_TYPES = {
+    DEADLINE: 'proposal_deadline',                 // 收集支持截止
+    DISCUSSION_END: 'proposal_discussion_end',     // 讨论期结束，开启正式表决
+    FINAL_VOTE_END: 'proposal_final_vote_end',     // 正式表决结束，结算结果
+};
+
+/**
+ * 按议案当前状态安排下一个计划任务，已不需要的前一阶段任务会被取消
+ * @param {string} messageId - 提案消息ID
+ * @param {object} messageData - 议案消息数据
+ * @returns {Promise<object|null>} 安排的任务
+ */
+async function scheduleProposalJobs(messageId, messageData) {
+    const title = messageData.formData?.title || `提案ID ${messageData.proposalId}`;
+    const guildId = messageData.guildId || null;
+
+    switch (messageData.status) {
+        case 'pending':
+            return scheduleJob({
+                type: PROPOSAL_JOB_TYPES.DEADLINE,
+                key: messageId,
+                guildId,
+                runAt: messageData.deadline,
+                description: `提案「${title}」收集支持截止`
+            });
+
+        case 'posted':
+            await cancelJob(PROPOSAL_JOB_TYPES.DEADLINE, messageId);
+            // 旧数据没有讨论期结束时间，不自动进入表决
+            if (!messageData.discussionEndsAt) return null;
+            return scheduleJob({
+                type: PROPOSAL_JOB_TYPES.DISCUSSION_END,
+                key: messageId,
+                guildId,
+                runAt: messageData.discussionEndsAt,
+                description: `议案「${title}」讨论期结束，开启正式表决`
+            });
+
+        case 'final_voting':
+            return scheduleJob({
+                type: PROPOSAL_JOB_TYPES.FINAL_VOTE_END,
+                key: messageId,
+                guildId,
+                runAt: messageData.finalVote.endsAt,
+                description: `议案「${title}」正式表决结束`
+            });
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * 取消议案的所有计划任务（如提案被撤回）
+ * @param {string} messageId - 提案消息ID
+ */
+async function cancelProposalJobs(messageId) {
+    for (const type of Object.values(PROPOSAL_JOB_TYPES)) {
+        await cancelJob(type, messageId);
+    }
+}
+
+module.exports = {
+    PROPOSAL_JOB_TYPES,
+    scheduleProposalJobs,
+    cancelProposalJobs
+};
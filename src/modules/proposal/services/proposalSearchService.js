@@ -0,0 +1,270 @@
+// src\modules\proposal\services\proposalSearchService.js
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
+const { getAllMessages } = require('../../../core/utils/database');
+const { getProposalApplicationsByGuild } = require('../utils/proposalDatabase');
+
+// 每页显示的议案数量
+const RESULTS_PER_PAGE = 5;
+// 查询条件缓存时间（与交互令牌有效期一致）
+const SEARCH_CACHE_TTL_MS = 15 * 60 * 1000;
+
+// 查询条件缓存：翻页按钮的 customId 长度有限，只携带查询ID
+const searchCache = new Map();
+
+const STATUS_LABELS = {
+    reviewing: '🔵 待审核',
+    modification_required: '🟡 需要修改',
+    rejected: '🔴 审核未通过',
+    cancelled: '🔴 已取消',
+    approved: '🟢 审核通过',
+    pending: '⏳ 征集支持中',
+    expired: '⌛ 支持不足已过期',
+    withdrawn: '↩️ 已撤回',
+    posted: '💬 讨论中',
+    final_voting: '🗳️ 表决中',
+    passed: '🟢 表决通过',
+    failed: '🔴 表决未通过',
+    in_execution: '🟠 执行中',
+    executed: '✅ 已执行'
+};
+
+/**
+ * 汇总服务器内的全部议案：以议案申请为主，关联已发布到投票频道的消息；
+ * 没有申请记录的旧议案（审核流程上线前发布的）通过所在频道判断归属。
+ * @param {import('discord.js').Guild} guild - 服务器
+ * @returns {Promise<object[]>} 按提案ID从新到旧排列的议案列表
+ */
+async function collectGuildProposals(guild) {
+    const applications = Object.values(await getProposalApplicationsByGuild(guild.id));
+    const messages = await getAllMessages();
+
+    const proposals = [];
+    const linkedMessageIds = new Set();
+
+    for (const application of applications) {
+        const messageId = application.publishData?.messageId;
+        const message = messageId ? messages[messageId] : null;
+        if (message) linkedMessageIds.add(messageId);
+
+        let status = message ? message.status : application.status;
+        if (!message && status === 'pending') status = 'reviewing';
+        if (!message && status === 'pending_recheck') status = 'modification_required';
+
+        proposals.push({
+            proposalId: application.proposalId,
+            formData: message?.formData || application.formData,
+            authorId: application.authorId,
+            status,
+            reviewPassed: ['approved', 'published'].includes(application.status),
+            createdAt: application.createdAt,
+            reviewThreadId: application.threadId,
+            message: message ? { ...message, messageId } : null
+        });
+    }
+
+    for (const messageId in messages) {
+        if (linkedMessageIds.has(messageId)) continue;
+        const message = messages[messageId];
+        const inGuild = message.guildId ? message.guildId === guild.id : guild.channels.cache.has(message.channelId);
+        if (!inGuild) continue;
+
+        proposals.push({
+            proposalId: message.proposalId,
+            formData: message.formData,
+            authorId: message.authorId,
+            status: message.status,
+            reviewPassed: true,
+            createdAt: message.timestamp || null,
+            reviewThreadId: null,
+            message: { ...message, messageId }
+        });
+    }
+
+    return proposals.sort((a, b) => Number(b.proposalId) - Number(a.proposalId));
+}
+
+/**
+ * 按关键词、状态、提案人和日期范围筛选议案
+ * @param {object[]} proposals - collectGuildProposals 返回的议案列表
+ * @param {{keyword?: string, status?: string, authorId?: string, from?: Date, to?: Date}} filters - 筛选条件
+ * @returns {object[]}
+ */
+function filterProposals(proposals, filters) {
+    const keyword = filters.keyword?.toLowerCase();
+
+    return proposals.filter(proposal => {
+        if (keyword) {
+            const text = Object.values(proposal.formData || {}).join('\n').toLowerCase();
+            if (!text.includes(keyword)) return false;
+        }
+
+        if (filters.status) {
+            if (filters.status === 'approved') {
+                if (!proposal.reviewPassed) return false;
+            } else if (filters.status === 'rejected') {
+                if (!['rejected', 'cancelled'].includes(proposal.status)) return false;
+            } else if (proposal.status !== filters.status) {
+                return false;
+            }
+        }
+
+        if (filters.authorId && proposal.authorId !== filters.authorId) return false;
+
+        if (filters.from || filters.to) {
+            if (!proposal.createdAt) return false;
+            const createdAt = new Date(proposal.createdAt);
+            if (filters.from && createdAt < filters.from) return false;
+            if (filters.to && createdAt > filters.to) return false;
+        }
+
+        return true;
+    });
+}
+
+/**
+ * 解析 YYYY-MM-DD 格式的日期（按北京时间），结束日期包含当天
+ * @param {string|null} value - 日期字符串
+ * @param {boolean} endOfDay - 是否取当天结束时间
+ * @returns {Date|null|undefined} 未填写返回 null，格式错误返回 undefined
+ */
+function parseDateOption(value, endOfDay = false) {
+    if (!value) return null;
+    const match = value.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (!match) return undefined;
+
+    const [, year, month, day] = match;
+    const time = endOfDay ? '23:59:59.999' : '00:00:00.000';
+    const date = new Date(`${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}T${time}+08:00`);
+    return isNaN(date.getTime()) ? undefined : date;
+}
+
+function describeFilters(filters) {
+    const parts = [];
+    if (filters.keyword) parts.push(`关键词「${filters.keyword}」`);
+    if (filters.status) parts.push(`状态 ${STATUS_LABELS[filters.status]}`);
+    if (filters.authorId) parts.push(`提案人 <@${filters.authorId}>`);
+    if (filters.from) parts.push(`从 <t:${Math.floor(filters.from.getTime() / 1000)}:d>`);
+    if (filters.to) parts.push(`至 <t:${Math.floor(filters.to.getTime() / 1000)}:d>`);
+    return parts.length > 0 ? parts.join(' · ') : '全部议案';
+}
+
+function getProposalLinks(guildId, proposal) {
+    const links = [];
+    const message = proposal.message;
+    if (message?.forumThreadId || message?.threadId) {
+        links.push(`[讨论帖](https://discord.com/channels/${guildId}/${message.forumThreadId || message.threadId})`);
+    }
+    if (message) {
+        links.push(`[投票消息](https://discord.com/channels/${guildId}/${message.channelId}/${message.messageId})`);
+    }
+    if (proposal.reviewThreadId) {
+        links.push(`[审核帖](https://discord.com/channels/${guildId}/${proposal.reviewThreadId})`);
+    }
+    return links.join(' · ');
+}
+
+/**
+ * 构建查询结果的分页嵌入消息和翻页按钮
+ * @param {string} guildId - 服务器ID
+ * @param {object[]} results - 筛选后的议案列表
+ * @param {object} filters - 筛选条件
+ * @param {string} searchId - 查询ID
+ * @param {number} page - 页码（从0开始）
+ */
+function buildProposalSearchPage(guildId, results, filters, searchId, page) {
+    const totalPages = Math.max(1, Math.ceil(results.length / RESULTS_PER_PAGE));
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+
+    const embed = new EmbedBuilder()
+        .setTitle('🔍 提案查询')
+        .setDescription(`**查询条件：** ${describeFilters(filters)}\n**共找到：** ${results.length} 个议案`)
+        .setColor('#5865F2')
+        .setFooter({ text: `第 ${currentPage + 1}/${totalPages} 页` })
+        .setTimestamp();
+
+    for (const proposal of results.slice(currentPage * RESULTS_PER_PAGE, (currentPage + 1) * RESULTS_PER_PAGE)) {
+        const reason = proposal.formData?.reason || '';
+        const summary = reason.length > 80 ? `${reason.slice(0, 80)}...` : reason;
+        const createdText = proposal.createdAt ? `<t:${Math.floor(new Date(proposal.createdAt).getTime() / 1000)}:d>` : '未知';
+        const links = getProposalLinks(guildId, proposal);
+
+        embed.addFields({
+            name: `#${proposal.proposalId} · ${proposal.formData?.title || '无标题'}`,
+            value: `**状态：** ${STATUS_LABELS[proposal.status] || proposal.status} · **提案人：** <@${proposal.authorId}> · **提交：** ${createdText}\n` +
+                   `${summary}${links ? `\n${links}` : ''}`
+        });
+    }
+
+    const components = [];
+    if (totalPages > 1) {
+        components.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`proposal_search_page_${searchId}_${currentPage - 1}`)
+                .setLabel('上一页')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage === 0),
+            new ButtonBuilder()
+                .setCustomId(`proposal_search_page_${searchId}_${currentPage + 1}`)
+                .setLabel('下一页')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage >= totalPages - 1)
+        ));
+    }
+
+    return { embeds: [embed], components };
+}
+
+/**
+ * 缓存查询条件并返回查询ID，同时清理过期的缓存
+ */
+function cacheSearch(userId, filters) {
+    const now = Date.now();
+    for (const [id, entry] of searchCache) {
+        if (now - entry.createdAt > SEARCH_CACHE_TTL_MS) searchCache.delete(id);
+    }
+
+    const searchId = `${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    searchCache.set(searchId, { userId, filters, createdAt: now });
+    return searchId;
+}
+
+/**
+ * 执行一次查询并返回第一页
+ * @param {import('discord.js').Guild} guild - 服务器
+ * @param {string} userId - 查询者ID
+ * @param {object} filters - 筛选条件
+ */
+async function searchProposals(guild, userId, filters) {
+    const results = filterProposals(await collectGuildProposals(guild), filters);
+    const searchId = cacheSearch(userId, filters);
+    return { results, page: buildProposalSearchPage(guild.id, results, filters, searchId, 0) };
+}
+
+/**
+ * 处理查询结果的翻页按钮
+ * @param {import('discord.js').ButtonInteraction} interaction - 按钮交互对象
+ */
+async function processProposalSearchPage(interaction) {
+    const [searchId, pageStr] = interaction.customId.replace('proposal_search_page_', '').split('_');
+    const entry = searchCache.get(searchId);
+
+    if (!entry || entry.userId !== interaction.user.id) {
+        return interaction.reply({
+            content: '❌ 查询已过期，请重新使用 `/提案查询`。',
+            flags: MessageFlags.Ephemeral
+        });
+    }
+
+    await interaction.deferUpdate();
+    const results = filterProposals(await collectGuildProposals(interaction.guild), entry.filters);
+    await interaction.editReply(buildProposalSearchPage(interaction.guild.id, results, entry.filters, searchId, parseInt(pageStr)));
+}
+
+module.exports = {
+    STATUS_LABELS,
+    collectGuildProposals,
+    filterProposals,
+    parseDateOption,
+    searchProposals,
+    processProposalSearchPage
+};
@@ -1,7 +1,9 @@
 // src/modules/proposal/services/publishService.js
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const { getProposalDeadline } = require('../../../core/config/timeconfig');
+const { scheduleProposalJobs } = require('./proposalJobs');
 const { saveMessage, getNextId } = require('../../../core/utils/database');
+const { getProposalFormFields, formatFormData } = require('../utils/formTemplate');
 
 /**
  * 将议案发布到投票频道
@@ -22,8 +24,8 @@ async function publishProposalToVoting(client, applicationData, settings) {
             };
         }
         
-        // 计算截止日期（24小时后）
-        const deadlineDate = getProposalDeadline();
+        // 计算截止日期（按服务器时间配置）
+        const deadlineDate = getProposalDeadline(applicationData.guildId);
         const deadlineTimestamp = Math.floor(deadlineDate.getTime() / 1000);
         
         // 获取下一个顺序ID（用于投票系统）
@@ -34,7 +36,7 @@ async function publishProposalToVoting(client, applicationData, settings) {
         // 创建嵌入消息
         const embed = new EmbedBuilder()
             .setTitle(formData.title)
-            .setDescription(`提案人：<@${applicationData.authorId}>\n议事截止日期：<t:${deadlineTimestamp}:f>\n\n**提案原因**\n${formData.reason}\n\n**议案动议**\n${formData.motion}\n\n**执行方案**\n${formData.implementation}\n\n**议案执行人**\n${formData.executor}`)
+            .setDescription(`提案人：<@${applicationData.authorId}>\n议事截止日期：<t:${deadlineTimestamp}:f>\n\n${formatFormData(getProposalFormFields(applicationData), formData, 'embed')}`)
             .setColor('#0099ff')
             .setFooter({ 
                 text: `再次点击支持按钮可以撤掉支持 | 提案ID ${proposalId}`, 
@@ -64,11 +66,13 @@ async function publishProposalToVoting(client, applicationData, settings) {
         });
         
         // 使用Discord消息ID作为键存储到数据库
-        await saveMessage({
+        const savedMessage = await saveMessage({
             messageId: message.id,
             channelId: targetChannel.id,
+            guildId: applicationData.guildId,
             proposalId: proposalId,
             formData: formData,
+            formFields: applicationData.formFields,
             requiredVotes: settings.requiredVotes,
             currentVotes: 0,
             voters: [],
@@ -80,6 +84,7 @@ async function publishProposalToVoting(client, applicationData, settings) {
             reviewThreadId: applicationData.threadId,
             originalProposalId: applicationData.proposalId
         });
+        await scheduleProposalJobs(message.id, savedMessage);
 
         console.log(`成功发布议案到投票频道 - 消息ID: ${message.id}, 投票提案ID: ${proposalId}, 原议案ID: ${applicationData.proposalId}`);
         
@@ -123,7 +128,8 @@ function canPublishProposal(applicationData) {
     
     // 检查表单数据是否完整
     const formData = applicationData.formData;
-    if (!formData || !formData.title || !formData.reason || !formData.motion || !formData.implementation || !formData.executor) {
+    const missingRequiredField = getProposalFormFields(applicationData).some(field => field.required && !formData?.[field.id]);
+    if (!formData || missingRequiredField) {
         return {
             canPublish: false,
             reason: '议案数据不完整'
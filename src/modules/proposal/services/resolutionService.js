@@ -0,0 +1,397 @@
+// src\modules\proposal\services\resolutionService.js
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { getMessage, updateMessage, getSupportPermissionSettings } = require('../../../core/utils/database');
+const { checkAdminPermission, checkSupportPermission, getSupportPermissionDeniedMessage } = require('../../../core/utils/permissionManager');
+const { getProposalStageDurations } = require('../../../core/config/timeconfig');
+const { getProposalSettings } = require('../utils/proposalDatabase');
+const { scheduleProposalJobs } = require('./proposalJobs');
+const {
+    PROPOSAL_RESOLUTION_TAGS,
+    ensureProposalStatusTags,
+    updateProposalThreadStatusTag,
+    getTagStatusFromResolutionStatus
+} = require('../utils/forumTagManager');
+
+// 议案进入讨论论坛之后的状态（不能再撤回或更改支持）
+const FORUM_STAGE_STATUSES = ['posted', 'final_voting', 'passed', 'failed', 'in_execution', 'executed'];
+
+const STATUS_TEXTS = {
+    passed: '🟢 表决通过，等待执行',
+    failed: '🔴 表决未通过',
+    in_execution: '🟠 执行中',
+    executed: '✅ 已执行'
+};
+
+function isInForumStage(status) {
+    return FORUM_STAGE_STATUSES.includes(status);
+}
+
+/**
+ * 计算讨论期结束时间
+ * @param {string} guildId - 服务器ID
+ * @returns {Promise<Date>}
+ */
+async function getDiscussionEndTime(guildId) {
+    const { discussionMs } = getProposalStageDurations(await getProposalSettings(guildId), guildId);
+    return new Date(Date.now() + discussionMs);
+}
+
+/**
+ * 从“议案执行人”字段中解析被提及的用户和身份组
+ * @param {string} executorText - 议案执行人字段内容
+ * @returns {{userIds: string[], roleIds: string[]}}
+ */
+function parseExecutors(executorText = '') {
+    const userIds = [...executorText.matchAll(/<@!?(\d+)>/g)].map(match => match[1]);
+    const roleIds = [...executorText.matchAll(/<@&(\d+)>/g)].map(match => match[1]);
+    return { userIds, roleIds };
+}
+
+/**
+ * 检查成员是否可以更新议案执行状态（被提及的执行人、执行身份组成员或管理员）
+ */
+function canUpdateExecution(member, messageData) {
+    if (checkAdminPermission(member)) return true;
+    const { userIds, roleIds } = parseExecutors(messageData.formData.executor);
+    return userIds.includes(member.id) || roleIds.some(roleId => member.roles.cache.has(roleId));
+}
+
+/**
+ * 更新讨论帖的表决/执行状态标签，失败时只记录日志
+ */
+async function updateResolutionTag(thread, status) {
+    const tagStatus = getTagStatusFromResolutionStatus(status);
+    if (!tagStatus || !thread.parent) return;
+
+    try {
+        const tagMap = await ensureProposalStatusTags(thread.parent, PROPOSAL_RESOLUTION_TAGS);
+        await updateProposalThreadStatusTag(thread, tagStatus, tagMap);
+    } catch (error) {
+        console.error(`更新议案讨论帖 ${thread.id} 状态标签失败:`, error);
+    }
+}
+
+function buildFinalVoteEmbed(messageData, finalVote, ended = false) {
+    const yes = finalVote.yesVoters.length;
+    const no = finalVote.noVoters.length;
+    const abstain = finalVote.abstainVoters.length;
+    const endTimestamp = Math.floor(new Date(finalVote.endsAt).getTime() / 1000);
+
+    return new EmbedBuilder()
+        .setTitle(ended ? `议案正式表决 - 结果` : `议案正式表决`)
+        .setDescription(`**议案：** ${messageData.formData.title}\n` +
+                       `**表决${ended ? '结束' : '截止'}时间：** <t:${endTimestamp}:f>\n\n` +
+                       `赞成: **${yes}** 票\n` +
+                       `反对: **${no}** 票\n` +
+                       `弃权: **${abstain}** 票\n\n` +
+                       `赞成票多于反对票时议案通过，弃权票不计入通过判断。`)
+        .setColor(ended ? (finalVote.result === 'passed' ? '#00FF00' : '#FF0000') : '#FFD700')
+        .setFooter({ text: `提案ID ${messageData.proposalId} | 正式表决` })
+        .setTimestamp();
+}
+
+function buildFinalVoteButtons(messageId, disabled = false) {
+    return new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`proposal_final_yes_${messageId}`)
+                .setLabel('赞成')
+                .setStyle(ButtonStyle.Success)
+                .setDisabled(disabled),
+            new ButtonBuilder()
+                .setCustomId(`proposal_final_no_${messageId}`)
+                .setLabel('反对')
+                .setStyle(ButtonStyle.Danger)
+                .setDisabled(disabled),
+            new ButtonBuilder()
+                .setCustomId(`proposal_final_abstain_${messageId}`)
+                .setLabel('弃权')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(disabled)
+        );
+}
+
+function buildExecutionButtons(messageId, status) {
+    return new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`proposal_exec_start_${messageId}`)
+                .setLabel('开始执行')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(status !== 'passed'),
+            new ButtonBuilder()
+                .setCustomId(`proposal_exec_done_${messageId}`)
+                .setLabel('标记已执行')
+                .setStyle(ButtonStyle.Success)
+                .setDisabled(status === 'executed')
+        );
+}
+
+function buildExecutionEmbed(messageData, status) {
+    const execution = messageData.execution || {};
+    let description = `**议案：** ${messageData.formData.title}\n` +
+                      `**议案执行人：** ${messageData.formData.executor || '未指定（由管理员更新）'}\n` +
+                      `**当前状态：** ${STATUS_TEXTS[status]}`;
+
+    if (execution.startedAt) {
+        description += `\n**开始执行：** <@${execution.startedBy}> · <t:${Math.floor(new Date(execution.startedAt).getTime() / 1000)}:f>`;
+    }
+    if (execution.completedAt) {
+        description += `\n**完成执行：** <@${execution.completedBy}> · <t:${Math.floor(new Date(execution.completedAt).getTime() / 1000)}:f>`;
+    }
+
+    return new EmbedBuilder()
+        .setTitle('📌 议案执行状态')
+        .setDescription(description)
+        .setColor(status === 'executed' ? '#00FF00' : '#FFA500')
+        .setFooter({ text: `提案ID ${messageData.proposalId} | 仅议案执行人或管理员可更新` })
+        .setTimestamp();
+}
+
+/**
+ * 讨论期结束后在讨论帖中开启正式表决
+ * @param {import('discord.js').Client} client - Discord 客户端实例
+ * @param {object} messageData - 议案消息数据（需包含 messageId）
+ */
+async function openFinalVote(client, messageData) {
+    const thread = await client.channels.fetch(messageData.forumThreadId || messageData.threadId);
+    const { finalVoteMs } = getProposalStageDurations(await getProposalSettings(thread.guild.id), thread.guild.id);
+
+    const finalVote = {
+        startedAt: new Date().toISOString(),
+        endsAt: new Date(Date.now() + finalVoteMs).toISOString(),
+        yesVoters: [],
+        noVoters: [],
+        abstainVoters: []
+    };
+
+    const voteMessage = await thread.send({
+        content: `🗳️ 讨论期已结束，议案 **${messageData.formData.title}** 现进入正式表决。`,
+        embeds: [buildFinalVoteEmbed(messageData, finalVote)],
+        components: [buildFinalVoteButtons(messageData.messageId)]
+    });
+
+    finalVote.messageId = voteMessage.id;
+    const updated = await updateMessage(messageData.messageId, {
+        status: 'final_voting',
+        finalVote
+    });
+    await scheduleProposalJobs(messageData.messageId, updated);
+    await updateResolutionTag(thread, 'final_voting');
+
+    console.log(`议案正式表决已开启 - 提案ID: ${messageData.proposalId}, 帖子: ${thread.id}`);
+}
+
+/**
+ * 处理正式表决按钮（赞成/反对/弃权，再次点击同一选项撤销）
+ * @param {import('discord.js').ButtonInteraction} interaction - 按钮交互对象
+ */
+async function processFinalVote(interaction) {
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        // 与支持按钮使用相同的权限设置
+        const supportPermissionSettings = await getSupportPermissionSettings(interaction.guild.id);
+        if (!checkSupportPermission(interaction.member, supportPermissionSettings)) {
+            const allowedRoleNames = [];
+            for (const roleId of supportPermissionSettings?.allowedRoles || []) {
+                const role = await interaction.guild.roles.fetch(roleId).catch(() => null);
+                if (role) allowedRoleNames.push(role.name);
+            }
+
+            return interaction.editReply({
+                content: getSupportPermissionDeniedMessage(allowedRoleNames, interaction)
+            });
+        }
+
+        const [, , choice, messageId] = interaction.customId.split('_');
+        const messageData = await getMessage(messageId);
+
+        if (!messageData || messageData.status !== 'final_voting') {
+            return interaction.editReply({ content: '此表决已结束或不存在。' });
+        }
+
+        const finalVote = messageData.finalVote;
+        if (new Date() >= new Date(finalVote.endsAt)) {
+            return interaction.editReply({ content: '表决时间已结束。' });
+        }
+
+        const userId = interaction.user.id;
+        const listKey = `${choice}Voters`;
+        const alreadyChosen = finalVote[listKey].includes(userId);
+
+        // 一人一票：先移除之前的选择
+        for (const key of ['yesVoters', 'noVoters', 'abstainVoters']) {
+            finalVote[key] = finalVote[key].filter(id => id !== userId);
+        }
+        if (!alreadyChosen) {
+            finalVote[listKey].push(userId);
+        }
+
+        await updateMessage(messageId, { finalVote });
+        await interaction.message.edit({
+            embeds: [buildFinalVoteEmbed(messageData, finalVote)],
+            components: [buildFinalVoteButtons(messageId)]
+        });
+
+        const choiceTexts = { yes: '赞成', no: '反对', abstain: '弃权' };
+        await interaction.editReply({
+            content: alreadyChosen ? `您已撤销${choiceTexts[choice]}票。` : `您的${choiceTexts[choice]}票已记录！`
+        });
+
+    } catch (error) {
+        console.error('处理议案正式表决时出错:', error);
+        try {
+            await interaction.editReply({ content: '处理您的表决时出现错误。' });
+        } catch (replyError) {
+            console.error('回复错误:', replyError);
+        }
+    }
+}
+
+/**
+ * 结算正式表决并记录结果，通过的议案进入执行跟踪
+ * @param {import('discord.js').Client} client - Discord 客户端实例
+ * @param {object} messageData - 议案消息数据（需包含 messageId）
+ */
+async function finalizeFinalVote(client, messageData) {
+    const finalVote = messageData.finalVote;
+    const yes = finalVote.yesVoters.length;
+    const no = finalVote.noVoters.length;
+    const abstain = finalVote.abstainVoters.length;
+    const status = yes > no ? 'passed' : 'failed';
+
+    finalVote.result = status;
+    finalVote.tally = { yes, no, abstain };
+    finalVote.completedAt = new Date().toISOString();
+
+    await updateMessage(messageData.messageId, {
+        status,
+        finalVote
+    });
+
+    const thread = await client.channels.fetch(messageData.forumThreadId || messageData.threadId);
+
+    try {
+        const voteMessage = await thread.messages.fetch(finalVote.messageId);
+        await voteMessage.edit({
+            content: '',
+            embeds: [buildFinalVoteEmbed(messageData, finalVote, true)],
+            components: [buildFinalVoteButtons(messageData.messageId, true)]
+        });
+    } catch (error) {
+        console.error(`更新议案表决消息失败 - 提案ID: ${messageData.proposalId}`, error);
+    }
+
+    if (status === 'passed') {
+        const executionMessage = await thread.send({
+            content: `✅ 议案已表决通过（赞成 ${yes} / 反对 ${no} / 弃权 ${abstain}）。${messageData.formData.executor ? `请议案执行人 ${messageData.formData.executor} 在执行时更新状态。` : '请管理员在执行时更新状态。'}`,
+            embeds: [buildExecutionEmbed(messageData, status)],
+            components: [buildExecutionButtons(messageData.messageId, status)]
+        });
+        await updateMessage(messageData.messageId, {
+            execution: { messageId: executionMessage.id }
+        });
+    } else {
+        await thread.send({
+            content: `❌ 议案未获通过（赞成 ${yes} / 反对 ${no} / 弃权 ${abstain}）。`
+        });
+    }
+
+    await updateResolutionTag(thread, status);
+    console.log(`议案正式表决已结算 - 提案ID: ${messageData.proposalId}, 结果: ${status}`);
+}
+
+/**
+ * 处理议案执行状态按钮（开始执行 / 标记已执行）
+ * @param {import('discord.js').ButtonInteraction} interaction - 按钮交互对象
+ */
+async function processExecutionUpdate(interaction) {
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        const [, , action, messageId] = interaction.customId.split('_');
+        const messageData = await getMessage(messageId);
+
+        if (!messageData || !['passed', 'in_execution'].includes(messageData.status)) {
+            return interaction.editReply({ content: '此议案当前不处于待执行或执行中状态。' });
+        }
+
+        if (!canUpdateExecution(interaction.member, messageData)) {
+            return interaction.editReply({ content: '❌ 只有议案执行人或管理员可以更新执行状态。' });
+        }
+
+        if (action === 'start' && messageData.status !== 'passed') {
+            return interaction.editReply({ content: '此议案已经在执行中。' });
+        }
+
+        const now = new Date().toISOString();
+        const status = action === 'start' ? 'in_execution' : 'executed';
+        const execution = { ...messageData.execution };
+        if (action === 'start' || !execution.startedAt) {
+            execution.startedAt = now;
+            execution.startedBy = interaction.user.id;
+        }
+        if (action === 'done') {
+            execution.completedAt = now;
+            execution.completedBy = interaction.user.id;
+        }
+
+        const updated = await updateMessage(messageId, { status, execution });
+
+        await interaction.message.edit({
+            embeds: [buildExecutionEmbed({ ...messageData, ...updated, execution }, status)],
+            components: [buildExecutionButtons(messageId, status)]
+        });
+        await updateResolutionTag(interaction.channel, status);
+
+        console.log(`议案执行状态已更新 - 提案ID: ${messageData.proposalId}, 状态: ${status}, 操作者: ${interaction.user.tag}`);
+
+        await interaction.editReply({ content: `✅ 议案状态已更新为：${STATUS_TEXTS[status]}` });
+
+    } catch (error) {
+        console.error('更新议案执行状态时出错:', error);
+        try {
+            await interaction.editReply({ content: '更新执行状态时出现错误。' });
+        } catch (replyError) {
+            console.error('回复错误:', replyError);
+        }
+    }
+}
+
+/**
+ * 计划任务：讨论期结束，在讨论帖中开启正式表决
+ * @param {import('discord.js').Client} client - Discord 客户端实例
+ * @param {object} job - 计划任务（key 为提案消息ID）
+ */
+async function handleDiscussionEndJob(client, job) {
+    const messageData = await getMessage(job.key);
+    if (!messageData || messageData.status !== 'posted') return;
+
+    await openFinalVote(client, { ...messageData, messageId: job.key });
+}
+
+/**
+ * 计划任务：正式表决结束，结算结果
+ * @param {import('discord.js').Client} client - Discord 客户端实例
+ * @param {object} job - 计划任务（key 为提案消息ID）
+ */
+async function handleFinalVoteEndJob(client, job) {
+    const messageData = await getMessage(job.key);
+    if (!messageData || messageData.status !== 'final_voting') return;
+
+    await finalizeFinalVote(client, { ...messageData, messageId: job.key });
+}
+
+module.exports = {
+    FORUM_STAGE_STATUSES,
+    isInForumStage,
+    getDiscussionEndTime,
+    updateResolutionTag,
+    openFinalVote,
+    processFinalVote,
+    finalizeFinalVote,
+    processExecutionUpdate,
+    handleDiscussionEndJob,
+    handleFinalVoteEndJob
+};
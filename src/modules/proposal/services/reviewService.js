@@ -12,6 +12,9 @@ const {
 } = require('../utils/forumTagManager');
 const { getSettings, saveMessage, getNextId } = require('../../../core/utils/database');
 const { getProposalDeadline } = require('../../../core/config/timeconfig');
+const { scheduleProposalJobs } = require('./proposalJobs');
+const { getProposalFormFields, formatFormData } = require('../utils/formTemplate');
+const { logAuditEvent } = require('../../../core/utils/auditLogger');
 
 async function processProposalReview(interaction, proposalId, reviewResult, reason = '') {
     try {
@@ -53,6 +56,16 @@ async function processProposalReview(interaction, proposalId, reviewResult, reas
             updatedAt: new Date().toISOString()
         });
         
+        await logAuditEvent(interaction.client, {
+            guildId: interaction.guild.id,
+            module: 'proposal',
+            action: { approved: '议案审核通过', rejected: '议案审核拒绝', modification_required: '议案要求修改' }[reviewResult] || '议案审核',
+            actorId: interaction.user.id,
+            targetId: applicationData.authorId,
+            summary: applicationData.formData?.title ? `议案：${applicationData.formData.title}` : '',
+            details: { '议案ID': proposalId, '原因': reason }
+        });
+        
         // 准备结果消息
         const resultMessages = {
             'approved': `✅ 议案ID \`${proposalId}\` 已审核通过！议案现在可以发布到投票频道了。`,
@@ -136,20 +149,7 @@ async function updateReviewThreadStatus(client, applicationData, reviewData) {
 
 ---
 
-🏷️ **议案标题**
-${formData.title}
-
-📝 **提案原因**
-${formData.reason}
-
-📋 **议案动议**
-${formData.motion}
-
-🔧 **执行方案**
-${formData.implementation}
-
-👨‍💼 **议案执行人**
-${formData.executor}
+${formatFormData(getProposalFormFields(applicationData), formData, 'thread', true)}
 
 ---
 
@@ -291,8 +291,8 @@ async function publishToVoteChannel(client, applicationData) {
             throw new Error('找不到投票频道');
         }
         
-        // 计算截止日期（24小时后）
-        const deadlineDate = getProposalDeadline();
+        // 计算截止日期（按服务器时间配置）
+        const deadlineDate = getProposalDeadline(applicationData.guildId);
         const deadlineTimestamp = Math.floor(deadlineDate.getTime() / 1000);
         
         const formData = applicationData.formData;
@@ -300,7 +300,7 @@ async function publishToVoteChannel(client, applicationData) {
         // 创建嵌入消息
         const embed = new EmbedBuilder()
             .setTitle(formData.title)
-            .setDescription(`提案人：<@${applicationData.authorId}>\n议事截止日期：<t:${deadlineTimestamp}:f>\n\n**提案原因**\n${formData.reason}\n\n**议案动议**\n${formData.motion}\n\n**执行方案**\n${formData.implementation}\n\n**议案执行人**\n${formData.executor}`)
+            .setDescription(`提案人：<@${applicationData.authorId}>\n议事截止日期：<t:${deadlineTimestamp}:f>\n\n${formatFormData(getProposalFormFields(applicationData), formData, 'embed')}`)
             .setColor('#0099ff')
             .setFooter({ 
                 text: `再次点击支持按钮可以撤掉支持 | 提案ID ${applicationData.proposalId}`, 
@@ -330,11 +330,13 @@ async function publishToVoteChannel(client, applicationData) {
         });
         
         // 保存投票消息到数据库
-        await saveMessage({
+        const savedMessage = await saveMessage({
             messageId: message.id,
             channelId: targetChannel.id,
+            guildId: applicationData.guildId,
             proposalId: applicationData.proposalId,
             formData: formData,
+            formFields: applicationData.formFields,
             requiredVotes: requiredVotes,
             currentVotes: 0,
             voters: [],
@@ -343,6 +345,7 @@ async function publishToVoteChannel(client, applicationData) {
             deadline: deadlineDate.toISOString(),
             status: 'pending'
         });
+        await scheduleProposalJobs(message.id, savedMessage);
         
         // 更新议案申请状态为已发布
         await updateProposalApplication(applicationData.proposalId, {
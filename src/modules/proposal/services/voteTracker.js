@@ -2,6 +2,7 @@
 const { MessageFlags, ButtonBuilder, ButtonStyle, ActionRowBuilder, EmbedBuilder } = require('discord.js');
 const { getMessage, updateMessage } = require('../../../core/utils/database');
 const { createForumPost } = require('./forumPoster');
+const { isInForumStage } = require('./resolutionService');
 const { checkSupportPermission, getSupportPermissionDeniedMessage } = require('../../../core/utils/permissionManager');
 const { getSupportPermissionSettings } = require('../../../core/utils/database');
 
@@ -29,7 +30,7 @@ async function processVote(interaction) {
             }
             
             return interaction.editReply({
-                content: getSupportPermissionDeniedMessage(allowedRoleNames)
+                content: getSupportPermissionDeniedMessage(allowedRoleNames, interaction)
             });
         }
         
@@ -50,7 +51,7 @@ async function processVote(interaction) {
         }
         
         // 如果消息已经发布到论坛或被撤回，不允许再更改投票
-        if (messageData.status === 'posted') {
+        if (isInForumStage(messageData.status)) {
             return interaction.editReply({ 
                 content: '此议案已经发布到论坛，不能再更改支持状态。'
             });
@@ -0,0 +1,202 @@
+// src\modules\proposal\utils\formTemplate.js
+const { TextInputBuilder, TextInputStyle, ActionRowBuilder } = require('discord.js');
+
+// Discord 模态窗口最多容纳5个输入框
+const MAX_FORM_FIELDS = 5;
+// Discord 输入框标签和内容的长度上限
+const MAX_LABEL_LENGTH = 45;
+const MAX_INPUT_LENGTH = 4000;
+
+// 默认模板，与表单模板功能上线前的固定五个字段一致
+const DEFAULT_FORM_FIELDS = [
+    { id: 'title', label: '议案标题', style: 'short', required: true, maxLength: 100, emoji: '🏷️', placeholder: '请保持标题简洁明了，尽量不超过30字' },
+    { id: 'reason', label: '提案原因', style: 'paragraph', required: true, maxLength: MAX_INPUT_LENGTH, emoji: '📝', placeholder: '说明提出此动议的原因' },
+    { id: 'motion', label: '议案动议', style: 'paragraph', required: true, maxLength: MAX_INPUT_LENGTH, emoji: '📋', placeholder: '详细说明您的议案内容' },
+    { id: 'implementation', label: '执行方案', style: 'paragraph', required: true, maxLength: MAX_INPUT_LENGTH, emoji: '🔧', placeholder: '说明如何落实此动议' },
+    { id: 'executor', label: '议案执行人', style: 'short', required: true, maxLength: MAX_INPUT_LENGTH, emoji: '👨‍💼', placeholder: '指定负责执行此议案的人员或部门' }
+];
+
+/**
+ * 获取服务器的议案表单字段，未自定义时返回默认模板。
+ * @param {object|null} proposalSettings - 议案设置。
+ * @returns {object[]} 字段定义列表，第一个字段固定为议案标题。
+ */
+function getFormFields(proposalSettings) {
+    return proposalSettings?.formFields?.length ? proposalSettings.formFields : DEFAULT_FORM_FIELDS;
+}
+
+/**
+ * 获取议案提交时使用的字段定义。模板修改后，旧议案仍按提交时的字段显示。
+ * @param {object} proposalData - 议案申请或投票消息数据。
+ * @returns {object[]}
+ */
+function getProposalFormFields(proposalData) {
+    return proposalData?.formFields?.length ? proposalData.formFields : DEFAULT_FORM_FIELDS;
+}
+
+/**
+ * 解析 /setupForm 中的表单字段定义。
+ * 格式：每个字段用 ; 分隔，字段内用 | 分隔 标签|长/短|必填/选填|最大长度，后三项可省略。
+ * 第一个字段固定作为议案标题（单行、必填）。与默认模板同名的字段沿用原有的字段键，
+ * 这样执行人等字段仍能被表决和执行流程识别。
+ * @param {string} text - 字段定义文本。
+ * @returns {{fields?: object[], error?: string}}
+ */
+function parseFormFields(text) {
+    const entries = text.split(/[;；]/).map(entry => entry.trim()).filter(Boolean);
+
+    if (entries.length === 0) {
+        return { error: '表单至少需要一个字段（议案标题）。' };
+    }
+    if (entries.length > MAX_FORM_FIELDS) {
+        return { error: `表单最多只能有 ${MAX_FORM_FIELDS} 个字段（Discord 表单限制）。` };
+    }
+
+    const fields = [];
+    const usedIds = new Set();
+
+    for (const [index, entry] of entries.entries()) {
+        const [label, styleText, requiredText, maxLengthText] = entry.split(/[|｜]/).map(part => part.trim());
+
+        if (!label) {
+            return { error: `第 ${index + 1} 个字段缺少标签。` };
+        }
+        if (label.length > MAX_LABEL_LENGTH) {
+            return { error: `字段「${label}」的标签超过 ${MAX_LABEL_LENGTH} 个字符。` };
+        }
+
+        let style = index === 0 ? 'short' : 'paragraph';
+        if (styleText) {
+            if (['短', '单行', 'short'].includes(styleText)) style = 'short';
+            else if (['长', '多行', 'paragraph'].includes(styleText)) style = 'paragraph';
+            else return { error: `字段「${label}」的类型「${styleText}」无效，请填写“长”或“短”。` };
+        }
+
+        let required = true;
+        if (requiredText) {
+            if (['必填', 'required'].includes(requiredText)) required = true;
+            else if (['选填', 'optional'].includes(requiredText)) required = false;
+            else return { error: `字段「${label}」的必填设置「${requiredText}」无效，请填写“必填”或“选填”。` };
+        }
+
+        let maxLength = MAX_INPUT_LENGTH;
+        if (maxLengthText) {
+            maxLength = parseInt(maxLengthText);
+            if (isNaN(maxLength) || maxLength < 1 || maxLength > MAX_INPUT_LENGTH) {
+                return { error: `字段「${label}」的最大长度必须是 1-${MAX_INPUT_LENGTH} 之间的整数。` };
+            }
+        }
+
+        const defaultField = index === 0
+            ? DEFAULT_FORM_FIELDS[0]
+            : DEFAULT_FORM_FIELDS.slice(1).find(field => field.label === label);
+        const id = defaultField ? defaultField.id : `field${index}`;
+        if (usedIds.has(id)) {
+            return { error: `字段「${label}」重复。` };
+        }
+        usedIds.add(id);
+
+        // 标题用于帖子名称，始终为单行必填
+        if (index === 0) {
+            style = 'short';
+            required = true;
+            maxLength = Math.min(maxLength, 100);
+        }
+
+        fields.push({
+            id,
+            label,
+            style,
+            required,
+            maxLength,
+            emoji: defaultField?.emoji || '📄',
+            placeholder: defaultField?.placeholder || ''
+        });
+    }
+
+    return { fields };
+}
+
+/**
+ * 将字段定义转换为模态窗口的输入行。
+ * @param {object[]} fields - 字段定义列表。
+ * @param {object} [values] - 预填的字段值（编辑时使用）。
+ * @returns {ActionRowBuilder[]}
+ */
+function buildFormInputRows(fields, values = {}) {
+    return fields.map(field => {
+        const input = new TextInputBuilder()
+            .setCustomId(field.id)
+            .setLabel(field.label)
+            .setStyle(field.style === 'short' ? TextInputStyle.Short : TextInputStyle.Paragraph)
+            .setRequired(field.required)
+            .setMaxLength(field.maxLength || MAX_INPUT_LENGTH);
+
+        if (field.placeholder) {
+            input.setPlaceholder(field.placeholder);
+        }
+        if (values[field.id]) {
+            input.setValue(String(values[field.id]).slice(0, field.maxLength || MAX_INPUT_LENGTH));
+        }
+
+        return new ActionRowBuilder().addComponents(input);
+    });
+}
+
+/**
+ * 从模态窗口提交中读取各字段的值。
+ * @param {import('discord.js').ModalSubmitInteraction} interaction - 模态窗口提交交互对象。
+ * @param {object[]} fields - 字段定义列表。
+ * @returns {object} 以字段键为键的表单数据。
+ */
+function readFormData(interaction, fields) {
+    const formData = {};
+    for (const field of fields) {
+        formData[field.id] = interaction.fields.getTextInputValue(field.id) || '';
+    }
+    return formData;
+}
+
+/**
+ * 按指定格式渲染议案内容（标题以外的字段），选填且未填写的字段不显示。
+ * @param {object[]} fields - 字段定义列表。
+ * @param {object} formData - 表单数据。
+ * @param {'thread'|'embed'|'forum'} format - thread 为审核帖，embed 为投票嵌入消息，forum 为讨论帖。
+ * @param {boolean} [includeTitle=false] - 是否包含标题字段。
+ * @returns {string}
+ */
+function formatFormData(fields, formData, format, includeTitle = false) {
+    return fields
+        .filter(field => includeTitle || field.id !== 'title')
+        .filter(field => formData[field.id])
+        .map(field => {
+            const value = formData[field.id];
+            if (format === 'thread') return `${field.emoji || '📄'} **${field.label}**\n${value}`;
+            if (format === 'forum') return `> ## ${field.label}\n${value}`;
+            return `**${field.label}**\n${value}`;
+        })
+        .join('\n\n');
+}
+
+/**
+ * 以文字形式描述字段列表，用于表单入口和设置回执。
+ * @param {object[]} fields - 字段定义列表。
+ * @returns {string}
+ */
+function describeFormFields(fields) {
+    return fields
+        .map(field => `• **${field.label}**：${field.style === 'short' ? '单行' : '多行'}，${field.required ? '必填' : '选填'}，最多 ${field.maxLength} 字`)
+        .join('\n');
+}
+
+module.exports = {
+    DEFAULT_FORM_FIELDS,
+    MAX_FORM_FIELDS,
+    getFormFields,
+    getProposalFormFields,
+    parseFormFields,
+    buildFormInputRows,
+    readFormData,
+    formatFormData,
+    describeFormFields
+};
@@ -30,12 +30,47 @@ const PROPOSAL_STATUS_TAGS = {
     }
 };
 
+// 议案讨论论坛的表决/执行状态标签配置
+const PROPOSAL_RESOLUTION_TAGS = {
+    DISCUSSING: {
+        name: '💬讨论中',
+        emoji: '💬',
+        moderated: false
+    },
+    VOTING: {
+        name: '🗳️表决中',
+        emoji: '🗳️',
+        moderated: false
+    },
+    PASSED: {
+        name: '🟢表决通过',
+        emoji: '🟢',
+        moderated: false
+    },
+    FAILED: {
+        name: '🔴表决未通过',
+        emoji: '🔴',
+        moderated: false
+    },
+    IN_EXECUTION: {
+        name: '🟠执行中',
+        emoji: '🟠',
+        moderated: false
+    },
+    EXECUTED: {
+        name: '✅已执行',
+        emoji: '✅',
+        moderated: false
+    }
+};
+
 /**
  * 确保论坛有所需的标签
  * @param {ForumChannel} forumChannel - 论坛频道
+ * @param {object} [statusTags] - 需要确保的标签配置，默认为审核状态标签
  * @returns {object} 标签ID映射
  */
-async function ensureProposalStatusTags(forumChannel) {
+async function ensureProposalStatusTags(forumChannel, statusTags = PROPOSAL_STATUS_TAGS) {
     try {
         if (forumChannel.type !== ChannelType.GuildForum) {
             throw new Error('频道不是论坛类型');
@@ -46,12 +81,12 @@ async function ensureProposalStatusTags(forumChannel) {
         let currentTags = refreshedChannel.availableTags;
         const tagMap = {};
         const maxTags = 20; // Discord论坛标签数量限制
-        const requiredTagsCount = Object.keys(PROPOSAL_STATUS_TAGS).length;
+        const requiredTagsCount = Object.keys(statusTags).length;
         
         console.log(`论坛标签状态检查 - 频道: ${forumChannel.name}, 当前标签数: ${currentTags.length}, 需要创建: ${requiredTagsCount}, 最大限制: ${maxTags}`);
         
         // 先检查所有已存在的标签
-        for (const [statusKey, tagConfig] of Object.entries(PROPOSAL_STATUS_TAGS)) {
+        for (const [statusKey, tagConfig] of Object.entries(statusTags)) {
             const existingTag = currentTags.find(tag => tag.name === tagConfig.name);
             if (existingTag) {
                 tagMap[statusKey] = existingTag.id;
@@ -61,7 +96,7 @@ async function ensureProposalStatusTags(forumChannel) {
         
         // 然后处理缺失的标签
         const missingTags = [];
-        for (const [statusKey, tagConfig] of Object.entries(PROPOSAL_STATUS_TAGS)) {
+        for (const [statusKey, tagConfig] of Object.entries(statusTags)) {
             if (!tagMap[statusKey]) {
                 missingTags.push({ statusKey, tagConfig });
             }
@@ -242,6 +277,24 @@ function getTagStatusFromProposalStatus(applicationStatus) {
     return statusMapping[applicationStatus] || 'PENDING';
 }
 
+/**
+ * 根据议案在讨论论坛中的状态获取对应的表决/执行标签状态
+ * @param {string} messageStatus - 议案消息状态
+ * @returns {string|null} 标签状态
+ */
+function getTagStatusFromResolutionStatus(messageStatus) {
+    const statusMapping = {
+        'posted': 'DISCUSSING',
+        'final_voting': 'VOTING',
+        'passed': 'PASSED',
+        'failed': 'FAILED',
+        'in_execution': 'IN_EXECUTION',
+        'executed': 'EXECUTED'
+    };
+    
+    return statusMapping[messageStatus] || null;
+}
+
 /**
  * 获取状态标签的显示配置
  * @param {string} status - 状态
@@ -313,9 +366,11 @@ function getCurrentProposalStatus(thread, tagMap) {
 
 module.exports = {
     PROPOSAL_STATUS_TAGS,
+    PROPOSAL_RESOLUTION_TAGS,
     ensureProposalStatusTags,
     updateProposalThreadStatusTag,
     getTagStatusFromProposalStatus,
+    getTagStatusFromResolutionStatus,
     getProposalStatusTagConfig,
     batchEnsureProposalStatusTags,
     hasProposalStatusTags,
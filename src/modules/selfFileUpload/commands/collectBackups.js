@@ -246,9 +246,9 @@ module.exports = {
                 .setMaxValue(5000)),
 
     async execute(interaction) {
-        if (!checkAdminPermission(interaction.member)) {
+        if (!checkAdminPermission(interaction.member, interaction.commandName)) {
             return interaction.reply({
-                content: getPermissionDeniedMessage(),
+                content: getPermissionDeniedMessage(interaction),
                 ephemeral: true,
             });
         }
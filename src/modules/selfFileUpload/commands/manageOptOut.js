@@ -26,8 +26,8 @@ module.exports = {
                 .addAttachmentOption(option => option.setName('excel文件').setDescription('包含用户ID列表的Excel文件').setRequired(true))),
 
     async execute(interaction) {
-        if (!checkAdminPermission(interaction.member)) {
-            return interaction.reply({ content: getPermissionDeniedMessage(), ephemeral: true });
+        if (!checkAdminPermission(interaction.member, interaction.commandName)) {
+            return interaction.reply({ content: getPermissionDeniedMessage(interaction), ephemeral: true });
         }
 
         await interaction.deferReply({ ephemeral: true });
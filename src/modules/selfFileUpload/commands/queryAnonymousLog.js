@@ -14,9 +14,9 @@ module.exports = {
 
     async execute(interaction) {
         // 2. 使用 permissionManager 进行统一的权限检查
-        if (!checkAdminPermission(interaction.member)) {
+        if (!checkAdminPermission(interaction.member, interaction.commandName)) {
             return interaction.reply({
-                content: getPermissionDeniedMessage(), // 3. 使用统一的权限不足提示消息
+                content: getPermissionDeniedMessage(interaction), // 3. 使用统一的权限不足提示消息
                 ephemeral: true,
             });
         }
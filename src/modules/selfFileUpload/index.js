@@ -0,0 +1,11 @@
+// src\modules\selfFileUpload\index.js
+module.exports = {
+    name: '自助补档',
+    locales: require('./locales'),
+    commands: [
+        require('./commands/uploadFile'),
+        require('./commands/queryAnonymousLog'),
+        require('./commands/manageOptOut'),
+        require('./commands/collectBackups'),
+    ],
+};
@@ -0,0 +1,48 @@
+// src\modules\selfFileUpload\locales\en-US.js
+module.exports = {
+    name: 'Self File Upload',
+
+    commands: {
+        '自助补档': {
+            name: 'upload-file',
+            description: 'Upload a file and the bot will post it in this thread for you.',
+            options: {
+                '文件': { name: 'file', description: 'File to upload (json, zip, 7z, png, etc.)' },
+                '文件名': { name: 'filename', description: 'A clear name for your file.' },
+                '描述': { name: 'description', description: 'A short description of the file.' },
+                '署名': { name: 'signed', description: 'Show your name? Defaults to no (anonymous).', choices: { yes: 'Yes', no: 'No' } },
+            },
+        },
+        '查询匿名补档成员': {
+            name: 'find-anonymous-uploader',
+            description: 'Find who sent an anonymous upload (administrators only).',
+            options: {
+                '消息链接': { name: 'message-link', description: 'Link to the anonymous message posted by the bot.' },
+            },
+        },
+        '管理自助补档屏蔽': {
+            name: 'upload-blocklist',
+            description: 'Manage users whose threads others may not upload files to (administrators only).',
+            options: {
+                '添加': { name: 'add', description: 'Add a user to the upload blocklist.', options: { '用户': { name: 'user', description: 'User to add' } } },
+                '移除': { name: 'remove', description: 'Remove a user from the upload blocklist.', options: { '用户': { name: 'user', description: 'User to remove' } } },
+                '列表': { name: 'list', description: 'View the current upload blocklist (paginated).' },
+                '批量添加': {
+                    name: 'bulk-add',
+                    description: 'Add users to the blocklist from an Excel file.',
+                    options: { 'excel文件': { name: 'excel-file', description: 'Excel file containing user IDs' } },
+                },
+            },
+        },
+        '汇总全频道补档': {
+            name: 'collect-forum-uploads',
+            description: 'Scan a whole forum and collect each thread\'s backup card uploads into its first post.',
+            options: {
+                '论坛频道': { name: 'forum', description: 'Forum to scan' },
+                '并发数': { name: 'concurrency', description: 'Threads processed at the same time (1-10). Default 3.' },
+                '重置进度': { name: 'reset-progress', description: 'Start from the beginning, ignoring saved progress. Default no.' },
+                '归档前延迟': { name: 'archive-delay', description: 'Milliseconds to wait before archiving each batch (0-5000). Default 200ms.' },
+            },
+        },
+    },
+};
@@ -1,11 +1,21 @@
 // src\modules\selfModeration\commands\checkMyCooldown.js
 const { SlashCommandBuilder, MessageFlags } = require('discord.js');
-const { checkUserGlobalCooldown } = require('../../../core/utils/database');
+const { checkInitiatorCooldown, formatRemainingTime } = require('../services/initiatorTracker');
 
 const data = new SlashCommandBuilder()
     .setName('查看我的冷却')
     .setDescription('查看您当前的自助管理功能冷却状态');
 
+function formatCooldownLine(label, cooldown) {
+    if (cooldown.cooldownMinutes === 0) {
+        return `${label} 无冷却限制\n`;
+    }
+    if (cooldown.inCooldown) {
+        return `${label} ❌ 冷却中，还需等待 **${formatRemainingTime(cooldown.remainingMinutes)}**\n`;
+    }
+    return `${label} ✅ 可以使用\n`;
+}
+
 async function execute(interaction) {
     try {
         // 检查是否在服务器中使用
@@ -20,40 +30,23 @@ async function execute(interaction) {
         await interaction.deferReply({ ephemeral: true });
 
         // 检查删除消息冷却
-        const deleteCooldown = await checkUserGlobalCooldown(interaction.guild.id, interaction.user.id, 'delete');
+        const deleteCooldown = await checkInitiatorCooldown(interaction.guild.id, interaction.user.id, 'delete');
         // 检查禁言用户冷却
-        const muteCooldown = await checkUserGlobalCooldown(interaction.guild.id, interaction.user.id, 'mute');
+        const muteCooldown = await checkInitiatorCooldown(interaction.guild.id, interaction.user.id, 'mute');
 
         let response = `**🕐 您的冷却状态**\n\n`;
 
-        // 删除消息状态
-        if (deleteCooldown.cooldownMinutes === 0) {
-            response += `🗑️ **删除消息：** 无冷却限制\n`;
-        } else if (deleteCooldown.inCooldown) {
-            const hours = Math.floor(deleteCooldown.remainingMinutes / 60);
-            const minutes = deleteCooldown.remainingMinutes % 60;
-            let timeText = '';
-            if (hours > 0) timeText += `${hours}小时`;
-            if (minutes > 0) timeText += `${minutes}分钟`;
-            
-            response += `🗑️ **删除消息：** ❌ 冷却中，还需等待 **${timeText}**\n`;
+        // 发起权被暂停时两种投票都不能发起
+        if (deleteCooldown.suspendedUntil) {
+            response += `⛔ **发起权已暂停：** 您近期发起的投票多次未达到执行条件，将于 <t:${Math.floor(deleteCooldown.suspendedUntil.getTime() / 1000)}:f> 恢复\n`;
         } else {
-            response += `🗑️ **删除消息：** ✅ 可以使用\n`;
+            response += formatCooldownLine('🗑️ **删除消息：**', deleteCooldown);
+            response += formatCooldownLine('🔇 **禁言用户：**', muteCooldown);
         }
 
-        // 禁言用户状态
-        if (muteCooldown.cooldownMinutes === 0) {
-            response += `🔇 **禁言用户：** 无冷却限制\n`;
-        } else if (muteCooldown.inCooldown) {
-            const hours = Math.floor(muteCooldown.remainingMinutes / 60);
-            const minutes = muteCooldown.remainingMinutes % 60;
-            let timeText = '';
-            if (hours > 0) timeText += `${hours}小时`;
-            if (minutes > 0) timeText += `${minutes}分钟`;
-            
-            response += `🔇 **禁言用户：** ❌ 冷却中，还需等待 **${timeText}**\n`;
-        } else {
-            response += `🔇 **禁言用户：** ✅ 可以使用\n`;
+        // 连续误报增加的冷却（两种投票相同）
+        if (deleteCooldown.penaltyMinutes > 0) {
+            response += `\n⚠️ 您近期发起的投票连续 **${deleteCooldown.failureStreak}** 次未达到执行条件，冷却时间增加 **${deleteCooldown.penaltyMinutes}分钟**，发起的投票成功执行后恢复。\n`;
         }
 
         await interaction.editReply({ content: response });
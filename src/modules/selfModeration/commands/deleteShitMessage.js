@@ -1,6 +1,7 @@
 // src\modules\selfModeration\commands\deleteShitMessage.js
 const { SlashCommandBuilder, MessageFlags } = require('discord.js');
-const { getSelfModerationSettings,checkUserGlobalCooldown, updateUserLastUsage } = require('../../../core/utils/database');
+const { getSelfModerationSettings, updateUserLastUsage } = require('../../../core/utils/database');
+const { checkInitiatorCooldown, getInitiatorBlockedMessage } = require('../services/initiatorTracker');
 const { checkSelfModerationPermission, checkSelfModerationChannelPermission, getSelfModerationPermissionDeniedMessage } = require('../../../core/utils/permissionManager');
 const { validateChannel } = require('../utils/channelValidator');
 const { processMessageUrlSubmission } = require('../services/moderationService');
@@ -38,21 +39,16 @@ async function execute(interaction) {
         const hasPermission = checkSelfModerationPermission(interaction.member, 'delete', settings);
         if (!hasPermission) {
             return interaction.editReply({
-                content: getSelfModerationPermissionDeniedMessage('delete')
+                content: getSelfModerationPermissionDeniedMessage('delete', interaction)
             });
         }
 
-        // 检查全局冷却时间
-        const cooldownCheck = await checkUserGlobalCooldown(interaction.guild.id, interaction.user.id, 'delete');
-        if (cooldownCheck.inCooldown) {
-            const hours = Math.floor(cooldownCheck.remainingMinutes / 60);
-            const minutes = cooldownCheck.remainingMinutes % 60;
-            let timeText = '';
-            if (hours > 0) timeText += `${hours}小时`;
-            if (minutes > 0) timeText += `${minutes}分钟`;
-            
+        // 检查冷却时间（全局冷却 + 连续误报增加的冷却）和发起权是否被暂停
+        const cooldownCheck = await checkInitiatorCooldown(interaction.guild.id, interaction.user.id, 'delete');
+        const blockedMessage = getInitiatorBlockedMessage(cooldownCheck, 'delete');
+        if (blockedMessage) {
             return interaction.editReply({
-                content: `❌ 您的删除消息功能正在冷却中，请等待 **${timeText}** 后再试。`
+                content: blockedMessage
             });
         }
 
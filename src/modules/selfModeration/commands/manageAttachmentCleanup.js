@@ -6,10 +6,11 @@ const {
     cleanupOldAttachments,
     formatFileSize
 } = require('../services/archiveService');
+const { DATA_DIR } = require('../../../core/utils/database');
 const fs = require('fs').promises;
 const path = require('path');
 
-const ATTACHMENTS_DIR = path.join(__dirname, '../../../../data/attachments');
+const ATTACHMENTS_DIR = path.join(DATA_DIR, 'attachments');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -0,0 +1,48 @@
+// src\modules\selfModeration\commands\myModerationRecord.js
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { buildModerationRecordEmbed } = require('../services/moderationRecordService');
+
+const data = new SlashCommandBuilder()
+    .setName('我的处罚记录')
+    .setDescription('查看您在本服务器被投票删除、投票禁言和法庭判决的记录');
+
+async function execute(interaction) {
+    try {
+        // 检查是否在服务器中使用
+        if (!interaction.guild) {
+            return interaction.reply({
+                content: '❌ 此指令只能在服务器中使用，不能在私信中使用。',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        // 立即defer以防止超时
+        await interaction.deferReply({ ephemeral: true });
+
+        const embed = await buildModerationRecordEmbed(interaction.guild.id, interaction.user.id);
+        await interaction.editReply({ embeds: [embed] });
+
+    } catch (error) {
+        console.error('执行查看处罚记录指令时出错:', error);
+        
+        try {
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: '❌ 处理指令时出现错误，请稍后重试。',
+                    flags: MessageFlags.Ephemeral
+                });
+            } else {
+                await interaction.editReply({
+                    content: '❌ 处理指令时出现错误，请稍后重试。'
+                });
+            }
+        } catch (replyError) {
+            console.error('回复错误信息失败:', replyError);
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute,
+};
@@ -0,0 +1,17 @@
+// src\modules\selfModeration\commands\startDeleteVote.js
+const { ContextMenuCommandBuilder, ApplicationCommandType } = require('discord.js');
+const { handleVoteContextMenu } = require('../services/moderationService');
+
+// 消息右键菜单（Apps）：直接对选中的消息发起删除消息投票，不需要复制消息链接
+const data = new ContextMenuCommandBuilder()
+    .setName('发起删除投票')
+    .setType(ApplicationCommandType.Message);
+
+async function execute(interaction) {
+    await handleVoteContextMenu(interaction, 'delete');
+}
+
+module.exports = {
+    data,
+    execute,
+};
@@ -0,0 +1,17 @@
+// src\modules\selfModeration\commands\startMuteVote.js
+const { ContextMenuCommandBuilder, ApplicationCommandType } = require('discord.js');
+const { handleVoteContextMenu } = require('../services/moderationService');
+
+// 消息右键菜单（Apps）：直接对选中的消息发起禁言用户投票，不需要复制消息链接
+const data = new ContextMenuCommandBuilder()
+    .setName('发起禁言投票')
+    .setType(ApplicationCommandType.Message);
+
+async function execute(interaction) {
+    await handleVoteContextMenu(interaction, 'mute');
+}
+
+module.exports = {
+    data,
+    execute,
+};
@@ -0,0 +1,70 @@
+// src\modules\selfModeration\commands\viewModerationRecord.js
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { checkAdminPermission, getPermissionDeniedMessage } = require('../../../core/utils/permissionManager');
+const { buildModerationRecordEmbed } = require('../services/moderationRecordService');
+
+const data = new SlashCommandBuilder()
+    .setName('查询处罚记录')
+    .setDescription('查询用户在本服务器的处罚记录（投票删除、投票禁言、法庭判决）')
+    .addUserOption(option =>
+        option.setName('用户')
+            .setDescription('要查询的用户')
+            .setRequired(true))
+    .addIntegerOption(option =>
+        option.setName('数量')
+            .setDescription('最多显示的记录条数（默认10）')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(25));
+
+async function execute(interaction) {
+    try {
+        // 检查是否在服务器中使用
+        if (!interaction.guild) {
+            return interaction.reply({
+                content: '❌ 此指令只能在服务器中使用，不能在私信中使用。',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        // 检查用户权限
+        if (!checkAdminPermission(interaction.member, interaction.commandName)) {
+            return interaction.reply({
+                content: getPermissionDeniedMessage(interaction),
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        // 立即defer以防止超时
+        await interaction.deferReply({ ephemeral: true });
+
+        const user = interaction.options.getUser('用户');
+        const limit = interaction.options.getInteger('数量') || 10;
+
+        const embed = await buildModerationRecordEmbed(interaction.guild.id, user.id, limit);
+        await interaction.editReply({ embeds: [embed] });
+
+    } catch (error) {
+        console.error('执行查询处罚记录指令时出错:', error);
+        
+        try {
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: '❌ 处理指令时出现错误，请稍后重试。',
+                    flags: MessageFlags.Ephemeral
+                });
+            } else {
+                await interaction.editReply({
+                    content: '❌ 处理指令时出现错误，请稍后重试。'
+                });
+            }
+        } catch (replyError) {
+            console.error('回复错误信息失败:', replyError);
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute,
+};
@@ -0,0 +1,38 @@
+// src\modules\selfModeration\index.js
+const { processSelfModerationInteraction } = require('./services/moderationService');
+const { startSelfModerationChecker } = require('./services/moderationChecker');
+const { handleVoteReaction } = require('./services/reactionVoteHandler');
+const { startAttachmentCleanupScheduler } = require('./services/archiveService');
+
+module.exports = {
+    name: '自助管理',
+    locales: require('./locales'),
+    commands: [
+        require('./commands/deleteShitMessage'),
+        require('./commands/muteShitUser'),
+        require('./commands/startDeleteVote'),
+        require('./commands/startMuteVote'),
+        require('./commands/setSelfModerationRoles'),
+        require('./commands/setSelfModerationChannels'),
+        require('./commands/setSelfModerationCooldown'),
+        require('./commands/setMessageTimeLimit'),
+        require('./commands/checkMyCooldown'),
+        require('./commands/myModerationRecord'),
+        require('./commands/viewModerationRecord'),
+        require('./commands/setArchiveChannel'),
+        require('./commands/setArchiveViewRole'),
+        require('./commands/getArchiveViewPermission'),
+        require('./commands/manageAttachmentCleanup'),
+    ],
+    buttons: [
+        { prefix: 'selfmod_', handler: processSelfModerationInteraction },
+    ],
+    modals: [
+        { prefix: 'selfmod_modal_', handler: processSelfModerationInteraction },
+    ],
+    reactionHandlers: [handleVoteReaction],
+    schedulers: [
+        { name: '自助管理检查器', start: startSelfModerationChecker },
+        { name: '附件清理定时器', start: startAttachmentCleanupScheduler },
+    ],
+};
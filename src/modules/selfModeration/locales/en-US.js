@@ -0,0 +1,136 @@
+// src\modules\selfModeration\locales\en-US.js
+module.exports = {
+    name: 'Self Moderation',
+
+    commands: {
+        '删除搬屎消息': {
+            name: 'vote-delete-message',
+            description: 'Start a vote to delete a message',
+            options: {
+                '消息链接': { name: 'message-link', description: 'Link to the message to delete (right-click the message -> Copy Message Link)' },
+            },
+        },
+        '禁言搬屎用户': {
+            name: 'vote-mute-user',
+            description: 'Start a vote to mute a user',
+            options: {
+                '消息链接': { name: 'message-link', description: 'Link to a message sent by the user (right-click the message -> Copy Message Link)' },
+            },
+        },
+        '发起删除投票': { name: 'Start delete vote' },
+        '发起禁言投票': { name: 'Start mute vote' },
+        '设置自助管理权限': {
+            name: 'self-moderation-roles',
+            description: 'Set which roles may use self moderation',
+            options: {
+                '删除权限': {
+                    name: 'delete',
+                    description: 'Set the roles that may start message deletion votes',
+                    options: {
+                        '身份组': { name: 'role', description: 'Role allowed to start deletion votes' },
+                        '操作': { name: 'action', description: 'Add or remove the role', choices: { add: 'Add', remove: 'Remove' } },
+                    },
+                },
+                '禁言权限': {
+                    name: 'mute',
+                    description: 'Set the roles that may start mute votes',
+                    options: {
+                        '身份组': { name: 'role', description: 'Role allowed to start mute votes' },
+                        '操作': { name: 'action', description: 'Add or remove the role', choices: { add: 'Add', remove: 'Remove' } },
+                    },
+                },
+                '查看': { name: 'view', description: 'View the current permission settings' },
+            },
+        },
+        '设置自助管理频道': {
+            name: 'self-moderation-channels',
+            description: 'Set which channels allow self moderation',
+            options: {
+                '添加': { name: 'add', description: 'Allow self moderation in a channel', options: { '频道': { name: 'channel', description: 'Channel to add (text channel or forum)' } } },
+                '移除': { name: 'remove', description: 'Stop allowing self moderation in a channel', options: { '频道': { name: 'channel', description: 'Channel to remove' } } },
+                '查看': { name: 'view', description: 'View the channels that allow self moderation' },
+                '清空': { name: 'clear', description: 'Clear all channels (self moderation is disabled everywhere)' },
+            },
+        },
+        '设置自助管理冷却': {
+            name: 'self-moderation-cooldown',
+            description: 'Set the global self moderation cooldown for all users',
+            options: {
+                '删除冷却': {
+                    name: 'delete',
+                    description: 'Set the cooldown for starting deletion votes',
+                    options: { '冷却时间': { name: 'minutes', description: 'Cooldown in minutes (0 for none)' } },
+                },
+                '禁言冷却': {
+                    name: 'mute',
+                    description: 'Set the cooldown for starting mute votes',
+                    options: { '冷却时间': { name: 'minutes', description: 'Cooldown in minutes (0 for none)' } },
+                },
+                '查看设置': { name: 'view', description: 'View the current global cooldowns' },
+            },
+        },
+        '设置消息时间限制': {
+            name: 'message-age-limit',
+            description: 'Limit how old a message may be to be voted on',
+            options: {
+                '设置': { name: 'set', description: 'Set the time limit', options: { '时间限制': { name: 'hours', description: 'Time limit in hours (0 for no limit)' } } },
+                '查看': { name: 'view', description: 'View the current time limit' },
+                '清除': { name: 'clear', description: 'Remove the time limit (messages of any age may be voted on)' },
+            },
+        },
+        '查看我的冷却': {
+            name: 'my-cooldown',
+            description: 'View your current self moderation cooldowns',
+        },
+        '我的处罚记录': {
+            name: 'my-moderation-record',
+            description: 'View the votes and court verdicts that deleted your messages or muted you in this server',
+        },
+        '查询处罚记录': {
+            name: 'moderation-record',
+            description: 'Look up a user\'s moderation record (vote deletions, vote mutes, court verdicts)',
+            options: {
+                '用户': { name: 'user', description: 'User to look up' },
+                '数量': { name: 'limit', description: 'Maximum number of records (default 10)' },
+            },
+        },
+        '设置归档频道': {
+            name: 'archive-channel',
+            description: 'Set the channel where deleted messages are archived',
+            options: {
+                '设置': { name: 'set', description: 'Set the archive channel', options: { '频道': { name: 'channel', description: 'Channel deleted messages are archived to' } } },
+                '查看': { name: 'view', description: 'View the current archive channel' },
+                '清除': { name: 'clear', description: 'Remove the archive channel (disables archiving)' },
+            },
+        },
+        '设置归档查看身份组': {
+            name: 'archive-viewer-role',
+            description: 'Set the role that may view the archive channel',
+            options: {
+                '设置': { name: 'set', description: 'Set the archive viewer role', options: { '身份组': { name: 'role', description: 'Role that may view the archive channel' } } },
+                '查看': { name: 'view', description: 'View the current archive viewer role' },
+                '清除': { name: 'clear', description: 'Remove the archive viewer role' },
+            },
+        },
+        '获取归档查看权限': {
+            name: 'archive-access',
+            description: 'Get or give up access to the archive channel',
+            options: {
+                '操作': { name: 'action', description: 'Get or remove archive access', choices: { add: 'Get access', remove: 'Remove access' } },
+            },
+        },
+        'manage-attachment-cleanup': {
+            description: 'Manage the attachment cleanup task',
+            options: {
+                'status': { description: 'View the cleanup task status' },
+                'start': { description: 'Start the scheduled cleanup task' },
+                'stop': { description: 'Stop the scheduled cleanup task' },
+                'cleanup-now': {
+                    description: 'Run a cleanup now',
+                    options: { 'hours': { description: 'Delete files older than this many hours (default 24)' } },
+                },
+                'info': { description: 'View attachment storage information' },
+            },
+        },
+    },
+};
@@ -1,13 +1,14 @@
 // src\modules\selfModeration\services\archiveService.js
 const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
-const { getArchiveChannelSettings } = require('../../../core/utils/database');
+const { getArchiveChannelSettings, DATA_DIR } = require('../../../core/utils/database');
+const { trackSchedulerRun } = require('../../../core/utils/metrics');
 const fs = require('fs').promises;
 const path = require('path');
 const https = require('https');
 const http = require('http');
 
 // 附件存储配置
-const ATTACHMENTS_DIR = path.join(__dirname, '../../../../data/attachments');
+const ATTACHMENTS_DIR = path.join(DATA_DIR, 'attachments');
 const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB 限制
 const ALLOWED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.mp4', '.mov', '.avi', '.pdf', '.txt', '.doc', '.docx', '.zip', '.rar'];
 
@@ -522,7 +523,7 @@ function startAttachmentCleanupScheduler(client = null) {
     cleanupTimer = setInterval(async () => {
         try {
             console.log('🧹 开始执行定时附件清理任务...');
-            const result = await cleanupOldAttachments(CLEANUP_FILE_AGE_HOURS / 24); // 转换为天数
+            const result = await trackSchedulerRun('selfModeration', '附件清理定时器', () => cleanupOldAttachments(CLEANUP_FILE_AGE_HOURS / 24)); // 转换为天数
             
             if (result.deleted > 0) {
                 console.log(`✅ 定时清理完成：删除了 ${result.deleted} 个旧附件文件`);
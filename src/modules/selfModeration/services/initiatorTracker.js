@@ -0,0 +1,146 @@
+// src\modules\selfModeration\services\initiatorTracker.js
+const {
+    saveSelfModerationInitiation,
+    getSelfModerationInitiations,
+    getSelfModerationGlobalCooldown,
+    getUserLastUsage
+} = require('../../../core/utils/database');
+const { getTimeConfig } = require('../../../core/config/timeconfig');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 记录投票所有发起人的发起结果（成功执行或误报）
+ * @param {object} vote - 投票数据
+ * @param {string} outcome - 'success'（达到执行条件）或 'failed'（投票结束时未达到执行条件）
+ */
+async function recordInitiatorOutcome(vote, outcome) {
+    const { guildId, targetMessageId, type } = vote;
+    const initiators = vote.initiators || [vote.initiatorId];
+    const endedAt = new Date().toISOString();
+
+    for (const userId of initiators) {
+        await saveSelfModerationInitiation({
+            guildId,
+            userId,
+            type,
+            voteKey: `${guildId}_${targetMessageId}_${type}`,
+            outcome,
+            endedAt
+        });
+    }
+
+    console.log(`记录投票 ${guildId}_${targetMessageId}_${type} 的发起结果: ${outcome}，发起人: ${initiators.join(', ')}`);
+}
+
+/**
+ * 获取发起人在误报统计周期内的连续误报次数和发起权暂停情况。
+ * 连续误报达到设定次数时暂停发起权并重新计数，成功执行的投票会清零连续误报次数
+ * @param {string} guildId - 服务器ID
+ * @param {string} userId - 用户ID
+ * @returns {Promise<{failureStreak: number, penaltyMinutes: number, suspendedUntil: Date|null}>}
+ */
+async function getInitiatorStatus(guildId, userId) {
+    const config = getTimeConfig(guildId);
+    if (!config.falseReportWindowDays) {
+        return { failureStreak: 0, penaltyMinutes: 0, suspendedUntil: null };
+    }
+
+    const since = new Date(Date.now() - config.falseReportWindowDays * DAY_MS).toISOString();
+    const initiations = await getSelfModerationInitiations(guildId, userId, since);
+
+    let failureStreak = 0;
+    let suspendedUntil = null;
+    for (const initiation of initiations) {
+        if (initiation.outcome === 'success') {
+            failureStreak = 0;
+            continue;
+        }
+
+        failureStreak++;
+        if (config.falseReportSuspendCount && failureStreak >= config.falseReportSuspendCount) {
+            suspendedUntil = new Date(new Date(initiation.endedAt).getTime() + config.falseReportSuspendHours * 60 * 60 * 1000);
+            failureStreak = 0;
+        }
+    }
+
+    if (suspendedUntil && suspendedUntil <= new Date()) {
+        suspendedUntil = null;
+    }
+
+    return {
+        failureStreak,
+        penaltyMinutes: failureStreak * config.falseReportCooldownMinutes,
+        suspendedUntil
+    };
+}
+
+/**
+ * 检查用户能否发起投票：发起权是否被暂停，以及冷却时间（全局冷却 + 连续误报增加的冷却）
+ * @param {string} guildId - 服务器ID
+ * @param {string} userId - 用户ID
+ * @param {string} type - 投票类型 ('delete' 或 'mute')
+ * @returns {Promise<object>} {inCooldown, remainingMinutes, cooldownMinutes, penaltyMinutes, failureStreak, suspendedUntil}
+ */
+async function checkInitiatorCooldown(guildId, userId, type) {
+    const status = await getInitiatorStatus(guildId, userId);
+    const cooldownMinutes = await getSelfModerationGlobalCooldown(guildId, type) + status.penaltyMinutes;
+
+    let remainingMinutes = 0;
+    const usageData = await getUserLastUsage(guildId, userId, type);
+    if (cooldownMinutes > 0 && usageData?.lastUsed) {
+        const elapsedMinutes = Math.floor((Date.now() - new Date(usageData.lastUsed).getTime()) / (1000 * 60));
+        remainingMinutes = Math.max(0, cooldownMinutes - elapsedMinutes);
+    }
+
+    return {
+        inCooldown: remainingMinutes > 0,
+        remainingMinutes,
+        cooldownMinutes,
+        ...status
+    };
+}
+
+/**
+ * 格式化分钟数，如 1小时30分钟
+ * @param {number} minutes - 分钟数
+ * @returns {string}
+ */
+function formatRemainingTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const remainingMinutes = minutes % 60;
+    let timeText = '';
+    if (hours > 0) timeText += `${hours}小时`;
+    if (remainingMinutes > 0) timeText += `${remainingMinutes}分钟`;
+    return timeText;
+}
+
+/**
+ * 生成不能发起投票时的提示，能发起时返回 null
+ * @param {object} check - checkInitiatorCooldown 的返回值
+ * @param {string} type - 投票类型 ('delete' 或 'mute')
+ * @returns {string|null}
+ */
+function getInitiatorBlockedMessage(check, type) {
+    if (check.suspendedUntil) {
+        return `❌ 由于您近期发起的投票多次未达到执行条件，您发起自助管理投票的权限已被暂停，将于 <t:${Math.floor(check.suspendedUntil.getTime() / 1000)}:f> 恢复。`;
+    }
+
+    if (check.inCooldown) {
+        let content = `❌ 您的${type === 'delete' ? '删除消息' : '禁言用户'}功能正在冷却中，请等待 **${formatRemainingTime(check.remainingMinutes)}** 后再试。`;
+        if (check.penaltyMinutes > 0) {
+            content += `\n（您近期发起的投票连续 ${check.failureStreak} 次未达到执行条件，冷却时间增加了 ${check.penaltyMinutes} 分钟）`;
+        }
+        return content;
+    }
+
+    return null;
+}
+
+module.exports = {
+    recordInitiatorOutcome,
+    getInitiatorStatus,
+    checkInitiatorCooldown,
+    formatRemainingTime,
+    getInitiatorBlockedMessage
+};
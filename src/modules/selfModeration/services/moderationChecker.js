@@ -1,14 +1,29 @@
 // src\modules\selfModeration\services\moderationChecker.js
-const { getAllSelfModerationVotes, updateSelfModerationVote, deleteSelfModerationVote } = require('../../../core/utils/database');
+const { getSelfModerationVote, getSelfModerationVotesByStatus, updateSelfModerationVote, deleteSelfModerationVote } = require('../../../core/utils/database');
 const { getCheckIntervals } = require('../../../core/config/timeconfig');
-const { batchCheckReactions, checkReactionThreshold } = require('./reactionTracker');
+const { trackSchedulerRun } = require('../../../core/utils/metrics');
+const { batchCheckReactions, checkReactionThreshold, getNetReactionScore, getVoteEmojiText, runVoteExclusive, OPPOSE_EMOJI } = require('./reactionTracker');
 const { executeDeleteMessage, executeMuteUser, checkAndDeleteUserMessage } = require('./punishmentExecutor');
+const { recordInitiatorOutcome } = require('./initiatorTracker');
 const { EmbedBuilder } = require('discord.js');
 const { formatMessageLink } = require('../utils/messageParser'); 
 const { deleteMessageAfterVoteEnd } = require('./punishmentExecutor');
 
 /**
- * 检查所有活跃的自助管理投票
+ * 格式化投票双方的票数（支持、反对和净支持数）
+ * @param {object} vote - 投票数据
+ * @returns {string}
+ */
+function formatVoteTally(vote) {
+    const { guildId, type, currentReactionCount = 0, opposeReactionCount = 0 } = vote;
+    const netScore = getNetReactionScore(currentReactionCount, opposeReactionCount, guildId);
+    return `**支持${getVoteEmojiText(type)}数量：** ${currentReactionCount}（去重后）\n**反对${OPPOSE_EMOJI}数量：** ${opposeReactionCount}（去重后）\n**净支持数：** ${netScore}`;
+}
+
+/**
+ * 检查所有活跃的自助管理投票（对账）。
+ * 反应数量由反应事件实时更新并在达到阈值时立即执行，这里重新统计一次反应，
+ * 补上漏掉的事件，并结束已过期或目标消息已删除的投票
  * @param {Client} client - Discord客户端
  */
 async function checkActiveModerationVotes(client) {
@@ -17,7 +32,7 @@ async function checkActiveModerationVotes(client) {
         const checkStartTime = new Date();
         console.log(`检查时间: ${checkStartTime.toISOString()}`);
         
-        const allVotes = await getAllSelfModerationVotes();
+        const allVotes = await getSelfModerationVotesByStatus('active');
         const activeVotes = Object.values(allVotes).filter(vote => vote.status === 'active');
         
         console.log(`找到 ${activeVotes.length} 个活跃的投票`);
@@ -27,12 +42,16 @@ async function checkActiveModerationVotes(client) {
             return;
         }
         
-        // 批量检查反应数量
-        const updatedVotes = await batchCheckReactions(client, activeVotes);
-        
-        // 处理每个投票
-        for (const vote of updatedVotes) {
-            await processIndividualVote(client, vote);
+        // 逐个对账并处理投票，与反应事件的处理排队执行
+        for (const vote of activeVotes) {
+            await runVoteExclusive(vote, async () => {
+                // 排队期间投票可能已被反应事件执行或结束
+                const latestVote = await getSelfModerationVote(vote.guildId, vote.targetMessageId, vote.type);
+                if (!latestVote || latestVote.status !== 'active') return;
+                
+                const [updatedVote] = await batchCheckReactions(client, [latestVote]);
+                await processIndividualVote(client, updatedVote);
+            });
         }
         
         console.log(`=== 自助管理投票检查完成 ===\n`);
@@ -49,7 +68,7 @@ async function checkActiveModerationVotes(client) {
  */
 async function processIndividualVote(client, vote) {
     try {
-        const { guildId, targetMessageId, type, endTime, currentReactionCount, executed, targetMessageExists } = vote;
+        const { guildId, targetMessageId, type, endTime, currentReactionCount, opposeReactionCount, executed, targetMessageExists } = vote;
         const now = new Date();
         const voteEndTime = new Date(endTime);
         
@@ -71,10 +90,11 @@ async function processIndividualVote(client, vote) {
         }
         
         // 检查是否达到执行阈值
-        const thresholdCheck = checkReactionThreshold(currentReactionCount, type);
+        const thresholdCheck = checkReactionThreshold(currentReactionCount, type, vote.guildId, opposeReactionCount);
         
         console.log(`处理投票: ${guildId}_${targetMessageId}_${type}`);
         console.log(`- 反应数量: ${currentReactionCount}`);
+        console.log(`- 反对数量: ${opposeReactionCount || 0}`);
         console.log(`- 是否过期: ${isExpired}`);
         console.log(`- 是否达到阈值: ${thresholdCheck.reached}`);
         console.log(`- 是否已执行: ${executed}`);
@@ -136,7 +156,7 @@ async function editVoteAnnouncementToTargetDeleted(client, vote) {
             return;
         }
         
-        let description = `**删除消息**投票的目标消息已被提前删除，投票自动结束。\n\n**原目标消息：** ${formatMessageLink(targetMessageUrl)}\n**消息作者：** <@${targetUserId}>\n**发起人：** <@${initiatorId}>\n**最终⚠️数量：** ${currentReactionCount}（去重后）\n**状态：** 目标已删除，投票终止`;
+        let description = `**删除消息**投票的目标消息已被提前删除，投票自动结束。\n\n**原目标消息：** ${formatMessageLink(targetMessageUrl)}\n**消息作者：** <@${targetUserId}>\n**发起人：** <@${initiatorId}>\n${formatVoteTally(vote)}\n**状态：** 目标已删除，投票终止`;
         
         description += `\n\n💡 反应统计包含目标消息和投票公告的所有⚠️反应（同一用户只计算一次）`;
         
@@ -179,6 +199,11 @@ async function executePunishment(client, vote) {
             await sendPunishmentNotification(client, vote, result);
         }
         
+        // 达到执行条件的投票清零发起人的连续误报次数
+        if (result?.success) {
+            await recordInitiatorOutcome(vote, 'success');
+        }
+        
     } catch (error) {
         console.error(`执行惩罚时出错:`, error);
     }
@@ -191,20 +216,19 @@ async function executePunishment(client, vote) {
  */
 async function handleExpiredVote(client, vote) {
     try {
-        const { guildId, targetMessageId, type, channelId, currentReactionCount, executed } = vote;
+        const { guildId, targetMessageId, type, channelId, currentReactionCount, opposeReactionCount, executed } = vote;
         
         let deleteResult = null;
+        const thresholdCheck = checkReactionThreshold(currentReactionCount, type, vote.guildId, opposeReactionCount);
         
         // 如果是禁言投票，投票结束后删除消息并归档
         if (type === 'mute') {
             // 检查是否达到禁言阈值
-            const thresholdCheck = checkReactionThreshold(currentReactionCount, type);
-            
             if (thresholdCheck.reached) {
-                console.log(`禁言投票结束且达到阈值 (${currentReactionCount} >= ${thresholdCheck.threshold})，开始删除消息: ${targetMessageId}`);
+                console.log(`禁言投票结束且达到阈值 (支持 ${currentReactionCount}，反对 ${opposeReactionCount || 0}，阈值 ${thresholdCheck.threshold})，开始删除消息: ${targetMessageId}`);
                 deleteResult = await deleteMessageAfterVoteEnd(client, vote);
             } else {
-                console.log(`禁言投票结束但未达到阈值 (${currentReactionCount} < ${thresholdCheck.threshold})，不删除消息: ${targetMessageId}`);
+                console.log(`禁言投票结束但未达到阈值 (支持 ${currentReactionCount}，反对 ${opposeReactionCount || 0}，阈值 ${thresholdCheck.threshold})，不删除消息: ${targetMessageId}`);
             }
         }
         
@@ -214,6 +238,11 @@ async function handleExpiredVote(client, vote) {
             completedAt: new Date().toISOString()
         });
         
+        // 投票结束时仍未达到执行条件，记为发起人的一次误报
+        if (!executed && !thresholdCheck.reached) {
+            await recordInitiatorOutcome(vote, 'failed');
+        }
+        
         // 发送投票结束通知（编辑原始公告，包含删除结果）
         await editVoteAnnouncementToExpired(client, vote, deleteResult);
         
@@ -260,9 +289,9 @@ async function editVoteAnnouncementToExpired(client, vote, deleteResult = null)
         }
         
         const actionName = type === 'delete' ? '删除消息' : '禁言用户';
-        const thresholdCheck = checkReactionThreshold(currentReactionCount, type);
+        const thresholdCheck = checkReactionThreshold(currentReactionCount, type, vote.guildId, vote.opposeReactionCount);
         
-        let description = `**${actionName}**投票已结束\n\n**目标消息：** ${formatMessageLink(targetMessageUrl)}\n**消息作者：** <@${targetUserId}>\n**发起人：** <@${initiatorId}>\n**最终⚠️数量：** ${currentReactionCount}（去重后）\n**所需数量：** ${thresholdCheck.threshold}\n\n${currentReactionCount >= thresholdCheck.threshold ? '✅ 已达到执行条件并执行' : '❌ 未达到执行条件，投票结束'}`;
+        let description = `**${actionName}**投票已结束\n\n**目标消息：** ${formatMessageLink(targetMessageUrl)}\n**消息作者：** <@${targetUserId}>\n**发起人：** <@${initiatorId}>\n${formatVoteTally(vote)}\n**所需净支持数：** ${thresholdCheck.threshold}\n\n${thresholdCheck.reached ? '✅ 已达到执行条件并执行' : '❌ 未达到执行条件，投票结束'}`;
         
         // 🔥 如果是禁言投票且有删除结果，添加消息删除状态
         if (type === 'mute' && deleteResult) {
@@ -285,7 +314,7 @@ async function editVoteAnnouncementToExpired(client, vote, deleteResult = null)
         const embed = new EmbedBuilder()
             .setTitle('⏰ 投票时间已结束')
             .setDescription(description)
-            .setColor(currentReactionCount >= thresholdCheck.threshold ? '#00FF00' : '#808080')
+            .setColor(thresholdCheck.reached ? '#00FF00' : '#808080')
             .setTimestamp()
             .setFooter({
                 text: '投票已结束'
@@ -314,7 +343,7 @@ async function sendPunishmentNotification(client, vote, result) {
         
         let embed;
         if (type === 'delete' && result.success) {
-            let description = `由于⚠️反应数量达到 **${currentReactionCount}** 个（去重后），以下消息已被删除：\n\n**原消息链接：** ${targetMessageUrl}\n**消息作者：** <@${result.messageInfo.authorId}>\n**执行时间：** <t:${Math.floor(Date.now() / 1000)}:f>`;
+            let description = `由于投票达到执行条件，以下消息已被删除：\n\n${formatVoteTally(vote)}\n**原消息链接：** ${targetMessageUrl}\n**消息作者：** <@${result.messageInfo.authorId}>\n**执行时间：** <t:${Math.floor(Date.now() / 1000)}:f>`;
             
             // 添加归档状态信息
             if (result.archived) {
@@ -335,10 +364,10 @@ async function sendPunishmentNotification(client, vote, result) {
         } else if (type === 'mute' && result.success) {
             let description;
             if (result.alreadyMuted) {
-                description = `<@${result.userId}> 已经被禁言，当前禁言时长：**${result.currentDuration}**\n\n⚠️反应数量：${currentReactionCount}（去重后）`;
+                description = `<@${result.userId}> 已经被禁言，当前禁言时长：**${result.currentDuration}**\n\n${formatVoteTally(vote)}`;
             } else {
                 const endTimestamp = Math.floor(result.endTime.getTime() / 1000);
-                description = `由于⚠️反应数量达到 **${currentReactionCount}** 个（去重后），<@${result.userId}> 已在此频道被禁言：\n\n**禁言时长：** ${result.additionalDuration}\n**总禁言时长：** ${result.totalDuration}\n**解禁时间：** <t:${endTimestamp}:f>\n**目标消息：** ${targetMessageUrl}`;
+                description = `由于投票达到执行条件，<@${result.userId}> 已在此频道被禁言：\n\n${formatVoteTally(vote)}\n**禁言时长：** ${result.additionalDuration}\n**总禁言时长：** ${result.totalDuration}${result.multiplier > 1 ? `（累犯加重 ×${Number(result.multiplier.toFixed(2))}，近期已有 ${result.priorOffenses} 条处罚记录）` : ''}\n**解禁时间：** <t:${endTimestamp}:f>\n**目标消息：** ${targetMessageUrl}`;
             }
             
             if (voteAnnouncementMessageId) {
@@ -401,16 +430,16 @@ async function editVoteAnnouncementToExpired(client, vote) {
         }
         
         const actionName = type === 'delete' ? '删除消息' : '禁言用户';
-        const thresholdCheck = checkReactionThreshold(currentReactionCount, type);
+        const thresholdCheck = checkReactionThreshold(currentReactionCount, type, vote.guildId, vote.opposeReactionCount);
         
-        let description = `**${actionName}**投票已结束\n\n**目标消息：** ${formatMessageLink(targetMessageUrl)}\n**消息作者：** <@${targetUserId}>\n**发起人：** <@${initiatorId}>\n**最终⚠️数量：** ${currentReactionCount}（去重后）\n**所需数量：** ${thresholdCheck.threshold}\n\n${currentReactionCount >= thresholdCheck.threshold ? '✅ 已达到执行条件并执行' : '❌ 未达到执行条件，投票结束'}`;
+        let description = `**${actionName}**投票已结束\n\n**目标消息：** ${formatMessageLink(targetMessageUrl)}\n**消息作者：** <@${targetUserId}>\n**发起人：** <@${initiatorId}>\n${formatVoteTally(vote)}\n**所需净支持数：** ${thresholdCheck.threshold}\n\n${thresholdCheck.reached ? '✅ 已达到执行条件并执行' : '❌ 未达到执行条件，投票结束'}`;
         
         description += `\n\n💡 反应统计包含目标消息和投票公告的所有⚠️反应（同一用户只计算一次）`;
         
         const embed = new EmbedBuilder()
             .setTitle('⏰ 投票时间已结束')
             .setDescription(description)
-            .setColor(currentReactionCount >= thresholdCheck.threshold ? '#00FF00' : '#808080')
+            .setColor(thresholdCheck.reached ? '#00FF00' : '#808080')
             .setTimestamp()
             .setFooter({
                 text: '投票已结束'
@@ -432,16 +461,18 @@ async function editVoteAnnouncementToExpired(client, vote) {
 function startSelfModerationChecker(client) {
     console.log('启动自助管理检查器...');
     
+    const runCheck = () => trackSchedulerRun('selfModeration', '自助管理检查器', () => checkActiveModerationVotes(client))
+        .catch(error => console.error('自助管理检查出错:', error));
+
     // 立即进行一次检查
-    checkActiveModerationVotes(client);
+    runCheck();
     
     const intervals = getCheckIntervals();
-    setInterval(() => {
-        checkActiveModerationVotes(client);
-    }, intervals.selfModerationCheck);
+    setInterval(runCheck, intervals.selfModerationCheck);
 }
 
 module.exports = {
     startSelfModerationChecker,
-    checkActiveModerationVotes
+    checkActiveModerationVotes,
+    executePunishment
 };
\ No newline at end of file
@@ -0,0 +1,104 @@
+// src\modules\selfModeration\services\moderationRecordService.js
+const { EmbedBuilder } = require('discord.js');
+const { getModerationRecords } = require('../../../core/utils/database');
+const { getTimeConfig } = require('../../../core/config/timeconfig');
+const { getRepeatOffenseMultiplier, formatDuration } = require('../utils/timeCalculator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 获取用户在累犯统计周期内仍然有效的处罚记录（不含已撤销的判决）
+ * @param {string} guildId - 服务器ID
+ * @param {string} userId - 用户ID
+ * @param {string} [excludeMessageId] - 不计入的消息ID（同一条消息的删除和禁言投票算作同一次违规）
+ * @returns {Promise<Array>} 处罚记录数组，统计周期为 0 时为空
+ */
+async function getRecentOffenses(guildId, userId, excludeMessageId) {
+    const { repeatOffenseWindowDays } = getTimeConfig(guildId);
+    if (!repeatOffenseWindowDays) return [];
+
+    const since = new Date(Date.now() - repeatOffenseWindowDays * DAY_MS).toISOString();
+    const records = await getModerationRecords(guildId, userId, { since });
+    return records.filter(record => !record.revoked && (!excludeMessageId || record.messageId !== excludeMessageId));
+}
+
+/**
+ * 统计用户在累犯统计周期内此前的处罚次数
+ * @param {string} guildId - 服务器ID
+ * @param {string} userId - 用户ID
+ * @param {string} [excludeMessageId] - 不计入的消息ID
+ * @returns {Promise<number>}
+ */
+async function countPriorOffenses(guildId, userId, excludeMessageId) {
+    return (await getRecentOffenses(guildId, userId, excludeMessageId)).length;
+}
+
+function formatMultiplier(multiplier) {
+    return `×${Number(multiplier.toFixed(2))}`;
+}
+
+/**
+ * 把一条处罚记录格式化为一行文本
+ * @param {object} record - 处罚记录
+ * @returns {string}
+ */
+function describeModerationRecord(record) {
+    const time = `<t:${Math.floor(new Date(record.createdAt).getTime() / 1000)}:f>`;
+
+    if (record.type === 'delete') {
+        return `🗑️ **投票删除消息** - ${time}${record.channelId ? ` · <#${record.channelId}>` : ''}`;
+    }
+
+    if (record.type === 'mute') {
+        let line = `🔇 **投票禁言 ${formatDuration(record.totalDuration)}** - ${time}${record.channelId ? ` · <#${record.channelId}>` : ''}`;
+        if (record.multiplier > 1) {
+            line += `\n　└ 累犯加重 ${formatMultiplier(record.multiplier)}（此前 ${record.priorOffenses} 条记录）`;
+        }
+        return line;
+    }
+
+    const verdict = record.punishmentType === 'ban'
+        ? '封禁'
+        : `禁言 ${record.timeoutDays} 天${record.warningDays ? ` + 警告 ${record.warningDays} 天` : ''}`;
+    let line = `⚖️ **法庭判决：${verdict}** - ${time}（法庭申请ID ${record.courtId}）`;
+    if (record.revoked) {
+        line += '\n　└ 上诉成功，判决已撤销';
+    }
+    return line;
+}
+
+/**
+ * 生成用户处罚记录的 Embed，包括最近的记录和累犯加重情况
+ * @param {string} guildId - 服务器ID
+ * @param {string} userId - 用户ID
+ * @param {number} [limit=10] - 最多显示条数
+ * @returns {Promise<EmbedBuilder>}
+ */
+async function buildModerationRecordEmbed(guildId, userId, limit = 10) {
+    const records = await getModerationRecords(guildId, userId, { limit });
+    const { repeatOffenseWindowDays } = getTimeConfig(guildId);
+
+    let repeatOffenseText;
+    if (!repeatOffenseWindowDays) {
+        repeatOffenseText = '本服务器未启用累犯加重。';
+    } else {
+        const recentCount = await countPriorOffenses(guildId, userId);
+        const multiplier = getRepeatOffenseMultiplier(guildId, recentCount);
+        repeatOffenseText = `近 ${repeatOffenseWindowDays} 天内有 **${recentCount}** 条有效记录` +
+            (multiplier > 1 ? `，再次被投票禁言时禁言时长 **${formatMultiplier(multiplier)}**。` : '，再次被投票禁言时不加重。');
+    }
+
+    return new EmbedBuilder()
+        .setTitle('📋 处罚记录')
+        .setDescription(`**用户：** <@${userId}>\n\n` +
+                       (records.length > 0 ? records.map(describeModerationRecord).join('\n') : '暂无处罚记录。'))
+        .addFields({ name: '累犯统计', value: repeatOffenseText })
+        .setColor(records.length > 0 ? '#FFA500' : '#00FF00')
+        .setFooter({ text: `显示最近 ${limit} 条记录` })
+        .setTimestamp();
+}
+
+module.exports = {
+    countPriorOffenses,
+    buildModerationRecordEmbed
+};
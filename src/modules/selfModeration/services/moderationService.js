@@ -1,12 +1,13 @@
 // src\modules\selfModeration\services\moderationService.js
-const { EmbedBuilder, ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } = require('discord.js');
-const { getSelfModerationSettings,checkMessageTimeLimit } = require('../../../core/utils/database');
+const { EmbedBuilder, ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder, MessageFlags } = require('discord.js');
+const { getSelfModerationSettings, checkMessageTimeLimit, updateUserLastUsage } = require('../../../core/utils/database');
 const { checkSelfModerationPermission, checkSelfModerationChannelPermission, getSelfModerationPermissionDeniedMessage } = require('../../../core/utils/permissionManager');
 const { parseMessageUrl, isMessageFromSameGuild, formatMessageLink } = require('../utils/messageParser');
 const { validateChannel, checkBotPermissions } = require('../utils/channelValidator');
 const { createOrMergeVote, checkConflictingVote, formatVoteInfo } = require('./votingManager');
-const { getShitReactionCount } = require('./reactionTracker');
-const { getSelfModerationVoteEndTime, DELETE_THRESHOLD, MUTE_DURATIONS, getCurrentTimeMode } = require('../../../core/config/timeconfig');
+const { checkInitiatorCooldown, getInitiatorStatus, getInitiatorBlockedMessage } = require('./initiatorTracker');
+const { getVoteReactionUsers, OPPOSE_EMOJI } = require('./reactionTracker');
+const { getTimeConfig, getDeleteThreshold, getMuteDurations, getCurrentTimeMode } = require('../../../core/config/timeconfig');
 
 /**
  * 处理所有来自自助管理模块的交互（按钮点击和嵌入窗口的提交）。
@@ -96,54 +97,150 @@ async function showMessageInputModal(interaction, type) {
  * @param {import('discord.js').ModalSubmitInteraction} interaction - 窗口提交的交互对象。
  * @param {string} type - 操作类型 ('delete' 或 'mute')。
  * @param {string} messageUrl - 用户提交的消息链接。
+ * @returns {Promise<boolean>} 是否成功发起或合并了投票
  */
 async function processMessageUrlSubmission(interaction, type, messageUrl) {
+    return startModerationVote(interaction, type, { messageUrl });
+}
+
+/**
+ * 对右键菜单选中的消息启动一个自助管理投票流程。
+ * @param {import('discord.js').MessageContextMenuCommandInteraction} interaction - 右键菜单命令的交互对象。
+ * @param {string} type - 操作类型 ('delete' 或 'mute')。
+ * @returns {Promise<boolean>} 是否成功发起或合并了投票
+ */
+async function processTargetMessageSubmission(interaction, type) {
+    return startModerationVote(interaction, type, { message: interaction.targetMessage });
+}
+
+/**
+ * 处理消息右键菜单（Apps）中的“发起删除投票”/“发起禁言投票”，检查与斜杠命令相同，成功后记录冷却时间。
+ * @param {import('discord.js').MessageContextMenuCommandInteraction} interaction - 右键菜单命令的交互对象。
+ * @param {string} type - 操作类型 ('delete' 或 'mute')。
+ */
+async function handleVoteContextMenu(interaction, type) {
+    try {
+        // 检查是否在服务器中使用
+        if (!interaction.guild) {
+            return interaction.reply({
+                content: '❌ 此指令只能在服务器中使用，不能在私信中使用。',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        // 立即defer以防止超时
+        await interaction.deferReply({ ephemeral: true });
+
+        // 检查冷却时间（全局冷却 + 连续误报增加的冷却）和发起权是否被暂停
+        const cooldownCheck = await checkInitiatorCooldown(interaction.guild.id, interaction.user.id, type);
+        const blockedMessage = getInitiatorBlockedMessage(cooldownCheck, type);
+        if (blockedMessage) {
+            return interaction.editReply({
+                content: blockedMessage
+            });
+        }
+
+        console.log(`用户 ${interaction.user.tag} 通过右键菜单发起${type === 'delete' ? '删除消息' : '禁言用户'}投票，目标消息: ${interaction.targetMessage.url}`);
+
+        const started = await processTargetMessageSubmission(interaction, type);
+
+        // 更新用户最后使用时间（在成功处理后）
+        if (started) {
+            await updateUserLastUsage(interaction.guild.id, interaction.user.id, type);
+        }
+
+    } catch (error) {
+        console.error('处理自助管理右键菜单时出错:', error);
+
+        try {
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: '❌ 处理指令时出现错误，请稍后重试。',
+                    flags: MessageFlags.Ephemeral
+                });
+            } else {
+                await interaction.editReply({
+                    content: '❌ 处理指令时出现错误，请稍后重试。'
+                });
+            }
+        } catch (replyError) {
+            console.error('回复错误信息失败:', replyError);
+        }
+    }
+}
+
+/**
+ * 检查权限、频道和目标消息后创建或合并投票（交互需已 defer）。
+ * @param {import('discord.js').Interaction} interaction - 交互对象。
+ * @param {string} type - 操作类型 ('delete' 或 'mute')。
+ * @param {object} target - 目标消息：{ messageUrl } 消息链接，或 { message } 已选中的消息
+ * @returns {Promise<boolean>} 是否成功发起或合并了投票
+ */
+async function startModerationVote(interaction, type, target) {
     try {
         // 获取设置
         const settings = await getSelfModerationSettings(interaction.guild.id);
         if (!settings) {
-            return interaction.editReply({
+            await interaction.editReply({
                 content: '❌ 该服务器未配置自助管理功能，请联系管理员设置。'
             });
+            return false;
         }
         
         // 检查用户权限
         const hasPermission = checkSelfModerationPermission(interaction.member, type, settings);
         if (!hasPermission) {
-            return interaction.editReply({
-                content: getSelfModerationPermissionDeniedMessage(type)
+            await interaction.editReply({
+                content: getSelfModerationPermissionDeniedMessage(type, interaction)
             });
+            return false;
+        }
+        
+        // 发起权被暂停时不能发起投票（管理面板按钮提交的链接也经过这里）
+        const initiatorStatus = await getInitiatorStatus(interaction.guild.id, interaction.user.id);
+        if (initiatorStatus.suspendedUntil) {
+            await interaction.editReply({
+                content: getInitiatorBlockedMessage(initiatorStatus, type)
+            });
+            return false;
         }
         
         // 检查当前频道权限（用户使用指令的频道）
         const currentChannelAllowed = await validateChannel(interaction.channel.id, settings, interaction.channel);
         if (!currentChannelAllowed) {
-            return interaction.editReply({
+            await interaction.editReply({
                 content: '❌ 此频道不允许使用自助管理功能。请在管理员设置的允许频道中使用此指令。'
             });
+            return false;
         }
         
-        // 解析消息链接
-        const parsed = parseMessageUrl(messageUrl);
+        // 解析消息链接（右键菜单直接使用选中的消息）
+        const messageUrl = target.message ? target.message.url : target.messageUrl;
+        const parsed = target.message
+            ? { guildId: target.message.guildId, channelId: target.message.channelId, messageId: target.message.id }
+            : parseMessageUrl(messageUrl);
         if (!parsed) {
-            return interaction.editReply({
+            await interaction.editReply({
                 content: '❌ 消息链接格式无效，请确保链接是完整的Discord消息链接。'
             });
+            return false;
         }
         
         // 检查是否是同一服务器的消息
         if (parsed.guildId !== interaction.guild.id) {
-            return interaction.editReply({
+            await interaction.editReply({
                 content: '❌ 只能处理本服务器内的消息。'
             });
+            return false;
         }
         
         // 获取并验证目标消息
         const messageInfo = await validateTargetMessage(interaction.client, parsed);
         if (!messageInfo.success) {
-            return interaction.editReply({
+            await interaction.editReply({
                 content: `❌ ${messageInfo.error}`
             });
+            return false;
         }
         
         // 🔥 检查目标消息所在的频道是否也被授权
@@ -171,17 +268,19 @@ async function processMessageUrlSubmission(interaction, type, messageUrl) {
             errorMessage += `• 使用指令的频道必须被授权 ✅\n`;
             errorMessage += `• 目标消息所在的频道也必须被授权 ❌\n\n`;
             
-            return interaction.editReply({
+            await interaction.editReply({
                 content: errorMessage
             });
+            return false;
         }
         
         // 检查机器人权限
         const botPermissions = checkBotPermissions(messageInfo.channel, interaction.guild.members.me, type);
         if (!botPermissions.hasPermission) {
-            return interaction.editReply({
+            await interaction.editReply({
                 content: `❌ 机器人权限不足，缺少以下权限：${botPermissions.missingPermissions.join(', ')}`
             });
+            return false;
         }
         
         // 创建或合并投票
@@ -205,12 +304,14 @@ async function processMessageUrlSubmission(interaction, type, messageUrl) {
         await interaction.editReply({
             content: `✅ ${voteResult.message}`
         });
+        return true;
         
     } catch (error) {
         console.error('处理消息链接提交时出错:', error);
         await interaction.editReply({
             content: '❌ 处理请求时出现错误，请稍后重试。'
         });
+        return false;
     }
 }
 
@@ -288,33 +389,36 @@ async function sendVoteStartNotification(interaction, voteResult, messageInfo) {
         const voteEmoji = type === 'mute' ? '🚫' : '⚠️';
         const emojiName = type === 'mute' ? '🚫' : '⚠️';
         
-        // 获取当前反应数量
-        const initialReactionCount = await getShitReactionCount(
-            interaction.client,
-            voteData.guildId,
-            voteData.targetChannelId,
-            voteData.targetMessageId
-        );
+        // 获取当前支持和反对的反应数量
+        const initialReactionCount = (await getVoteReactionUsers(interaction.client, voteData.targetChannelId, voteData.targetMessageId, type)).size;
+        const initialOpposeCount = (await getVoteReactionUsers(interaction.client, voteData.targetChannelId, voteData.targetMessageId, 'oppose')).size;
         
         // 🔥 动态获取阈值配置
-        const deleteThreshold = DELETE_THRESHOLD;
-        const muteThreshold = MUTE_DURATIONS.LEVEL_1.threshold; // 最低禁言阈值
+        const deleteThreshold = getDeleteThreshold(voteData.guildId);
+        const muteThreshold = getMuteDurations(voteData.guildId).LEVEL_1.threshold; // 最低禁言阈值
         
         // 🔥 获取当前时段模式
-        const currentTimeMode = getCurrentTimeMode();
+        const currentTimeMode = getCurrentTimeMode(voteData.guildId);
         
         // 🔥 构建执行条件文本
         const executionCondition = type === 'delete' 
             ? `${deleteThreshold}个⚠️删除消息 (${currentTimeMode})` 
             : `${muteThreshold}个🚫开始禁言 (${currentTimeMode})`;
         
+        // 反对票规则：按净支持数（支持 - 反对 × 系数）判断，可选支持率下限
+        const { opposeWeight, minSupportPercent } = getTimeConfig(voteData.guildId);
+        let opposeRule = `净支持数 = ${emojiName}数量 - ${OPPOSE_EMOJI}数量 × ${opposeWeight}`;
+        if (minSupportPercent > 0) {
+            opposeRule += `，且支持率不低于 ${minSupportPercent}%`;
+        }
+        
         const embed = new EmbedBuilder()
             .setTitle(`🗳️ ${actionName}投票已启动`)
-            .setDescription(`有用户发起了${actionName}投票，请大家前往目标消息添加${voteEmoji}反应来表达支持，**或者直接对本消息添加${voteEmoji}反应**。\n\n**目标消息：** ${formatMessageLink(targetMessageUrl)}\n**消息作者：** <@${targetUserId}>\n**发起人：** <@${initiatorId}>\n**投票结束时间：** <t:${endTimestamp}:f>\n**当前${emojiName}数量：** ${initialReactionCount}\n**执行条件：** ${executionCondition}`)
+            .setDescription(`有用户发起了${actionName}投票，请大家前往目标消息添加${voteEmoji}反应来表达支持，**或者直接对本消息添加${voteEmoji}反应**；不同意处罚可以添加${OPPOSE_EMOJI}反应反对。\n\n**目标消息：** ${formatMessageLink(targetMessageUrl)}\n**消息作者：** <@${targetUserId}>\n**发起人：** <@${initiatorId}>\n**投票结束时间：** <t:${endTimestamp}:f>\n**当前支持${emojiName}数量：** ${initialReactionCount}\n**当前反对${OPPOSE_EMOJI}数量：** ${initialOpposeCount}\n**执行条件：** ${executionCondition}（${opposeRule}）`)
             .setColor('#FFA500')
             .setTimestamp()
             .setFooter({
-                text: `${emojiName}反应数量会定时检查，达到条件后会自动执行相应操作。可以对目标消息或本公告添加${emojiName}反应，同一用户只计算一次。`
+                text: `可以对目标消息或本公告添加${emojiName}（支持）或${OPPOSE_EMOJI}（反对）反应，同一用户只计算一次。反应数量实时统计，达到条件后会自动执行相应操作。`
             });
         
         // 检查是否有冲突的投票
@@ -334,7 +438,8 @@ async function sendVoteStartNotification(interaction, voteResult, messageInfo) {
         // 根据投票类型自动添加对应的反应到公告消息
         try {
             await announcementMessage.react(voteEmoji);
-            console.log(`已为投票公告消息 ${announcementMessage.id} 添加${voteEmoji}反应`);
+            await announcementMessage.react(OPPOSE_EMOJI);
+            console.log(`已为投票公告消息 ${announcementMessage.id} 添加${voteEmoji}和${OPPOSE_EMOJI}反应`);
         } catch (error) {
             console.error('添加反应到投票公告失败:', error);
         }
@@ -357,5 +462,7 @@ async function sendVoteStartNotification(interaction, voteResult, messageInfo) {
 module.exports = {
     processSelfModerationInteraction,
     validateTargetMessage,
-    processMessageUrlSubmission
+    processMessageUrlSubmission,
+    processTargetMessageSubmission,
+    handleVoteContextMenu
 };
\ No newline at end of file
@@ -1,8 +1,10 @@
 // src\modules\selfModeration\services\punishmentExecutor.js
-const { updateSelfModerationVote } = require('../../../core/utils/database');
+const { updateSelfModerationVote, saveModerationRecord } = require('../../../core/utils/database');
 const { calculateMuteDuration, calculateAdditionalMuteDuration, formatDuration } = require('../utils/timeCalculator');
-const { DELETE_THRESHOLD } = require('../../../core/config/timeconfig');
 const { archiveDeletedMessage } = require('./archiveService');
+const { getNetReactionScore } = require('./reactionTracker');
+const { countPriorOffenses } = require('./moderationRecordService');
+const { logAuditEvent } = require('../../../core/utils/auditLogger');
 
 /**
  * 执行删除消息惩罚
@@ -59,6 +61,31 @@ async function executeDeleteMessage(client, voteData) {
             }]
         });
         
+        if (deleteResult.success && !deleteResult.alreadyDeleted) {
+            await saveModerationRecord({
+                guildId,
+                userId: voteData.targetUserId,
+                type: 'delete',
+                sourceKey: `${guildId}_${targetMessageId}_delete`,
+                messageId: targetMessageId,
+                channelId: targetChannelId,
+                initiatorId: voteData.initiatorId,
+                reactionCount: currentReactionCount
+            });
+        }
+        
+        if (deleteResult.success) {
+            await logAuditEvent(client, {
+                guildId,
+                module: 'selfModeration',
+                action: '投票删除消息',
+                actorId: voteData.initiatorId,
+                targetId: voteData.targetUserId,
+                summary: `社区投票删除了 <#${targetChannelId}> 中的一条消息`,
+                details: { '消息ID': targetMessageId, '反应数量': currentReactionCount, '已归档': deleteResult.archived ? '是' : '否' }
+            });
+        }
+        
         return deleteResult;
         
     } catch (error) {
@@ -210,13 +237,16 @@ function getPermissionChannel(channel) {
  */
 async function executeMuteUser(client, voteData) {
     try {
-        const { guildId, targetChannelId, targetMessageId, targetUserId, currentReactionCount, executedActions = [], targetMessageExists } = voteData;
+        const { guildId, targetChannelId, targetMessageId, targetUserId, currentReactionCount, opposeReactionCount, executedActions = [], targetMessageExists } = voteData;
         
-        console.log(`开始执行禁言用户: ${targetUserId}, 反应数量: ${currentReactionCount}, 目标消息存在: ${targetMessageExists}`);
+        console.log(`开始执行禁言用户: ${targetUserId}, 反应数量: ${currentReactionCount}, 反对数量: ${opposeReactionCount || 0}, 目标消息存在: ${targetMessageExists}`);
         
-        // 计算禁言时长
+        // 计算禁言时长（禁言等级按扣除反对票后的净支持数计算）
         const currentMuteDuration = getCurrentMuteDuration(executedActions);
-        const muteInfo = calculateAdditionalMuteDuration(currentReactionCount, currentMuteDuration);
+        const netScore = getNetReactionScore(currentReactionCount, opposeReactionCount, guildId);
+        // 累犯次数在第一次执行禁言时确定，同一投票之后的等级提升沿用该次数
+        const priorOffenses = voteData.priorOffenses ?? await countPriorOffenses(guildId, targetUserId, targetMessageId);
+        const muteInfo = calculateAdditionalMuteDuration(netScore, currentMuteDuration, guildId, priorOffenses);
         
         if (muteInfo.additionalDuration <= 0) {
             console.log(`用户 ${targetUserId} 不需要额外禁言时间`);
@@ -278,6 +308,7 @@ async function executeMuteUser(client, voteData) {
             totalDuration: muteInfo.totalDuration,
             reactionCount: currentReactionCount,
             level: muteInfo.newLevel,
+            multiplier: muteInfo.multiplier,
             endTime: muteEndTime.toISOString(),
             channelId: targetChannelId,
             permissionChannelId: permissionChannel.id,
@@ -289,11 +320,37 @@ async function executeMuteUser(client, voteData) {
         await updateSelfModerationVote(guildId, targetMessageId, 'mute', {
             executedActions: newExecutedActions,
             lastExecuted: new Date().toISOString(),
-            executed: true
+            executed: true,
+            priorOffenses
             // 注意：这里不设置 status: 'completed'，因为投票还没结束
         });
         
         console.log(`成功禁言用户 ${targetUserId} ${muteInfo.additionalDuration}分钟`);
+
+        // 同一投票只保留一条禁言记录，等级提升时更新累计时长
+        await saveModerationRecord({
+            guildId,
+            userId: targetUserId,
+            type: 'mute',
+            sourceKey: `${guildId}_${targetMessageId}_mute`,
+            messageId: targetMessageId,
+            channelId: targetChannelId,
+            initiatorId: voteData.initiatorId,
+            totalDuration: muteInfo.totalDuration,
+            level: muteInfo.newLevel,
+            multiplier: muteInfo.multiplier,
+            priorOffenses
+        });
+
+        await logAuditEvent(client, {
+            guildId,
+            module: 'selfModeration',
+            action: '投票禁言用户',
+            actorId: voteData.initiatorId,
+            targetId: targetUserId,
+            summary: `社区投票在 <#${permissionChannel.id}> 禁言 ${formatDuration(muteInfo.additionalDuration)}（累计 ${formatDuration(muteInfo.totalDuration)}）`,
+            details: { '消息ID': targetMessageId, '反应数量': currentReactionCount, '禁言等级': muteInfo.newLevel, '累犯加重': `×${Number(muteInfo.multiplier.toFixed(2))}（此前 ${priorOffenses} 条记录）` }
+        });
         
         // 设置定时器，到时间后解除禁言
         setTimeout(async () => {
@@ -312,6 +369,8 @@ async function executeMuteUser(client, voteData) {
             additionalDuration: formatDuration(muteInfo.additionalDuration),
             totalDuration: formatDuration(muteInfo.totalDuration),
             level: muteInfo.newLevel,
+            multiplier: muteInfo.multiplier,
+            priorOffenses,
             reactionCount: currentReactionCount,
             endTime: muteEndTime,
             targetMessageExists,
@@ -419,6 +478,17 @@ async function deleteMessageAfterVoteEnd(client, voteData) {
         });
         
         console.log(`投票结束后删除消息结果: 成功=${deleteResult.success}, 归档=${deleteResult.archived}`);
+        if (deleteResult.success) {
+            await logAuditEvent(client, {
+                guildId,
+                module: 'selfModeration',
+                action: '禁言投票后删除消息',
+                actorId: voteData.initiatorId,
+                targetId: voteData.targetUserId,
+                summary: `禁言投票结束后删除了 <#${targetChannelId}> 中的被投票消息`,
+                details: { '消息ID': targetMessageId, '已归档': deleteResult.archived ? '是' : '否' }
+            });
+        }
         return deleteResult;
         
     } catch (error) {
@@ -1,6 +1,33 @@
 // src\modules\selfModeration\services\reactionTracker.js
 const { updateSelfModerationVote } = require('../../../core/utils/database');
-const { DELETE_THRESHOLD, MUTE_DURATIONS } = require('../../../core/config/timeconfig');
+const { getTimeConfig, getDeleteThreshold, getMuteDurations } = require('../../../core/config/timeconfig');
+
+// 反对票表情，删除和禁言投票共用
+const OPPOSE_EMOJI = '🛡️';
+
+// 投票 -> 正在进行的处理。反应事件和定时对账按投票排队执行，避免计数互相覆盖或重复执行惩罚
+const voteQueues = new Map();
+
+/**
+ * 按投票串行执行任务（同一投票的任务依次执行，不同投票互不影响）
+ * @param {object} voteData - 投票数据（需要 guildId、targetMessageId、type）
+ * @param {Function} task - 要执行的异步任务
+ * @returns {Promise<*>} 任务的返回值
+ */
+async function runVoteExclusive(voteData, task) {
+    const voteKey = `${voteData.guildId}_${voteData.targetMessageId}_${voteData.type}`;
+    const previous = voteQueues.get(voteKey) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    voteQueues.set(voteKey, current);
+
+    try {
+        return await current;
+    } finally {
+        if (voteQueues.get(voteKey) === current) {
+            voteQueues.delete(voteKey);
+        }
+    }
+}
 
 /**
  * 检查消息是否存在
@@ -29,7 +56,7 @@ async function checkMessageExists(client, channelId, messageId) {
 
 /**
  * 根据投票类型获取对应的表情符号
- * @param {string} type - 投票类型 ('delete' 或 'mute')
+ * @param {string} type - 投票类型 ('delete' 或 'mute')，反对票为 'oppose'
  * @returns {Array<string>} 表情符号数组
  */
 function getVoteEmojis(type) {
@@ -39,18 +66,55 @@ function getVoteEmojis(type) {
     } else if (type === 'mute') {
         // 禁言投票使用🚫表情
         return ['🚫', '🚯', 'no_entry_sign', ':no_entry_sign:'];
+    } else if (type === 'oppose') {
+        // 反对票使用🛡️表情
+        return [OPPOSE_EMOJI, '🛡', 'shield', ':shield:'];
     }
     
     // 默认返回⚠️表情（向后兼容）
     return ['⚠️', '⚠', 'warning', ':warning:'];
 }
 
+/**
+ * 获取投票类型用于显示的表情
+ * @param {string} type - 投票类型 ('delete' 或 'mute')，反对票为 'oppose'
+ * @returns {string}
+ */
+function getVoteEmojiText(type) {
+    if (type === 'mute') return '🚫';
+    if (type === 'oppose') return OPPOSE_EMOJI;
+    return '⚠️';
+}
+
+/**
+ * 判断表情是否为指定投票类型的投票表情
+ * @param {object} emoji - 反应的表情（ReactionEmoji）
+ * @param {string} type - 投票类型 ('delete' 或 'mute')，反对票为 'oppose'
+ * @returns {boolean}
+ */
+function isVoteEmoji(emoji, type) {
+    return getVoteEmojis(type).some(voteEmoji =>
+        emoji.name === voteEmoji ||
+        emoji.unicode === voteEmoji ||
+        (voteEmoji.startsWith(':') && voteEmoji.endsWith(':') && emoji.name === voteEmoji.slice(1, -1))
+    );
+}
+
+/**
+ * 根据表情判断对应的投票类型
+ * @param {object} emoji - 反应的表情（ReactionEmoji）
+ * @returns {string|null} 'delete'、'mute'，反对票为 'oppose'，不是投票表情时返回 null
+ */
+function getVoteTypeByEmoji(emoji) {
+    return ['delete', 'mute', 'oppose'].find(type => isVoteEmoji(emoji, type)) || null;
+}
+
 /**
  * 获取消息的投票反应用户列表（支持不同投票类型）
  * @param {Client} client - Discord客户端
  * @param {string} channelId - 频道ID
  * @param {string} messageId - 消息ID
- * @param {string} type - 投票类型 ('delete' 或 'mute')
+ * @param {string} type - 投票类型 ('delete' 或 'mute')，反对票为 'oppose'
  * @returns {Set<string>} 用户ID集合
  */
 async function getVoteReactionUsers(client, channelId, messageId, type = 'delete') {
@@ -67,20 +131,11 @@ async function getVoteReactionUsers(client, channelId, messageId, type = 'delete
             return new Set();
         }
         
-        // 根据投票类型获取对应的表情符号
-        const emojis = getVoteEmojis(type);
-        
-        // 查找对应的反应
-        const voteReaction = message.reactions.cache.find(reaction => {
-            return emojis.some(emoji => 
-                reaction.emoji.name === emoji || 
-                reaction.emoji.unicode === emoji ||
-                (emoji.startsWith(':') && emoji.endsWith(':') && reaction.emoji.name === emoji.slice(1, -1))
-            );
-        });
+        // 查找投票类型对应的反应
+        const voteReaction = message.reactions.cache.find(reaction => isVoteEmoji(reaction.emoji, type));
         
         if (!voteReaction) {
-            const emojiText = type === 'mute' ? '🚫' : '⚠️';
+            const emojiText = getVoteEmojiText(type);
             console.log(`消息 ${messageId} 没有${emojiText}反应`);
             return new Set();
         }
@@ -95,22 +150,42 @@ async function getVoteReactionUsers(client, channelId, messageId, type = 'delete
             }
         });
         
-        const emojiText = type === 'mute' ? '🚫' : '⚠️';
+        const emojiText = getVoteEmojiText(type);
         console.log(`消息 ${messageId} 的${emojiText}反应用户数量: ${userIds.size}`);
         return userIds;
         
     } catch (error) {
-        const emojiText = type === 'mute' ? '🚫' : '⚠️';
+        const emojiText = getVoteEmojiText(type);
         console.error(`获取${emojiText}反应用户时出错:`, error);
         return new Set();
     }
 }
 
+/**
+ * 反应的用户是否计入投票：加入服务器不满 newMemberReactionHours 小时的成员不计入（防止新加入的小号刷票），
+ * 无法获取成员信息（如已离开服务器）时照常计入
+ * @param {Client} client - Discord客户端
+ * @param {string} guildId - 服务器ID
+ * @param {string} userId - 用户ID
+ * @returns {Promise<boolean>}
+ */
+async function isEligibleVoter(client, guildId, userId) {
+    const { newMemberReactionHours } = getTimeConfig(guildId);
+    if (!newMemberReactionHours) return true;
+    
+    const guild = await client.guilds.fetch(guildId).catch(() => null);
+    const member = await guild?.members.fetch(userId).catch(() => null);
+    if (!member?.joinedTimestamp) return true;
+    
+    return Date.now() - member.joinedTimestamp >= newMemberReactionHours * 60 * 60 * 1000;
+}
+
 /**
  * 获取目标消息和投票公告的反应数量（去重后）
  * @param {Client} client - Discord客户端
  * @param {object} voteData - 投票数据
- * @returns {object} {uniqueUsers: Set, totalCount: number, targetMessageExists: boolean}
+ * @returns {object} {uniqueUsers: Set, targetUsers: Set, announcementUsers: Set, totalCount: number,
+ *   opposeTargetUsers: Set, opposeAnnouncementUsers: Set, opposeCount: number, targetMessageExists: boolean}
  */
 async function getDeduplicatedReactionCount(client, voteData) {
     try {
@@ -127,30 +202,56 @@ async function getDeduplicatedReactionCount(client, voteData) {
         const targetMessageExists = await checkMessageExists(client, targetChannelId, targetMessageId);
         console.log(`目标消息 ${targetMessageId} 是否存在: ${targetMessageExists}`);
         
-        // 初始化用户集合
-        const allUsers = new Set();
+        // 初始化用户集合（支持和反对分别统计）
+        let targetUsers = new Set();
+        let announcementUsers = new Set();
+        let opposeTargetUsers = new Set();
+        let opposeAnnouncementUsers = new Set();
         
         // 如果目标消息存在，获取其反应用户
         if (targetMessageExists) {
-            const targetUsers = await getVoteReactionUsers(client, targetChannelId, targetMessageId, type);
-            console.log(`目标消息反应用户: ${targetUsers.size}`);
-            targetUsers.forEach(userId => allUsers.add(userId));
+            targetUsers = await getVoteReactionUsers(client, targetChannelId, targetMessageId, type);
+            opposeTargetUsers = await getVoteReactionUsers(client, targetChannelId, targetMessageId, 'oppose');
+            console.log(`目标消息反应用户: ${targetUsers.size}，反对: ${opposeTargetUsers.size}`);
         } else {
             console.log(`目标消息不存在，跳过目标消息反应统计`);
         }
         
         // 获取投票公告的反应用户（投票公告应该始终存在）
         if (voteAnnouncementMessageId && voteAnnouncementChannelId) {
-            const announcementUsers = await getVoteReactionUsers(client, voteAnnouncementChannelId, voteAnnouncementMessageId, type);
-            console.log(`投票公告反应用户: ${announcementUsers.size}`);
-            announcementUsers.forEach(userId => allUsers.add(userId));
+            announcementUsers = await getVoteReactionUsers(client, voteAnnouncementChannelId, voteAnnouncementMessageId, type);
+            opposeAnnouncementUsers = await getVoteReactionUsers(client, voteAnnouncementChannelId, voteAnnouncementMessageId, 'oppose');
+            console.log(`投票公告反应用户: ${announcementUsers.size}，反对: ${opposeAnnouncementUsers.size}`);
         }
         
-        console.log(`去重后总反应用户数: ${allUsers.size}`);
+        // 排除新成员的反应（支持和反对都不计入）
+        const ineligibleUsers = new Set();
+        for (const userId of new Set([...targetUsers, ...announcementUsers, ...opposeTargetUsers, ...opposeAnnouncementUsers])) {
+            if (!await isEligibleVoter(client, guildId, userId)) {
+                ineligibleUsers.add(userId);
+            }
+        }
+        if (ineligibleUsers.size > 0) {
+            const withoutIneligible = users => new Set([...users].filter(userId => !ineligibleUsers.has(userId)));
+            targetUsers = withoutIneligible(targetUsers);
+            announcementUsers = withoutIneligible(announcementUsers);
+            opposeTargetUsers = withoutIneligible(opposeTargetUsers);
+            opposeAnnouncementUsers = withoutIneligible(opposeAnnouncementUsers);
+            console.log(`忽略 ${ineligibleUsers.size} 个新成员的反应`);
+        }
+        
+        const allUsers = new Set([...targetUsers, ...announcementUsers]);
+        const opposeUsers = new Set([...opposeTargetUsers, ...opposeAnnouncementUsers]);
+        console.log(`去重后总反应用户数: ${allUsers.size}，反对: ${opposeUsers.size}`);
         
         return {
             uniqueUsers: allUsers,
+            targetUsers,
+            announcementUsers,
             totalCount: allUsers.size,
+            opposeTargetUsers,
+            opposeAnnouncementUsers,
+            opposeCount: opposeUsers.size,
             targetMessageExists
         };
         
@@ -158,7 +259,12 @@ async function getDeduplicatedReactionCount(client, voteData) {
         console.error('获取去重后反应数量时出错:', error);
         return {
             uniqueUsers: new Set(),
+            targetUsers: new Set(),
+            announcementUsers: new Set(),
             totalCount: 0,
+            opposeTargetUsers: new Set(),
+            opposeAnnouncementUsers: new Set(),
+            opposeCount: 0,
             targetMessageExists: false
         };
     }
@@ -183,7 +289,8 @@ async function getShitReactionCount(client, guildId, channelId, messageId) {
 }
 
 /**
- * 更新投票的反应数量（使用去重逻辑）
+ * 重新完整统计投票的反应数量（使用去重逻辑），同时保存目标消息和投票公告的投票用户，
+ * 作为之后反应事件增量计数的基础
  * @param {Client} client - Discord客户端
  * @param {object} voteData - 投票数据
  * @returns {object|null} 更新后的投票数据
@@ -203,10 +310,19 @@ async function updateVoteReactionCountWithDeduplication(client, voteData) {
             currentReactionCount: newCount,
             lastChecked: new Date().toISOString(),
             uniqueUserCount: newCount,
-            targetMessageExists: targetMessageExists // 记录目标消息是否存在
+            opposeReactionCount: reactionResult.opposeCount,
+            targetMessageExists: targetMessageExists, // 记录目标消息是否存在
+            reactionVoters: {
+                target: [...reactionResult.targetUsers],
+                announcement: [...reactionResult.announcementUsers]
+            },
+            opposeVoters: {
+                target: [...reactionResult.opposeTargetUsers],
+                announcement: [...reactionResult.opposeAnnouncementUsers]
+            }
         });
         
-        console.log(`更新投票 ${guildId}_${targetMessageId}_${type} 反应数量: ${newCount}, 目标消息存在: ${targetMessageExists}`);
+        console.log(`更新投票 ${guildId}_${targetMessageId}_${type} 反应数量: ${newCount}, 反对: ${reactionResult.opposeCount}, 目标消息存在: ${targetMessageExists}`);
         return updated;
         
     } catch (error) {
@@ -216,7 +332,8 @@ async function updateVoteReactionCountWithDeduplication(client, voteData) {
 }
 
 /**
- * 批量检查多个投票的反应数量（使用去重逻辑）
+ * 批量对账多个投票的反应数量（使用去重逻辑）。
+ * 计数平时由反应事件增量更新，这里重新完整统计一次，补上机器人离线期间或事件丢失时的变化
  * @param {Client} client - Discord客户端
  * @param {Array} votes - 投票数组
  * @returns {Array} 更新后的投票数组
@@ -226,23 +343,11 @@ async function batchCheckReactions(client, votes) {
     
     for (const vote of votes) {
         try {
-            // 使用新的去重反应计数方法
-            const reactionResult = await getDeduplicatedReactionCount(client, vote);
-            const currentCount = reactionResult.totalCount;
-            
-            // 如果反应数量有变化，更新数据库
-            if (currentCount !== vote.currentReactionCount) {
-                const updatedVote = await updateVoteReactionCountWithDeduplication(client, vote);
-                if (updatedVote) {
-                    updatedVotes.push(updatedVote);
-                } else {
-                    // 如果更新失败，至少更新内存中的数据
-                    vote.currentReactionCount = currentCount;
-                    updatedVotes.push(vote);
-                }
-            } else {
-                updatedVotes.push(vote);
+            const updatedVote = await updateVoteReactionCountWithDeduplication(client, vote);
+            if (updatedVote && (updatedVote.currentReactionCount !== vote.currentReactionCount || updatedVote.opposeReactionCount !== (vote.opposeReactionCount || 0))) {
+                console.log(`对账修正投票 ${vote.guildId}_${vote.targetMessageId}_${vote.type}: ${getReactionChangeDescription(vote.currentReactionCount || 0, updatedVote.currentReactionCount)}，反对 ${vote.opposeReactionCount || 0} → ${updatedVote.opposeReactionCount}`);
             }
+            updatedVotes.push(updatedVote || vote);
             
         } catch (error) {
             console.error(`检查投票 ${vote.guildId}_${vote.targetMessageId}_${vote.type} 的反应时出错:`, error);
@@ -254,23 +359,108 @@ async function batchCheckReactions(client, votes) {
 }
 
 /**
- * 检查反应数量是否达到阈值
- * @param {number} reactionCount - 反应数量
+ * 统计目标消息和投票公告上的去重用户数
+ * @param {object} [voters] - { target: [用户ID], announcement: [用户ID] }
+ * @returns {number}
+ */
+function countVoters(voters) {
+    return new Set([...(voters?.target || []), ...(voters?.announcement || [])]).size;
+}
+
+/**
+ * 按一次反应事件增量更新投票用户集合和去重后的反应数量
+ * @param {object} voteData - 投票数据（需要已有 reactionVoters 和 opposeVoters）
+ * @param {string} source - 反应所在的消息：'target' 目标消息，'announcement' 投票公告
+ * @param {string} userId - 反应的用户ID
+ * @param {boolean} added - 添加反应为 true，移除反应为 false
+ * @param {boolean} [oppose=false] - 是否为反对票（🛡️）
+ * @returns {object|null} 更新后的投票数据
+ */
+async function recordVoteReaction(voteData, source, userId, added, oppose = false) {
+    const { guildId, targetMessageId, type } = voteData;
+    const field = oppose ? 'opposeVoters' : 'reactionVoters';
+    
+    const voters = new Set(voteData[field][source] || []);
+    if (added) {
+        voters.add(userId);
+    } else {
+        voters.delete(userId);
+    }
+    
+    const updatedVoters = { ...voteData[field], [source]: [...voters] };
+    const newCount = countVoters(updatedVoters);
+    
+    const updates = { [field]: updatedVoters };
+    if (oppose) {
+        updates.opposeReactionCount = newCount;
+    } else {
+        updates.lastReactionCount = newCount;
+        updates.currentReactionCount = newCount;
+        updates.uniqueUserCount = newCount;
+    }
+    // 目标消息上的反应说明目标消息仍然存在
+    if (source === 'target') {
+        updates.targetMessageExists = true;
+    }
+    
+    const updated = await updateSelfModerationVote(guildId, targetMessageId, type, updates);
+    if (oppose) {
+        console.log(`投票 ${guildId}_${targetMessageId}_${type} 反对票: ${voteData.opposeReactionCount || 0} → ${newCount}`);
+    } else {
+        console.log(`投票 ${guildId}_${targetMessageId}_${type} ${getReactionChangeDescription(voteData.currentReactionCount || 0, newCount)}`);
+    }
+    return updated;
+}
+
+/**
+ * 计算扣除反对票后的净支持数（支持数 - 反对数 × 服务器设置的抵消系数，不小于 0）
+ * @param {number} reactionCount - 支持的反应数量（去重后）
+ * @param {number} opposeCount - 反对的反应数量（去重后）
+ * @param {string} guildId - 服务器ID
+ * @returns {number}
+ */
+function getNetReactionScore(reactionCount, opposeCount, guildId) {
+    const { opposeWeight } = getTimeConfig(guildId);
+    return Math.max(0, Math.floor(reactionCount - (opposeCount || 0) * opposeWeight));
+}
+
+/**
+ * 支持率（支持 / (支持 + 反对)）是否达到服务器设置的下限
+ * @param {number} reactionCount - 支持的反应数量（去重后）
+ * @param {number} opposeCount - 反对的反应数量（去重后）
+ * @param {string} guildId - 服务器ID
+ * @returns {boolean}
+ */
+function meetsSupportRatio(reactionCount, opposeCount, guildId) {
+    const { minSupportPercent } = getTimeConfig(guildId);
+    const total = reactionCount + (opposeCount || 0);
+    return total === 0 || (reactionCount / total) * 100 >= minSupportPercent;
+}
+
+/**
+ * 检查反应数量是否达到阈值（扣除反对票后的净支持数达到阈值，且支持率不低于下限）
+ * @param {number} reactionCount - 支持的反应数量
  * @param {string} type - 投票类型 ('delete' 或 'mute')
+ * @param {string} guildId - 服务器ID（阈值按服务器时间配置计算）
+ * @param {number} [opposeCount=0] - 反对的反应数量
  * @returns {object} {reached: boolean, threshold: number, action: string}
  */
-function checkReactionThreshold(reactionCount, type) {
+function checkReactionThreshold(reactionCount, type, guildId, opposeCount = 0) {
+    const netScore = getNetReactionScore(reactionCount, opposeCount, guildId);
+    const supportRatioMet = meetsSupportRatio(reactionCount, opposeCount, guildId);
+    
     if (type === 'delete') {
+        const deleteThreshold = getDeleteThreshold(guildId);
         return {
-            reached: reactionCount >= DELETE_THRESHOLD,
-            threshold: DELETE_THRESHOLD,
+            reached: netScore >= deleteThreshold && supportRatioMet,
+            threshold: deleteThreshold,
             action: '删除消息'
         };
     } else if (type === 'mute') {
         // 使用禁言的最低阈值
-        const MUTE_BASE_THRESHOLD = MUTE_DURATIONS.LEVEL_1.threshold;
+        const MUTE_BASE_THRESHOLD = getMuteDurations(guildId).LEVEL_1.threshold;
         return {
-            reached: reactionCount >= MUTE_BASE_THRESHOLD,
+            reached: netScore >= MUTE_BASE_THRESHOLD && supportRatioMet,
             threshold: MUTE_BASE_THRESHOLD,
             action: '禁言用户'
         };
@@ -302,10 +492,17 @@ function getReactionChangeDescription(oldCount, newCount) {
 module.exports = {
     getShitReactionCount,
     getVoteReactionUsers,
+    isEligibleVoter,
     getDeduplicatedReactionCount,
     updateVoteReactionCountWithDeduplication,
     checkMessageExists,
     checkReactionThreshold,
+    getNetReactionScore,
+    getVoteEmojiText,
+    OPPOSE_EMOJI,
     batchCheckReactions,
+    recordVoteReaction,
+    runVoteExclusive,
+    getVoteTypeByEmoji,
     getReactionChangeDescription
 };
\ No newline at end of file
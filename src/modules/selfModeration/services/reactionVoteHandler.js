@@ -0,0 +1,100 @@
+// src\modules\selfModeration\services\reactionVoteHandler.js
+const { getSelfModerationVote, getSelfModerationVotesByStatus } = require('../../../core/utils/database');
+const {
+    getVoteTypeByEmoji,
+    isEligibleVoter,
+    recordVoteReaction,
+    runVoteExclusive,
+    updateVoteReactionCountWithDeduplication,
+    checkReactionThreshold
+} = require('./reactionTracker');
+const { executePunishment } = require('./moderationChecker');
+
+/**
+ * 查找以该消息为目标消息或投票公告的活跃投票
+ * @param {string} guildId - 服务器ID
+ * @param {string} messageId - 消息ID
+ * @param {string|null} type - 投票类型 ('delete' 或 'mute')，为 null 时查找所有类型（反对票）
+ * @returns {Array} 投票数组
+ */
+async function findActiveVotesByMessage(guildId, messageId, type) {
+    const activeVotes = await getSelfModerationVotesByStatus('active');
+    return Object.values(activeVotes).filter(vote =>
+        vote.guildId === guildId &&
+        (!type || vote.type === type) &&
+        (vote.targetMessageId === messageId || vote.voteAnnouncementMessageId === messageId)
+    );
+}
+
+/**
+ * 把一次反应计入投票，达到阈值时立即执行惩罚
+ * @param {Client} client - Discord客户端
+ * @param {object} vote - 投票数据
+ * @param {string} messageId - 反应所在的消息ID
+ * @param {string} userId - 反应的用户ID
+ * @param {boolean} added - 添加反应为 true，移除反应为 false
+ * @param {boolean} oppose - 是否为反对票（🛡️）
+ */
+async function applyVoteReaction(client, vote, messageId, userId, added, oppose) {
+    const { guildId, targetMessageId, type } = vote;
+
+    // 排队期间投票可能已被其他事件或对账检查更新
+    const latestVote = await getSelfModerationVote(guildId, targetMessageId, type);
+    if (!latestVote || latestVote.status !== 'active') return;
+
+    // 投票结束后的反应不再计入，由对账检查结束投票
+    if (new Date() >= new Date(latestVote.endTime)) return;
+
+    let updatedVote;
+    if (!latestVote.reactionVoters || !latestVote.opposeVoters) {
+        // 还没有投票用户集合（如投票发起前消息已有反应），先完整统计一次，结果已包含这次反应
+        updatedVote = await updateVoteReactionCountWithDeduplication(client, latestVote);
+    } else {
+        const source = messageId === targetMessageId ? 'target' : 'announcement';
+        updatedVote = await recordVoteReaction(latestVote, source, userId, added, oppose);
+    }
+    if (!updatedVote) return;
+
+    // 取消反对票也可能让投票达到执行条件
+    const thresholdCheck = checkReactionThreshold(updatedVote.currentReactionCount, type, guildId, updatedVote.opposeReactionCount);
+    if (thresholdCheck.reached && !updatedVote.executed) {
+        console.log(`投票 ${guildId}_${targetMessageId}_${type} 达到阈值 (支持 ${updatedVote.currentReactionCount}，反对 ${updatedVote.opposeReactionCount || 0}，阈值 ${thresholdCheck.threshold})，立即执行${thresholdCheck.action}`);
+        await executePunishment(client, updatedVote);
+    }
+}
+
+/**
+ * 处理投票表情和反对表情的添加和移除（messageReactionAdd / messageReactionRemove）
+ * @param {MessageReaction} reaction - 反应
+ * @param {User} user - 添加或移除反应的用户
+ * @param {string} action - 'add' 或 'remove'
+ */
+async function handleVoteReaction(reaction, user, action) {
+    // 机器人的反应不计入投票
+    if (user.bot) return;
+
+    const type = getVoteTypeByEmoji(reaction.emoji);
+    if (!type) return;
+
+    const { message } = reaction;
+    if (!message.guildId) return;
+
+    // 反对票（🛡️）同时计入该消息上的删除和禁言投票
+    const oppose = type === 'oppose';
+    const votes = await findActiveVotesByMessage(message.guildId, message.id, oppose ? null : type);
+    if (votes.length === 0) return;
+
+    // 新成员的反应不计入投票（添加和移除都忽略，对账统计时同样排除）
+    if (!await isEligibleVoter(message.client, message.guildId, user.id)) {
+        console.log(`忽略新成员 ${user.id} 在消息 ${message.id} 上的反应`);
+        return;
+    }
+
+    for (const vote of votes) {
+        await runVoteExclusive(vote, () => applyVoteReaction(message.client, vote, message.id, user.id, action === 'add', oppose));
+    }
+}
+
+module.exports = {
+    handleVoteReaction
+};
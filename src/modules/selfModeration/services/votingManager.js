@@ -15,8 +15,8 @@ async function createOrMergeVote(voteData) {
         const existingVote = await getSelfModerationVote(guildId, targetMessageId, type);
         
         if (existingVote) {
-            // 检查是否是同一个发起人
-            if (existingVote.initiatorId === initiatorId) {
+            // 检查是否已经是发起人（包括合并进来的发起人）
+            if ((existingVote.initiators || [existingVote.initiatorId]).includes(initiatorId)) {
                 return {
                     isNewVote: false,
                     voteData: existingVote,
@@ -47,7 +47,7 @@ async function createOrMergeVote(voteData) {
             ...voteData,
             initiators: [initiatorId],
             startTime: new Date().toISOString(),
-            endTime: getSelfModerationVoteEndTime().toISOString(),
+            endTime: getSelfModerationVoteEndTime(guildId).toISOString(),
             status: 'active',
             currentReactionCount: 0,
             lastReactionCount: 0,
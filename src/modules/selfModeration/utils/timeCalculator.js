@@ -1,22 +1,40 @@
 // src\modules\selfModeration\utils\timeCalculator.js
-const { MUTE_DURATIONS } = require('../../../core/config/timeconfig');
+const { getMuteDurations, getTimeConfig, MAX_MUTE_MINUTES } = require('../../../core/config/timeconfig');
 
 /**
- * 根据⚠️数量计算禁言时长
+ * 获取累犯的禁言加重倍数（统计周期内此前每有一条处罚记录乘一次加重系数）
+ * @param {string} guildId - 服务器ID
+ * @param {number} priorOffenses - 统计周期内此前的处罚记录数量
+ * @returns {number} 加重倍数，没有前科或未启用时为 1
+ */
+function getRepeatOffenseMultiplier(guildId, priorOffenses) {
+    const { repeatOffenseWindowDays, repeatOffenseMultiplier } = getTimeConfig(guildId);
+    if (!repeatOffenseWindowDays || !priorOffenses) return 1;
+    return Math.pow(repeatOffenseMultiplier, priorOffenses);
+}
+
+/**
+ * 根据⚠️数量计算禁言时长，累犯按加重倍数延长（最长 28 天）
  * @param {number} reactionCount - ⚠️反应数量
- * @returns {object} {level: number, duration: number, threshold: number}
+ * @param {string} guildId - 服务器ID
+ * @param {number} [priorOffenses=0] - 统计周期内此前的处罚记录数量
+ * @returns {object} {level: number, duration: number, threshold: number, baseDuration: number, multiplier: number}
  */
-function calculateMuteDuration(reactionCount) {
+function calculateMuteDuration(reactionCount, guildId, priorOffenses = 0) {
     // 按照阈值从高到低检查
-    const levels = Object.keys(MUTE_DURATIONS).reverse();
+    const muteDurations = getMuteDurations(guildId);
+    const levels = Object.keys(muteDurations).reverse();
+    const multiplier = getRepeatOffenseMultiplier(guildId, priorOffenses);
     
     for (const level of levels) {
-        const config = MUTE_DURATIONS[level];
+        const config = muteDurations[level];
         if (reactionCount >= config.threshold) {
             return {
                 level: level,
-                duration: config.duration,
-                threshold: config.threshold
+                duration: Math.min(MAX_MUTE_MINUTES, Math.round(config.duration * multiplier)),
+                threshold: config.threshold,
+                baseDuration: config.duration,
+                multiplier
             };
         }
     }
@@ -25,7 +43,9 @@ function calculateMuteDuration(reactionCount) {
     return {
         level: null,
         duration: 0,
-        threshold: 0
+        threshold: 0,
+        baseDuration: 0,
+        multiplier
     };
 }
 
@@ -33,16 +53,19 @@ function calculateMuteDuration(reactionCount) {
  * 计算需要增加的禁言时间（考虑已经执行的禁言）
  * @param {number} newReactionCount - 新的⚠️反应数量
  * @param {number} currentMuteDuration - 当前已执行的禁言时长（分钟）
- * @returns {object} {additionalDuration: number, totalDuration: number, newLevel: string}
+ * @param {string} guildId - 服务器ID
+ * @param {number} [priorOffenses=0] - 统计周期内此前的处罚记录数量
+ * @returns {object} {additionalDuration: number, totalDuration: number, newLevel: string, multiplier: number}
  */
-function calculateAdditionalMuteDuration(newReactionCount, currentMuteDuration) {
-    const newMuteInfo = calculateMuteDuration(newReactionCount);
+function calculateAdditionalMuteDuration(newReactionCount, currentMuteDuration, guildId, priorOffenses = 0) {
+    const newMuteInfo = calculateMuteDuration(newReactionCount, guildId, priorOffenses);
     
     if (!newMuteInfo.level) {
         return {
             additionalDuration: 0,
             totalDuration: currentMuteDuration,
-            newLevel: null
+            newLevel: null,
+            multiplier: newMuteInfo.multiplier
         };
     }
     
@@ -52,7 +75,8 @@ function calculateAdditionalMuteDuration(newReactionCount, currentMuteDuration)
     return {
         additionalDuration,
         totalDuration: totalShouldBe,
-        newLevel: newMuteInfo.level
+        newLevel: newMuteInfo.level,
+        multiplier: newMuteInfo.multiplier
     };
 }
 
@@ -85,16 +109,18 @@ function formatDuration(minutes) {
 
 /**
  * 获取所有禁言等级的描述
+ * @param {string} guildId - 服务器ID
  * @returns {string} 禁言等级描述
  */
-function getMuteLevelsDescription() {
-    const levels = Object.entries(MUTE_DURATIONS);
+function getMuteLevelsDescription(guildId) {
+    const levels = Object.entries(getMuteDurations(guildId));
     return levels.map(([level, config]) => 
         `${config.threshold}个⚠️ → ${formatDuration(config.duration)}`
     ).join('\n');
 }
 
 module.exports = {
+    getRepeatOffenseMultiplier,
     calculateMuteDuration,
     calculateAdditionalMuteDuration,
     formatDuration,
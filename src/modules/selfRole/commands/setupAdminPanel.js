@@ -10,8 +10,8 @@ module.exports = {
         .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
     async execute(interaction) {
-        if (!checkAdminPermission(interaction.member)) {
-            return interaction.reply({ content: getPermissionDeniedMessage(), ephemeral: true });
+        if (!checkAdminPermission(interaction.member, interaction.commandName)) {
+            return interaction.reply({ content: getPermissionDeniedMessage(interaction), ephemeral: true });
         }
 
         await interaction.deferReply({ ephemeral: true });
@@ -0,0 +1,55 @@
+// src\modules\selfRole\index.js
+const { handleSelfRoleButton, handleSelfRoleSelect } = require('./services/selfRoleService');
+const { processApprovalVote } = require('./services/approvalService');
+const {
+    handleAddRoleButton,
+    handleRemoveRoleButton,
+    handleListRolesButton,
+    handleEditRoleButton,
+    handleRoleSelectForAdd,
+    handleRoleSelectForEdit,
+    handleModalSubmit,
+    handleRoleSelectForRemove,
+    handleRoleListPageChange
+} = require('./services/adminPanelService');
+const { selfRoleMessageCreateHandler } = require('./events/messageCreate');
+const { startActivityTracker } = require('./services/activityTracker');
+const { syncMissedActivity } = require('./services/autoSyncService');
+
+module.exports = {
+    name: '自助身份组',
+    locales: require('./locales'),
+    commands: [
+        require('./commands/setupRolePanel'),
+        require('./commands/setupAdminPanel'),
+        require('./commands/recalculateActivity'),
+        require('./commands/checkActivity'),
+        require('./commands/debugRoles'), // 调试命令
+    ],
+    buttons: [
+        { customId: 'self_role_apply_button', handler: handleSelfRoleButton },
+        { prefix: ['self_role_approve_', 'self_role_reject_'], handler: processApprovalVote },
+        { customId: 'admin_add_role_button', handler: handleAddRoleButton },
+        { customId: 'admin_remove_role_button', handler: handleRemoveRoleButton },
+        { customId: 'admin_edit_role_button', handler: handleEditRoleButton },
+        { customId: 'admin_list_roles_button', handler: handleListRolesButton },
+        { prefix: 'admin_roles_page_', handler: handleRoleListPageChange },
+    ],
+    modals: [
+        { prefix: ['admin_add_role_modal_', 'admin_edit_role_modal_'], handler: handleModalSubmit },
+    ],
+    selectMenus: [
+        { customId: 'self_role_select_menu', handler: handleSelfRoleSelect },
+        { customId: 'admin_add_role_select', handler: handleRoleSelectForAdd },
+        { customId: 'admin_remove_role_select', handler: handleRoleSelectForRemove },
+        { customId: 'admin_edit_role_select', handler: handleRoleSelectForEdit },
+    ],
+    messageHandlers: [
+        selfRoleMessageCreateHandler,
+    ],
+    schedulers: [
+        { name: '活跃度统计', start: startActivityTracker },
+        // 在机器人完全启动前，执行离线数据同步
+        { name: '离线活跃度同步', start: syncMissedActivity },
+    ],
+};
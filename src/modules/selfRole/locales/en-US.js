@@ -0,0 +1,39 @@
+// src\modules\selfRole\locales\en-US.js
+module.exports = {
+    name: 'Self Roles',
+
+    commands: {
+        '创建自助身份组面板': {
+            name: 'create-self-role-panel',
+            description: 'Create a self-role application panel in this channel',
+            options: {
+                '标题': { name: 'title', description: 'Panel title' },
+                '描述': { name: 'description', description: 'Panel description' },
+                '按钮文字': { name: 'button-label', description: 'Text shown on the button' },
+            },
+        },
+        '创建管理面板': {
+            name: 'create-admin-panel',
+            description: 'Create a self-role management panel in this channel',
+        },
+        '回溯统计活跃度': {
+            name: 'backfill-activity',
+            description: 'Scan a channel\'s message history to count user activity',
+            options: {
+                '频道id': { name: 'channel-id', description: 'ID of the channel to count' },
+                '扫描天数': { name: 'days', description: 'Only scan messages from the last N days (default: no limit)' },
+                '重置数据': { name: 'reset', description: 'Clear the channel\'s existing statistics before scanning (default no)' },
+            },
+        },
+        '查询我的活跃度': {
+            name: 'my-activity',
+            description: 'View your message and mention counts in the tracked channels',
+            options: {
+                '频道': { name: 'channel', description: 'Only show activity in this channel (optional)' },
+            },
+        },
+        'debug-roles': {
+            description: '[Debug] Show detailed information about every role in the server',
+        },
+    },
+};
@@ -1,6 +1,7 @@
 // src/modules/selfRole/services/activityTracker.js
 
 const { saveUserActivityBatch, getSelfRoleSettings, getAllSelfRoleSettings, saveSelfRoleSettings } = require('../../../core/utils/database');
+const { trackSchedulerRun } = require('../../../core/utils/metrics');
 
 /**
  * 单个用户在某频道内的活跃度增量数据。
@@ -147,7 +148,10 @@ async function startActivityTracker() {
     if (saveInterval) {
         clearInterval(saveInterval);
     }
-    saveInterval = setInterval(_writeCacheToDatabase, SAVE_INTERVAL_MS);
+    saveInterval = setInterval(() => {
+        trackSchedulerRun('selfRole', '活跃度保存', _writeCacheToDatabase)
+            .catch(error => console.error('[SelfRole] ❌ 保存活跃度数据时出错:', error));
+    }, SAVE_INTERVAL_MS);
     console.log(`[SelfRole] ✅ 活跃度追踪器已启动，每 ${SAVE_INTERVAL_MS / 1000} 秒保存一次数据。`);
 }
 
@@ -2,6 +2,7 @@
 
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const { getSelfRoleApplication, saveSelfRoleApplication, deleteSelfRoleApplication, getSelfRoleSettings } = require('../../../core/utils/database');
+const { logAuditEvent } = require('../../../core/utils/auditLogger');
 
 /**
  * 处理审核投票按钮的交互
@@ -191,6 +192,18 @@ async function finalizeApplication(interaction, application, finalStatus, roleCo
     setTimeout(() => interaction.deleteReply().catch(() => {}), 60000);
     console.log(`[SelfRole] 🗳️ 申请 ${interaction.message.id} 已终结，状态: ${finalStatus}`);
 
+    await logAuditEvent(interaction.client, {
+        guildId: interaction.guild.id,
+        module: 'selfRole',
+        action: finalStatus === 'approved' ? '身份组申请通过' : '身份组申请拒绝',
+        targetId: application.applicantId,
+        summary: `申请身份组 **${roleConfig.label}** 的社区审核已结束：${finalStatusText}`,
+        details: {
+            '身份组': `<@&${application.roleId}>`,
+            '支持/反对': `${application.approvers.length} / ${application.rejecters.length}`
+        }
+    });
+
     // 在所有交互完成后再删除数据库记录
     await deleteSelfRoleApplication(interaction.message.id);
 }
@@ -191,10 +191,10 @@ class ProgressManager {
 async function execute(interaction) {
     try {
         // 检查管理员权限
-        const hasPermission = checkAdminPermission(interaction.member);
+        const hasPermission = checkAdminPermission(interaction.member, interaction.commandName);
         if (!hasPermission) {
             return interaction.reply({
-                content: getPermissionDeniedMessage(),
+                content: getPermissionDeniedMessage(interaction),
                 flags: MessageFlags.Ephemeral
             });
         }
@@ -216,6 +216,7 @@ async function execute(interaction) {
         
         // 创建进度管理器
         const progressManager = new ProgressManager(interaction);
+        let progressTracker = null;
         
         try {
             // 延迟回复以获得更多时间
@@ -259,7 +260,7 @@ async function execute(interaction) {
             // 初始化其他组件
             const jsonReader = new JsonReader();
             const threadRebuilder = new ThreadRebuilder(targetForum, useWebhook);
-            const progressTracker = new ProgressTracker();
+            progressTracker = new ProgressTracker();
             
             // 如果Excel数据加载成功，设置到ThreadRebuilder中并创建标签
             if (excelDataLoaded) {
@@ -361,6 +362,8 @@ async function execute(interaction) {
         } catch (error) {
             console.error('重建任务执行失败:', error);
             await progressManager.sendError(`执行失败: ${error.message}`);
+        } finally {
+            progressTracker?.endSession();
         }
         
     } catch (error) {
@@ -0,0 +1,9 @@
+// src\modules\threadRebuilder\index.js
+module.exports = {
+    name: '帖子重建',
+    locales: require('./locales'),
+    commands: [
+        require('./commands/rebuildThreads'),
+        require('./commands/deleteRebuiltMessage'),
+    ],
+};
@@ -0,0 +1,26 @@
+// src\modules\threadRebuilder\locales\en-US.js
+module.exports = {
+    name: 'Thread Rebuilder',
+
+    commands: {
+        '重建帖子': {
+            name: 'rebuild-threads',
+            description: 'Rebuild Discord threads from JSON backups (administrators only)',
+            options: {
+                '目标论坛': { name: 'forum', description: 'Forum to rebuild into' },
+                'json文件名': { name: 'json-file', description: 'JSON file to rebuild, without extension (leave empty to rebuild all files)' },
+                '使用webhook': { name: 'use-webhook', description: 'Use webhooks to post as the original authors (default: yes)' },
+                '并行处理': { name: 'parallel', description: 'Process several threads in parallel (default: yes, much faster)' },
+                '并发数': { name: 'concurrency', description: 'Threads processed at the same time (1-5, default 3)' },
+                '自动归档': { name: 'auto-archive', description: 'Archive threads after rebuilding (default: yes)' },
+            },
+        },
+        '删除重建消息': {
+            name: 'delete-rebuilt-message',
+            description: 'Delete a rebuilt message you posted',
+            options: {
+                '消息链接': { name: 'message-link', description: 'Link to the message to delete' },
+            },
+        },
+    },
+};
@@ -0,0 +1,7 @@
+// src\modules\threadRebuilder\locales\index.js
+const { defineMessages } = require('../../../core/utils/i18n');
+
+module.exports = defineMessages('threadRebuilder', {
+    'zh-CN': require('./zh-CN'),
+    'en-US': require('./en-US'),
+});
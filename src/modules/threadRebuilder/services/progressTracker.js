@@ -1,5 +1,9 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { registerGauge } = require('../../../core/utils/metrics');
+
+// 进行中的重建会话，供健康检查和 /metrics 统计
+const activeSessions = new Set();
 
 /**
  * 进度跟踪器 - 管理重建进度的记录和恢复
@@ -25,6 +29,8 @@ class ProgressTracker {
      * 初始化会话 - 修复断点重启逻辑
      */
     async initSession(jsonFiles, sessionId = null) {
+        activeSessions.add(this);
+
         // 尝试加载现有进度
         const existingProgress = await this.loadProgress();
         
@@ -391,6 +397,13 @@ class ProgressTracker {
         }
     }
 
+    /**
+     * 结束会话（无论成功、失败还是中断），进度文件保持不变
+     */
+    endSession() {
+        activeSessions.delete(this);
+    }
+
     /**
      * 获取详细的文件状态列表
      */
@@ -479,4 +492,6 @@ class ProgressTracker {
     }
 }
 
+registerGauge('thread_rebuild_active_sessions', '进行中的帖子重建会话数量', () => activeSessions.size);
+
 module.exports = ProgressTracker; 
\ No newline at end of file
@@ -0,0 +1,28 @@
+// src\modules\voting\index.js
+const { createVoteSetupModal, handleVoteSetupSubmit } = require('./components/voteSetupModal');
+const { handleVoteButton } = require('./components/voteButtons');
+const { handleNotificationButton } = require('./components/notificationButtons');
+const { startVoteChecker } = require('./services/voteChecker');
+
+module.exports = {
+    name: '投票系统',
+    locales: require('./locales'),
+    commands: [
+        require('./commands/createVote'),
+        require('./commands/notificationRoles'),
+    ],
+    buttons: [
+        { customId: 'vote_setup', handler: interaction => interaction.showModal(createVoteSetupModal()) },
+        { prefix: 'vote_', handler: handleVoteButton },
+        { customId: 'notification_roles_entry', handler: handleNotificationButton },
+    ],
+    modals: [
+        { customId: 'vote_setup_modal', handler: handleVoteSetupSubmit },
+    ],
+    selectMenus: [
+        { customId: 'notification_roles_select', handler: handleNotificationButton },
+    ],
+    schedulers: [
+        { name: '投票检查器', start: startVoteChecker },
+    ],
+};
@@ -0,0 +1,32 @@
+// src\modules\voting\locales\en-US.js
+module.exports = {
+    name: 'Voting',
+
+    commands: {
+        '开启投票': {
+            name: 'create-poll',
+            description: 'Create a new poll',
+        },
+        '设置通知身份组': {
+            name: 'notification-roles',
+            description: 'Set up self-assignable notification roles',
+            options: {
+                '添加身份组': {
+                    name: 'add-role',
+                    description: 'Add a self-assignable notification role',
+                    options: {
+                        '身份组': { name: 'role', description: 'Role to add' },
+                        '描述': { name: 'description', description: 'Description of the role' },
+                    },
+                },
+                '移除身份组': {
+                    name: 'remove-role',
+                    description: 'Remove a notification role',
+                    options: { '身份组': { name: 'role', description: 'Role to remove' } },
+                },
+                '创建入口': { name: 'create-entry', description: 'Create a notification role entry in this channel' },
+                '查看配置': { name: 'view', description: 'View the current notification role settings' },
+            },
+        },
+    },
+};
@@ -1,5 +1,6 @@
 const { getExpiredVotes, cleanupExpiredVotes } = require('./voteManager');
 const { createVoteResultEmbed } = require('../components/votePanel');
+const { trackSchedulerRun } = require('../../../core/utils/metrics');
 
 let voteCheckInterval = null;
 
@@ -9,7 +10,7 @@ function startVoteChecker(client) {
     // 每30秒检查一次
     voteCheckInterval = setInterval(async () => {
         try {
-            await checkExpiredVotes(client);
+            await trackSchedulerRun('voting', '投票检查器', () => checkExpiredVotes(client));
         } catch (error) {
             console.error('投票检查器错误:', error);
         }
@@ -18,7 +19,7 @@ function startVoteChecker(client) {
     // 每小时清理一次过期投票
     setInterval(async () => {
         try {
-            await cleanupExpiredVotes(7); // 保留7天
+            await trackSchedulerRun('voting', '过期投票清理', () => cleanupExpiredVotes(7)); // 保留7天
         } catch (error) {
             console.error('清理过期投票错误:', error);
         }
@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 
 // 投票数据存储路径
 const VOTE_DATA_DIR = path.join(__dirname, '..', 'data');
@@ -27,6 +28,10 @@ async function loadVoteData() {
             votes = JSON.parse(data);
         } catch (parseError) {
             console.error('JSON解析失败，尝试修复:', parseError.message);
+            // 修复会丢失数据，先保留损坏的原文件（按内容命名，重复读取不会产生多份），可用 /数据备份 恢复 从最近的备份找回
+            const corruptedFile = `${VOTE_DATA_FILE}.corrupted-${crypto.createHash('sha1').update(data).digest('hex').slice(0, 8)}`;
+            await fs.writeFile(corruptedFile, data);
+            console.log(`损坏的原文件已保留为 ${corruptedFile}`);
             // 尝试找到最后一个完整的JSON对象
             const lastBraceIndex = data.lastIndexOf('}');
             if (lastBraceIndex > 0) {
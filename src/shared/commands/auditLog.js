@@ -0,0 +1,185 @@
+// src\shared\commands\auditLog.js
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags, ChannelType } = require('discord.js');
+const { queryAuditLogs, getAuditSettings, saveAuditSettings } = require('../../core/utils/database');
+const { checkAdminPermission, getPermissionDeniedMessage } = require('../../core/utils/permissionManager');
+const { getModules, getModuleName } = require('../../core/utils/guildModules');
+
+const data = new SlashCommandBuilder()
+    .setName('审计日志')
+    .setDescription('查询管理操作与社区投票的审计日志，或设置日志频道')
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('查询')
+            .setDescription('按条件查询审计日志')
+            .addStringOption(option =>
+                option.setName('模块')
+                    .setDescription('只显示该模块的记录')
+                    .setRequired(false)
+                    .addChoices(...Object.entries(getModules()).map(([id, module]) => ({ name: module.name, value: id }))))
+            .addUserOption(option =>
+                option.setName('操作者')
+                    .setDescription('只显示该用户执行或发起的操作')
+                    .setRequired(false))
+            .addUserOption(option =>
+                option.setName('对象用户')
+                    .setDescription('只显示影响该用户的操作')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('操作')
+                    .setDescription('操作名称，如 “法庭判决结算”')
+                    .setRequired(false))
+            .addIntegerOption(option =>
+                option.setName('天数')
+                    .setDescription('只显示最近几天的记录')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(365))
+            .addIntegerOption(option =>
+                option.setName('数量')
+                    .setDescription('最多显示多少条（默认10）')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(25)))
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('设置频道')
+            .setDescription('设置审计日志同步发送的频道')
+            .addChannelOption(option =>
+                option.setName('频道')
+                    .setDescription('审计日志频道')
+                    .setRequired(true)
+                    .addChannelTypes(ChannelType.GuildText)))
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('关闭频道')
+            .setDescription('停止向频道发送审计日志（日志仍会保存）'));
+
+function formatAuditEntry(entry) {
+    const time = Math.floor(new Date(entry.createdAt).getTime() / 1000);
+    const actor = entry.actorId ? `<@${entry.actorId}>` : '系统';
+    const target = entry.targetId ? ` → <@${entry.targetId}>` : '';
+    const summary = entry.summary ? `\n　${entry.summary}` : '';
+    return `\`#${entry.id}\` <t:${time}:f> **${entry.action}** · ${getModuleName(entry.module)}\n　${actor}${target}${summary}`;
+}
+
+async function handleQuery(interaction) {
+    const days = interaction.options.getInteger('天数');
+    const filters = {
+        module: interaction.options.getString('模块'),
+        action: interaction.options.getString('操作'),
+        actorId: interaction.options.getUser('操作者')?.id,
+        targetId: interaction.options.getUser('对象用户')?.id,
+        since: days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null,
+        limit: interaction.options.getInteger('数量') || 10
+    };
+
+    const entries = await queryAuditLogs(interaction.guild.id, filters);
+    if (entries.length === 0) {
+        return interaction.editReply({ content: '📭 没有符合条件的审计日志。' });
+    }
+
+    // Embed 描述最多 4096 字符，超出时截断较早的记录
+    let description = '';
+    let shown = 0;
+    for (const entry of entries) {
+        const line = formatAuditEntry(entry) + '\n\n';
+        if (description.length + line.length > 4000) break;
+        description += line;
+        shown++;
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle('📜 审计日志')
+        .setDescription(description.trim())
+        .setColor('#607D8B')
+        .setFooter({ text: `显示 ${shown} 条（按时间倒序）` })
+        .setTimestamp();
+
+    return interaction.editReply({ embeds: [embed] });
+}
+
+async function execute(interaction) {
+    try {
+        if (!interaction.guild) {
+            return interaction.reply({
+                content: '❌ 此指令只能在服务器中使用，不能在私信中使用。',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        if (!checkAdminPermission(interaction.member, interaction.commandName)) {
+            return interaction.reply({
+                content: getPermissionDeniedMessage(interaction),
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guild.id;
+
+        switch (subcommand) {
+            case '查询':
+                return handleQuery(interaction);
+
+            case '设置频道': {
+                const channel = interaction.options.getChannel('频道');
+                const permissions = channel.permissionsFor(interaction.guild.members.me);
+                if (!permissions || !permissions.has('SendMessages') || !permissions.has('EmbedLinks')) {
+                    return interaction.editReply({
+                        content: `❌ 机器人在 ${channel} 没有发送消息或嵌入链接的权限。`
+                    });
+                }
+
+                await saveAuditSettings(guildId, {
+                    channelId: channel.id,
+                    enabled: true,
+                    setupBy: interaction.user.id,
+                    updatedAt: new Date().toISOString()
+                });
+                return interaction.editReply({ content: `✅ 审计日志将同步发送到 ${channel}。` });
+            }
+
+            case '关闭频道': {
+                const settings = await getAuditSettings(guildId);
+                if (!settings?.channelId || settings.enabled === false) {
+                    return interaction.editReply({ content: 'ℹ️ 本服务器没有启用审计日志频道。' });
+                }
+
+                await saveAuditSettings(guildId, {
+                    ...settings,
+                    enabled: false,
+                    updatedAt: new Date().toISOString()
+                });
+                return interaction.editReply({ content: '✅ 已停止向频道发送审计日志，日志仍会保存，可用 `/审计日志 查询` 查看。' });
+            }
+
+            default:
+                return interaction.editReply({ content: '❌ 未知的子命令。' });
+        }
+
+    } catch (error) {
+        console.error('处理审计日志指令时出错:', error);
+
+        try {
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: `❌ 处理审计日志指令时出错：${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            } else {
+                await interaction.editReply({
+                    content: `❌ 处理审计日志指令时出错：${error.message}`
+                });
+            }
+        } catch (replyError) {
+            console.error('回复错误信息失败:', replyError);
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute,
+};
@@ -0,0 +1,253 @@
+// src\shared\commands\dataBackup.js
+const fs = require('fs').promises;
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder, MessageFlags } = require('discord.js');
+const { isBotOwner } = require('../../core/utils/permissionManager');
+const { logAuditEvent } = require('../../core/utils/auditLogger');
+const {
+    BACKUP_REASONS,
+    BACKUP_INTERVAL_HOURS,
+    MAX_BACKUPS,
+    createBackup,
+    listBackups,
+    getBackupPath,
+    loadBackup,
+    parseBackupArchive,
+    summarizeBackup,
+    restoreBackup
+} = require('../../core/utils/backupManager');
+
+// 超过此大小的备份不作为附件发送，只保存在本地
+const MAX_ATTACHMENT_BYTES = 8 * 1024 * 1024;
+
+const data = new SlashCommandBuilder()
+    .setName('数据备份')
+    .setDescription('备份、导出或恢复机器人的全部数据（仅机器人所有者）')
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('创建')
+            .setDescription('立即备份全部数据，并发送备份文件'))
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('列表')
+            .setDescription('查看本地保存的备份'))
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('导出')
+            .setDescription('发送一份本地备份文件')
+            .addStringOption(option =>
+                option.setName('文件名')
+                    .setDescription('备份文件名（不填则导出最新的备份）')
+                    .setRequired(false)))
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('恢复')
+            .setDescription('校验并恢复备份，恢复前会自动备份当前数据')
+            .addBooleanOption(option =>
+                option.setName('确认')
+                    .setDescription('选择“否”只校验备份并显示内容，选择“是”才会覆盖当前数据')
+                    .setRequired(true))
+            .addAttachmentOption(option =>
+                option.setName('文件')
+                    .setDescription('上传的备份文件（.json.gz 或 .json）')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('文件名')
+                    .setDescription('本地备份文件名（与上传文件二选一）')
+                    .setRequired(false)));
+
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+function formatSummary(summary) {
+    return `${summary.tables} 张数据表、${summary.rows} 行记录、${summary.files} 个 JSON 文件`;
+}
+
+function buildAttachment(filePath, fileName, size) {
+    return size <= MAX_ATTACHMENT_BYTES ? [new AttachmentBuilder(filePath, { name: fileName })] : [];
+}
+
+async function handleCreate(interaction) {
+    const backup = await createBackup('manual');
+    const files = buildAttachment(backup.filePath, backup.fileName, backup.size);
+
+    let content = `✅ 已创建备份 \`${backup.fileName}\`（${formatSize(backup.size)}）\n包含 ${formatSummary(backup.summary)}。`;
+    if (files.length === 0) {
+        content += '\n⚠️ 备份文件过大，无法作为附件发送，已保存在服务器本地。';
+    }
+    if (backup.warnings.length > 0) {
+        content += `\n\n⚠️ 以下文件无法解析，未包含在备份中：\n${backup.warnings.map(warning => `• ${warning}`).join('\n')}`;
+    }
+
+    await logAuditEvent(interaction.client, {
+        guildId: interaction.guild.id,
+        module: 'core',
+        action: '创建数据备份',
+        actorId: interaction.user.id,
+        summary: `创建备份 ${backup.fileName}`,
+        details: { 内容: formatSummary(backup.summary), 大小: formatSize(backup.size) }
+    });
+
+    return interaction.editReply({ content: content.slice(0, 2000), files });
+}
+
+async function handleList(interaction) {
+    const backups = await listBackups();
+    if (backups.length === 0) {
+        return interaction.editReply({ content: '📭 本地还没有任何备份。' });
+    }
+
+    const lines = backups.slice(0, 20).map(backup => {
+        const time = Math.floor(new Date(backup.createdAt).getTime() / 1000);
+        return `<t:${time}:f> **${BACKUP_REASONS[backup.reason] || backup.reason}** ${formatSize(backup.size)}\n　\`${backup.fileName}\``;
+    });
+
+    const embed = new EmbedBuilder()
+        .setTitle('🗄️ 本地数据备份')
+        .setDescription(lines.join('\n'))
+        .setColor('#607D8B')
+        .setFooter({ text: `共 ${backups.length} 份 · 每 ${BACKUP_INTERVAL_HOURS} 小时自动备份，每种备份保留 ${MAX_BACKUPS} 份` })
+        .setTimestamp();
+
+    return interaction.editReply({ embeds: [embed] });
+}
+
+async function handleExport(interaction) {
+    let fileName = interaction.options.getString('文件名');
+    if (!fileName) {
+        const [latest] = await listBackups();
+        if (!latest) {
+            return interaction.editReply({ content: '📭 本地还没有任何备份，请先使用 `/数据备份 创建`。' });
+        }
+        fileName = latest.fileName;
+    }
+
+    const archive = await loadBackup(fileName);
+    const filePath = await getBackupPath(fileName);
+    const { size } = await fs.stat(filePath);
+    const files = buildAttachment(filePath, fileName, size);
+    if (files.length === 0) {
+        return interaction.editReply({ content: `❌ 备份 \`${fileName}\`（${formatSize(size)}）过大，无法作为附件发送。` });
+    }
+
+    await logAuditEvent(interaction.client, {
+        guildId: interaction.guild.id,
+        module: 'core',
+        action: '导出数据备份',
+        actorId: interaction.user.id,
+        summary: `导出备份 ${fileName}`
+    });
+
+    return interaction.editReply({
+        content: `📦 备份 \`${fileName}\`（创建于 ${archive.createdAt}）\n包含 ${formatSummary(summarizeBackup(archive))}。`,
+        files
+    });
+}
+
+async function handleRestore(interaction) {
+    const attachment = interaction.options.getAttachment('文件');
+    const fileName = interaction.options.getString('文件名');
+    const confirmed = interaction.options.getBoolean('确认');
+
+    if (!!attachment === !!fileName) {
+        return interaction.editReply({ content: '❌ 请上传备份文件，或填写本地备份文件名（二选一）。' });
+    }
+
+    let archive;
+    if (attachment) {
+        const response = await fetch(attachment.url);
+        if (!response.ok) {
+            return interaction.editReply({ content: `❌ 下载备份文件失败：HTTP ${response.status}` });
+        }
+        archive = await parseBackupArchive(Buffer.from(await response.arrayBuffer()));
+    } else {
+        archive = await loadBackup(fileName);
+    }
+
+    const source = attachment ? attachment.name : fileName;
+    const description = `备份 \`${source}\`（创建于 ${archive.createdAt}，${BACKUP_REASONS[archive.reason] || archive.reason}）\n包含 ${formatSummary(summarizeBackup(archive))}。`;
+
+    if (!confirmed) {
+        return interaction.editReply({
+            content: `✅ 校验通过：${description}\n\n确认恢复请将 **确认** 选为“是”重新执行，当前数据会先自动备份。`
+        });
+    }
+
+    const result = await restoreBackup(archive);
+    console.log(`数据备份恢复 - 来源: ${source}, 服务器: ${interaction.guild.name}, 操作者: ${interaction.user.tag}`);
+
+    await logAuditEvent(interaction.client, {
+        guildId: interaction.guild.id,
+        module: 'core',
+        action: '恢复数据备份',
+        actorId: interaction.user.id,
+        summary: `从 ${source} 恢复数据`,
+        details: {
+            备份时间: archive.createdAt,
+            恢复内容: `${result.tables} 张数据表、${result.rows} 行记录、${result.files} 个 JSON 文件`,
+            恢复前备份: result.safetyBackup
+        }
+    });
+
+    let content = `✅ 已恢复${description}\n\n恢复前的数据已备份为 \`${result.safetyBackup}\`，如需撤销可以恢复该备份。\n部分模块会在内存中缓存数据，建议恢复后重启机器人。`;
+    if (result.skipped.length > 0) {
+        content += `\n\n⚠️ 以下内容在当前版本中不存在，已跳过：\n${result.skipped.map(item => `• ${item}`).join('\n')}`;
+    }
+    return interaction.editReply({ content: content.slice(0, 2000) });
+}
+
+async function execute(interaction) {
+    try {
+        if (!interaction.guild) {
+            return interaction.reply({
+                content: '❌ 此指令只能在服务器中使用，不能在私信中使用。',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        // 备份包含所有服务器的数据，只允许机器人所有者操作
+        if (!(await isBotOwner(interaction.client, interaction.user.id))) {
+            return interaction.editReply({ content: '❌ 数据备份包含所有服务器的数据，只有机器人所有者可以使用此指令。' });
+        }
+
+        switch (interaction.options.getSubcommand()) {
+            case '创建':
+                return await handleCreate(interaction);
+            case '列表':
+                return await handleList(interaction);
+            case '导出':
+                return await handleExport(interaction);
+            case '恢复':
+                return await handleRestore(interaction);
+            default:
+                return interaction.editReply({ content: '❌ 未知的子命令。' });
+        }
+
+    } catch (error) {
+        console.error('处理数据备份指令时出错:', error);
+
+        try {
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: `❌ 处理数据备份指令时出错：${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            } else {
+                await interaction.editReply({
+                    content: `❌ 处理数据备份指令时出错：${error.message}`
+                });
+            }
+        } catch (replyError) {
+            console.error('回复错误信息失败:', replyError);
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute,
+};
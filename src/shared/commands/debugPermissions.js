@@ -1,6 +1,6 @@
 // src\shared\commands\debugPermissions.js
 const { SlashCommandBuilder, MessageFlags } = require('discord.js');
-const { getUserPermissionDetails, getAllowedRoles } = require('../../../core/utils/permissionManager');
+const { getUserPermissionDetails } = require('../../core/utils/permissionManager');
 
 const data = new SlashCommandBuilder()
     .setName('debugpermissions')
@@ -47,7 +47,9 @@ async function execute(interaction) {
         // 安全构建调试信息
         const safeUserRoleNames = permissionDetails.userRoleNames || [];
         const safeAllowedUserRoles = permissionDetails.allowedUserRoles || [];
-        const safeAllowedRolesList = permissionDetails.allowedRolesList || [];
+        const safeAllowedRolesList = (permissionDetails.allowedRolesList || [])
+            .map(role => permissionDetails.ruleSource === 'default' ? `\`${role}\`` : `<@&${role}>`);
+        const ruleSourceText = permissionDetails.ruleSource === 'default' ? '默认身份组名称（未通过 /权限管理 设置）' : '/权限管理 设置的管理身份组';
         
         const debugInfo = `**🔍 权限调试信息**\n\n` +
             `**用户：** ${permissionDetails.userTag || '未知'} (${permissionDetails.userId || '未知'})\n` +
@@ -56,7 +58,7 @@ async function execute(interaction) {
             `**最终权限结果：** ${permissionDetails.hasPermission ? '✅ 有权限' : '❌ 无权限'}\n\n` +
             `**用户所有身份组（${safeUserRoleNames.length}个）：**\n${safeUserRoleNames.length > 0 ? safeUserRoleNames.map(role => `• \`${role}\``).join('\n') : '• 无身份组'}\n\n` +
             `**匹配的允许身份组（${safeAllowedUserRoles.length}个）：**\n${safeAllowedUserRoles.length > 0 ? safeAllowedUserRoles.map(role => `• \`${role}\``).join('\n') : '• 无匹配'}\n\n` +
-            `**系统允许的身份组（${safeAllowedRolesList.length}个）：**\n${safeAllowedRolesList.map(role => `• \`${role}\``).join('\n')}`;
+            `**系统允许的身份组（${safeAllowedRolesList.length}个，${ruleSourceText}）：**\n${safeAllowedRolesList.map(role => `• ${role}`).join('\n')}`;
         
         await interaction.reply({
             content: debugInfo,
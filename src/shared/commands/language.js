@@ -0,0 +1,103 @@
+// src\shared\commands\language.js
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const { readGuildLocaleSettings, saveGuildLocaleSettings } = require('../../core/utils/database');
+const { checkAdminPermission, getPermissionDeniedMessage } = require('../../core/utils/permissionManager');
+const { logAuditEvent } = require('../../core/utils/auditLogger');
+const { SUPPORTED_LOCALES, getGuildLocale, t } = require('../../core/utils/i18n');
+
+const data = new SlashCommandBuilder()
+    .setName('语言设置')
+    .setDescription('查看或修改机器人在本服务器使用的语言')
+    .addStringOption(option =>
+        option.setName('语言')
+            .setDescription('新的语言（不填则查看当前设置）')
+            .setRequired(false)
+            .addChoices(...Object.entries(SUPPORTED_LOCALES).map(([locale, { name }]) => ({ name, value: locale }))));
+
+function buildLanguageEmbed(guildId) {
+    const language = SUPPORTED_LOCALES[getGuildLocale(guildId)].name;
+    const available = Object.values(SUPPORTED_LOCALES).map(({ name }) => name).join(' / ');
+
+    return new EmbedBuilder()
+        .setTitle(t(guildId, 'core.language.title'))
+        .setDescription([
+            t(guildId, 'core.language.current', { language }),
+            t(guildId, 'core.language.available', { languages: available }),
+            '',
+            t(guildId, 'core.language.note')
+        ].join('\n'))
+        .setColor('#5865F2')
+        .setTimestamp();
+}
+
+async function execute(interaction) {
+    try {
+        if (!interaction.guild) {
+            return interaction.reply({
+                content: t(interaction, 'core.common.guildOnly'),
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        if (!checkAdminPermission(interaction.member, interaction.commandName)) {
+            return interaction.reply({
+                content: getPermissionDeniedMessage(interaction),
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const guildId = interaction.guild.id;
+        const locale = interaction.options.getString('语言');
+
+        if (!locale) {
+            return interaction.editReply({ embeds: [buildLanguageEmbed(guildId)] });
+        }
+
+        const language = SUPPORTED_LOCALES[locale].name;
+        if (getGuildLocale(guildId) === locale) {
+            return interaction.editReply({
+                content: t(guildId, 'core.language.unchanged', { language }),
+                embeds: [buildLanguageEmbed(guildId)]
+            });
+        }
+
+        await saveGuildLocaleSettings(guildId, { ...readGuildLocaleSettings(guildId), locale });
+
+        console.log(`语言设置更新 - 服务器: ${interaction.guild.name}, 语言: ${locale}, 操作者: ${interaction.user.tag}`);
+
+        await logAuditEvent(interaction.client, {
+            guildId,
+            module: 'core',
+            action: '修改语言设置',
+            actorId: interaction.user.id,
+            summary: `服务器语言修改为 ${language} (${locale})`
+        });
+
+        // 修改后的回复已经使用新的语言
+        await interaction.editReply({
+            content: t(guildId, 'core.language.updated', { language }),
+            embeds: [buildLanguageEmbed(guildId)]
+        });
+
+    } catch (error) {
+        console.error('处理语言设置指令时出错:', error);
+
+        try {
+            const content = t(interaction, 'core.language.error', { error: error.message });
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({ content, flags: MessageFlags.Ephemeral });
+            } else {
+                await interaction.editReply({ content });
+            }
+        } catch (replyError) {
+            console.error('回复错误信息失败:', replyError);
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute,
+};
@@ -0,0 +1,124 @@
+// src\shared\commands\manageModules.js
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const { getGuildModuleSettings, setGuildModuleEnabled } = require('../../core/utils/database');
+const { checkAdminPermission, getPermissionDeniedMessage } = require('../../core/utils/permissionManager');
+const { getModules, getModuleName } = require('../../core/utils/guildModules');
+const { deployGuildCommands } = require('../../core/utils/commandDeployer');
+
+const toggleableModules = Object.entries(getModules()).filter(([, module]) => module.toggleable);
+
+const data = new SlashCommandBuilder()
+    .setName('模块管理')
+    .setDescription('查看、启用或停用本服务器的功能模块')
+    .addStringOption(option =>
+        option.setName('操作')
+            .setDescription('要执行的操作')
+            .setRequired(true)
+            .addChoices(
+                { name: '查看模块状态', value: 'list' },
+                { name: '启用模块', value: 'enable' },
+                { name: '停用模块', value: 'disable' }
+            ))
+    .addStringOption(option =>
+        option.setName('模块')
+            .setDescription('要启用或停用的模块')
+            .setRequired(false)
+            .addChoices(...toggleableModules.map(([id, module]) => ({ name: module.name, value: id }))));
+
+function buildModuleListEmbed(client, settings) {
+    const commandCounts = {};
+    for (const moduleId of client.commandModules.values()) {
+        commandCounts[moduleId] = (commandCounts[moduleId] || 0) + 1;
+    }
+
+    const lines = toggleableModules.map(([id, module]) => {
+        const enabled = !settings.disabledModules.includes(id);
+        return `${enabled ? '🟢' : '⚪'} **${module.name}** \`${id}\` · ${commandCounts[id] || 0} 个命令`;
+    });
+
+    return new EmbedBuilder()
+        .setTitle('🧩 功能模块')
+        .setDescription(`${lines.join('\n')}\n\n停用的模块不会在本服务器显示命令。基础命令（含本命令）始终启用。`)
+        .setColor('#5865F2')
+        .setTimestamp();
+}
+
+async function execute(interaction) {
+    try {
+        if (!interaction.guild) {
+            return interaction.reply({
+                content: '❌ 此指令只能在服务器中使用，不能在私信中使用。',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        if (!checkAdminPermission(interaction.member, interaction.commandName)) {
+            return interaction.reply({
+                content: getPermissionDeniedMessage(interaction),
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const action = interaction.options.getString('操作');
+        const moduleId = interaction.options.getString('模块');
+        const guildId = interaction.guild.id;
+
+        if (action === 'list') {
+            const settings = await getGuildModuleSettings(guildId);
+            return interaction.editReply({ embeds: [buildModuleListEmbed(interaction.client, settings)] });
+        }
+
+        if (!moduleId) {
+            return interaction.editReply({ content: '❌ 请在「模块」选项中选择要启用或停用的模块。' });
+        }
+
+        const enable = action === 'enable';
+        const before = await getGuildModuleSettings(guildId);
+        if (before.disabledModules.includes(moduleId) !== enable) {
+            return interaction.editReply({ content: `ℹ️ **${getModuleName(moduleId)}** 已经是${enable ? '启用' : '停用'}状态。` });
+        }
+
+        const settings = await setGuildModuleEnabled(guildId, moduleId, enable);
+        console.log(`模块开关更新 - 服务器: ${interaction.guild.name}, 模块: ${moduleId}, 启用: ${enable}, 操作者: ${interaction.user.tag}`);
+
+        // 重新部署本服务器的命令，使命令列表与模块开关一致
+        let deployNote;
+        try {
+            const count = await deployGuildCommands(interaction.client, guildId);
+            deployNote = `本服务器的命令已重新部署（共 ${count} 个）。`;
+        } catch (deployError) {
+            console.error('重新部署命令失败:', deployError);
+            deployNote = `⚠️ 设置已保存，但重新部署命令失败：${deployError.message}\n机器人下次启动时会自动重试。`;
+        }
+
+        await interaction.editReply({
+            content: `✅ 已${enable ? '启用' : '停用'} **${getModuleName(moduleId)}**。${deployNote}`,
+            embeds: [buildModuleListEmbed(interaction.client, settings)]
+        });
+
+    } catch (error) {
+        console.error('管理功能模块时出错:', error);
+
+        try {
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: `❌ 管理功能模块时出错：${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            } else {
+                await interaction.editReply({
+                    content: `❌ 管理功能模块时出错：${error.message}`
+                });
+            }
+        } catch (replyError) {
+            console.error('回复错误信息失败:', replyError);
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute,
+};
@@ -0,0 +1,209 @@
+// src\shared\commands\managePermissions.js
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags, PermissionFlagsBits } = require('discord.js');
+const { getGuildPermissionSettings, updateGuildPermissionSettings } = require('../../core/utils/database');
+const { getAllowedRoles } = require('../../core/utils/permissionManager');
+
+const data = new SlashCommandBuilder()
+    .setName('权限管理')
+    .setDescription('设置本服务器可以使用管理指令的身份组')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('查看')
+            .setDescription('查看当前的权限设置'))
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('添加管理身份组')
+            .setDescription('允许身份组使用所有管理指令')
+            .addRoleOption(option =>
+                option.setName('身份组')
+                    .setDescription('要添加的身份组')
+                    .setRequired(true)))
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('移除管理身份组')
+            .setDescription('移除身份组的管理指令权限')
+            .addRoleOption(option =>
+                option.setName('身份组')
+                    .setDescription('要移除的身份组')
+                    .setRequired(true)))
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('添加命令身份组')
+            .setDescription('为单个命令指定可以使用的身份组（设置后该命令不再使用管理身份组）')
+            .addStringOption(option =>
+                option.setName('命令')
+                    .setDescription('命令名称')
+                    .setRequired(true)
+                    .setAutocomplete(true))
+            .addRoleOption(option =>
+                option.setName('身份组')
+                    .setDescription('可以使用该命令的身份组')
+                    .setRequired(true)))
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('移除命令身份组')
+            .setDescription('移除单个命令的身份组设置')
+            .addStringOption(option =>
+                option.setName('命令')
+                    .setDescription('命令名称')
+                    .setRequired(true)
+                    .setAutocomplete(true))
+            .addRoleOption(option =>
+                option.setName('身份组')
+                    .setDescription('要移除的身份组（不填则清除该命令的全部设置）')
+                    .setRequired(false)));
+
+/**
+ * 修改权限设置会影响所有管理指令，只允许服务器所有者和管理员操作
+ * @param {GuildMember} member - 服务器成员对象
+ * @returns {boolean}
+ */
+function canManagePermissions(member) {
+    return member.guild.ownerId === member.user.id
+        || member.permissions.has(PermissionFlagsBits.Administrator);
+}
+
+function formatRoles(roleIds) {
+    return roleIds.map(roleId => `<@&${roleId}>`).join('、');
+}
+
+function buildPermissionEmbed(guildId, settings) {
+    const fallback = getAllowedRoles(guildId);
+    const adminText = settings.adminRoles.length > 0
+        ? formatRoles(settings.adminRoles)
+        : `未设置，使用默认身份组名称：${fallback.roles.map(name => `\`${name}\``).join('、')}`;
+
+    const commandEntries = Object.entries(settings.commandRoles);
+    const commandText = commandEntries.length > 0
+        ? commandEntries.map(([commandName, roleIds]) => `\`/${commandName}\` → ${formatRoles(roleIds)}`).join('\n')
+        : '未设置';
+
+    return new EmbedBuilder()
+        .setTitle('🔐 权限设置')
+        .addFields(
+            { name: '管理身份组', value: adminText },
+            { name: '命令身份组', value: commandText.slice(0, 1024) }
+        )
+        .setDescription('服务器所有者以及拥有管理员、管理服务器、管理频道权限的成员始终可以使用管理指令。\n设置了命令身份组的命令只允许对应身份组使用，不再使用管理身份组。')
+        .setColor('#5865F2')
+        .setTimestamp();
+}
+
+async function autocomplete(interaction) {
+    const focused = interaction.options.getFocused().toLowerCase();
+    const choices = [...interaction.client.commands.keys()]
+        .filter(name => name.toLowerCase().includes(focused))
+        .slice(0, 25)
+        .map(name => ({ name: `/${name}`, value: name }));
+
+    await interaction.respond(choices);
+}
+
+async function execute(interaction) {
+    try {
+        if (!interaction.guild) {
+            return interaction.reply({
+                content: '❌ 此指令只能在服务器中使用，不能在私信中使用。',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        if (!canManagePermissions(interaction.member)) {
+            return interaction.reply({
+                content: '❌ **权限不足**\n\n只有服务器所有者或拥有管理员权限的成员可以修改权限设置。',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guild.id;
+        const role = interaction.options.getRole('身份组');
+        const commandName = interaction.options.getString('命令')?.replace(/^\//, '');
+
+        if (commandName && !interaction.client.commands.has(commandName)) {
+            return interaction.editReply({ content: `❌ 找不到命令 \`/${commandName}\`。` });
+        }
+
+        let settings;
+        let message;
+
+        switch (subcommand) {
+            case '查看':
+                settings = await getGuildPermissionSettings(guildId);
+                return interaction.editReply({ embeds: [buildPermissionEmbed(guildId, settings)] });
+
+            case '添加管理身份组':
+                settings = await updateGuildPermissionSettings(guildId, current => {
+                    if (!current.adminRoles.includes(role.id)) current.adminRoles.push(role.id);
+                });
+                message = `✅ 已允许 **${role.name}** 使用管理指令。`;
+                break;
+
+            case '移除管理身份组':
+                settings = await updateGuildPermissionSettings(guildId, current => {
+                    current.adminRoles = current.adminRoles.filter(roleId => roleId !== role.id);
+                });
+                message = settings.adminRoles.length > 0
+                    ? `✅ 已移除 **${role.name}** 的管理指令权限。`
+                    : `✅ 已移除 **${role.name}** 的管理指令权限。\n\n⚠️ 本服务器已没有设置管理身份组，将使用默认身份组名称列表。`;
+                break;
+
+            case '添加命令身份组':
+                settings = await updateGuildPermissionSettings(guildId, current => {
+                    const roles = current.commandRoles[commandName] || [];
+                    if (!roles.includes(role.id)) roles.push(role.id);
+                    current.commandRoles[commandName] = roles;
+                });
+                message = `✅ 已允许 **${role.name}** 使用 \`/${commandName}\`。\n\n若该命令在 Discord 中默认仅管理员可见，还需要在「服务器设置 → 整合」中为该身份组开放命令。`;
+                break;
+
+            case '移除命令身份组':
+                settings = await updateGuildPermissionSettings(guildId, current => {
+                    current.commandRoles[commandName] = role
+                        ? (current.commandRoles[commandName] || []).filter(roleId => roleId !== role.id)
+                        : [];
+                });
+                message = settings.commandRoles[commandName]
+                    ? `✅ 已移除 **${role.name}** 使用 \`/${commandName}\` 的权限。`
+                    : `✅ 已清除 \`/${commandName}\` 的命令身份组设置，该命令恢复使用管理身份组。`;
+                break;
+
+            default:
+                return interaction.editReply({ content: '❌ 未知的子命令。' });
+        }
+
+        console.log(`权限设置更新 - 服务器: ${interaction.guild.name}, 子命令: ${subcommand}, 命令: ${commandName || '无'}, 身份组: ${role?.id || '无'}, 操作者: ${interaction.user.tag}`);
+
+        await interaction.editReply({
+            content: message,
+            embeds: [buildPermissionEmbed(guildId, settings)]
+        });
+
+    } catch (error) {
+        console.error('管理权限设置时出错:', error);
+
+        try {
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: `❌ 管理权限设置时出错：${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            } else {
+                await interaction.editReply({
+                    content: `❌ 管理权限设置时出错：${error.message}`
+                });
+            }
+        } catch (replyError) {
+            console.error('回复错误信息失败:', replyError);
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute,
+    autocomplete,
+};
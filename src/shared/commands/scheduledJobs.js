@@ -0,0 +1,110 @@
+// src\shared\commands\scheduledJobs.js
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const { getScheduledJobsByGuild } = require('../../core/utils/database');
+const { checkAdminPermission, getPermissionDeniedMessage } = require('../../core/utils/permissionManager');
+const { getJobTypeName } = require('../../core/utils/jobScheduler');
+
+const STATUS_LABELS = {
+    pending: '待执行',
+    failed: '执行失败',
+    done: '已完成'
+};
+
+const data = new SlashCommandBuilder()
+    .setName('计划任务')
+    .setDescription('查看本服务器即将执行的计划任务（提案截止、法庭投票结算、募选阶段切换等）')
+    .addStringOption(option =>
+        option.setName('状态')
+            .setDescription('要查看的任务状态（默认待执行）')
+            .setRequired(false)
+            .addChoices(...Object.entries(STATUS_LABELS).map(([value, name]) => ({ name, value }))))
+    .addIntegerOption(option =>
+        option.setName('数量')
+            .setDescription('最多显示多少条（默认10）')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(25));
+
+function formatJob(job) {
+    const time = Math.floor(new Date(job.status === 'pending' ? job.runAt : job.updatedAt).getTime() / 1000);
+    const timeText = job.status === 'pending' ? `<t:${time}:f>（<t:${time}:R>）` : `<t:${time}:f>`;
+    let line = `${timeText} **${getJobTypeName(job.type)}**\n　${job.description || job.key}`;
+
+    if (job.status === 'pending' && job.attempts > 0) {
+        line += `\n　⚠️ 已失败 ${job.attempts} 次，等待重试：${job.lastError}`;
+    }
+    if (job.status === 'failed') {
+        line += `\n　❌ ${job.lastError}`;
+    }
+    return line;
+}
+
+async function execute(interaction) {
+    try {
+        if (!interaction.guild) {
+            return interaction.reply({
+                content: '❌ 此指令只能在服务器中使用，不能在私信中使用。',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        if (!checkAdminPermission(interaction.member, interaction.commandName)) {
+            return interaction.reply({
+                content: getPermissionDeniedMessage(interaction),
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const status = interaction.options.getString('状态') || 'pending';
+        const limit = interaction.options.getInteger('数量') || 10;
+        const jobs = await getScheduledJobsByGuild(interaction.guild.id, status, limit);
+
+        if (jobs.length === 0) {
+            return interaction.editReply({ content: `📭 本服务器没有${STATUS_LABELS[status]}的计划任务。` });
+        }
+
+        // Embed 描述最多 4096 字符，超出时截断
+        let description = '';
+        let shown = 0;
+        for (const job of jobs) {
+            const line = formatJob(job) + '\n\n';
+            if (description.length + line.length > 4000) break;
+            description += line;
+            shown++;
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🗓️ 计划任务 - ${STATUS_LABELS[status]}`)
+            .setDescription(description.trim())
+            .setColor('#607D8B')
+            .setFooter({ text: status === 'pending' ? `显示 ${shown} 条（按执行时间排序）` : `显示 ${shown} 条（按时间倒序）` })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+
+    } catch (error) {
+        console.error('查询计划任务时出错:', error);
+
+        try {
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: `❌ 查询计划任务时出错：${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            } else {
+                await interaction.editReply({
+                    content: `❌ 查询计划任务时出错：${error.message}`
+                });
+            }
+        } catch (replyError) {
+            console.error('回复错误信息失败:', replyError);
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute,
+};
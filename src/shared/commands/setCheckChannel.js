@@ -26,11 +26,11 @@ async function execute(interaction) {
         }
 
         // 检查用户权限
-        const hasPermission = checkAdminPermission(interaction.member);
+        const hasPermission = checkAdminPermission(interaction.member, interaction.commandName);
         
         if (!hasPermission) {
             return interaction.reply({
-                content: getPermissionDeniedMessage(),
+                content: getPermissionDeniedMessage(interaction),
                 flags: MessageFlags.Ephemeral
             });
         }
@@ -84,7 +84,7 @@ async function execute(interaction) {
         // 发送测试消息验证设置
         try {
             const testMessage = await targetChannel.send({
-                content: `📊 **过期提案检查报告频道设置完成**\n\n由 <@${interaction.user.id}> 设置\n设置时间: <t:${Math.floor(Date.now() / 1000)}:f>\n\n此频道将接收定期的过期提案检查报告。`
+                content: `📊 **过期提案检查报告频道设置完成**\n\n由 <@${interaction.user.id}> 设置\n设置时间: <t:${Math.floor(Date.now() / 1000)}:f>\n\n提案截止时未获得足够支持而过期，此频道会收到通知。`
             });
             
             await interaction.editReply({ 
@@ -0,0 +1,180 @@
+// src\shared\commands\timeConfig.js
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const { readGuildTimeSettings, saveGuildTimeSettings } = require('../../core/utils/database');
+const { checkAdminPermission, getPermissionDeniedMessage } = require('../../core/utils/permissionManager');
+const { logAuditEvent } = require('../../core/utils/auditLogger');
+const {
+    TIME_SETTINGS,
+    getTimeConfig,
+    formatTimeSettingValue,
+    parseTimeSettingValue,
+    validateTimeConfig,
+    getCurrentTimeMode,
+    getTimeRangeDescription
+} = require('../../core/config/timeconfig');
+
+const settingChoices = Object.entries(TIME_SETTINGS).map(([key, definition]) => ({ name: definition.label, value: key }));
+
+const data = new SlashCommandBuilder()
+    .setName('时间配置')
+    .setDescription('查看或调整本服务器的提案、法庭、自助管理时间配置')
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('查看')
+            .setDescription('查看本服务器当前的时间配置'))
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('设置')
+            .setDescription('修改一项时间配置，立即生效')
+            .addStringOption(option =>
+                option.setName('项目')
+                    .setDescription('要修改的配置项')
+                    .setRequired(true)
+                    .addChoices(...settingChoices))
+            .addStringOption(option =>
+                option.setName('值')
+                    .setDescription('新的值；禁言等级的格式为 “10:10, 20:20, 30:40”（⚠️数量:禁言分钟）')
+                    .setRequired(true)))
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('重置')
+            .setDescription('恢复默认值')
+            .addStringOption(option =>
+                option.setName('项目')
+                    .setDescription('要恢复的配置项（不填则恢复全部）')
+                    .setRequired(false)
+                    .addChoices(...settingChoices)));
+
+function buildTimeConfigEmbed(guildId) {
+    const config = getTimeConfig(guildId);
+    const overrides = readGuildTimeSettings(guildId);
+
+    const lines = Object.keys(TIME_SETTINGS).map(key => {
+        const marker = key in overrides ? '（已修改）' : '';
+        return `**${TIME_SETTINGS[key].label}：** ${formatTimeSettingValue(key, config[key])}${marker}`;
+    });
+
+    return new EmbedBuilder()
+        .setTitle('⏰ 时间配置')
+        .setDescription(lines.join('\n'))
+        .addFields({
+            name: '当前时段',
+            value: `${getCurrentTimeMode(guildId)}（白天：${getTimeRangeDescription(guildId)}，北京时间）\n夜晚时删除和禁言的⚠️阈值按系数降低。`
+        })
+        .setFooter({ text: '修改只影响之后创建的提案、法庭申请和投票' })
+        .setColor('#5865F2')
+        .setTimestamp();
+}
+
+async function execute(interaction) {
+    try {
+        if (!interaction.guild) {
+            return interaction.reply({
+                content: '❌ 此指令只能在服务器中使用，不能在私信中使用。',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        if (!checkAdminPermission(interaction.member, interaction.commandName)) {
+            return interaction.reply({
+                content: getPermissionDeniedMessage(interaction),
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guild.id;
+        const key = interaction.options.getString('项目');
+        const overrides = readGuildTimeSettings(guildId);
+
+        let message;
+        let summary;
+
+        switch (subcommand) {
+            case '查看':
+                return interaction.editReply({ embeds: [buildTimeConfigEmbed(guildId)] });
+
+            case '设置': {
+                const { value, error } = parseTimeSettingValue(key, interaction.options.getString('值'));
+                if (error) {
+                    return interaction.editReply({ content: `❌ ${error}` });
+                }
+
+                const updated = { ...overrides, [key]: value };
+                const conflict = validateTimeConfig({ ...getTimeConfig(), ...updated });
+                if (conflict) {
+                    return interaction.editReply({ content: `❌ ${conflict}` });
+                }
+
+                await saveGuildTimeSettings(guildId, updated);
+                summary = `${TIME_SETTINGS[key].label} 修改为 ${formatTimeSettingValue(key, value)}`;
+                message = `✅ 已将 **${TIME_SETTINGS[key].label}** 修改为 ${formatTimeSettingValue(key, value)}。`;
+                break;
+            }
+
+            case '重置': {
+                if (key) {
+                    const updated = { ...overrides };
+                    delete updated[key];
+
+                    const conflict = validateTimeConfig({ ...getTimeConfig(), ...updated });
+                    if (conflict) {
+                        return interaction.editReply({ content: `❌ 恢复默认值后${conflict}请先调整相关的配置项。` });
+                    }
+
+                    await saveGuildTimeSettings(guildId, updated);
+                    summary = `${TIME_SETTINGS[key].label} 恢复默认值`;
+                    message = `✅ 已将 **${TIME_SETTINGS[key].label}** 恢复为默认值 ${formatTimeSettingValue(key, TIME_SETTINGS[key].default)}。`;
+                } else {
+                    await saveGuildTimeSettings(guildId, {});
+                    summary = '全部时间配置恢复默认值';
+                    message = '✅ 已将全部时间配置恢复为默认值。';
+                }
+                break;
+            }
+
+            default:
+                return interaction.editReply({ content: '❌ 未知的子命令。' });
+        }
+
+        console.log(`时间配置更新 - 服务器: ${interaction.guild.name}, 子命令: ${subcommand}, 项目: ${key || '全部'}, 操作者: ${interaction.user.tag}`);
+
+        await logAuditEvent(interaction.client, {
+            guildId,
+            module: 'core',
+            action: '修改时间配置',
+            actorId: interaction.user.id,
+            summary
+        });
+
+        await interaction.editReply({
+            content: message,
+            embeds: [buildTimeConfigEmbed(guildId)]
+        });
+
+    } catch (error) {
+        console.error('处理时间配置指令时出错:', error);
+
+        try {
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: `❌ 处理时间配置指令时出错：${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            } else {
+                await interaction.editReply({
+                    content: `❌ 处理时间配置指令时出错：${error.message}`
+                });
+            }
+        } catch (replyError) {
+            console.error('回复错误信息失败:', replyError);
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute,
+};
@@ -0,0 +1,85 @@
+// tests/autoCleanup.test.js
+require('./helpers/testEnv');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeClient } = require('./helpers/fakeDiscord');
+const { KeywordDetector } = require('../src/modules/autoCleanup/services/keywordDetector');
+const { autoCleanupHandler } = require('../src/modules/autoCleanup/events/messageCreate');
+const { saveAutoCleanupSettings, queryAuditLogs } = require('../src/core/utils/database');
+
+let client, guild, channel, otherChannel, member;
+
+beforeEach(async () => {
+    client = new FakeClient();
+    guild = client.createGuild();
+    channel = guild.createTextChannel({ name: '闲聊' });
+    otherChannel = guild.createTextChannel({ name: '公告' });
+    member = guild.addMember(client.createUser({ username: '路人' }));
+
+    await saveAutoCleanupSettings(guild.id, {
+        bannedKeywords: ['广告', '/加\\s*微\\s*信/'],
+        monitorChannels: [channel.id],
+        exemptChannels: [],
+        cleanupRole: null,
+        isEnabled: true,
+        autoCleanupEnabled: true
+    });
+});
+
+test('关键字匹配忽略大小写，/.../ 形式按正则匹配', async () => {
+    const detector = new KeywordDetector();
+    const keywords = ['SPAM', '/加\\s*微\\s*信/'];
+
+    assert.deepEqual(await detector.checkMessageAdvanced({ content: 'this is spam' }, keywords), { shouldDelete: true, matchedKeywords: ['SPAM'] });
+    assert.deepEqual(await detector.checkMessageAdvanced({ content: '请加 微 信' }, keywords), { shouldDelete: true, matchedKeywords: ['/加\\s*微\\s*信/'] });
+    assert.equal((await detector.checkMessageAdvanced({ content: '正常聊天' }, keywords)).shouldDelete, false);
+    assert.equal((await detector.checkMessageAdvanced({ content: '' }, keywords)).shouldDelete, false);
+});
+
+test('删除包含违禁关键字的消息，私信作者并记录审计日志', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const message = channel.post(member.user, '出售广告位');
+
+    await autoCleanupHandler.handleMessage(message);
+
+    assert.equal(message.deleted, true);
+    assert.equal(member.user.dms.length, 1);
+    assert.equal(member.user.dms[0].embeds[0].fields[1].value, '广告');
+
+    const logs = await queryAuditLogs(guild.id, { module: 'autoCleanup' });
+    assert.equal(logs[0].targetId, member.id);
+
+    // 频道中的提醒 5 秒后自动删除
+    const warning = [...channel.messages.cache.values()].find(m => m.author.id === client.user.id);
+    assert.match(warning.content, new RegExp(`<@${member.id}>`));
+    t.mock.timers.tick(5000);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(warning.deleted, true);
+});
+
+test('忽略机器人消息、未监控频道和未启用的服务器', async () => {
+    const fromBot = channel.post(client.createUser({ username: '其他机器人', bot: true }), '广告');
+    await autoCleanupHandler.handleMessage(fromBot);
+    assert.equal(fromBot.deleted, false);
+
+    const elsewhere = otherChannel.post(member.user, '广告');
+    await autoCleanupHandler.handleMessage(elsewhere);
+    assert.equal(elsewhere.deleted, false);
+
+    await saveAutoCleanupSettings(guild.id, { bannedKeywords: ['广告'], monitorChannels: [], isEnabled: false, autoCleanupEnabled: true });
+    const disabled = channel.post(member.user, '广告');
+    await autoCleanupHandler.handleMessage(disabled);
+    assert.equal(disabled.deleted, false);
+});
+
+test('作者关闭私信时仍然删除消息', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const closed = guild.addMember(client.createUser({ username: '关私信', dmDisabled: true }));
+    const message = channel.post(closed.user, '广告');
+
+    await autoCleanupHandler.handleMessage(message);
+
+    assert.equal(message.deleted, true);
+    assert.equal(closed.user.dms.length, 0);
+    t.mock.timers.tick(5000);
+});
@@ -0,0 +1,129 @@
+// tests/court.test.js
+require('./helpers/testEnv');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeClient, createButtonInteraction } = require('./helpers/fakeDiscord');
+const { createVotingSystem } = require('../src/modules/court/services/courtForumPoster');
+const { processCourtVote, finalizeVote } = require('../src/modules/court/services/courtVotingSystem');
+const { getCourtVoteRules } = require('../src/modules/court/utils/courtVoteRules');
+const { getCourtVote, getScheduledJobsByGuild, getModerationRecords } = require('../src/core/utils/database');
+
+let client, guild, thread, applicant, target, voters;
+
+beforeEach(() => {
+    client = new FakeClient();
+    guild = client.createGuild();
+    applicant = guild.addMember(client.createUser({ username: '申请人' }));
+    target = guild.addMember(client.createUser({ username: '被告' }));
+    voters = ['甲', '乙', '丙', '丁'].map(name => guild.addMember(client.createUser({ username: name })));
+    const forum = guild.createForumChannel({ name: '议会法庭' });
+    thread = guild.createTextChannel({ name: '辩诉帖', parent: forum });
+});
+
+async function openVote(ruleOverrides = {}) {
+    const rules = { ...getCourtVoteRules(undefined), defenseHours: 0, publicDelayHours: 0, minTurnout: 3, ...ruleOverrides };
+    const { voteMessageId } = await createVotingSystem(thread, {
+        messageId: 'court-app-1',
+        courtId: 7,
+        guildId: guild.id,
+        applicantId: applicant.id,
+        targetUserId: target.id,
+        punishmentType: 'timeout',
+        timeoutDays: 1,
+        warningDays: null
+    }, target.user, rules);
+    return thread.messages.cache.get(voteMessageId);
+}
+
+async function vote(member, message, side) {
+    const interaction = createButtonInteraction(client, {
+        member,
+        message,
+        customId: `court_vote_${side}_${thread.id}`
+    });
+    await processCourtVote(interaction);
+    return interaction;
+}
+
+test('没有答辩阶段时投票立即开放并安排结算任务', async () => {
+    const message = await openVote();
+
+    const voteData = await getCourtVote(thread.id);
+    assert.equal(voteData.status, 'active');
+    assert.equal(message.components[0].components[0].disabled, false);
+
+    const jobs = await getScheduledJobsByGuild(guild.id, 'pending');
+    assert.ok(jobs.some(job => job.key === thread.id));
+});
+
+test('答辩阶段不能投票，并私信被处罚者', async () => {
+    const message = await openVote({ defenseHours: 12 });
+
+    assert.equal((await getCourtVote(thread.id)).status, 'defense');
+    assert.equal(target.user.dms.length, 1);
+
+    const interaction = await vote(voters[0], message, 'support');
+    assert.equal(interaction.lastReply.content, '被处罚者答辩阶段尚未结束，投票暂未开放。');
+});
+
+test('改投和撤销会正确更新票数', async () => {
+    const message = await openVote();
+
+    await vote(voters[0], message, 'support');
+    await vote(voters[0], message, 'oppose');
+    let voteData = await getCourtVote(thread.id);
+    assert.deepEqual([voteData.supportVotes, voteData.opposeVotes], [0, 1]);
+
+    const interaction = await vote(voters[0], message, 'oppose');
+    assert.equal(interaction.lastReply.content, '您已撤销反对票！');
+    voteData = await getCourtVote(thread.id);
+    assert.deepEqual([voteData.supportVotes, voteData.opposeVotes], [0, 0]);
+
+    // 公开延迟为 0，投票后立即显示票数
+    assert.equal(voteData.isPublic, true);
+    assert.match(message.embeds[0].description, /支持处罚: \*\*0\*\* 票/);
+});
+
+test('判决通过时执行禁言并私信上诉通知', async () => {
+    const message = await openVote();
+
+    await vote(voters[0], message, 'support');
+    await vote(voters[1], message, 'support');
+    await vote(voters[2], message, 'oppose');
+
+    await finalizeVote(client, await getCourtVote(thread.id));
+
+    const voteData = await getCourtVote(thread.id);
+    assert.equal(voteData.status, 'completed');
+    assert.equal(voteData.finalResult.resultType, 'approved');
+    assert.equal(voteData.execution.actions[0].type, 'timeout');
+    assert.equal(voteData.execution.actions[0].success, true);
+
+    assert.equal(target.timeouts.length, 1);
+    assert.ok(Math.abs(target.timeouts[0].duration - 24 * 60 * 60 * 1000) < 1000);
+    assert.ok(target.isCommunicationDisabled());
+
+    assert.ok(target.user.dms.some(dm => dm.components?.[0].components[0].customId === `court_appeal_${thread.id}`));
+    assert.equal(message.embeds[0].title, '议会辩诉投票 - 结果');
+    assert.ok(message.components[0].components.every(button => button.disabled));
+    assert.ok([...thread.messages.cache.values()].some(m => m.embeds[0]?.title === '⚖️ 判决执行记录'));
+
+    const [record] = await getModerationRecords(guild.id, target.id);
+    assert.equal(record.type, 'court');
+    assert.equal(record.punishmentType, 'timeout');
+});
+
+test('投票人数不足时判决无效且不执行处罚', async () => {
+    const message = await openVote();
+
+    await vote(voters[0], message, 'support');
+    await vote(voters[1], message, 'support');
+
+    await finalizeVote(client, await getCourtVote(thread.id));
+
+    const voteData = await getCourtVote(thread.id);
+    assert.equal(voteData.finalResult.resultType, 'invalid');
+    assert.equal(target.timeouts.length, 0);
+    assert.equal(target.user.dms.length, 0);
+    assert.match(message.embeds[0].description, /投票无效/);
+});
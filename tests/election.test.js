@@ -0,0 +1,107 @@
+// tests/election.test.js
+require('./helpers/testEnv');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ElectionData, RegistrationData, VoteData } = require('../src/modules/election/data/electionDatabase');
+const { calculateElectionResults } = require('../src/modules/election/services/electionResultService');
+const { CANDIDATE_STATUS } = require('../src/modules/election/utils/tieBreakingUtils');
+
+/**
+ * 用内存中的数据替换募选的 JSON 存储，避免读写 src/modules/election/data 下的正式数据
+ */
+function mockElection(t, { countingMethod, positions, registrations, votes }) {
+    const election = { electionId: 'e1', name: '测试募选', countingMethod, positions };
+    t.mock.method(ElectionData, 'getById', async () => election);
+    t.mock.method(RegistrationData, 'getByElection', async () => registrations);
+    t.mock.method(VoteData, 'getByElection', async () => votes);
+}
+
+function registration(userId, firstChoicePosition, secondChoicePosition = null) {
+    return { userId, userDisplayName: `候选人${userId}`, firstChoicePosition, secondChoicePosition };
+}
+
+function winnersOf(result) {
+    return result.candidates.filter(candidate => candidate.isWinner).map(candidate => candidate.userId);
+}
+
+test('赞成投票按票数选出当选者，第一志愿当选者不再占用第二志愿职位', async (t) => {
+    mockElection(t, {
+        countingMethod: 'approval',
+        positions: {
+            chair: { id: 'chair', name: '主席', maxWinners: 1 },
+            secretary: { id: 'secretary', name: '秘书', maxWinners: 1 }
+        },
+        registrations: [
+            registration('a', 'chair', 'secretary'),
+            registration('b', 'chair'),
+            registration('c', 'secretary')
+        ],
+        votes: [
+            { positionId: 'chair', votes: { v1: ['a'], v2: ['a'], v3: ['b'] } },
+            { positionId: 'secretary', votes: { v1: ['a'], v2: ['a', 'c'], v3: ['a'] } }
+        ]
+    });
+
+    const results = await calculateElectionResults('e1');
+
+    assert.deepEqual(winnersOf(results.chair), ['a']);
+    assert.equal(results.chair.totalVoters, 3);
+    // a 在秘书职位票数最高，但已在第一志愿当选主席，由 c 递补
+    assert.deepEqual(winnersOf(results.secretary), ['c']);
+    assert.equal(results._tieAnalysis.hasAnyTies, false);
+});
+
+test('边界并列时标记为待处理', async (t) => {
+    mockElection(t, {
+        countingMethod: 'approval',
+        positions: { member: { id: 'member', name: '委员', maxWinners: 1 } },
+        registrations: [registration('a', 'member'), registration('b', 'member')],
+        votes: [{ positionId: 'member', votes: { v1: ['a'], v2: ['b'] } }]
+    });
+
+    const results = await calculateElectionResults('e1');
+
+    assert.equal(results._tieAnalysis.hasAnyTies, true);
+    for (const candidate of results.member.candidates) {
+        assert.equal(candidate.statusInfo.status, CANDIDATE_STATUS.TIED_PENDING);
+    }
+});
+
+test('无人投票的职位作废', async (t) => {
+    mockElection(t, {
+        countingMethod: 'approval',
+        positions: { member: { id: 'member', name: '委员', maxWinners: 2 } },
+        registrations: [registration('a', 'member')],
+        votes: []
+    });
+
+    const results = await calculateElectionResults('e1');
+
+    assert.equal(results.member.isVoid, true);
+    assert.equal(results.member.voidReason, '无人投票，该职位募选作废');
+});
+
+test('即时决选按偏好转移票数', async (t) => {
+    mockElection(t, {
+        countingMethod: 'irv',
+        positions: { chair: { id: 'chair', name: '主席', maxWinners: 1 } },
+        registrations: [registration('a', 'chair'), registration('b', 'chair'), registration('c', 'chair')],
+        votes: [{
+            positionId: 'chair',
+            votes: {
+                v1: ['a', 'b'],
+                v2: ['a', 'b'],
+                v3: ['b', 'a'],
+                v4: ['b', 'a'],
+                v5: ['c', 'b']
+            }
+        }]
+    });
+
+    const results = await calculateElectionResults('e1');
+
+    // 第一轮 a、b 各 2 票，c 被淘汰后其选票转给 b
+    assert.deepEqual(winnersOf(results.chair), ['b']);
+    assert.equal(results.chair.candidates.find(c => c.userId === 'a').votes, 2);
+    assert.ok(results.chair.rounds.length >= 2);
+});
@@ -0,0 +1,100 @@
+// tests/healthServer.test.js
+require('./helpers/testEnv');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Collection } = require('discord.js');
+const { FakeClient, createCommandInteraction } = require('./helpers/fakeDiscord');
+const { startHealthServer, stopHealthServer } = require('../src/core/utils/healthServer');
+const { trackSchedulerRun, getSchedulerRuns, renderPrometheusMetrics } = require('../src/core/utils/metrics');
+const { interactionCreateHandler } = require('../src/core/events/interactionCreate');
+const { RateLimiter } = require('../src/modules/autoCleanup/services/rateLimiter');
+
+let client, guild, baseUrl;
+
+before(async () => {
+    client = new FakeClient();
+    guild = client.createGuild();
+    client.ws.ping = 42;
+
+    const server = await startHealthServer(client, { port: 0 });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await stopHealthServer();
+});
+
+test('未设置 HEALTH_PORT 时不启动', async () => {
+    assert.equal(await startHealthServer(client, { port: undefined }), null);
+});
+
+test('/healthz 返回网关、内存、定时任务和计划任务状态', async () => {
+    await trackSchedulerRun('court', '处罚到期检查', async () => {});
+    await assert.rejects(trackSchedulerRun('voting', '投票检查器', async () => { throw new Error('数据库忙'); }), /数据库忙/);
+
+    const response = await fetch(`${baseUrl}/healthz`);
+    assert.equal(response.status, 200);
+    const health = await response.json();
+
+    assert.equal(health.status, 'ok');
+    assert.deepEqual(health.gateway, { ready: true, ping: 42, guilds: 1 });
+    assert.ok(health.memory.heap_limit > health.memory.heap_used);
+    assert.equal(health.jobScheduler.running, false);
+    assert.equal(health.gauges.up, 1);
+
+    const voting = health.schedulers.find(run => run.moduleId === 'voting');
+    assert.equal(voting.failures, 1);
+    assert.equal(voting.lastError, '数据库忙');
+    assert.equal(voting.lastSuccessAt, null);
+    assert.ok(getSchedulerRuns().find(run => run.name === '处罚到期检查').lastSuccessAt);
+});
+
+test('网关未就绪时 /healthz 返回 503', async (t) => {
+    t.mock.method(client, 'isReady', () => false);
+    const response = await fetch(`${baseUrl}/healthz`);
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).status, 'starting');
+});
+
+test('/metrics 输出按模块统计的指令次数和自动清理队列长度', async () => {
+    client.commandModules = new Collection([['测试指令', 'voting']]);
+    client.commands.set('测试指令', { execute: async interaction => interaction.reply('ok') });
+    client.commands.set('出错指令', { execute: async () => { throw new Error('失败'); } });
+    client.commandModules.set('出错指令', 'voting');
+
+    // 私信中的指令不检查模块开关，避免加载全部模块清单
+    const user = client.createUser({ username: '用户' });
+    await interactionCreateHandler(createCommandInteraction(client, { user, commandName: '测试指令' }));
+    await interactionCreateHandler(createCommandInteraction(client, { user, commandName: '测试指令' }));
+    await interactionCreateHandler(createCommandInteraction(client, { user, commandName: '出错指令' }));
+
+    // 第一个操作执行期间，其余操作留在队列中
+    const limiter = new RateLimiter('history');
+    let release;
+    const blocker = limiter.execute(() => new Promise(resolve => { release = resolve; }), 'scan');
+    const queued = [limiter.execute(async () => {}, 'delete'), limiter.execute(async () => {}, 'delete')];
+
+    const response = await fetch(`${baseUrl}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    const body = await response.text();
+
+    assert.match(body, /discordbot_interactions_total\{module="voting",type="command",result="ok"\} 2/);
+    assert.match(body, /discordbot_interactions_total\{module="voting",type="command",result="error"\} 1/);
+    assert.match(body, /discordbot_autocleanup_queue_depth\{limiter="history",type="delete"\} 2/);
+    assert.match(body, /discordbot_gateway_ping_milliseconds 42/);
+    assert.match(body, /discordbot_memory_bytes\{type="heap_limit"\} \d+/);
+    assert.match(body, /discordbot_scheduler_runs_total\{module="voting",scheduler="投票检查器",result="error"\} 1/);
+    assert.match(body, /# TYPE discordbot_scheduler_last_run_timestamp_seconds gauge/);
+
+    release();
+    await Promise.all([blocker, ...queued]);
+    // 最后一个操作完成后限速器还会短暂等待，再退出处理循环
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assert.doesNotMatch(renderPrometheusMetrics(), /limiter="history"/);
+});
+
+test('未知路径返回 404', async () => {
+    const response = await fetch(`${baseUrl}/unknown`);
+    assert.equal(response.status, 404);
+});
@@ -0,0 +1,884 @@
+// tests/helpers/fakeDiscord.js
+// 离线测试用的 discord.js 替身：客户端、服务器、频道、消息、成员和交互都保存在内存中，
+// 只实现业务代码实际用到的属性和方法，并记录发送、编辑、删除、禁言、私信等操作供断言。
+const { EventEmitter } = require('events');
+const { Collection, ChannelType, PermissionsBitField } = require('discord.js');
+
+let lastSnowflake = BigInt(Date.now()) << 22n;
+
+/**
+ * 生成递增的雪花ID
+ * @returns {string}
+ */
+function nextId() {
+    lastSnowflake += 1n;
+    return lastSnowflake.toString();
+}
+
+/**
+ * 模拟 DiscordAPIError，code 与真实 API 一致（10003 未知频道、10008 未知消息、50007 无法私信等）
+ */
+class FakeDiscordAPIError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'DiscordAPIError';
+        this.code = code;
+        this.status = 404;
+    }
+}
+
+function toJSON(data) {
+    return data && typeof data.toJSON === 'function' ? data.toJSON() : { ...data };
+}
+
+/**
+ * 与 discord.js 的 Embed 相同的只读视图（footer.iconURL 等驼峰属性），可被 EmbedBuilder.from 读取
+ */
+class FakeEmbed {
+    constructor(data) {
+        this.data = toJSON(data);
+    }
+
+    get title() { return this.data.title ?? null; }
+    get description() { return this.data.description ?? null; }
+    get url() { return this.data.url ?? null; }
+    get color() { return this.data.color ?? null; }
+    get timestamp() { return this.data.timestamp ?? null; }
+    get fields() { return this.data.fields ?? []; }
+    get author() {
+        return this.data.author ? { name: this.data.author.name, url: this.data.author.url, iconURL: this.data.author.icon_url } : null;
+    }
+    get footer() {
+        return this.data.footer ? { text: this.data.footer.text, iconURL: this.data.footer.icon_url } : null;
+    }
+    get thumbnail() { return this.data.thumbnail ?? null; }
+    get image() { return this.data.image ?? null; }
+
+    toJSON() {
+        return { ...this.data };
+    }
+}
+
+/**
+ * 按钮、选择菜单等消息组件的只读视图
+ */
+class FakeComponent {
+    constructor(data) {
+        this.data = toJSON(data);
+    }
+
+    get type() { return this.data.type; }
+    get customId() { return this.data.custom_id ?? null; }
+    get label() { return this.data.label ?? null; }
+    get style() { return this.data.style ?? null; }
+    get disabled() { return this.data.disabled ?? false; }
+    get url() { return this.data.url ?? null; }
+    get emoji() { return this.data.emoji ?? null; }
+    get options() { return this.data.options ?? []; }
+
+    toJSON() {
+        return { ...this.data };
+    }
+}
+
+class FakeActionRow {
+    constructor(data) {
+        const json = toJSON(data);
+        this.type = json.type;
+        this.components = (json.components || []).map(component => new FakeComponent(component));
+    }
+
+    toJSON() {
+        return { type: this.type, components: this.components.map(component => component.toJSON()) };
+    }
+}
+
+/**
+ * 把 send/edit/reply 的参数统一成 { content, embeds, components, files, ... }
+ * @param {string|object} payload
+ * @returns {object}
+ */
+function normalizePayload(payload) {
+    if (typeof payload === 'string') {
+        return { content: payload };
+    }
+    const normalized = { ...payload };
+    if (payload.embeds) normalized.embeds = payload.embeds.map(embed => new FakeEmbed(embed));
+    if (payload.components) normalized.components = payload.components.map(row => new FakeActionRow(row));
+    return normalized;
+}
+
+/**
+ * 通用的 cache + fetch 管理器，fetch 找不到时抛出与 Discord 相同的错误码
+ */
+class FakeManager {
+    constructor(notFoundMessage, notFoundCode) {
+        this.cache = new Collection();
+        this.notFoundMessage = notFoundMessage;
+        this.notFoundCode = notFoundCode;
+    }
+
+    async fetch(id) {
+        if (id === undefined || typeof id === 'object') {
+            return this.cache;
+        }
+        const item = this.cache.get(id);
+        if (!item) {
+            throw new FakeDiscordAPIError(this.notFoundMessage, this.notFoundCode);
+        }
+        return item;
+    }
+
+    resolve(idOrItem) {
+        return typeof idOrItem === 'string' ? this.cache.get(idOrItem) || null : idOrItem;
+    }
+}
+
+class FakeUser {
+    constructor(client, { id = nextId(), username = `user${id.slice(-4)}`, bot = false, dmDisabled = false } = {}) {
+        this.client = client;
+        this.id = id;
+        this.username = username;
+        this.globalName = username;
+        this.discriminator = '0';
+        this.bot = bot;
+        this.dmDisabled = dmDisabled;
+        this.dms = [];
+    }
+
+    get tag() {
+        return this.username;
+    }
+
+    get displayName() {
+        return this.globalName;
+    }
+
+    displayAvatarURL() {
+        return `https://cdn.discordapp.com/embed/avatars/${Number(BigInt(this.id) % 5n)}.png`;
+    }
+
+    async send(payload) {
+        if (this.dmDisabled) {
+            throw new FakeDiscordAPIError('Cannot send messages to this user', 50007);
+        }
+        const message = normalizePayload(payload);
+        this.dms.push(message);
+        return message;
+    }
+
+    async fetch() {
+        return this;
+    }
+
+    toString() {
+        return `<@${this.id}>`;
+    }
+}
+
+class FakeRole {
+    constructor(guild, { id = nextId(), name = 'role', permissions = [] } = {}) {
+        this.guild = guild;
+        this.id = id;
+        this.name = name;
+        this.permissions = new PermissionsBitField(permissions);
+    }
+
+    toString() {
+        return `<@&${this.id}>`;
+    }
+}
+
+class FakeMember {
+    constructor(guild, user, { roles = [], permissions = [], nickname = null, joinedAt = new Date('2020-01-01T00:00:00Z') } = {}) {
+        this.guild = guild;
+        this.client = guild.client;
+        this.user = user;
+        this.id = user.id;
+        this.nickname = nickname;
+        this.joinedTimestamp = joinedAt.getTime();
+        this.permissions = new PermissionsBitField(permissions);
+        this.communicationDisabledUntilTimestamp = null;
+        this.timeouts = [];
+
+        const member = this;
+        this.roles = {
+            cache: new Collection(roles.map(role => [role.id, role])),
+            async add(roleOrId) {
+                const role = guild.roles.resolve(roleOrId);
+                member.roles.cache.set(role.id, role);
+                return member;
+            },
+            async remove(roleOrId) {
+                const role = guild.roles.resolve(roleOrId);
+                member.roles.cache.delete(role.id);
+                return member;
+            }
+        };
+    }
+
+    get displayName() {
+        return this.nickname || this.user.displayName;
+    }
+
+    get joinedAt() {
+        return new Date(this.joinedTimestamp);
+    }
+
+    get communicationDisabledUntil() {
+        return this.communicationDisabledUntilTimestamp ? new Date(this.communicationDisabledUntilTimestamp) : null;
+    }
+
+    isCommunicationDisabled() {
+        return !!this.communicationDisabledUntilTimestamp && this.communicationDisabledUntilTimestamp > Date.now();
+    }
+
+    async timeout(duration, reason) {
+        this.communicationDisabledUntilTimestamp = duration ? Date.now() + duration : null;
+        this.timeouts.push({ duration, reason });
+        return this;
+    }
+
+    async ban(options = {}) {
+        return this.guild.members.ban(this.user, options);
+    }
+
+    async kick() {
+        this.guild.members.cache.delete(this.id);
+        return this;
+    }
+
+    async send(payload) {
+        return this.user.send(payload);
+    }
+
+    toString() {
+        return `<@${this.id}>`;
+    }
+}
+
+class FakeMemberManager extends FakeManager {
+    constructor(guild) {
+        super('Unknown Member', 10007);
+        this.guild = guild;
+        this.bans = [];
+    }
+
+    get me() {
+        return this.cache.get(this.guild.client.user.id) || null;
+    }
+
+    async ban(userOrId, options = {}) {
+        const userId = typeof userOrId === 'string' ? userOrId : userOrId.id;
+        this.bans.push({ userId, ...options });
+        this.guild.bans.cache.set(userId, { user: this.guild.client.users.cache.get(userId), reason: options.reason || null });
+        this.cache.delete(userId);
+        return userOrId;
+    }
+
+    async unban(userId) {
+        this.guild.bans.cache.delete(userId);
+        return userId;
+    }
+}
+
+class FakeReaction {
+    constructor(message, emojiName) {
+        this.message = message;
+        this.client = message.client;
+        this.emoji = { name: emojiName, id: null, toString: () => emojiName };
+        this.users = new FakeManager('Unknown User', 10013);
+    }
+
+    get count() {
+        return this.users.cache.size;
+    }
+
+    get me() {
+        return this.users.cache.has(this.message.client.user.id);
+    }
+
+    async remove() {
+        this.message.reactions.cache.delete(this.emoji.name);
+        return this;
+    }
+}
+
+class FakeReactionManager {
+    constructor(message) {
+        this.message = message;
+        this.cache = new Collection();
+    }
+
+    /**
+     * 记录一个用户的反应（测试中用来模拟成员点表情）
+     * @param {string} emojiName
+     * @param {FakeUser} user
+     * @returns {FakeReaction}
+     */
+    add(emojiName, user) {
+        let reaction = this.cache.get(emojiName);
+        if (!reaction) {
+            reaction = new FakeReaction(this.message, emojiName);
+            this.cache.set(emojiName, reaction);
+        }
+        reaction.users.cache.set(user.id, user);
+        return reaction;
+    }
+
+    /**
+     * 移除一个用户的反应（测试中用来模拟成员取消表情）
+     * @param {string} emojiName
+     * @param {FakeUser} user
+     * @returns {FakeReaction|undefined}
+     */
+    remove(emojiName, user) {
+        const reaction = this.cache.get(emojiName);
+        if (!reaction) return undefined;
+        reaction.users.cache.delete(user.id);
+        if (reaction.users.cache.size === 0) {
+            this.cache.delete(emojiName);
+        }
+        return reaction;
+    }
+
+    async removeAll() {
+        this.cache.clear();
+        return this.message;
+    }
+}
+
+class FakeMessage {
+    constructor(channel, author, payload = {}) {
+        const data = normalizePayload(payload);
+        this.id = nextId();
+        this.channel = channel;
+        this.channelId = channel.id;
+        this.guild = channel.guild || null;
+        this.guildId = this.guild?.id || null;
+        this.client = channel.client;
+        this.author = author;
+        this.content = data.content || '';
+        this.embeds = data.embeds || [];
+        this.components = data.components || [];
+        this.attachments = new Collection((data.attachments || []).map(attachment => [attachment.id || nextId(), attachment]));
+        this.reactions = new FakeReactionManager(this);
+        this.system = !!data.system;
+        this.pinned = false;
+        this.deleted = false;
+        this.edits = [];
+        this.createdTimestamp = Date.now();
+    }
+
+    get createdAt() {
+        return new Date(this.createdTimestamp);
+    }
+
+    get member() {
+        return this.guild?.members.cache.get(this.author.id) || null;
+    }
+
+    get url() {
+        return `https://discord.com/channels/${this.guildId || '@me'}/${this.channelId}/${this.id}`;
+    }
+
+    async edit(payload) {
+        if (this.deleted) {
+            throw new FakeDiscordAPIError('Unknown Message', 10008);
+        }
+        const data = normalizePayload(payload);
+        for (const key of ['content', 'embeds', 'components']) {
+            if (data[key] !== undefined) this[key] = data[key];
+        }
+        this.edits.push(data);
+        return this;
+    }
+
+    async delete() {
+        if (this.deleted) {
+            throw new FakeDiscordAPIError('Unknown Message', 10008);
+        }
+        this.deleted = true;
+        this.channel.messages.cache.delete(this.id);
+        return this;
+    }
+
+    async react(emoji) {
+        return this.reactions.add(emoji, this.client.user);
+    }
+
+    async reply(payload) {
+        return this.channel.send(payload);
+    }
+
+    async pin() {
+        this.pinned = true;
+        return this;
+    }
+
+    async fetch() {
+        return this.channel.messages.fetch(this.id);
+    }
+}
+
+class FakeTextChannel {
+    constructor(guild, { id = nextId(), name = 'general', type = ChannelType.GuildText, parent = null } = {}) {
+        this.guild = guild;
+        this.guildId = guild.id;
+        this.client = guild.client;
+        this.id = id;
+        this.name = name;
+        this.type = type;
+        this.parent = parent;
+        this.parentId = parent?.id || null;
+        this.messages = new FakeManager('Unknown Message', 10008);
+        this.permissionOverwrites = {
+            cache: new Collection(),
+            edits: [],
+            async create(target, permissions) {
+                return this.edit(target, permissions);
+            },
+            async edit(target, permissions) {
+                const id = typeof target === 'string' ? target : target.id;
+                this.edits.push({ id, permissions });
+                this.cache.set(id, { id, permissions });
+            },
+            async delete(target) {
+                this.cache.delete(typeof target === 'string' ? target : target.id);
+            }
+        };
+    }
+
+    get url() {
+        return `https://discord.com/channels/${this.guildId}/${this.id}`;
+    }
+
+    isTextBased() {
+        return true;
+    }
+
+    isThread() {
+        return false;
+    }
+
+    isDMBased() {
+        return false;
+    }
+
+    /**
+     * 成员在频道中的权限（不计算频道权限覆盖）
+     * @param {FakeMember} member
+     * @returns {PermissionsBitField|null}
+     */
+    permissionsFor(member) {
+        return member?.permissions || null;
+    }
+
+    /**
+     * 以某个用户的身份在频道发一条消息（模拟成员发言）
+     * @param {FakeUser} author
+     * @param {string|object} payload
+     * @returns {FakeMessage}
+     */
+    post(author, payload) {
+        const message = new FakeMessage(this, author, payload);
+        this.messages.cache.set(message.id, message);
+        return message;
+    }
+
+    async send(payload) {
+        return this.post(this.client.user, payload);
+    }
+
+    async fetch() {
+        return this;
+    }
+
+    toString() {
+        return `<#${this.id}>`;
+    }
+}
+
+class FakeThreadChannel extends FakeTextChannel {
+    constructor(guild, { appliedTags = [], ownerId = null, ...options } = {}) {
+        super(guild, { type: ChannelType.PublicThread, ...options });
+        this.appliedTags = appliedTags;
+        this.ownerId = ownerId;
+        this.archived = false;
+        this.locked = false;
+        this.starterMessage = null;
+        this.members = {
+            cache: new Collection(),
+            async add(userId) {
+                this.cache.set(userId, { id: userId });
+            }
+        };
+    }
+
+    isThread() {
+        return true;
+    }
+
+    async setAppliedTags(tags) {
+        this.appliedTags = [...tags];
+        return this;
+    }
+
+    async setArchived(archived = true) {
+        this.archived = archived;
+        return this;
+    }
+
+    async setLocked(locked = true) {
+        this.locked = locked;
+        return this;
+    }
+
+    async setName(name) {
+        this.name = name;
+        return this;
+    }
+
+    async fetchStarterMessage() {
+        return this.starterMessage;
+    }
+}
+
+class FakeForumChannel extends FakeTextChannel {
+    constructor(guild, { availableTags = [], ...options } = {}) {
+        super(guild, { type: ChannelType.GuildForum, ...options });
+        this.availableTags = availableTags.map(tag => ({ id: nextId(), moderated: false, ...tag }));
+
+        const forum = this;
+        this.threads = {
+            cache: new Collection(),
+            async create({ name, message, appliedTags = [] }) {
+                const thread = guild.addChannel(new FakeThreadChannel(guild, { name, parent: forum, appliedTags, ownerId: guild.client.user.id }));
+                thread.starterMessage = await thread.send(message);
+                this.cache.set(thread.id, thread);
+                return thread;
+            }
+        };
+    }
+
+    isTextBased() {
+        return false;
+    }
+
+    async setAvailableTags(tags) {
+        this.availableTags = tags.map(tag => ({ id: tag.id || nextId(), moderated: false, ...tag }));
+        return this;
+    }
+}
+
+class FakeGuild {
+    constructor(client, { id = nextId(), name = '测试服务器', ownerId = null } = {}) {
+        this.client = client;
+        this.id = id;
+        this.name = name;
+        this.ownerId = ownerId;
+        this.members = new FakeMemberManager(this);
+        this.roles = new FakeManager('Unknown Role', 10011);
+        this.channels = new FakeManager('Unknown Channel', 10003);
+        this.bans = new FakeManager('Unknown Ban', 10026);
+
+        const everyone = new FakeRole(this, { id: this.id, name: '@everyone' });
+        this.roles.cache.set(everyone.id, everyone);
+        this.roles.everyone = everyone;
+
+        this.addMember(client.user, { permissions: [PermissionsBitField.Flags.Administrator] });
+    }
+
+    iconURL() {
+        return null;
+    }
+
+    addChannel(channel) {
+        this.channels.cache.set(channel.id, channel);
+        this.client.channels.cache.set(channel.id, channel);
+        return channel;
+    }
+
+    createTextChannel(options = {}) {
+        return this.addChannel(new FakeTextChannel(this, options));
+    }
+
+    createForumChannel(options = {}) {
+        return this.addChannel(new FakeForumChannel(this, options));
+    }
+
+    createRole(options = {}) {
+        const role = new FakeRole(this, options);
+        this.roles.cache.set(role.id, role);
+        return role;
+    }
+
+    /**
+     * 把用户加入服务器
+     * @param {FakeUser} user
+     * @param {object} [options] - { roles, permissions, nickname }
+     * @returns {FakeMember}
+     */
+    addMember(user, options = {}) {
+        const member = new FakeMember(this, user, options);
+        this.members.cache.set(user.id, member);
+        return member;
+    }
+
+    async fetch() {
+        return this;
+    }
+}
+
+class FakeClient extends EventEmitter {
+    constructor({ botName = '测试机器人' } = {}) {
+        super();
+        this.users = new FakeManager('Unknown User', 10013);
+        this.channels = new FakeManager('Unknown Channel', 10003);
+        this.guilds = new FakeManager('Unknown Guild', 10004);
+        this.commands = new Collection();
+        this.ws = { ping: 0 };
+        this.readyAt = new Date();
+
+        this.user = this.createUser({ username: botName, bot: true });
+        this.application = {
+            id: this.user.id,
+            owner: null,
+            fetch: async () => this.application,
+            commands: { set: async commands => commands }
+        };
+    }
+
+    isReady() {
+        return true;
+    }
+
+    createUser(options = {}) {
+        const user = new FakeUser(this, options);
+        this.users.cache.set(user.id, user);
+        return user;
+    }
+
+    createGuild(options = {}) {
+        const guild = new FakeGuild(this, options);
+        this.guilds.cache.set(guild.id, guild);
+        return guild;
+    }
+
+    destroy() {
+        this.removeAllListeners();
+    }
+}
+
+/**
+ * 模拟 CommandInteractionOptionResolver，values 中 subcommand/subcommandGroup 以外的键为选项名
+ */
+class FakeOptionResolver {
+    constructor(guild, { subcommand = null, subcommandGroup = null, ...values } = {}) {
+        this.guild = guild;
+        this.subcommand = subcommand;
+        this.subcommandGroup = subcommandGroup;
+        this.values = values;
+    }
+
+    get(name, required = false) {
+        const value = this.values[name];
+        if (value === undefined || value === null) {
+            if (required) throw new TypeError(`缺少必填选项 ${name}`);
+            return null;
+        }
+        return value;
+    }
+
+    getSubcommand(required = true) {
+        if (!this.subcommand && required) throw new TypeError('缺少子命令');
+        return this.subcommand;
+    }
+
+    getSubcommandGroup(required = false) {
+        if (!this.subcommandGroup && required) throw new TypeError('缺少子命令组');
+        return this.subcommandGroup;
+    }
+
+    getString(name, required) { return this.get(name, required); }
+    getInteger(name, required) { return this.get(name, required); }
+    getNumber(name, required) { return this.get(name, required); }
+    getBoolean(name, required) { return this.get(name, required); }
+    getUser(name, required) { return this.get(name, required); }
+    getChannel(name, required) { return this.get(name, required); }
+    getRole(name, required) { return this.get(name, required); }
+    getAttachment(name, required) { return this.get(name, required); }
+
+    getMember(name) {
+        const user = this.get(name);
+        return user ? this.guild?.members.cache.get(user.id) || null : null;
+    }
+}
+
+/**
+ * 交互替身，按真实 API 的规则校验 reply/deferReply/editReply 的调用顺序，并记录所有回复
+ */
+class FakeInteraction {
+    constructor(client, kind, { member = null, user = member?.user, guild = member?.guild || null, channel = null, ...data } = {}) {
+        this.client = client;
+        this.kind = kind;
+        this.id = nextId();
+        this.user = user;
+        this.member = member;
+        this.guild = guild;
+        this.guildId = guild?.id || null;
+        this.channel = channel;
+        this.channelId = channel?.id || null;
+        this.replied = false;
+        this.deferred = false;
+        this.ephemeral = null;
+        this.replies = [];
+        this.shownModal = null;
+        Object.assign(this, data);
+    }
+
+    /**
+     * 最近一次回复的内容（reply/editReply/followUp/update）
+     */
+    get lastReply() {
+        return this.replies.length > 0 ? this.replies[this.replies.length - 1].payload : null;
+    }
+
+    inGuild() {
+        return !!this.guild;
+    }
+
+    isRepliable() { return true; }
+    isButton() { return this.kind === 'button'; }
+    isChatInputCommand() { return this.kind === 'command'; }
+    isModalSubmit() { return this.kind === 'modal'; }
+    isStringSelectMenu() { return this.kind === 'selectMenu'; }
+    isAnySelectMenu() { return this.kind === 'selectMenu'; }
+    isAutocomplete() { return false; }
+    isMessageContextMenuCommand() { return this.kind === 'messageContextMenu'; }
+    isUserContextMenuCommand() { return this.kind === 'userContextMenu'; }
+    isContextMenuCommand() { return this.kind === 'messageContextMenu' || this.kind === 'userContextMenu'; }
+
+    record(type, payload) {
+        const entry = { type, payload: normalizePayload(payload || {}) };
+        this.replies.push(entry);
+        return entry.payload;
+    }
+
+    async reply(payload) {
+        if (this.replied || this.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+        this.replied = true;
+        this.ephemeral = !!(payload?.ephemeral || payload?.flags);
+        return this.record('reply', payload);
+    }
+
+    async deferReply(options = {}) {
+        if (this.replied || this.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+        this.deferred = true;
+        this.ephemeral = !!(options.ephemeral || options.flags);
+    }
+
+    async editReply(payload) {
+        if (!this.replied && !this.deferred) throw new Error('The reply to this interaction has not been sent or deferred.');
+        return this.record('editReply', payload);
+    }
+
+    async followUp(payload) {
+        if (!this.replied && !this.deferred) throw new Error('The reply to this interaction has not been sent or deferred.');
+        return this.record('followUp', payload);
+    }
+
+    async deferUpdate() {
+        if (this.replied || this.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+        this.deferred = true;
+    }
+
+    async update(payload) {
+        if (this.replied || this.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+        this.replied = true;
+        if (this.message) await this.message.edit(payload);
+        return this.record('update', payload);
+    }
+
+    async showModal(modal) {
+        if (this.replied || this.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+        this.replied = true;
+        this.shownModal = toJSON(modal);
+    }
+}
+
+/**
+ * 创建按钮交互
+ * @param {FakeClient} client
+ * @param {object} options - { member|user, customId, message }
+ */
+function createButtonInteraction(client, { message, ...options }) {
+    return new FakeInteraction(client, 'button', {
+        channel: message?.channel || null,
+        guild: message?.guild || options.member?.guild || null,
+        message,
+        componentType: 2,
+        ...options
+    });
+}
+
+/**
+ * 创建斜杠命令交互
+ * @param {FakeClient} client
+ * @param {object} options - { member|user, channel, commandName, options: { subcommand, 选项名: 值 } }
+ */
+function createCommandInteraction(client, { options = {}, ...data }) {
+    const interaction = new FakeInteraction(client, 'command', data);
+    interaction.options = new FakeOptionResolver(interaction.guild, options);
+    return interaction;
+}
+
+/**
+ * 创建消息右键菜单命令交互
+ * @param {FakeClient} client
+ * @param {object} options - { member|user, commandName, targetMessage }，频道默认为目标消息所在频道
+ */
+function createMessageContextMenuInteraction(client, { targetMessage, ...data }) {
+    return new FakeInteraction(client, 'messageContextMenu', {
+        channel: targetMessage.channel,
+        targetMessage,
+        targetId: targetMessage.id,
+        ...data
+    });
+}
+
+/**
+ * 创建模态框提交交互
+ * @param {FakeClient} client
+ * @param {object} options - { member|user, channel, customId, fields: { 输入框ID: 值 } }
+ */
+function createModalInteraction(client, { fields = {}, ...data }) {
+    const interaction = new FakeInteraction(client, 'modal', data);
+    interaction.fields = {
+        fields: new Collection(Object.entries(fields).map(([customId, value]) => [customId, { customId, value }])),
+        getTextInputValue(customId) {
+            if (!(customId in fields)) throw new TypeError(`找不到输入框 ${customId}`);
+            return fields[customId];
+        }
+    };
+    return interaction;
+}
+
+module.exports = {
+    nextId,
+    FakeDiscordAPIError,
+    FakeClient,
+    FakeGuild,
+    FakeUser,
+    FakeMember,
+    FakeRole,
+    FakeTextChannel,
+    FakeThreadChannel,
+    FakeForumChannel,
+    FakeMessage,
+    FakeInteraction,
+    createButtonInteraction,
+    createCommandInteraction,
+    createMessageContextMenuInteraction,
+    createModalInteraction
+};
@@ -0,0 +1,23 @@
+// tests/helpers/testEnv.js
+// 每个测试文件需在加载任何业务模块之前先引入本文件：
+// 数据库和 JSON 数据改写到临时目录，测试结束后删除，不会碰到正式数据
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'discordbot-test-'));
+process.env.BOT_DATA_DIR = DATA_DIR;
+
+process.on('exit', () => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+// 业务代码的调试日志很多，默认不输出，设置 TEST_VERBOSE=1 可以查看
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.info = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+}
+
+module.exports = { DATA_DIR };
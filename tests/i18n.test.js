@@ -0,0 +1,102 @@
+// tests/i18n.test.js
+require('./helpers/testEnv');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PermissionsBitField } = require('discord.js');
+const { FakeClient, createCommandInteraction } = require('./helpers/fakeDiscord');
+const { t, defineMessages, getGuildLocale, localizeCommandData } = require('../src/core/utils/i18n');
+const { getPermissionDeniedMessage } = require('../src/core/utils/permissionManager');
+const { readGuildLocaleSettings, saveGuildLocaleSettings } = require('../src/core/utils/database');
+const languageCommand = require('../src/shared/commands/language');
+const { createVotingSystem } = require('../src/modules/court/services/courtForumPoster');
+const { getCourtVoteRules } = require('../src/modules/court/utils/courtVoteRules');
+const applyToCourt = require('../src/modules/court/commands/applyToCourt');
+
+let client, guild, admin;
+
+beforeEach(() => {
+    client = new FakeClient();
+    guild = client.createGuild();
+    admin = guild.addMember(client.createUser({ username: '管理员' }), { permissions: [PermissionsBitField.Flags.Administrator] });
+});
+
+test('按 key 取文本并填入参数，缺少译文时回退到简体中文', () => {
+    const text = defineMessages('i18nTest', {
+        'zh-CN': { greeting: '你好，{name}！', onlyChinese: '只有中文' },
+        'en-US': { greeting: 'Hello, {name}!' },
+    });
+
+    assert.equal(text('zh-CN', 'greeting', { name: '小明' }), '你好，小明！');
+    assert.equal(text('en-GB', 'greeting', { name: 'Ming' }), 'Hello, Ming!');
+    assert.equal(text('en-US', 'onlyChinese'), '只有中文');
+    assert.equal(text('en-US', 'greeting'), 'Hello, {name}!');
+    assert.equal(t('en-US', 'i18nTest.missing'), 'i18nTest.missing');
+});
+
+test('服务器未设置语言时使用简体中文，私信按用户客户端语言', async () => {
+    assert.equal(getGuildLocale(guild.id), 'zh-CN');
+
+    const dm = createCommandInteraction(client, { user: admin.user, commandName: 'ping', locale: 'en-US' });
+    assert.match(getPermissionDeniedMessage(dm), /^❌ \*\*Permission denied\*\*/);
+
+    const inGuild = createCommandInteraction(client, { member: admin, commandName: 'ping', locale: 'en-US' });
+    assert.match(getPermissionDeniedMessage(inGuild), /^❌ \*\*权限不足\*\*/);
+});
+
+test('/语言设置 修改服务器语言后，回复和权限提示都使用新语言', async () => {
+    const interaction = createCommandInteraction(client, {
+        member: admin,
+        commandName: '语言设置',
+        options: { '语言': 'en-US' }
+    });
+    await languageCommand.execute(interaction);
+
+    assert.equal(readGuildLocaleSettings(guild.id).locale, 'en-US');
+    assert.equal(interaction.lastReply.content, '✅ This server now uses **English**.');
+
+    const member = guild.addMember(client.createUser({ username: '成员' }));
+    const denied = createCommandInteraction(client, { member, commandName: '语言设置' });
+    await languageCommand.execute(denied);
+    assert.match(denied.lastReply.content, /You do not have permission to use this command/);
+});
+
+test('部署命令时附带英文名称、说明和选项值', () => {
+    const localized = localizeCommandData(applyToCourt.data.toJSON(), 'court');
+
+    assert.equal(localized.name, '申请上庭');
+    assert.equal(localized.name_localizations['en-US'], 'file-court-case');
+    assert.equal(localized.name_localizations['en-GB'], 'file-court-case');
+
+    const punishment = localized.options.find(option => option.name === '处罚类型');
+    assert.equal(punishment.name_localizations['en-US'], 'punishment');
+    assert.deepEqual(punishment.choices.map(choice => choice.name_localizations['en-US']), ['Timeout', 'Ban']);
+
+    // 没有译文的命名空间保持原样
+    assert.deepEqual(localizeCommandData(applyToCourt.data.toJSON(), 'unknownModule'), applyToCourt.data.toJSON());
+});
+
+test('辩诉投票器使用服务器设置的语言', async () => {
+    await saveGuildLocaleSettings(guild.id, { locale: 'en-US' });
+    const target = guild.addMember(client.createUser({ username: '被告' }));
+    const forum = guild.createForumChannel({ name: '议会法庭' });
+    const thread = guild.createTextChannel({ name: '辩诉帖', parent: forum });
+
+    const rules = { ...getCourtVoteRules(undefined), defenseHours: 0, publicDelayHours: 0.5 };
+    const { voteMessageId } = await createVotingSystem(thread, {
+        messageId: 'court-app-1',
+        courtId: 3,
+        guildId: guild.id,
+        applicantId: admin.id,
+        targetUserId: target.id,
+        punishmentType: 'timeout',
+        timeoutDays: 2,
+        warningDays: 7
+    }, target.user, rules);
+    const message = thread.messages.cache.get(voteMessageId);
+
+    assert.equal(message.embeds[0].title, 'Court Vote');
+    assert.match(message.embeds[0].description, /Apply a 2-day timeout \+ a 7-day warning to <@\d+>/);
+    assert.match(message.embeds[0].description, /revealed after 30 minutes/);
+    assert.equal(message.embeds[0].footer.text, 'Court case ID 3 | Anonymous vote');
+    assert.equal(message.components[0].components[0].label, 'Support punishment');
+});
@@ -0,0 +1,127 @@
+// tests/proposal.test.js
+require('./helpers/testEnv');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeClient, createButtonInteraction } = require('./helpers/fakeDiscord');
+const { publishProposalToVoting } = require('../src/modules/proposal/services/publishService');
+const { processVote } = require('../src/modules/proposal/services/voteTracker');
+const { PROPOSAL_RESOLUTION_TAGS } = require('../src/modules/proposal/utils/forumTagManager');
+const { getMessage, getScheduledJobsByGuild, saveSupportPermissionSettings } = require('../src/core/utils/database');
+
+let client, guild, votingChannel, forum, author, supporters;
+
+beforeEach(() => {
+    client = new FakeClient();
+    author = client.createUser({ username: '提案人' });
+    guild = client.createGuild({ ownerId: author.id });
+    guild.addMember(author);
+    votingChannel = guild.createTextChannel({ name: '提案投票' });
+    // 预先建好状态标签，避免标签创建流程中的等待
+    forum = guild.createForumChannel({
+        name: '议案讨论',
+        availableTags: Object.values(PROPOSAL_RESOLUTION_TAGS).map(({ name, moderated }) => ({ name, moderated }))
+    });
+    supporters = ['甲', '乙', '丙'].map(name => guild.addMember(client.createUser({ username: name })));
+});
+
+async function publish(requiredVotes = 3) {
+    const result = await publishProposalToVoting(client, {
+        guildId: guild.id,
+        authorId: author.id,
+        proposalId: 'P-1',
+        threadId: null,
+        formData: {
+            title: '增设新人引导频道',
+            reason: '新人不知道从哪里开始',
+            motion: '新建一个引导频道',
+            implementation: '由管理组搭建',
+            executor: '管理组'
+        }
+    }, {
+        targetChannelId: votingChannel.id,
+        requiredVotes,
+        forumChannelId: forum.id
+    });
+    assert.equal(result.success, true, result.error);
+    return votingChannel.messages.cache.get(result.messageId);
+}
+
+async function support(member, message) {
+    const interaction = createButtonInteraction(client, {
+        member,
+        message,
+        customId: `support_${message.id}`
+    });
+    await processVote(interaction);
+    return interaction;
+}
+
+test('发布提案后带有支持按钮并安排截止任务', async () => {
+    const message = await publish();
+
+    assert.equal(message.components[0].components[0].customId, `support_${message.id}`);
+    assert.equal(message.components[0].components[0].label, '支持 (0/3)');
+
+    const data = await getMessage(message.id);
+    assert.equal(data.status, 'pending');
+
+    const jobs = await getScheduledJobsByGuild(guild.id, 'pending');
+    assert.ok(jobs.some(job => job.type === 'proposal_deadline' && job.key === message.id));
+});
+
+test('再次点击支持按钮会撤销支持', async () => {
+    const message = await publish();
+
+    const first = await support(supporters[0], message);
+    assert.equal(first.lastReply.content, '您的支持已记录！');
+    assert.equal(message.components[0].components[0].label, '支持 (1/3)');
+
+    const second = await support(supporters[0], message);
+    assert.equal(second.lastReply.content, '您已撤销对此议案的支持！');
+    assert.equal(message.components[0].components[0].label, '支持 (0/3)');
+    assert.deepEqual((await getMessage(message.id)).voters, []);
+});
+
+test('达到所需支持数后发布到论坛并进入讨论期', async () => {
+    const message = await publish();
+
+    for (const member of supporters) {
+        await support(member, message);
+    }
+
+    const data = await getMessage(message.id);
+    assert.equal(data.status, 'posted');
+    assert.equal(data.currentVotes, 3);
+
+    const thread = forum.threads.cache.get(data.forumThreadId);
+    assert.ok(thread, '应当创建论坛帖子');
+    assert.equal(thread.name, '增设新人引导频道');
+    assert.match(thread.starterMessage.content, new RegExp(`<@${author.id}>`));
+
+    const discussingTag = forum.availableTags.find(tag => tag.name === PROPOSAL_RESOLUTION_TAGS.DISCUSSING.name);
+    assert.deepEqual(thread.appliedTags, [discussingTag.id]);
+
+    const button = message.components[0].components[0];
+    assert.equal(button.customId, `complete_${message.id}`);
+    assert.equal(button.disabled, true);
+
+    const jobs = await getScheduledJobsByGuild(guild.id, 'pending');
+    assert.ok(jobs.some(job => job.type === 'proposal_discussion_end' && job.key === message.id));
+    assert.ok(!jobs.some(job => job.type === 'proposal_deadline' && job.key === message.id));
+
+    // 发布到论坛后不能再更改支持
+    const late = await support(guild.addMember(client.createUser({ username: '丁' })), message);
+    assert.equal(late.lastReply.content, '此议案已经发布到论坛，不能再更改支持状态。');
+});
+
+test('没有支持权限的身份组时拒绝支持', async () => {
+    const role = guild.createRole({ name: '议员' });
+    await saveSupportPermissionSettings(guild.id, { allowedRoles: [role.id] });
+    const message = await publish();
+
+    const interaction = await support(supporters[0], message);
+    assert.match(interaction.lastReply.content, /议员/);
+    assert.deepEqual((await getMessage(message.id)).voters, []);
+
+    await saveSupportPermissionSettings(guild.id, { allowedRoles: [] });
+});
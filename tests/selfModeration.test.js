@@ -0,0 +1,415 @@
+// tests/selfModeration.test.js
+require('./helpers/testEnv');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PermissionsBitField } = require('discord.js');
+const { FakeClient, createCommandInteraction, createMessageContextMenuInteraction } = require('./helpers/fakeDiscord');
+const { getDeduplicatedReactionCount, checkReactionThreshold } = require('../src/modules/selfModeration/services/reactionTracker');
+const { checkActiveModerationVotes } = require('../src/modules/selfModeration/services/moderationChecker');
+const { handleVoteReaction } = require('../src/modules/selfModeration/services/reactionVoteHandler');
+const startDeleteVoteCommand = require('../src/modules/selfModeration/commands/startDeleteVote');
+const myModerationRecordCommand = require('../src/modules/selfModeration/commands/myModerationRecord');
+const viewModerationRecordCommand = require('../src/modules/selfModeration/commands/viewModerationRecord');
+const { createOrMergeVote } = require('../src/modules/selfModeration/services/votingManager');
+const { countPriorOffenses } = require('../src/modules/selfModeration/services/moderationRecordService');
+const { checkInitiatorCooldown } = require('../src/modules/selfModeration/services/initiatorTracker');
+const { calculateAdditionalMuteDuration } = require('../src/modules/selfModeration/utils/timeCalculator');
+const {
+    getSelfModerationVote,
+    updateSelfModerationVote,
+    saveGuildTimeSettings,
+    saveSelfModerationSettings,
+    saveMessageTimeLimit,
+    saveModerationRecord,
+    getModerationRecords,
+    updateUserLastUsage,
+    queryAuditLogs
+} = require('../src/core/utils/database');
+
+const THRESHOLD = 3;
+
+let client, guild, channel, poster, initiator, target, announcement;
+
+beforeEach(async () => {
+    client = new FakeClient();
+    guild = client.createGuild();
+    channel = guild.createTextChannel({ name: '闲聊' });
+    poster = client.createUser({ username: '发帖人' });
+    initiator = client.createUser({ username: '发起人' });
+    guild.addMember(poster);
+    guild.addMember(initiator);
+
+    // 夜间系数设为 1，阈值不随测试运行的时间段变化
+    await saveGuildTimeSettings(guild.id, { deleteThreshold: THRESHOLD, nightDeleteMultiplier: 1 });
+
+    target = channel.post(poster, '这是一条搬屎消息');
+    announcement = await channel.send({ content: '删除消息投票' });
+});
+
+async function startDeleteVote() {
+    await createOrMergeVote({
+        guildId: guild.id,
+        channelId: channel.id,
+        targetChannelId: channel.id,
+        targetMessageId: target.id,
+        targetUserId: poster.id,
+        targetMessageUrl: target.url,
+        type: 'delete',
+        initiatorId: initiator.id
+    });
+    return updateSelfModerationVote(guild.id, target.id, 'delete', {
+        voteAnnouncementMessageId: announcement.id
+    });
+}
+
+function getReactor(index) {
+    return client.users.cache.find(u => u.username === `反应者${index}`) || client.createUser({ username: `反应者${index}` });
+}
+
+function react(message, count, { offset = 0, emoji = '⚠️' } = {}) {
+    for (let i = 0; i < count; i++) {
+        message.reactions.add(emoji, getReactor(offset + i));
+    }
+}
+
+// 模拟成员点表情或取消表情，并触发反应事件
+async function reactLive(message, index, { emoji = '⚠️', remove = false } = {}) {
+    const user = getReactor(index);
+    const reaction = remove
+        ? message.reactions.remove(emoji, user)
+        : message.reactions.add(emoji, user);
+    await handleVoteReaction(reaction, user, remove ? 'remove' : 'add');
+}
+
+test('目标消息和投票公告的反应按用户去重，并排除机器人', async () => {
+    const voteData = await startDeleteVote();
+
+    react(target, 2);
+    react(announcement, 2, { offset: 1 });
+    await target.react('⚠️');
+    react(target, 1, { offset: 5, emoji: '👍' });
+
+    const result = await getDeduplicatedReactionCount(client, voteData);
+    assert.equal(result.totalCount, 3);
+    assert.equal(result.targetMessageExists, true);
+});
+
+test('阈值使用服务器的时间配置', () => {
+    assert.deepEqual(checkReactionThreshold(THRESHOLD - 1, 'delete', guild.id), { reached: false, threshold: THRESHOLD, action: '删除消息' });
+    assert.equal(checkReactionThreshold(THRESHOLD, 'delete', guild.id).reached, true);
+});
+
+test('未达到阈值时不删除消息', async () => {
+    await startDeleteVote();
+    react(target, THRESHOLD - 1);
+
+    await checkActiveModerationVotes(client);
+
+    assert.equal(target.deleted, false);
+    const vote = await getSelfModerationVote(guild.id, target.id, 'delete');
+    assert.equal(vote.status, 'active');
+    assert.equal(vote.currentReactionCount, THRESHOLD - 1);
+});
+
+test('达到阈值后删除目标消息并记录审计日志', async () => {
+    await startDeleteVote();
+    react(target, THRESHOLD - 1);
+    react(announcement, 1, { offset: THRESHOLD - 1 });
+
+    await checkActiveModerationVotes(client);
+
+    assert.equal(target.deleted, true);
+    const vote = await getSelfModerationVote(guild.id, target.id, 'delete');
+    assert.equal(vote.status, 'completed');
+    assert.equal(vote.executed, true);
+    assert.equal(vote.executedActions[0].messageInfo.authorId, poster.id);
+
+    assert.ok([...channel.messages.cache.values()].some(m => m.embeds[0]?.title === '🗑️ 搬屎消息已删除'));
+
+    const logs = await queryAuditLogs(guild.id, { module: 'selfModeration' });
+    assert.equal(logs.length, 1);
+    assert.equal(logs[0].action, '投票删除消息');
+    assert.equal(logs[0].targetId, poster.id);
+});
+
+test('目标消息已被删除时直接结束投票', async () => {
+    await startDeleteVote();
+    await target.delete();
+
+    await checkActiveModerationVotes(client);
+
+    const vote = await getSelfModerationVote(guild.id, target.id, 'delete');
+    assert.equal(vote.status, 'completed');
+    assert.equal(vote.completionReason, 'target_message_deleted');
+});
+
+test('反应事件实时计数，达到阈值时立即删除目标消息', async () => {
+    await startDeleteVote();
+
+    for (let i = 0; i < THRESHOLD - 1; i++) {
+        await reactLive(target, i);
+    }
+    // 同一用户在投票公告上再点一次不重复计数
+    await reactLive(announcement, 0);
+
+    let vote = await getSelfModerationVote(guild.id, target.id, 'delete');
+    assert.equal(vote.currentReactionCount, THRESHOLD - 1);
+    assert.equal(target.deleted, false);
+
+    await reactLive(announcement, THRESHOLD - 1);
+
+    assert.equal(target.deleted, true);
+    vote = await getSelfModerationVote(guild.id, target.id, 'delete');
+    assert.equal(vote.status, 'completed');
+    assert.equal(vote.executed, true);
+    assert.equal(vote.executedActions[0].reactionCount, THRESHOLD);
+});
+
+test('取消反应时减少计数，机器人和其他表情不计入', async () => {
+    await startDeleteVote();
+    react(target, 1, { offset: 9 });
+
+    // 第一次事件时完整统计一次，包括投票发起前已有的反应
+    await reactLive(target, 0);
+    await reactLive(announcement, 0);
+    await reactLive(target, 1, { emoji: '👍' });
+    await handleVoteReaction(await target.react('⚠️'), client.user, 'add');
+
+    let vote = await getSelfModerationVote(guild.id, target.id, 'delete');
+    assert.equal(vote.currentReactionCount, 2);
+
+    // 用户在投票公告上的反应还在，仍然计数
+    await reactLive(target, 0, { remove: true });
+    vote = await getSelfModerationVote(guild.id, target.id, 'delete');
+    assert.equal(vote.currentReactionCount, 2);
+
+    await reactLive(announcement, 0, { remove: true });
+    vote = await getSelfModerationVote(guild.id, target.id, 'delete');
+    assert.equal(vote.currentReactionCount, 1);
+    assert.deepEqual(vote.reactionVoters, { target: [getReactor(9).id], announcement: [] });
+});
+
+test('对账检查补上漏掉的反应事件', async () => {
+    await startDeleteVote();
+    await reactLive(target, 0);
+
+    // 机器人离线期间的反应没有触发事件
+    react(announcement, THRESHOLD - 1, { offset: 1 });
+    await checkActiveModerationVotes(client);
+
+    assert.equal(target.deleted, true);
+    const vote = await getSelfModerationVote(guild.id, target.id, 'delete');
+    assert.equal(vote.executedActions[0].reactionCount, THRESHOLD);
+});
+
+test('右键菜单直接对选中的消息发起删除投票', async () => {
+    const role = guild.createRole({ name: '自助管理' });
+    await saveSelfModerationSettings(guild.id, { guildId: guild.id, deleteRoles: [role.id], muteRoles: [], allowedChannels: [] });
+    const member = guild.addMember(client.createUser({ username: '右键发起人' }), { roles: [role] });
+
+    const interaction = createMessageContextMenuInteraction(client, { member, commandName: '发起删除投票', targetMessage: target });
+    await startDeleteVoteCommand.execute(interaction);
+
+    assert.equal(interaction.lastReply.content, '✅ 投票已启动。');
+    const vote = await getSelfModerationVote(guild.id, target.id, 'delete');
+    assert.equal(vote.status, 'active');
+    assert.equal(vote.initiatorId, member.id);
+    assert.equal(vote.targetUserId, poster.id);
+    assert.equal(vote.targetMessageUrl, target.url);
+    assert.ok(vote.voteAnnouncementMessageId);
+});
+
+test('右键菜单同样检查权限、频道和消息时间限制', async () => {
+    const role = guild.createRole({ name: '自助管理' });
+    const member = guild.addMember(client.createUser({ username: '右键发起人' }), { roles: [role] });
+    const settings = { guildId: guild.id, deleteRoles: [role.id], muteRoles: [], allowedChannels: [] };
+
+    const run = async () => {
+        const interaction = createMessageContextMenuInteraction(client, { member, commandName: '发起删除投票', targetMessage: target });
+        await startDeleteVoteCommand.execute(interaction);
+        return interaction.lastReply.content;
+    };
+
+    await saveSelfModerationSettings(guild.id, { ...settings, deleteRoles: ['其他身份组'] });
+    assert.match(await run(), /权限不足/);
+
+    await saveSelfModerationSettings(guild.id, { ...settings, channelsRestricted: true, allowedChannels: ['其他频道'] });
+    assert.match(await run(), /此频道不允许使用自助管理功能/);
+
+    await saveSelfModerationSettings(guild.id, settings);
+    await saveMessageTimeLimit(guild.id, 1);
+    target.createdTimestamp = Date.now() - 2 * 60 * 60 * 1000;
+    assert.match(await run(), /发送时间超过了限制/);
+
+    assert.equal(await getSelfModerationVote(guild.id, target.id, 'delete'), undefined);
+});
+
+test('反对票按系数抵消支持票，撤回反对后立即执行', async () => {
+    await startDeleteVote();
+
+    await reactLive(announcement, 10, { emoji: '🛡️' });
+    for (let i = 0; i < THRESHOLD; i++) {
+        await reactLive(target, i);
+    }
+
+    let vote = await getSelfModerationVote(guild.id, target.id, 'delete');
+    assert.equal(vote.currentReactionCount, THRESHOLD);
+    assert.equal(vote.opposeReactionCount, 1);
+    assert.equal(target.deleted, false);
+
+    await reactLive(announcement, 10, { emoji: '🛡️', remove: true });
+
+    assert.equal(target.deleted, true);
+    vote = await getSelfModerationVote(guild.id, target.id, 'delete');
+    assert.equal(vote.executed, true);
+});
+
+test('支持率低于服务器设置的下限时不执行，结束公告显示双方票数', async () => {
+    await saveGuildTimeSettings(guild.id, { deleteThreshold: THRESHOLD, nightDeleteMultiplier: 1, opposeWeight: 0, minSupportPercent: 80 });
+    assert.equal(checkReactionThreshold(4, 'delete', guild.id, 1).reached, true);
+    assert.equal(checkReactionThreshold(3, 'delete', guild.id, 1).reached, false);
+
+    await startDeleteVote();
+    react(target, THRESHOLD);
+    react(target, 1, { offset: 10, emoji: '🛡️' });
+    await updateSelfModerationVote(guild.id, target.id, 'delete', { endTime: new Date(Date.now() - 1000).toISOString() });
+
+    await checkActiveModerationVotes(client);
+
+    assert.equal(target.deleted, false);
+    const vote = await getSelfModerationVote(guild.id, target.id, 'delete');
+    assert.equal(vote.status, 'completed');
+    assert.equal(vote.opposeReactionCount, 1);
+
+    const description = announcement.embeds[0].description;
+    assert.match(description, /\*\*支持⚠️数量：\*\* 3（去重后）/);
+    assert.match(description, /\*\*反对🛡️数量：\*\* 1（去重后）/);
+    assert.match(description, /❌ 未达到执行条件/);
+});
+
+test('投票删除写入处罚记录，统计周期内再次被投票禁言时加重', async () => {
+    await saveGuildTimeSettings(guild.id, { deleteThreshold: THRESHOLD, nightDeleteMultiplier: 1, nightMuteMultiplier: 1 });
+    await startDeleteVote();
+    react(target, THRESHOLD);
+    await checkActiveModerationVotes(client);
+
+    const records = await getModerationRecords(guild.id, poster.id);
+    assert.equal(records.length, 1);
+    assert.equal(records[0].type, 'delete');
+    assert.equal(records[0].messageId, target.id);
+
+    // 同一条消息的禁言投票不把这次删除算作前科
+    assert.equal(await countPriorOffenses(guild.id, poster.id, target.id), 0);
+    const priorOffenses = await countPriorOffenses(guild.id, poster.id, 'another-message');
+    assert.equal(priorOffenses, 1);
+
+    // 默认禁言等级 10个⚠️ → 10分钟，加重系数 1.5
+    const muteInfo = calculateAdditionalMuteDuration(10, 0, guild.id, priorOffenses);
+    assert.equal(muteInfo.totalDuration, 15);
+    assert.equal(muteInfo.multiplier, 1.5);
+
+    await saveGuildTimeSettings(guild.id, { nightMuteMultiplier: 1, repeatOffenseWindowDays: 0 });
+    assert.equal(await countPriorOffenses(guild.id, poster.id, 'another-message'), 0);
+    assert.equal(calculateAdditionalMuteDuration(10, 0, guild.id, 1).totalDuration, 10);
+});
+
+test('/我的处罚记录 显示自己的记录，/查询处罚记录 仅限管理员', async () => {
+    await saveModerationRecord({
+        guildId: guild.id,
+        userId: poster.id,
+        type: 'mute',
+        sourceKey: `${guild.id}_${target.id}_mute`,
+        messageId: target.id,
+        channelId: channel.id,
+        totalDuration: 10,
+        multiplier: 1,
+        priorOffenses: 0
+    });
+    // 同一投票的等级提升只更新已有记录
+    await saveModerationRecord({ guildId: guild.id, userId: poster.id, type: 'mute', sourceKey: `${guild.id}_${target.id}_mute`, totalDuration: 20 });
+    await saveModerationRecord({
+        guildId: guild.id,
+        userId: poster.id,
+        type: 'court',
+        sourceKey: `court_${guild.id}_7`,
+        courtId: 7,
+        punishmentType: 'timeout',
+        timeoutDays: 2,
+        revoked: true
+    });
+    assert.equal((await getModerationRecords(guild.id, poster.id)).length, 2);
+
+    const mine = createCommandInteraction(client, { member: guild.members.cache.get(poster.id), commandName: '我的处罚记录' });
+    await myModerationRecordCommand.execute(mine);
+    const embed = mine.lastReply.embeds[0].toJSON();
+    assert.match(embed.description, /投票禁言 20分钟/);
+    assert.match(embed.description, /法庭判决：禁言 2 天[\s\S]*判决已撤销/);
+    assert.match(embed.fields[0].value, /近 30 天内有 \*\*1\*\* 条有效记录，再次被投票禁言时禁言时长 \*\*×1.5\*\*/);
+
+    const denied = createCommandInteraction(client, { member: guild.members.cache.get(initiator.id), commandName: '查询处罚记录', options: { '用户': poster } });
+    await viewModerationRecordCommand.execute(denied);
+    assert.match(denied.lastReply.content, /权限不足/);
+
+    const admin = guild.addMember(client.createUser({ username: '管理员' }), { permissions: [PermissionsBitField.Flags.Administrator] });
+    const lookup = createCommandInteraction(client, { member: admin, commandName: '查询处罚记录', options: { '用户': poster } });
+    await viewModerationRecordCommand.execute(lookup);
+    assert.match(lookup.lastReply.embeds[0].toJSON().description, new RegExp(`<@${poster.id}>`));
+});
+
+test('新加入服务器的成员的反应不计入投票', async () => {
+    await startDeleteVote();
+    const newcomer = getReactor(20);
+    guild.addMember(newcomer, { joinedAt: new Date(Date.now() - 60 * 60 * 1000) });
+
+    await reactLive(target, 0);
+    await reactLive(target, 20);
+    let vote = await getSelfModerationVote(guild.id, target.id, 'delete');
+    assert.equal(vote.currentReactionCount, 1);
+
+    // 对账统计同样排除新成员
+    react(announcement, 1, { offset: 21 });
+    await checkActiveModerationVotes(client);
+    vote = await getSelfModerationVote(guild.id, target.id, 'delete');
+    assert.equal(vote.currentReactionCount, 2);
+    assert.equal(target.deleted, false);
+
+    // 设为 0 时不限制
+    await saveGuildTimeSettings(guild.id, { deleteThreshold: THRESHOLD, nightDeleteMultiplier: 1, newMemberReactionHours: 0 });
+    await checkActiveModerationVotes(client);
+    assert.equal(target.deleted, true);
+});
+
+test('发起的投票未达到执行条件时增加冷却，连续误报达到次数后暂停发起权', async () => {
+    await saveGuildTimeSettings(guild.id, { deleteThreshold: THRESHOLD, nightDeleteMultiplier: 1, falseReportSuspendCount: 2 });
+
+    const failVote = async () => {
+        await startDeleteVote();
+        await updateSelfModerationVote(guild.id, target.id, 'delete', { endTime: new Date(Date.now() - 1000).toISOString() });
+        await checkActiveModerationVotes(client);
+        assert.equal((await getSelfModerationVote(guild.id, target.id, 'delete')).status, 'completed');
+    };
+
+    await failVote();
+    await updateUserLastUsage(guild.id, initiator.id, 'delete');
+    let check = await checkInitiatorCooldown(guild.id, initiator.id, 'delete');
+    assert.equal(check.failureStreak, 1);
+    assert.equal(check.penaltyMinutes, 30);
+    assert.equal(check.inCooldown, true);
+    assert.equal(check.suspendedUntil, null);
+
+    target = channel.post(poster, '又一条被举报的消息');
+    await failVote();
+    check = await checkInitiatorCooldown(guild.id, initiator.id, 'delete');
+    assert.ok(check.suspendedUntil > new Date());
+
+    const role = guild.createRole({ name: '自助管理' });
+    await saveSelfModerationSettings(guild.id, { guildId: guild.id, deleteRoles: [role.id], muteRoles: [], allowedChannels: [] });
+    await guild.members.cache.get(initiator.id).roles.add(role);
+    const interaction = createMessageContextMenuInteraction(client, {
+        member: guild.members.cache.get(initiator.id),
+        commandName: '发起删除投票',
+        targetMessage: channel.post(poster, '第三条消息')
+    });
+    await startDeleteVoteCommand.execute(interaction);
+    assert.match(interaction.lastReply.content, /发起自助管理投票的权限已被暂停/);
+});